@@ -0,0 +1,158 @@
+import { useState, useEffect } from 'react';
+import { Pause, Play, Rocket } from 'lucide-react';
+import { autopilotAPI, AutopilotLogEntry, AutopilotSettings } from '../services/api';
+
+const NOTE_LABELS: Record<string, string> = {
+  rate_limited: 'Rate limit reached',
+  no_suggestions: 'No new suggestions'
+};
+
+// Opt-in daily follow top-ups with a log of what autopilot queued
+const Autopilot = () => {
+  const [settings, setSettings] = useState<AutopilotSettings | null>(null);
+  const [log, setLog] = useState<AutopilotLogEntry[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchAutopilot();
+  }, []);
+
+  const fetchAutopilot = async () => {
+    try {
+      const [settingsResponse, logResponse] = await Promise.all([
+        autopilotAPI.getSettings(),
+        autopilotAPI.getLog(7)
+      ]);
+      setSettings(settingsResponse.data.data);
+      setLog(logResponse.data.data);
+    } catch (error) {
+      console.error('Failed to fetch autopilot:', error);
+    }
+  };
+
+  const save = async (changes: { enabled?: boolean; dailyTarget?: number; window?: { start: string; end: string } }) => {
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await autopilotAPI.updateSettings(changes);
+      setSettings(response.data.data);
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Failed to save autopilot settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const togglePaused = async () => {
+    if (!settings) return;
+
+    try {
+      const response = settings.paused ? await autopilotAPI.resume() : await autopilotAPI.pause();
+      setSettings(response.data.data);
+    } catch (error) {
+      console.error('Failed to pause or resume autopilot:', error);
+    }
+  };
+
+  if (!settings) return null;
+
+  const inputClass = 'px-3 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-spotify-green focus:border-transparent transition-all';
+
+  return (
+    <div className="bg-white dark:bg-gray-800/50 backdrop-blur-sm rounded-2xl border border-gray-200 dark:border-gray-700/50 shadow-lg dark:shadow-none p-5 space-y-5">
+      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+        <div className="flex items-center">
+          <Rocket className="h-5 w-5 text-spotify-green mr-3" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Autopilot</h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Top up your daily follows automatically</p>
+          </div>
+        </div>
+        <div className="flex items-center gap-4">
+          {settings.enabled && (
+            <button
+              onClick={togglePaused}
+              className="flex items-center px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 text-sm font-medium text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+            >
+              {settings.paused ? <Play className="h-4 w-4 mr-1" /> : <Pause className="h-4 w-4 mr-1" />}
+              {settings.paused ? 'Resume' : 'Pause'}
+            </button>
+          )}
+          <label className="flex items-center cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={settings.enabled}
+              disabled={saving}
+              onChange={(e) => save({ enabled: e.target.checked })}
+              className="h-5 w-5 rounded text-spotify-green focus:ring-spotify-green mr-2"
+            />
+            Enabled
+          </label>
+        </div>
+      </div>
+
+      <div className="flex flex-col md:flex-row md:items-center gap-3 text-sm text-gray-700 dark:text-gray-300">
+        <label className="flex items-center gap-2">
+          Follows per day
+          <input
+            type="number"
+            min={1}
+            max={settings.tierMax}
+            defaultValue={settings.dailyTarget}
+            onBlur={(e) => {
+              const dailyTarget = parseInt(e.target.value);
+              if (dailyTarget > 0 && dailyTarget !== settings.dailyTarget) save({ dailyTarget });
+            }}
+            className={`${inputClass} w-24`}
+          />
+          <span className="text-gray-500 dark:text-gray-400">(up to {settings.tierMax} on your plan)</span>
+        </label>
+        <label className="flex items-center gap-2">
+          Between
+          <input
+            type="time"
+            defaultValue={settings.window.start}
+            onBlur={(e) => e.target.value !== settings.window.start && save({ window: { ...settings.window, start: e.target.value } })}
+            className={inputClass}
+          />
+          and
+          <input
+            type="time"
+            defaultValue={settings.window.end}
+            onBlur={(e) => e.target.value !== settings.window.end && save({ window: { ...settings.window, end: e.target.value } })}
+            className={inputClass}
+          />
+          <span className="text-gray-500 dark:text-gray-400">({settings.timezone})</span>
+        </label>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      <div>
+        <p className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Recent days</p>
+        {log.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">Autopilot hasn't queued anything yet</p>
+        ) : (
+          <ul className="space-y-1 text-sm text-gray-700 dark:text-gray-300">
+            {log.map(entry => (
+              <li key={entry.date} className="flex justify-between">
+                <span>{entry.date}</span>
+                <span>
+                  {entry.queued} queued
+                  {entry.note && (
+                    <span className="text-gray-500 dark:text-gray-400"> · {NOTE_LABELS[entry.note] || entry.note}</span>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Autopilot;
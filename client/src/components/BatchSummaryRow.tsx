@@ -0,0 +1,57 @@
+import { Layers, RotateCcw, XCircle } from 'lucide-react';
+import { FollowBatch } from '../services/api';
+
+interface BatchSummaryRowProps {
+  batch: FollowBatch;
+  columns: number;
+  onCancel: (batchId: string) => void;
+  onRetry: (batchId: string) => void;
+}
+
+// Header row above a batch's follows in the history table
+const BatchSummaryRow = ({ batch, columns, onCancel, onRetry }: BatchSummaryRowProps) => {
+  const { counts } = batch;
+  const done = counts.completed + counts.failed + counts.cancelled;
+
+  return (
+    <tr className="bg-gray-50 dark:bg-gray-900/50">
+      <td colSpan={columns} className="px-6 py-3">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+          <div className="flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <Layers className="h-4 w-4 text-spotify-green mr-2" />
+            <span className="font-semibold text-gray-900 dark:text-white mr-2">
+              Batch of {batch.requestedCount}
+            </span>
+            <span>
+              {new Date(batch.createdAt).toLocaleString()} · {batch.status} · {done}/{batch.queuedCount} done
+              {counts.failed > 0 && ` · ${counts.failed} failed`}
+              {batch.eta && ` · ETA ${new Date(batch.eta).toLocaleString()}`}
+            </span>
+          </div>
+          <div className="flex items-center gap-2">
+            {counts.failed > 0 && batch.status !== 'cancelled' && (
+              <button
+                onClick={() => onRetry(batch.id)}
+                className="flex items-center px-3 py-1.5 text-xs font-medium rounded-lg border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700 transition-colors"
+              >
+                <RotateCcw className="h-3.5 w-3.5 mr-1" />
+                Retry failed
+              </button>
+            )}
+            {batch.status === 'active' && (
+              <button
+                onClick={() => onCancel(batch.id)}
+                className="flex items-center px-3 py-1.5 text-xs font-medium rounded-lg border border-red-200 dark:border-red-800 text-red-600 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/30 transition-colors"
+              >
+                <XCircle className="h-3.5 w-3.5 mr-1" />
+                Cancel batch
+              </button>
+            )}
+          </div>
+        </div>
+      </td>
+    </tr>
+  );
+};
+
+export default BatchSummaryRow;
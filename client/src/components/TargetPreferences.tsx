@@ -0,0 +1,181 @@
+import { useState, useEffect } from 'react';
+import { Ban, CheckCircle, Plus, ShieldCheck, X } from 'lucide-react';
+import { followAPI, PreferenceEntry, PreferenceKind, PreferenceList } from '../services/api';
+
+const KIND_LABELS: Record<PreferenceKind, string> = {
+  artist: 'Artist ID',
+  user: 'User ID',
+  playlist: 'Playlist ID',
+  genre: 'Genre'
+};
+
+// Manage the allow and block lists the swarm checks before following for the user
+const TargetPreferences = () => {
+  const [entries, setEntries] = useState<PreferenceEntry[]>([]);
+  const [allowlistOnly, setAllowlistOnly] = useState(false);
+  const [list, setList] = useState<PreferenceList>('block');
+  const [kind, setKind] = useState<PreferenceKind>('artist');
+  const [value, setValue] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  useEffect(() => {
+    fetchPreferences();
+  }, []);
+
+  const fetchPreferences = async () => {
+    try {
+      const response = await followAPI.getPreferences();
+      setEntries(response.data.data.entries);
+      setAllowlistOnly(response.data.data.allowlistOnly);
+    } catch (error) {
+      console.error('Failed to fetch target preferences:', error);
+    }
+  };
+
+  const addEntry = async () => {
+    if (!value.trim()) return;
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await followAPI.addPreference(list, kind, value.trim());
+      const entry: PreferenceEntry = response.data.data;
+      setEntries(current => [...current.filter(e => e.id !== entry.id), entry]);
+      setValue('');
+    } catch (error: any) {
+      setError(error.response?.data?.error || 'Failed to add entry');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeEntry = async (entryId: string) => {
+    try {
+      await followAPI.removePreference(entryId);
+      setEntries(current => current.filter(e => e.id !== entryId));
+    } catch (error) {
+      console.error('Failed to remove target preference:', error);
+    }
+  };
+
+  const toggleAllowlistOnly = async (enabled: boolean) => {
+    try {
+      await followAPI.setAllowlistOnly(enabled);
+      setAllowlistOnly(enabled);
+    } catch (error) {
+      console.error('Failed to update allowlist-only mode:', error);
+    }
+  };
+
+  const renderList = (name: PreferenceList) => {
+    const items = entries.filter(e => e.list === name);
+
+    return (
+      <div>
+        <div className="flex items-center mb-3">
+          {name === 'block' ? (
+            <Ban className="h-4 w-4 text-red-500 mr-2" />
+          ) : (
+            <CheckCircle className="h-4 w-4 text-spotify-green mr-2" />
+          )}
+          <p className="text-sm font-semibold text-gray-900 dark:text-white">
+            {name === 'block' ? 'Never follow' : 'Allowed'} ({items.length})
+          </p>
+        </div>
+        {items.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400">No entries</p>
+        ) : (
+          <div className="flex flex-wrap gap-2">
+            {items.map(entry => (
+              <span
+                key={entry.id}
+                className="flex items-center px-3 py-1 bg-gray-100 dark:bg-gray-900/50 rounded-lg text-sm text-gray-700 dark:text-gray-300"
+              >
+                <span className="text-gray-400 dark:text-gray-500 mr-1">{KIND_LABELS[entry.kind]}:</span>
+                {entry.value}
+                <button
+                  onClick={() => removeEntry(entry.id)}
+                  aria-label={`Remove ${entry.value}`}
+                  className="ml-2 text-gray-400 hover:text-red-500 transition-colors"
+                >
+                  <X className="h-3.5 w-3.5" />
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800/50 backdrop-blur-sm rounded-2xl border border-gray-200 dark:border-gray-700/50 shadow-lg dark:shadow-none p-5 space-y-5">
+      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+        <div className="flex items-center">
+          <ShieldCheck className="h-5 w-5 text-spotify-green mr-3" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Follow Preferences</h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400">Choose what the swarm may follow on your behalf</p>
+          </div>
+        </div>
+        <label className="flex items-center cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={allowlistOnly}
+            onChange={(e) => toggleAllowlistOnly(e.target.checked)}
+            className="h-5 w-5 rounded text-spotify-green focus:ring-spotify-green mr-2"
+          />
+          Only follow allowed targets
+        </label>
+      </div>
+
+      <div className="flex flex-col md:flex-row gap-3">
+        <select
+          value={list}
+          onChange={(e) => setList(e.target.value as PreferenceList)}
+          className="px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-spotify-green focus:border-transparent transition-all"
+        >
+          <option value="block">Block</option>
+          <option value="allow">Allow</option>
+        </select>
+        <select
+          value={kind}
+          onChange={(e) => setKind(e.target.value as PreferenceKind)}
+          className="px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-spotify-green focus:border-transparent transition-all"
+        >
+          {(Object.keys(KIND_LABELS) as PreferenceKind[]).map(k => (
+            <option key={k} value={k}>{KIND_LABELS[k]}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && addEntry()}
+          placeholder={kind === 'genre' ? 'e.g. indie pop' : 'Spotify ID'}
+          className="flex-1 px-4 py-2 rounded-xl border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800 text-gray-900 dark:text-white focus:ring-2 focus:ring-spotify-green focus:border-transparent transition-all"
+        />
+        <button
+          onClick={addEntry}
+          disabled={saving || !value.trim()}
+          className="flex items-center justify-center px-5 py-2 bg-spotify-green text-white font-semibold rounded-xl hover:bg-spotify-dark-green disabled:bg-gray-400 disabled:cursor-not-allowed transition-colors"
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Add
+        </button>
+      </div>
+
+      {error && (
+        <p className="text-sm text-red-600 dark:text-red-400">{error}</p>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-5">
+        {renderList('block')}
+        {renderList('allow')}
+      </div>
+    </div>
+  );
+};
+
+export default TargetPreferences;
@@ -0,0 +1,71 @@
+import { useState, useEffect } from 'react';
+import { Palmtree } from 'lucide-react';
+import { followAPI, PauseState } from '../services/api';
+
+// Pause all follow activity without cancelling queued follows
+const VacationMode = () => {
+  const [state, setState] = useState<PauseState | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    fetchPause();
+  }, []);
+
+  const fetchPause = async () => {
+    try {
+      const response = await followAPI.getPause();
+      setState(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch pause state:', error);
+    }
+  };
+
+  const toggle = async (paused: boolean) => {
+    try {
+      setSaving(true);
+      const response = paused ? await followAPI.pause() : await followAPI.resume();
+      setState(response.data.data);
+    } catch (error) {
+      console.error('Failed to pause or resume follows:', error);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!state) return null;
+
+  return (
+    <div className="bg-white dark:bg-gray-800/50 backdrop-blur-sm rounded-2xl border border-gray-200 dark:border-gray-700/50 shadow-lg dark:shadow-none p-5">
+      <div className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4">
+        <div className="flex items-center">
+          <Palmtree className="h-5 w-5 text-spotify-green mr-3" />
+          <div>
+            <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Vacation mode</h3>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              {state.paused && state.pausedAt
+                ? `All follow activity paused since ${new Date(state.pausedAt).toLocaleString()}; queued follows are kept`
+                : 'Hold all follows, unfollows, campaigns and autopilot until you resume'}
+            </p>
+            {!state.paused && !!state.respreadCount && (
+              <p className="text-sm text-gray-500 dark:text-gray-400">
+                {state.respreadCount} held follows will run spread out from now
+              </p>
+            )}
+          </div>
+        </div>
+        <label className="flex items-center cursor-pointer text-sm font-medium text-gray-700 dark:text-gray-300">
+          <input
+            type="checkbox"
+            checked={state.paused}
+            disabled={saving}
+            onChange={(e) => toggle(e.target.checked)}
+            className="h-5 w-5 rounded text-spotify-green focus:ring-spotify-green mr-2"
+          />
+          Pause everything
+        </label>
+      </div>
+    </div>
+  );
+};
+
+export default VacationMode;
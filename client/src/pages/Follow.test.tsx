@@ -10,7 +10,38 @@ vi.mock('../services/api', () => ({
     getSuggestions: vi.fn(),
     getRateLimits: vi.fn(),
     followSingle: vi.fn(),
-    followBatch: vi.fn()
+    followBatch: vi.fn(),
+    getPreferences: vi.fn().mockResolvedValue({ data: { data: { allowlistOnly: false, entries: [] } } }),
+    setAllowlistOnly: vi.fn(),
+    addPreference: vi.fn(),
+    removePreference: vi.fn(),
+    getPause: vi.fn().mockResolvedValue({ data: { data: { paused: false, pausedAt: null } } }),
+    pause: vi.fn(),
+    resume: vi.fn()
+  },
+  meAPI: {
+    getEntitlements: vi.fn().mockResolvedValue({
+      data: { data: { tier: 'pro', features: ['basic_follow', 'batch_follow'], trial: null, overrides: [] } }
+    })
+  },
+  autopilotAPI: {
+    getSettings: vi.fn().mockResolvedValue({
+      data: {
+        data: {
+          enabled: true,
+          paused: false,
+          dailyTarget: 10,
+          effectiveDailyTarget: 10,
+          tierMax: 25,
+          window: { start: '09:00', end: '21:00' },
+          timezone: 'UTC'
+        }
+      }
+    }),
+    getLog: vi.fn().mockResolvedValue({ data: { data: [{ date: '2025-09-26', queued: 4, artistIds: [], note: 'rate_limited' }] } }),
+    updateSettings: vi.fn(),
+    pause: vi.fn(),
+    resume: vi.fn()
   }
 }));
 
@@ -260,4 +291,108 @@ describe('Follow Component', () => {
       expect(global.alert).toHaveBeenCalledWith('API Error');
     });
   });
+
+  it('should show the user\'s allow and block lists', async () => {
+    (api.followAPI.getPreferences as ReturnType<typeof vi.fn>).mockResolvedValueOnce({
+      data: {
+        data: {
+          allowlistOnly: true,
+          entries: [{ id: 'p1', list: 'block', kind: 'genre', value: 'polka', created_at: '2025-09-25T00:00:00Z' }]
+        }
+      }
+    });
+
+    render(<Follow />);
+
+    await waitFor(() => {
+      expect(screen.getByText('polka')).toBeInTheDocument();
+      expect(screen.getByLabelText('Only follow allowed targets')).toBeChecked();
+    });
+  });
+
+  it('should add entries to the block list', async () => {
+    (api.followAPI.addPreference as ReturnType<typeof vi.fn>).mockResolvedValueOnce({
+      data: { data: { id: 'p2', list: 'block', kind: 'artist', value: 'artist9', created_at: '2025-09-25T00:00:00Z' } }
+    });
+
+    const user = userEvent.setup();
+    render(<Follow />);
+
+    await user.type(screen.getByPlaceholderText('Spotify ID'), 'artist9');
+    await user.click(screen.getByRole('button', { name: /^Add$/ }));
+
+    await waitFor(() => {
+      expect(api.followAPI.addPreference).toHaveBeenCalledWith('block', 'artist', 'artist9');
+      expect(screen.getByText('artist9')).toBeInTheDocument();
+    });
+  });
+
+  it('should show the autopilot log and pause autopilot', async () => {
+    (api.autopilotAPI.pause as ReturnType<typeof vi.fn>).mockResolvedValueOnce({
+      data: {
+        data: {
+          enabled: true,
+          paused: true,
+          dailyTarget: 10,
+          effectiveDailyTarget: 10,
+          tierMax: 25,
+          window: { start: '09:00', end: '21:00' },
+          timezone: 'UTC'
+        }
+      }
+    });
+
+    const user = userEvent.setup();
+    render(<Follow />);
+
+    await waitFor(() => {
+      expect(screen.getByText('2025-09-26')).toBeInTheDocument();
+      expect(screen.getByText(/Rate limit reached/)).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByRole('button', { name: /Pause/ }));
+
+    await waitFor(() => {
+      expect(api.autopilotAPI.pause).toHaveBeenCalled();
+      expect(screen.getByRole('button', { name: /Resume/ })).toBeInTheDocument();
+    });
+  });
+
+  it('should pause all follow activity', async () => {
+    (api.followAPI.pause as ReturnType<typeof vi.fn>).mockResolvedValueOnce({
+      data: { data: { paused: true, pausedAt: '2025-09-29T12:00:00Z' } }
+    });
+
+    const user = userEvent.setup();
+    render(<Follow />);
+
+    const toggle = await screen.findByRole('checkbox', { name: /Pause everything/ });
+    await user.click(toggle);
+
+    await waitFor(() => {
+      expect(api.followAPI.pause).toHaveBeenCalled();
+      expect(screen.getByRole('checkbox', { name: /Pause everything/ })).toBeChecked();
+      expect(screen.getByText(/All follow activity paused since/)).toBeInTheDocument();
+    });
+  });
+
+  it('should not offer batch follows to plans without them', async () => {
+    (api.meAPI.getEntitlements as ReturnType<typeof vi.fn>).mockResolvedValueOnce({
+      data: { data: { tier: 'free', features: ['basic_follow'], trial: null, overrides: [] } }
+    });
+
+    const user = userEvent.setup();
+    render(<Follow />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Artist One')).toBeInTheDocument();
+    });
+
+    await user.click(screen.getByText('Select All'));
+
+    await waitFor(() => {
+      expect(screen.getByText('Upgrade to follow several artists at once')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /Follow Selected/ })).toBeDisabled();
+    });
+  });
 });
\ No newline at end of file
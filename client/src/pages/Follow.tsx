@@ -10,8 +10,11 @@ import {
   AlertCircle,
   TrendingUp
 } from 'lucide-react';
-import { followAPI } from '../services/api';
+import { followAPI, meAPI, Entitlements } from '../services/api';
 import { ArtistCardSkeleton } from '../components/LoadingSkeleton';
+import TargetPreferences from '../components/TargetPreferences';
+import Autopilot from '../components/Autopilot';
+import VacationMode from '../components/VacationMode';
 
 interface Artist {
   artistId: string;
@@ -25,10 +28,12 @@ const Follow = () => {
   const [loading, setLoading] = useState(false);
   const [following, setFollowing] = useState(false);
   const [rateLimits, setRateLimits] = useState<any>(null);
+  const [entitlements, setEntitlements] = useState<Entitlements | null>(null);
 
   useEffect(() => {
     fetchSuggestions();
     fetchRateLimits();
+    fetchEntitlements();
   }, []);
 
   const fetchSuggestions = async () => {
@@ -52,6 +57,15 @@ const Follow = () => {
     }
   };
 
+  const fetchEntitlements = async () => {
+    try {
+      const response = await meAPI.getEntitlements();
+      setEntitlements(response.data.data);
+    } catch (error) {
+      console.error('Failed to fetch entitlements:', error);
+    }
+  };
+
   const toggleArtist = (artistId: string) => {
     const newSelected = new Set(selectedArtists);
     if (newSelected.has(artistId)) {
@@ -98,6 +112,9 @@ const Follow = () => {
   };
 
   const canFollow = rateLimits?.canFollow ?? true;
+  // Until entitlements load, leave it to the server to refuse
+  const canBatch = entitlements?.features.includes('batch_follow') ?? true;
+  const needsBatch = selectedArtists.size > 1 && !canBatch;
 
   return (
     <div className="space-y-6">
@@ -156,10 +173,15 @@ const Follow = () => {
             >
               Deselect All
             </button>
+            {needsBatch && (
+              <span className="text-sm text-amber-600 dark:text-amber-400">
+                Upgrade to follow several artists at once
+              </span>
+            )}
           </div>
           <button
             onClick={followSelected}
-            disabled={selectedArtists.size === 0 || following || !canFollow}
+            disabled={selectedArtists.size === 0 || following || !canFollow || needsBatch}
             className="group relative flex items-center px-6 py-2.5 bg-gradient-to-r from-spotify-green to-green-500 text-white font-semibold rounded-xl hover:from-spotify-dark-green hover:to-green-600 disabled:from-gray-400 disabled:to-gray-500 disabled:cursor-not-allowed transition-all duration-300 transform hover:scale-105 hover:shadow-xl hover:shadow-spotify-green/30"
           >
             {following ? (
@@ -250,6 +272,15 @@ const Follow = () => {
           ))}
         </div>
       )}
+
+      {/* Hold all follow activity */}
+      <VacationMode />
+
+      {/* Automatic daily follows */}
+      <Autopilot />
+
+      {/* Allow and block lists */}
+      <TargetPreferences />
     </div>
   );
 };
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, Fragment } from 'react';
 import { 
   Clock, 
   CheckCircle, 
@@ -10,22 +10,28 @@ import {
   Music,
   TrendingUp,
   ArrowRight,
-  Activity
+  Activity,
+  ShieldCheck,
+  ShieldAlert
 } from 'lucide-react';
-import { followAPI } from '../services/api';
+import { followAPI, FollowBatch } from '../services/api';
+import BatchSummaryRow from '../components/BatchSummaryRow';
 
 interface FollowRecord {
   id: string;
   target_artist_id: string;
   artist_name?: string;
-  status: 'pending' | 'completed' | 'failed';
+  status: 'pending' | 'completed' | 'verified' | 'unverified' | 'failed';
   created_at: string;
   completed_at?: string;
+  verified_at?: string;
   error_message?: string;
+  batch_id?: string | null;
 }
 
 const History = () => {
   const [history, setHistory] = useState<FollowRecord[]>([]);
+  const [batches, setBatches] = useState<Record<string, FollowBatch>>({});
   const [loading, setLoading] = useState(true);
   const [filter, setFilter] = useState<string>('all');
   const [page, setPage] = useState(0);
@@ -35,6 +41,10 @@ const History = () => {
     fetchHistory();
   }, [filter, page]);
 
+  useEffect(() => {
+    fetchBatches();
+  }, []);
+
   const fetchHistory = async () => {
     try {
       setLoading(true);
@@ -51,10 +61,64 @@ const History = () => {
     }
   };
 
+  const fetchBatches = async () => {
+    try {
+      const response = await followAPI.getBatches(100);
+      const byId: Record<string, FollowBatch> = {};
+      for (const batch of response.data.data) {
+        byId[batch.id] = batch;
+      }
+      setBatches(byId);
+    } catch (error) {
+      console.error('Failed to fetch batches:', error);
+    }
+  };
+
+  const updateBatch = (batch: FollowBatch) => {
+    setBatches(current => ({ ...current, [batch.id]: batch }));
+  };
+
+  const cancelBatch = async (batchId: string) => {
+    try {
+      const response = await followAPI.cancelBatch(batchId);
+      updateBatch(response.data.data.batch);
+    } catch (error) {
+      console.error('Failed to cancel batch:', error);
+    }
+  };
+
+  const retryFailedBatch = async (batchId: string) => {
+    try {
+      const response = await followAPI.retryFailedBatch(batchId);
+      updateBatch(response.data.data.batch);
+    } catch (error) {
+      console.error('Failed to retry batch:', error);
+    }
+  };
+
+  // Follows from the same batch are listed together, in order of their newest follow
+  const groupByBatch = () => {
+    const groups: { batchId: string | null; items: FollowRecord[] }[] = [];
+    for (const item of history) {
+      const batchId = item.batch_id || null;
+      const group = batchId && groups.find(g => g.batchId === batchId);
+      if (group) {
+        group.items.push(item);
+      } else {
+        groups.push({ batchId, items: [item] });
+      }
+    }
+    return groups;
+  };
+
   const getStatusIcon = (status: string) => {
     switch (status) {
+      case 'verified':
+        return <ShieldCheck className="h-5 w-5 text-emerald-500 dark:text-emerald-400" />;
       case 'completed':
         return <CheckCircle className="h-5 w-5 text-green-500 dark:text-green-400" />;
+      case 'unverified':
+        return <ShieldAlert className="h-5 w-5 text-orange-500 dark:text-orange-400" />;
       case 'failed':
         return <XCircle className="h-5 w-5 text-red-500 dark:text-red-400" />;
       case 'pending':
@@ -66,8 +130,12 @@ const History = () => {
 
   const getStatusColor = (status: string) => {
     switch (status) {
+      case 'verified':
+        return 'bg-emerald-100 dark:bg-emerald-900/30 text-emerald-800 dark:text-emerald-300 border-emerald-200 dark:border-emerald-800';
       case 'completed':
         return 'bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 border-green-200 dark:border-green-800';
+      case 'unverified':
+        return 'bg-orange-100 dark:bg-orange-900/30 text-orange-800 dark:text-orange-300 border-orange-200 dark:border-orange-800';
       case 'failed':
         return 'bg-red-100 dark:bg-red-900/30 text-red-800 dark:text-red-300 border-red-200 dark:border-red-800';
       case 'pending':
@@ -103,6 +171,8 @@ const History = () => {
     const stats = {
       total: history.length,
       completed: history.filter(h => h.status === 'completed').length,
+      verified: history.filter(h => h.status === 'verified').length,
+      unverified: history.filter(h => h.status === 'unverified').length,
       pending: history.filter(h => h.status === 'pending').length,
       failed: history.filter(h => h.status === 'failed').length
     };
@@ -129,7 +199,7 @@ const History = () => {
       </div>
 
       {/* Stats Cards */}
-      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-4">
         <div className="bg-white dark:bg-gray-800/50 backdrop-blur-sm rounded-xl border border-gray-200 dark:border-gray-700/50 p-4">
           <div className="flex items-center justify-between">
             <div>
@@ -152,6 +222,20 @@ const History = () => {
             </div>
           </div>
         </div>
+        <div className="bg-white dark:bg-gray-800/50 backdrop-blur-sm rounded-xl border border-gray-200 dark:border-gray-700/50 p-4">
+          <div className="flex items-center justify-between">
+            <div>
+              <p className="text-sm text-gray-600 dark:text-gray-400">Verified</p>
+              <p className="text-2xl font-bold text-emerald-600 dark:text-emerald-400">{stats.verified}</p>
+              {stats.unverified > 0 && (
+                <p className="text-xs text-orange-600 dark:text-orange-400">{stats.unverified} unverified</p>
+              )}
+            </div>
+            <div className="p-3 bg-gradient-to-br from-emerald-500 to-teal-500 rounded-xl">
+              <ShieldCheck className="h-5 w-5 text-white" />
+            </div>
+          </div>
+        </div>
         <div className="bg-white dark:bg-gray-800/50 backdrop-blur-sm rounded-xl border border-gray-200 dark:border-gray-700/50 p-4">
           <div className="flex items-center justify-between">
             <div>
@@ -186,7 +270,7 @@ const History = () => {
             <span className="text-sm font-medium text-gray-700 dark:text-gray-300">Filter by:</span>
           </div>
           <div className="flex flex-wrap gap-2">
-            {['all', 'completed', 'pending', 'failed'].map((status) => (
+            {['all', 'completed', 'verified', 'unverified', 'pending', 'failed'].map((status) => (
               <button
                 key={status}
                 onClick={() => {
@@ -254,45 +338,57 @@ const History = () => {
                 </tr>
               </thead>
               <tbody className="bg-white dark:bg-gray-800/30 divide-y divide-gray-200 dark:divide-gray-700">
-                {history.map((item, index) => (
-                  <tr 
-                    key={item.id} 
-                    className="hover:bg-gray-50 dark:hover:bg-gray-900/50 transition-colors duration-150"
-                    style={{ animationDelay: `${index * 30}ms` }}
-                  >
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
-                      {new Date(item.created_at).toLocaleString()}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center">
-                        <div className="h-8 w-8 bg-gradient-to-br from-spotify-green/20 to-green-500/20 rounded-lg flex items-center justify-center mr-3">
-                          <Music className="h-4 w-4 text-spotify-green" />
-                        </div>
-                        <span className="text-sm font-medium text-gray-900 dark:text-white">
-                          {item.artist_name || item.target_artist_id}
-                        </span>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap">
-                      <div className="flex items-center">
-                        {getStatusIcon(item.status)}
-                        <span className={`ml-2 px-3 py-1.5 text-xs font-medium rounded-full border ${getStatusColor(item.status)}`}>
-                          {item.status}
-                        </span>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
-                      {item.completed_at ? (
-                        <div className="flex items-center">
-                          <ArrowRight className="h-3 w-3 mr-1 text-green-500" />
-                          {new Date(item.completed_at).toLocaleString()}
-                        </div>
-                      ) : '-'}
-                    </td>
-                    <td className="px-6 py-4 text-sm text-red-600 dark:text-red-400">
-                      {item.error_message || '-'}
-                    </td>
-                  </tr>
+                {groupByBatch().map(group => (
+                  <Fragment key={group.batchId || `single-${group.items[0].id}`}>
+                    {group.batchId && batches[group.batchId] && (
+                      <BatchSummaryRow
+                        batch={batches[group.batchId]}
+                        columns={5}
+                        onCancel={cancelBatch}
+                        onRetry={retryFailedBatch}
+                      />
+                    )}
+                    {group.items.map((item, index) => (
+                      <tr 
+                        key={item.id} 
+                        className="hover:bg-gray-50 dark:hover:bg-gray-900/50 transition-colors duration-150"
+                        style={{ animationDelay: `${index * 30}ms` }}
+                      >
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900 dark:text-gray-300">
+                          {new Date(item.created_at).toLocaleString()}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center">
+                            <div className="h-8 w-8 bg-gradient-to-br from-spotify-green/20 to-green-500/20 rounded-lg flex items-center justify-center mr-3">
+                              <Music className="h-4 w-4 text-spotify-green" />
+                            </div>
+                            <span className="text-sm font-medium text-gray-900 dark:text-white">
+                              {item.artist_name || item.target_artist_id}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <div className="flex items-center">
+                            {getStatusIcon(item.status)}
+                            <span className={`ml-2 px-3 py-1.5 text-xs font-medium rounded-full border ${getStatusColor(item.status)}`}>
+                              {item.status}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                          {item.completed_at ? (
+                            <div className="flex items-center">
+                              <ArrowRight className="h-3 w-3 mr-1 text-green-500" />
+                              {new Date(item.completed_at).toLocaleString()}
+                            </div>
+                          ) : '-'}
+                        </td>
+                        <td className="px-6 py-4 text-sm text-red-600 dark:text-red-400">
+                          {item.error_message || '-'}
+                        </td>
+                      </tr>
+                    ))}
+                  </Fragment>
                 ))}
               </tbody>
             </table>
@@ -1,4 +1,4 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { 
   Shield, 
   Lock, 
@@ -11,8 +11,10 @@ import {
   UserX,
   AlertCircle,
   RefreshCw,
-  Download
+  Download,
+  UserMinus
 } from 'lucide-react';
+import { adminAPI } from '../../services/api';
 
 /**
  * AdminSecurity Component
@@ -24,6 +26,20 @@ import {
 const AdminSecurity = () => {
   const [showTokens, setShowTokens] = useState(false); // Toggle API key visibility
   const [selectedTimeRange, setSelectedTimeRange] = useState('24h'); // Security event time filter
+  const [lowReciprocityUsers, setLowReciprocityUsers] = useState<any[]>([]); // Members flagged by the reciprocity audit
+
+  useEffect(() => {
+    loadSuspiciousActivity();
+  }, []);
+
+  const loadSuspiciousActivity = async () => {
+    try {
+      const response = await adminAPI.getSuspiciousActivity();
+      setLowReciprocityUsers(response.data.data.lowReciprocityUsers || []);
+    } catch (error) {
+      console.error('Failed to load suspicious activity:', error);
+    }
+  };
 
   const securityEvents = [
     {
@@ -217,6 +233,45 @@ const AdminSecurity = () => {
         </div>
       </div>
 
+      {/* Low Reciprocity Members */}
+      <div className="bg-gray-800/50 backdrop-blur-sm rounded-xl p-6 border border-gray-700">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-white flex items-center">
+            <UserMinus className="h-5 w-5 mr-2 text-orange-400" />
+            Low Reciprocity Members
+          </h2>
+          <button
+            onClick={loadSuspiciousActivity}
+            className="text-gray-400 hover:text-white transition-colors"
+          >
+            <RefreshCw className="h-5 w-5" />
+          </button>
+        </div>
+
+        {lowReciprocityUsers.length === 0 ? (
+          <p className="text-gray-400 text-sm">No members below the reciprocity threshold</p>
+        ) : (
+          <div className="space-y-3">
+            {lowReciprocityUsers.map((member) => (
+              <div key={member.id} className="flex items-center justify-between p-4 bg-gray-900/50 rounded-lg">
+                <div>
+                  <p className="text-white font-medium">{member.display_name}</p>
+                  <p className="text-gray-400 text-sm mt-1">{member.email}</p>
+                </div>
+                <div className="text-right">
+                  <p className="text-orange-400 font-semibold">
+                    {Math.round(parseFloat(member.reciprocity_score) * 100)}% still following
+                  </p>
+                  <p className="text-gray-400 text-sm">
+                    Checked {new Date(member.reciprocity_checked_at).toLocaleString()}
+                  </p>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Blocked IPs */}
       <div className="bg-gray-800/50 backdrop-blur-sm rounded-xl p-6 border border-gray-700">
         <h2 className="text-xl font-semibold text-white mb-4">Blocked IP Addresses</h2>
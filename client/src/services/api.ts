@@ -2,6 +2,72 @@ import axios from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:3001';
 
+// What a follow points at on Spotify
+export type FollowTargetType = 'artist' | 'user' | 'playlist';
+
+// Allow and block list entries for what the swarm follows
+export type PreferenceList = 'allow' | 'block';
+
+export type PreferenceKind = FollowTargetType | 'genre';
+
+export interface PreferenceEntry {
+  id: string;
+  list: PreferenceList;
+  kind: PreferenceKind;
+  value: string;
+  created_at: string;
+}
+
+// A /batch request's follow jobs, counted by status
+export type BatchStatus = 'active' | 'completed' | 'cancelled';
+
+export interface FollowBatch {
+  id: string;
+  targetType: FollowTargetType;
+  requestedCount: number;
+  queuedCount: number;
+  status: BatchStatus;
+  counts: Record<'queued' | 'scheduled' | 'rescheduled' | 'processing' | 'completed' | 'failed' | 'cancelled' | 'retried', number>;
+  pendingCount: number;
+  eta: string | null;
+  createdAt: string;
+  cancelledAt: string | null;
+}
+
+// Automatic daily follow top-ups
+export interface AutopilotSettings {
+  enabled: boolean;
+  paused: boolean;
+  dailyTarget: number;
+  effectiveDailyTarget: number;
+  tierMax: number;
+  window: { start: string; end: string };
+  timezone: string;
+}
+
+export interface AutopilotLogEntry {
+  date: string;
+  queued: number;
+  artistIds: string[];
+  note: string | null;
+  lastRunAt: string;
+}
+
+// Vacation mode: all of the user's follow activity on hold
+export interface PauseState {
+  paused: boolean;
+  pausedAt: string | null;
+  respreadCount?: number;
+}
+
+// Features the user may use, from their tier, trial and overrides
+export interface Entitlements {
+  tier: string;
+  features: string[];
+  trial: { tier: string; endsAt: string } | null;
+  overrides: { feature: string; enabled: boolean; expiresAt: string | null; reason: string | null }[];
+}
+
 const api = axios.create({
   baseURL: API_BASE_URL,
   withCredentials: true,
@@ -54,17 +120,53 @@ export const authAPI = {
 export const followAPI = {
   getRateLimits: () => api.get('/api/follows/rate-limits'),
   
-  getSuggestions: (limit = 10) => 
-    api.get(`/api/follows/suggestions?limit=${limit}`),
+  getSuggestions: (limit = 10, genres?: string[]) => 
+    api.get('/api/follows/suggestions', {
+      params: { limit, genres: genres?.length ? genres.join(',') : undefined }
+    }),
+  
+  getGenres: () => api.get('/api/follows/genres'),
+  
+  updateGenres: (preferred: string[], excluded: string[]) => 
+    api.put('/api/follows/genres', { preferred, excluded }),
+  
+  getPreferences: () => api.get('/api/follows/preferences'),
+  
+  setAllowlistOnly: (allowlistOnly: boolean) => 
+    api.put('/api/follows/preferences', { allowlistOnly }),
+  
+  addPreference: (list: PreferenceList, kind: PreferenceKind, value: string) => 
+    api.post('/api/follows/preferences/entries', { list, kind, value }),
+  
+  removePreference: (entryId: string) => api.delete(`/api/follows/preferences/entries/${entryId}`),
+  
+  getActivityWindows: () => api.get('/api/follows/activity-windows'),
+  
+  updateActivityWindows: (timezone: string | null, windows: { days: number[]; start: string; end: string }[]) => 
+    api.put('/api/follows/activity-windows', { timezone, windows }),
+  
+  followSingle: (artistId: string, targetType: FollowTargetType = 'artist') => 
+    api.post('/api/follows/single', { artistId, targetType }),
   
-  followSingle: (artistId: string) => 
-    api.post('/api/follows/single', { artistId }),
+  followBatch: (artistIds: string[], options?: any, targetType: FollowTargetType = 'artist') => 
+    api.post('/api/follows/batch', { artistIds, options, targetType }),
   
-  followBatch: (artistIds: string[], options?: any) => 
-    api.post('/api/follows/batch', { artistIds, options }),
+  scheduleFollows: (artistIds: string[], startTime?: Date, endTime?: Date, distribution?: string, timezone?: string, targetType: FollowTargetType = 'artist') => 
+    api.post('/api/follows/schedule', { artistIds, startTime, endTime, distribution, timezone, targetType }),
   
-  scheduleFollows: (artistIds: string[], startTime?: Date, endTime?: Date) => 
-    api.post('/api/follows/schedule', { artistIds, startTime, endTime }),
+  previewSchedule: (artistIds: string[], startTime?: Date, endTime?: Date, distribution?: string, timezone?: string) => 
+    api.post('/api/follows/schedule/preview', { artistIds, startTime, endTime, distribution, timezone }),
+  
+  getBatches: (limit = 20, offset = 0) => 
+    api.get('/api/follows/batches', { params: { limit, offset } }),
+  
+  getBatch: (batchId: string) => api.get(`/api/follows/batches/${batchId}`),
+  
+  cancelBatch: (batchId: string) => api.delete(`/api/follows/batches/${batchId}`),
+  
+  retryFailedBatch: (batchId: string) => api.post(`/api/follows/batches/${batchId}/retry-failed`),
+  
+  syncFollows: () => api.post('/api/follows/sync'),
   
   getHistory: (status?: string, limit = 50, offset = 0) => 
     api.get('/api/follows/history', { 
@@ -74,12 +176,47 @@ export const followAPI = {
   getStats: (period = '7d') => 
     api.get(`/api/follows/stats?period=${period}`),
   
+  getBalance: () => api.get('/api/follows/balance'),
+  
+  getLedger: (limit = 50, offset = 0) => 
+    api.get('/api/follows/ledger', { params: { limit, offset } }),
+  
   getJobs: (status?: string) => 
     api.get('/api/follows/jobs', { params: { status } }),
   
   cancelJobs: () => api.delete('/api/follows/jobs'),
   
   cancelJob: (jobId: string) => api.delete(`/api/follows/jobs/${jobId}`),
+  
+  getPause: () => api.get('/api/follows/pause'),
+  
+  pause: () => api.post('/api/follows/pause'),
+  
+  resume: () => api.post('/api/follows/resume'),
+  
+  unfollow: (followId: string) => api.delete(`/api/follows/${followId}`),
+  
+  bulkUnfollow: (before: Date, targetType?: FollowTargetType, campaignId?: string) => 
+    api.post('/api/follows/unfollow', { before, targetType, campaignId }),
+};
+
+// Autopilot API
+export const autopilotAPI = {
+  getSettings: () => api.get('/api/autopilot'),
+  
+  updateSettings: (settings: { enabled?: boolean; dailyTarget?: number; window?: { start: string; end: string } }) => 
+    api.put('/api/autopilot', settings),
+  
+  pause: () => api.post('/api/autopilot/pause'),
+  
+  resume: () => api.post('/api/autopilot/resume'),
+  
+  getLog: (days = 14) => api.get('/api/autopilot/log', { params: { days } }),
+};
+
+// Current user API
+export const meAPI = {
+  getEntitlements: () => api.get('/api/me/entitlements'),
 };
 
 // User API
@@ -99,7 +236,8 @@ export const adminAPI = {
   updateUser: (id: string, data: any) => api.put(`/api/admin/users/${id}`, data),
   deleteUser: (id: string) => api.delete(`/api/admin/users/${id}`),
   suspendUser: (id: string, data: any) => api.post(`/api/admin/users/${id}/suspend`, data),
-  getActivity: (limit?: number) => api.get('/api/admin/activity', { params: { limit } })
+  getActivity: (limit?: number) => api.get('/api/admin/activity', { params: { limit } }),
+  getSuspiciousActivity: () => api.get('/api/admin/security/suspicious')
 };
 
 export default api;
\ No newline at end of file
@@ -8,16 +8,38 @@ module.exports = {
   },
   
   spotify: {
-    clientId: process.env.SPOTIFY_CLIENT_ID,
-    clientSecret: process.env.SPOTIFY_CLIENT_SECRET,
-    redirectUri: process.env.SPOTIFY_REDIRECT_URI,
+    // Sandbox mode falls back to credentials the local simulator accepts
+    clientId: process.env.SPOTIFY_CLIENT_ID || (process.env.SANDBOX === 'true' ? 'sandbox-client' : undefined),
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET || (process.env.SANDBOX === 'true' ? 'sandbox-secret' : undefined),
+    redirectUri: process.env.SPOTIFY_REDIRECT_URI ||
+      (process.env.SANDBOX === 'true' ? `http://localhost:${process.env.PORT || 3001}/auth/callback` : undefined),
     scopes: [
       'user-follow-modify',
       'user-follow-read',
       'user-read-private',
       'user-read-email',
-      'user-library-read'
-    ]
+      'user-library-read',
+      'playlist-modify-public' // Following playlists
+    ],
+    // App-wide token bucket shared by all workers (see spotifyThrottle)
+    throttle: {
+      capacity: parseInt(process.env.SPOTIFY_THROTTLE_CAPACITY) || 20,
+      refillPerSecond: parseFloat(process.env.SPOTIFY_THROTTLE_RATE) || 5,
+      maxWait: parseInt(process.env.SPOTIFY_THROTTLE_MAX_WAIT) || 30000
+    },
+    // Outage protection (see spotifyCircuitBreaker)
+    circuitBreaker: {
+      failureThreshold: parseInt(process.env.SPOTIFY_BREAKER_THRESHOLD) || 5,
+      resetTimeout: parseInt(process.env.SPOTIFY_BREAKER_RESET_TIMEOUT) || 60000
+    }
+  },
+  
+  // Local Spotify API simulator for offline development (see src/sandbox)
+  sandbox: {
+    enabled: process.env.SANDBOX === 'true',
+    port: parseInt(process.env.SANDBOX_PORT) || 8888,
+    spotifyUrl: process.env.SANDBOX_SPOTIFY_URL || null, // Use an already running simulator
+    accessTokenTtl: parseInt(process.env.SANDBOX_ACCESS_TOKEN_TTL) || 3600
   },
   
   database: {
@@ -53,33 +75,138 @@ module.exports = {
     maxFollowsPerMonth: parseInt(process.env.MAX_FOLLOWS_PER_MONTH) || 10000,
     followDelayMin: parseInt(process.env.FOLLOW_DELAY_MIN) || 120000,
     followDelayMax: parseInt(process.env.FOLLOW_DELAY_MAX) || 240000,
-    batchSize: 50
+    batchSize: 50,
+    maxBulkUnfollows: parseInt(process.env.MAX_BULK_UNFOLLOWS) || 500,
+    // Copy Redis follow counters to rate_limits (see followRateLimiter)
+    persistSchedule: process.env.RATE_LIMIT_PERSIST_SCHEDULE || '*/5 * * * *',
+    persistBatchSize: parseInt(process.env.RATE_LIMIT_PERSIST_BATCH_SIZE) || 500
   },
   
   queue: {
     concurrency: parseInt(process.env.QUEUE_CONCURRENCY) || 1,
     maxJobAttempts: parseInt(process.env.MAX_JOB_ATTEMPTS) || 3,
-    backoffDelay: parseInt(process.env.JOB_BACKOFF_DELAY) || 60000
+    backoffDelay: parseInt(process.env.JOB_BACKOFF_DELAY) || 60000,
+    batchFollows: process.env.QUEUE_BATCH_FOLLOWS === 'true',
+    batchWindow: parseInt(process.env.QUEUE_BATCH_WINDOW) || 10000,
+    batchMaxSize: Math.min(parseInt(process.env.QUEUE_BATCH_MAX_SIZE) || 50, 50),
+    // Fair share dispatch across users (see fairScheduler)
+    fairScheduling: process.env.QUEUE_FAIR_SCHEDULING === 'true',
+    fairWindow: parseInt(process.env.QUEUE_FAIR_WINDOW) || 1000,
+    fairDispatchInterval: parseInt(process.env.QUEUE_FAIR_DISPATCH_INTERVAL) || 1000,
+    // Scheduled queue_jobs rows move into Bull shortly before they are due (see jobScheduler)
+    promoteSchedule: process.env.QUEUE_PROMOTE_SCHEDULE || '*/30 * * * * *',
+    promoteAhead: parseInt(process.env.QUEUE_PROMOTE_AHEAD) || 5 * 60 * 1000,
+    promoteBatchSize: parseInt(process.env.QUEUE_PROMOTE_BATCH_SIZE) || 500,
+    // Rows and Bull jobs younger than the grace period are left to settle
+    reconcileSchedule: process.env.QUEUE_RECONCILE_SCHEDULE || '*/5 * * * *',
+    reconcileGrace: parseInt(process.env.QUEUE_RECONCILE_GRACE) || 2 * 60 * 1000,
+    reconcileBatchSize: parseInt(process.env.QUEUE_RECONCILE_BATCH_SIZE) || 500,
+    // How long a paused user's job waits before it is checked again
+    pausedHoldDelay: parseInt(process.env.QUEUE_PAUSED_HOLD_DELAY) || 60 * 60 * 1000,
+    // Added to the tier's queuePriority band (see queuePriority); lower runs first
+    prioritySources: {
+      single: 0,
+      scheduled: 2,
+      batch: 4,
+      campaign: 6,
+      autopilot: 8
+    },
+    // Wait time percentiles in queue status cover jobs started within this window
+    waitStatsWindow: parseInt(process.env.QUEUE_WAIT_STATS_WINDOW) || 24 * 60 * 60 * 1000
   },
-  
+
+  credits: {
+    perFollowGiven: parseInt(process.env.CREDITS_PER_FOLLOW_GIVEN) || 1,
+    perFollowReceived: parseInt(process.env.CREDITS_PER_FOLLOW_RECEIVED) || 1
+  },
+
+  reciprocity: {
+    auditSchedule: process.env.RECIPROCITY_AUDIT_SCHEDULE || '0 * * * *',
+    sampleSize: parseInt(process.env.RECIPROCITY_SAMPLE_SIZE) || 200,
+    minFollowAgeHours: parseInt(process.env.RECIPROCITY_MIN_FOLLOW_AGE_HOURS) || 24,
+    threshold: parseFloat(process.env.RECIPROCITY_THRESHOLD) || 0.8
+  },
+
+  verification: {
+    enabled: process.env.FOLLOW_VERIFICATION_ENABLED === 'true',
+    delay: parseInt(process.env.FOLLOW_VERIFICATION_DELAY) || 60000,
+    maxRetries: parseInt(process.env.FOLLOW_VERIFICATION_MAX_RETRIES) || 2
+  },
+
+  artistProfiles: {
+    syncSchedule: process.env.ARTIST_PROFILE_SYNC_SCHEDULE || '*/30 * * * *',
+    ttlHours: parseInt(process.env.ARTIST_PROFILE_TTL_HOURS) || 168,
+    batchSize: parseInt(process.env.ARTIST_PROFILE_BATCH_SIZE) || 200,
+    maxGenres: 20 // Per preferred/excluded list
+  },
+
+  activityWindows: {
+    maxWindows: 14 // Per user
+  },
+
+  targetPreferences: {
+    maxEntries: 500 // Per user, across allow and block lists
+  },
+
+  scheduling: {
+    defaultTimezone: process.env.SCHEDULE_DEFAULT_TIMEZONE || 'UTC',
+    maxWindowDays: parseInt(process.env.SCHEDULE_MAX_WINDOW_DAYS) || 31,
+    // Local hours (start inclusive, end exclusive) and weekdays (0 = Sunday) for business-hours schedules
+    businessHours: {
+      startHour: parseInt(process.env.SCHEDULE_BUSINESS_START_HOUR) || 9,
+      endHour: parseInt(process.env.SCHEDULE_BUSINESS_END_HOUR) || 18,
+      weekdays: [1, 2, 3, 4, 5]
+    }
+  },
+
+  campaigns: {
+    schedule: process.env.CAMPAIGN_SCHEDULE || '*/15 * * * *',
+    maxMembersPerRun: parseInt(process.env.CAMPAIGN_MAX_MEMBERS_PER_RUN) || 100
+  },
+
+  autopilot: {
+    schedule: process.env.AUTOPILOT_SCHEDULE || '*/15 * * * *',
+    maxUsersPerRun: parseInt(process.env.AUTOPILOT_MAX_USERS_PER_RUN) || 200,
+    defaultDailyTarget: 10
+  },
+
+  entitlements: {
+    maxTrialDays: parseInt(process.env.ENTITLEMENTS_MAX_TRIAL_DAYS) || 30
+  },
+
   subscriptions: {
     free: {
       name: 'Free',
       price: 0,
       maxFollowsPerMonth: 100,
+      maxActiveCampaigns: 1,
+      maxCampaignFollows: 100,
+      maxAutopilotDaily: 5, // Autopilot daily target cap
+      queueShare: 1, // Relative share of the follow queue
+      queuePriority: 21, // Bull priority band; lower runs first
       features: ['basic_follow', 'progress_tracking']
     },
     pro: {
       name: 'Pro',
       price: 500, // in cents
       maxFollowsPerMonth: 1000,
-      features: ['basic_follow', 'progress_tracking', 'analytics', 'scheduling']
+      maxActiveCampaigns: 3,
+      maxCampaignFollows: 1000,
+      maxAutopilotDaily: 25,
+      queueShare: 2,
+      queuePriority: 11,
+      features: ['basic_follow', 'progress_tracking', 'analytics', 'batch_follow']
     },
     premium: {
       name: 'Premium',
       price: 1000, // in cents
       maxFollowsPerMonth: -1, // unlimited
-      features: ['basic_follow', 'progress_tracking', 'analytics', 'scheduling', 'csv_export', 'priority_queue']
+      maxActiveCampaigns: 10,
+      maxCampaignFollows: -1, // unlimited
+      maxAutopilotDaily: 100,
+      queueShare: 4,
+      queuePriority: 1, // priority_queue: ahead of every other tier
+      features: ['basic_follow', 'progress_tracking', 'analytics', 'batch_follow', 'scheduling', 'csv_export', 'priority_queue']
     }
   },
   
@@ -0,0 +1,67 @@
+/**
+ * Activity Window Routes
+ *
+ * API endpoints for a user's quiet hours:
+ * - Read the timezone and the local times follows may run
+ * - Replace both; an empty list allows follows at any time
+ *
+ * Mounted on /api/follows/activity-windows.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const activityWindows = require('../services/activityWindows');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/follows/activity-windows
+ * Get user's timezone and the local times follows may run
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: activityWindows.getSettings(req.user)
+    });
+  } catch (error) {
+    logger.error('Error fetching activity windows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch activity windows'
+    });
+  }
+});
+
+/**
+ * PUT /api/follows/activity-windows
+ * Replace user's timezone and activity windows; an empty list allows follows at any time
+ */
+router.put('/', requireAuth, async (req, res) => {
+  try {
+    const { timezone = null, windows = [] } = req.body;
+
+    const error = activityWindows.validate({ timezone, windows });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const settings = await activityWindows.setSettings(req.user.id, { timezone, windows });
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating activity windows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update activity windows'
+    });
+  }
+});
+
+module.exports = router;
@@ -15,6 +15,7 @@ const { requireAdmin } = require('../middleware/adminAuth');
 const usersController = require('../controllers/admin/adminUsers.controller');
 const statsController = require('../controllers/admin/adminStats.controller');
 const systemController = require('../controllers/admin/adminSystem.controller');
+const entitlementsController = require('../controllers/admin/adminEntitlements.controller');
 
 /**
  * Statistics and Analytics Routes
@@ -32,10 +33,18 @@ router.put('/users/:userId', isAuthenticated, requireAdmin, usersController.upda
 router.delete('/users/:userId', isAuthenticated, requireAdmin, usersController.deleteUser);
 router.post('/users/:userId/suspend', isAuthenticated, requireAdmin, usersController.suspendUser);
 
+/**
+ * Entitlement Routes
+ */
+router.post('/users/:userId/trial', isAuthenticated, requireAdmin, entitlementsController.startTrial);
+router.put('/users/:userId/features/:feature', isAuthenticated, requireAdmin, entitlementsController.setFeatureOverride);
+router.delete('/users/:userId/features/:feature', isAuthenticated, requireAdmin, entitlementsController.removeFeatureOverride);
+
 /**
  * System Operations Routes
  */
 router.post('/system/cache/clear', isAuthenticated, requireAdmin, systemController.clearCache);
+router.get('/system/circuit-breaker', isAuthenticated, requireAdmin, systemController.getCircuitBreaker);
 router.get('/logs', isAuthenticated, requireAdmin, systemController.getLogs);
 router.get('/security/suspicious', isAuthenticated, requireAdmin, systemController.getSuspiciousActivity);
 
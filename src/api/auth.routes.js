@@ -16,6 +16,7 @@ const spotifyAuth = require('../auth/spotify');
 const { isAuthenticated, generateApiToken } = require('../middleware/auth');
 const db = require('../database');
 const redis = require('../database/redis');
+const queueManager = require('../services/queueManager');
 const logger = require('../utils/logger');
 const {
   signupRateLimiter,
@@ -142,6 +143,16 @@ router.get('/callback', oauthRateLimiter, detectBot, async (req, res) => {
     // Save tokens
     await spotifyAuth.saveTokens(user.id, tokens);
     
+    // Import the artists a new user already follows so the swarm skips them
+    if (!user.follows_synced_at) {
+      try {
+        await queueManager.addImportJob(user.id);
+      } catch (importError) {
+        // Non-critical, the user can re-run it from POST /api/follows/sync
+        logger.error(`Failed to queue follow import for user ${user.id}:`, importError);
+      }
+    }
+    
     // Set session
     req.session.userId = user.id;
     req.session.user = {
@@ -0,0 +1,137 @@
+/**
+ * Autopilot Routes
+ *
+ * API endpoints for automatic daily follow top-ups:
+ * - View and change autopilot settings (daily target, local window)
+ * - Pause and resume autopilot
+ * - View what autopilot queued each day
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const autopilotService = require('../services/autopilotService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/autopilot
+ * Get the user's autopilot settings
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const settings = await autopilotService.getSettings(req.user);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error fetching autopilot settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch autopilot settings'
+    });
+  }
+});
+
+/**
+ * PUT /api/autopilot
+ * Turn autopilot on or off and change its target or window
+ * Targets above the tier maximum are stored but capped when autopilot runs
+ */
+router.put('/', requireAuth, async (req, res) => {
+  try {
+    const { enabled, dailyTarget, window } = req.body;
+
+    const error = autopilotService.validate({ enabled, dailyTarget, window });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        error
+      });
+    }
+
+    const settings = await autopilotService.updateSettings(req.user, { enabled, dailyTarget, window });
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error('Error updating autopilot settings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update autopilot settings'
+    });
+  }
+});
+
+/**
+ * POST /api/autopilot/pause
+ * Stop queuing new follows; follows already queued still run
+ */
+router.post('/pause', requireAuth, async (req, res) => {
+  await setPaused(req, res, true);
+});
+
+/**
+ * POST /api/autopilot/resume
+ * Start queuing follows again
+ */
+router.post('/resume', requireAuth, async (req, res) => {
+  await setPaused(req, res, false);
+});
+
+/**
+ * GET /api/autopilot/log
+ * What autopilot queued each day, newest first
+ */
+router.get('/log', requireAuth, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 14, 1), 90);
+    const log = await autopilotService.getLog(req.user.id, days);
+
+    res.json({
+      success: true,
+      data: log
+    });
+  } catch (error) {
+    logger.error('Error fetching autopilot log:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch autopilot log'
+    });
+  }
+});
+
+/**
+ * Pause or resume the user's autopilot
+ * @param {Request} req - Express request
+ * @param {Response} res - Express response
+ * @param {boolean} paused - New paused state
+ */
+async function setPaused(req, res, paused) {
+  try {
+    const settings = await autopilotService.setPaused(req.user, paused);
+
+    if (!settings) {
+      return res.status(404).json({
+        success: false,
+        error: 'Autopilot is not set up'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: settings
+    });
+  } catch (error) {
+    logger.error(`Error ${paused ? 'pausing' : 'resuming'} autopilot:`, error);
+    res.status(500).json({
+      success: false,
+      error: `Failed to ${paused ? 'pause' : 'resume'} autopilot`
+    });
+  }
+}
+
+module.exports = router;
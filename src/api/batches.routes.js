@@ -0,0 +1,138 @@
+/**
+ * Follow Batch Routes
+ *
+ * API endpoints for the batches POST /api/follows/batch creates:
+ * - List batches and inspect one's job counts and ETA
+ * - Cancel a batch's follows that have not started
+ * - Queue a batch's failed follows again
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const { requireAuth } = require('../middleware/auth');
+const followBatches = require('../services/followBatches');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/follows/batches
+ * List user's follow batches with progress
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+    
+    const batches = await followBatches.getBatches(req.user.id, { limit, offset });
+    
+    res.json({
+      success: true,
+      data: batches
+    });
+  } catch (error) {
+    logger.error('Error fetching batches:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batches'
+    });
+  }
+});
+
+/**
+ * GET /api/follows/batches/:batchId
+ * Get a batch's job counts by status and ETA
+ */
+router.get('/:batchId', requireAuth, async (req, res) => {
+  try {
+    // follow_batches.id is a UUID, so anything else cannot match a batch
+    const batch = isUuid(req.params.batchId) &&
+      await followBatches.getBatch(req.user.id, req.params.batchId);
+    
+    if (!batch) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: batch
+    });
+  } catch (error) {
+    logger.error('Error fetching batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch batch'
+    });
+  }
+});
+
+/**
+ * DELETE /api/follows/batches/:batchId
+ * Cancel a batch's follows that have not started
+ */
+router.delete('/:batchId', requireAuth, async (req, res) => {
+  try {
+    // follow_batches.id is a UUID, so anything else cannot match a batch
+    const result = isUuid(req.params.batchId) &&
+      await followBatches.cancelBatch(req.user.id, req.params.batchId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    logger.error('Error cancelling batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel batch'
+    });
+  }
+});
+
+/**
+ * POST /api/follows/batches/:batchId/retry-failed
+ * Queue the batch's failed follows again
+ */
+router.post('/:batchId/retry-failed', requireAuth, async (req, res) => {
+  try {
+    // follow_batches.id is a UUID, so anything else cannot match a batch
+    const result = isUuid(req.params.batchId) &&
+      await followBatches.retryFailed(req.user.id, req.params.batchId);
+    
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Batch not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error.code === 'BATCH_CANCELLED') {
+      return res.status(409).json({
+        success: false,
+        error: error.message
+      });
+    }
+    
+    logger.error('Error retrying batch:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retry batch'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+/**
+ * Follow Campaign Routes
+ *
+ * API endpoints for artists running follow campaigns:
+ * - Create campaigns with a follow target, end date and optional daily budget
+ * - List, inspect and update campaigns with progress
+ * - Cancel campaigns and their queued follow jobs
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const { requireAuth } = require('../middleware/auth');
+const campaignService = require('../services/campaignService');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/campaigns
+ * List user's campaigns with progress
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const campaigns = await campaignService.getCampaigns(req.user.id);
+
+    res.json({
+      success: true,
+      data: campaigns.map(campaign => ({
+        ...campaign,
+        progress: campaignService.getProgress(campaign)
+      }))
+    });
+  } catch (error) {
+    logger.error('Error fetching campaigns:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaigns'
+    });
+  }
+});
+
+/**
+ * POST /api/campaigns
+ * Create a follow campaign for the user's artist profile
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { name, targetFollows, startTime, endTime, dailyBudget = null } = req.body;
+
+    const target = parseInt(targetFollows);
+    if (!Number.isInteger(target) || target <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'targetFollows must be a positive integer'
+      });
+    }
+
+    const start = new Date(startTime || Date.now());
+    const end = new Date(endTime);
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start || end <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        error: 'A future endTime after startTime is required'
+      });
+    }
+
+    if (dailyBudget !== null && !(parseInt(dailyBudget) > 0)) {
+      return res.status(400).json({
+        success: false,
+        error: 'dailyBudget must be a positive integer'
+      });
+    }
+
+    const limitCheck = await campaignService.checkLimits(req.user, target);
+    if (!limitCheck.allowed) {
+      return res.status(403).json({
+        success: false,
+        error: limitCheck.reason,
+        limits: limitCheck.limits
+      });
+    }
+
+    const campaign = await campaignService.createCampaign(req.user, {
+      name,
+      targetFollows: target,
+      startsAt: start,
+      endsAt: end,
+      dailyBudget: dailyBudget !== null ? parseInt(dailyBudget) : null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...campaign,
+        progress: campaignService.getProgress(campaign)
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create campaign'
+    });
+  }
+});
+
+/**
+ * GET /api/campaigns/:campaignId
+ * Get a campaign with up-to-date progress
+ */
+router.get('/:campaignId', requireAuth, async (req, res) => {
+  try {
+    // campaigns.id is a UUID, so anything else cannot match a campaign
+    const campaign = isUuid(req.params.campaignId) &&
+      await campaignService.getCampaign(req.params.campaignId, req.user.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    const current = await campaignService.refreshProgress(campaign);
+
+    res.json({
+      success: true,
+      data: {
+        ...current,
+        progress: campaignService.getProgress(current)
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch campaign'
+    });
+  }
+});
+
+/**
+ * PUT /api/campaigns/:campaignId
+ * Update name, daily budget or end date, or pause/resume a campaign
+ */
+router.put('/:campaignId', requireAuth, async (req, res) => {
+  try {
+    // campaigns.id is a UUID, so anything else cannot match a campaign
+    const campaign = isUuid(req.params.campaignId) &&
+      await campaignService.getCampaign(req.params.campaignId, req.user.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    if (!['active', 'paused'].includes(campaign.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Campaign is ${campaign.status} and cannot be changed`
+      });
+    }
+
+    const { name, dailyBudget, endTime, status } = req.body;
+    const updates = { name };
+
+    if (status !== undefined) {
+      if (!['active', 'paused'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Status must be active or paused'
+        });
+      }
+      updates.status = status;
+    }
+
+    if (dailyBudget !== undefined) {
+      if (dailyBudget !== null && !(parseInt(dailyBudget) > 0)) {
+        return res.status(400).json({
+          success: false,
+          error: 'dailyBudget must be a positive integer'
+        });
+      }
+      updates.dailyBudget = dailyBudget !== null ? parseInt(dailyBudget) : null;
+    }
+
+    if (endTime !== undefined) {
+      const end = new Date(endTime);
+      if (isNaN(end.getTime()) || end <= new Date() || end <= new Date(campaign.starts_at)) {
+        return res.status(400).json({
+          success: false,
+          error: 'endTime must be in the future and after the start time'
+        });
+      }
+      updates.endsAt = end;
+    }
+
+    const updated = await campaignService.updateCampaign(campaign, updates);
+
+    res.json({
+      success: true,
+      data: {
+        ...updated,
+        progress: campaignService.getProgress(updated)
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update campaign'
+    });
+  }
+});
+
+/**
+ * DELETE /api/campaigns/:campaignId
+ * Cancel a campaign and its queued follow jobs
+ */
+router.delete('/:campaignId', requireAuth, async (req, res) => {
+  try {
+    // campaigns.id is a UUID, so anything else cannot match a campaign
+    const campaign = isUuid(req.params.campaignId) &&
+      await campaignService.getCampaign(req.params.campaignId, req.user.id);
+
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        error: 'Campaign not found'
+      });
+    }
+
+    if (!['active', 'paused'].includes(campaign.status)) {
+      return res.status(400).json({
+        success: false,
+        error: `Campaign is already ${campaign.status}`
+      });
+    }
+
+    const cancelled = await campaignService.cancelCampaign(campaign);
+
+    res.json({
+      success: true,
+      data: {
+        campaignId: cancelled.id,
+        status: cancelled.status
+      }
+    });
+  } catch (error) {
+    logger.error('Error cancelling campaign:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel campaign'
+    });
+  }
+});
+
+module.exports = router;
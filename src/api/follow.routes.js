@@ -3,17 +3,25 @@
  * 
  * API endpoints for managing Spotify follow operations:
  * - Rate limit checking
- * - Single and batch follow operations
- * - Follow scheduling and job management
+ * - Single and batch follow operations (artists, users and playlists)
+ * - Importing follows the user made outside the swarm
+ * - Job management
  * - History and statistics retrieval
+ * - Follow-exchange credit balance and ledger
  * - Queue status monitoring
  */
 
 const express = require('express');
 const router = express.Router();
-const { requireAuth, checkSubscription } = require('../middleware/auth');
+const { requireAuth, requireFeature } = require('../middleware/auth');
 const followEngine = require('../services/followEngine');
 const queueManager = require('../services/queueManager');
+const jobCancellation = require('../services/jobCancellation');
+const queuePriority = require('../services/queuePriority');
+const creditLedger = require('../services/creditLedger');
+const artistProfiles = require('../services/artistProfiles');
+const followTargets = require('../services/followTargets');
+const followBatches = require('../services/followBatches');
 const logger = require('../utils/logger');
 const db = require('../database');
 const config = require('../../config');
@@ -29,7 +37,8 @@ router.get('/rate-limits', requireAuth, async (req, res) => {
     
     const rateLimits = await followEngine.checkRateLimits(
       userId,
-      user.subscription_tier
+      user.subscription_tier,
+      user
     );
     
     res.json({
@@ -47,14 +56,18 @@ router.get('/rate-limits', requireAuth, async (req, res) => {
 
 /**
  * GET /api/follows/suggestions
- * Get suggested artists to follow
+ * Get suggested artists to follow, ranked by genre overlap
+ * Optional ?genres=indie pop,shoegaze only suggests artists in those genres
  */
 router.get('/suggestions', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 10;
+    const genres = req.query.genres
+      ? artistProfiles.normalizeGenres(String(req.query.genres).split(','))
+      : [];
     
-    const suggestions = await followEngine.getTargetArtists(userId, limit);
+    const suggestions = await followEngine.getTargetArtists(userId, limit, { genres });
     
     res.json({
       success: true,
@@ -71,23 +84,32 @@ router.get('/suggestions', requireAuth, async (req, res) => {
 
 /**
  * POST /api/follows/single
- * Follow a single artist immediately
+ * Follow a single artist, user or playlist immediately
+ * Body: { artistId (or targetId), targetType: 'artist' | 'user' | 'playlist' }
  */
 router.post('/single', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id;
-    const { artistId } = req.body;
+    const { targetType = 'artist' } = req.body;
+    const artistId = req.body.targetId || req.body.artistId;
+    
+    if (!followTargets.isValid(targetType)) {
+      return res.status(400).json({
+        success: false,
+        error: targetTypeError()
+      });
+    }
     
     if (!artistId) {
       return res.status(400).json({
         success: false,
-        error: 'Artist ID is required'
+        error: `${targetType[0].toUpperCase()}${targetType.slice(1)} ID is required`
       });
     }
     
     // Check rate limits
     const user = await db.findOne('users', { id: userId });
-    const rateCheck = await followEngine.checkRateLimits(userId, user.subscription_tier);
+    const rateCheck = await followEngine.checkRateLimits(userId, user.subscription_tier, user);
     
     if (!rateCheck.canFollow) {
       return res.status(429).json({
@@ -98,9 +120,11 @@ router.post('/single', requireAuth, async (req, res) => {
       });
     }
     
-    // Add to queue with high priority
+    // Single follows run first within the user's tier
     const job = await queueManager.addFollowJob(userId, artistId, {
-      priority: 10
+      targetType,
+      source: 'single',
+      tier: queuePriority.tierFor(user)
     });
     
     res.json({
@@ -108,6 +132,7 @@ router.post('/single', requireAuth, async (req, res) => {
       data: {
         jobId: job.id,
         artistId,
+        targetType,
         status: 'queued'
       }
     });
@@ -122,12 +147,20 @@ router.post('/single', requireAuth, async (req, res) => {
 
 /**
  * POST /api/follows/batch
- * Queue multiple artists to follow
+ * Queue multiple artists, users or playlists (all of one targetType) to follow
  */
-router.post('/batch', requireAuth, checkSubscription(['pro', 'premium']), async (req, res) => {
+router.post('/batch', requireAuth, requireFeature('batch_follow'), async (req, res) => {
   try {
     const userId = req.user.id;
-    const { artistIds, options = {} } = req.body;
+    const { targetType = 'artist', options = {} } = req.body;
+    const artistIds = req.body.targetIds || req.body.artistIds;
+    
+    if (!followTargets.isValid(targetType)) {
+      return res.status(400).json({
+        success: false,
+        error: targetTypeError()
+      });
+    }
     
     if (!artistIds || !Array.isArray(artistIds) || artistIds.length === 0) {
       return res.status(400).json({
@@ -143,13 +176,23 @@ router.post('/batch', requireAuth, checkSubscription(['pro', 'premium']), async
       });
     }
     
-    // Add batch to queue
-    const jobs = await queueManager.addBatchFollowJobs(userId, artistIds, options);
+    // Add batch to queue; targets already followed or not allowed by the user's lists are skipped.
+    // Priority comes from the user's tier, never from the request
+    const { batch, jobs } = await followBatches.createBatch(userId, artistIds, {
+      delayBetween: options.delayBetween,
+      startDelay: options.startDelay,
+      targetType,
+      source: 'batch',
+      tier: queuePriority.tierFor(req.user)
+    });
     
     res.json({
       success: true,
       data: {
+        batchId: batch.id,
+        targetType,
         jobCount: jobs.length,
+        skippedCount: artistIds.length - jobs.length,
         jobIds: jobs.map(j => j.id),
         estimatedCompletionTime: calculateEstimatedTime(jobs.length)
       }
@@ -164,48 +207,25 @@ router.post('/batch', requireAuth, checkSubscription(['pro', 'premium']), async
 });
 
 /**
- * POST /api/follows/schedule
- * Schedule follows with custom timing
+ * POST /api/follows/sync
+ * Re-import the artists the user follows on Spotify
  */
-router.post('/schedule', requireAuth, checkSubscription(['premium']), async (req, res) => {
+router.post('/sync', requireAuth, async (req, res) => {
   try {
-    const userId = req.user.id;
-    const { artistIds, startTime, endTime, distribution = 'even' } = req.body;
-    
-    if (!artistIds || !Array.isArray(artistIds)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Artist IDs array is required'
-      });
-    }
-    
-    const start = new Date(startTime || Date.now());
-    const end = new Date(endTime || Date.now() + 24 * 60 * 60 * 1000);
-    
-    // Calculate delays based on distribution
-    const timeSpan = end.getTime() - start.getTime();
-    const delayBetween = timeSpan / artistIds.length;
-    
-    const jobs = await followEngine.scheduleBatchFollows(userId, artistIds, {
-      priority: 5,
-      delayBetween,
-      startTime: start
-    });
+    const job = await queueManager.addImportJob(req.user.id);
     
     res.json({
       success: true,
       data: {
-        scheduled: jobs.length,
-        startTime: start,
-        endTime: end,
-        distribution
+        jobId: job.id,
+        status: 'queued'
       }
     });
   } catch (error) {
-    logger.error('Error scheduling follows:', error);
+    logger.error('Error queueing follow import:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to schedule follows'
+      error: 'Failed to start follow sync'
     });
   }
 });
@@ -280,6 +300,59 @@ router.get('/stats', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/follows/balance
+ * Get user's follow-exchange credit balance
+ */
+router.get('/balance', requireAuth, async (req, res) => {
+  try {
+    const balance = await creditLedger.getBalance(req.user.id);
+
+    res.json({
+      success: true,
+      data: balance
+    });
+  } catch (error) {
+    logger.error('Error fetching credit balance:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch credit balance'
+    });
+  }
+});
+
+/**
+ * GET /api/follows/ledger
+ * Get user's credit ledger history (credits earned and spent)
+ */
+router.get('/ledger', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const [entries, total] = await Promise.all([
+      creditLedger.getHistory(req.user.id, { limit, offset }),
+      creditLedger.countEntries(req.user.id)
+    ]);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        limit,
+        offset,
+        total
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching credit ledger:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch credit ledger'
+    });
+  }
+});
+
 /**
  * GET /api/follows/jobs
  * Get user's queued jobs
@@ -312,7 +385,7 @@ router.delete('/jobs', requireAuth, async (req, res) => {
   try {
     const userId = req.user.id;
     
-    const cancelled = await queueManager.cancelUserJobs(userId);
+    const cancelled = await jobCancellation.cancelUserJobs(userId);
     
     res.json({
       success: true,
@@ -332,7 +405,8 @@ router.delete('/jobs', requireAuth, async (req, res) => {
 
 /**
  * DELETE /api/follows/jobs/:jobId
- * Cancel specific job
+ * Cancel specific job and remove it from the queue
+ * Jobs already running or finished cannot be cancelled
  */
 router.delete('/jobs/:jobId', requireAuth, async (req, res) => {
   try {
@@ -352,19 +426,15 @@ router.delete('/jobs/:jobId', requireAuth, async (req, res) => {
       });
     }
     
-    if (job.status !== 'queued' && job.status !== 'scheduled') {
+    // Checked again on the row itself, in case a worker started the job meanwhile
+    const cancelled = await jobCancellation.cancelJob(userId, jobId);
+    if (!cancelled) {
       return res.status(400).json({
         success: false,
         error: 'Job cannot be cancelled'
       });
     }
     
-    // Cancel the job
-    await db.update('queue_jobs', jobId, {
-      status: 'cancelled',
-      completed_at: new Date()
-    });
-    
     res.json({
       success: true,
       data: {
@@ -411,6 +481,13 @@ router.get('/queue-status', requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * Error message for an unsupported targetType
+ */
+function targetTypeError() {
+  return `targetType must be one of: ${followTargets.getNames().join(', ')}`;
+}
+
 /**
  * Helper function to calculate estimated completion time
  */
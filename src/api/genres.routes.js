@@ -0,0 +1,76 @@
+/**
+ * Genre Preference Routes
+ *
+ * API endpoints for the genres that shape a user's suggestions:
+ * - Read the preferred and excluded genres
+ * - Replace both lists
+ *
+ * Mounted on /api/follows/genres.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const artistProfiles = require('../services/artistProfiles');
+const logger = require('../utils/logger');
+const config = require('../../config');
+
+/**
+ * GET /api/follows/genres
+ * Get user's preferred and excluded genres
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const preferences = await artistProfiles.getGenrePreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: preferences
+    });
+  } catch (error) {
+    logger.error('Error fetching genre preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch genre preferences'
+    });
+  }
+});
+
+/**
+ * PUT /api/follows/genres
+ * Replace user's preferred and excluded genres
+ */
+router.put('/', requireAuth, async (req, res) => {
+  try {
+    const { preferred = [], excluded = [] } = req.body;
+
+    if (!Array.isArray(preferred) || !Array.isArray(excluded)) {
+      return res.status(400).json({
+        success: false,
+        error: 'preferred and excluded must be arrays of genre names'
+      });
+    }
+
+    if (preferred.length > config.artistProfiles.maxGenres || excluded.length > config.artistProfiles.maxGenres) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${config.artistProfiles.maxGenres} genres per list`
+      });
+    }
+
+    const preferences = await artistProfiles.setGenrePreferences(req.user.id, { preferred, excluded });
+
+    res.json({
+      success: true,
+      data: preferences
+    });
+  } catch (error) {
+    logger.error('Error updating genre preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update genre preferences'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,33 @@
+/**
+ * Current User Routes
+ *
+ * API endpoints about the signed-in user:
+ * - Effective feature entitlements, so the client can gate its UI
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const entitlements = require('../services/entitlements');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/me/entitlements
+ * Get the features the user may use and where they come from
+ */
+router.get('/entitlements', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: entitlements.resolve(req.user)
+    });
+  } catch (error) {
+    logger.error('Error fetching entitlements:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch entitlements'
+    });
+  }
+});
+
+module.exports = router;
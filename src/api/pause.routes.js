@@ -0,0 +1,79 @@
+/**
+ * Pause Routes
+ *
+ * API endpoints for pausing and resuming all of a user's follow activity:
+ * - Read whether the user is paused
+ * - Pause, holding queued jobs rather than cancelling them
+ * - Resume, re-spreading held jobs from now
+ *
+ * Mounted on /api/follows next to the follow routes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const userPause = require('../services/userPause');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/follows/pause
+ * Whether the user's follow activity is paused
+ */
+router.get('/pause', requireAuth, async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: userPause.getState(req.user)
+    });
+  } catch (error) {
+    logger.error('Error fetching pause state:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pause state'
+    });
+  }
+});
+
+/**
+ * POST /api/follows/pause
+ * Pause all follow activity; queued jobs are held, not cancelled
+ */
+router.post('/pause', requireAuth, async (req, res) => {
+  try {
+    const state = await userPause.pause(req.user.id);
+
+    res.json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    logger.error('Error pausing follows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pause follows'
+    });
+  }
+});
+
+/**
+ * POST /api/follows/resume
+ * Resume follow activity; held jobs are re-spread from now
+ */
+router.post('/resume', requireAuth, async (req, res) => {
+  try {
+    const state = await userPause.resume(req.user.id);
+
+    res.json({
+      success: true,
+      data: state
+    });
+  } catch (error) {
+    logger.error('Error resuming follows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to resume follows'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,132 @@
+/**
+ * Target Preference Routes
+ *
+ * API endpoints for the allow and block lists that decide what the swarm
+ * follows for the user:
+ * - Read the lists and the kinds of entry they take
+ * - Turn allowlist-only mode on or off
+ * - Add and remove artist, user, playlist and genre entries
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth } = require('../middleware/auth');
+const targetPreferences = require('../services/targetPreferences');
+const logger = require('../utils/logger');
+
+/**
+ * GET /api/follows/preferences
+ * Get user's allow and block lists
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const preferences = await targetPreferences.getPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        ...preferences,
+        kinds: targetPreferences.getKinds()
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching target preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch target preferences'
+    });
+  }
+});
+
+/**
+ * PUT /api/follows/preferences
+ * Turn allowlist-only mode on or off
+ * Body: { allowlistOnly }
+ */
+router.put('/', requireAuth, async (req, res) => {
+  try {
+    const { allowlistOnly } = req.body;
+
+    if (typeof allowlistOnly !== 'boolean') {
+      return res.status(400).json({
+        success: false,
+        error: 'allowlistOnly must be a boolean'
+      });
+    }
+
+    await targetPreferences.setAllowlistOnly(req.user.id, allowlistOnly);
+    const preferences = await targetPreferences.getPreferences(req.user.id);
+
+    res.json({
+      success: true,
+      data: preferences
+    });
+  } catch (error) {
+    logger.error('Error updating target preferences:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update target preferences'
+    });
+  }
+});
+
+/**
+ * POST /api/follows/preferences/entries
+ * Add an artist, user, playlist or genre to the allow or block list
+ * Body: { list: 'allow' | 'block', kind, value }
+ */
+router.post('/entries', requireAuth, async (req, res) => {
+  try {
+    const { list, kind, value } = req.body;
+
+    const entry = await targetPreferences.addEntry(req.user.id, { list, kind, value });
+
+    res.status(201).json({
+      success: true,
+      data: entry
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_PREFERENCE') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error adding target preference:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add target preference'
+    });
+  }
+});
+
+/**
+ * DELETE /api/follows/preferences/entries/:entryId
+ * Remove an entry from the allow or block list
+ */
+router.delete('/entries/:entryId', requireAuth, async (req, res) => {
+  try {
+    const removed = await targetPreferences.removeEntry(req.user.id, req.params.entryId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'Entry not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { entryId: req.params.entryId }
+    });
+  } catch (error) {
+    logger.error('Error removing target preference:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove target preference'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,144 @@
+/**
+ * Schedule Routes
+ *
+ * API endpoints for scheduling follows over a time range:
+ * - Schedule follows with a timing distribution in the user's timezone
+ * - Preview the planned run times without creating jobs
+ *
+ * Mounted on /api/follows/schedule.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requireAuth, requireFeature } = require('../middleware/auth');
+const followEngine = require('../services/followEngine');
+const queuePriority = require('../services/queuePriority');
+const scheduleDistributions = require('../services/scheduleDistributions');
+const activityWindows = require('../services/activityWindows');
+const followTargets = require('../services/followTargets');
+const logger = require('../utils/logger');
+const config = require('../../config');
+
+/**
+ * POST /api/follows/schedule
+ * Schedule follows with custom timing
+ */
+router.post('/', requireAuth, requireFeature('scheduling'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { artistIds, targetType = 'artist' } = req.body;
+    
+    if (!followTargets.isValid(targetType)) {
+      return res.status(400).json({
+        success: false,
+        error: `targetType must be one of: ${followTargets.getNames().join(', ')}`
+      });
+    }
+    
+    if (!artistIds || !Array.isArray(artistIds)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Artist IDs array is required'
+      });
+    }
+    
+    const schedule = planSchedule(req.body, artistIds.length, req.user);
+    
+    const jobs = await followEngine.scheduleBatchFollows(userId, artistIds, {
+      targetType,
+      tier: queuePriority.tierFor(req.user),
+      timestamps: schedule.timestamps
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        scheduled: jobs.length,
+        startTime: schedule.startTime,
+        endTime: schedule.endTime,
+        distribution: schedule.distribution,
+        timezone: schedule.timezone
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error scheduling follows:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to schedule follows'
+    });
+  }
+});
+
+/**
+ * POST /api/follows/schedule/preview
+ * Dry run of POST /schedule: returns the planned run times without creating jobs
+ */
+router.post('/preview', requireAuth, requireFeature('scheduling'), async (req, res) => {
+  try {
+    const { artistIds, count } = req.body;
+    const total = Array.isArray(artistIds) ? artistIds.length : parseInt(count);
+
+    res.json({
+      success: true,
+      data: planSchedule(req.body, total, req.user)
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_SCHEDULE') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Error previewing schedule:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to preview schedule'
+    });
+  }
+});
+
+/**
+ * Plan run times for a /schedule request body
+ * Both /schedule and /schedule/preview go through here, so they share the
+ * cap of maxFollowsPerDay follows per schedule
+ * @param {Object} body - { startTime, endTime, distribution, timezone }
+ * @param {number} count - Number of follows
+ * @param {Object} user - Requesting user; their timezone is the default
+ * @returns {Object} Schedule with timestamps; throws INVALID_SCHEDULE errors
+ */
+function planSchedule(body, count, user) {
+  if (!Number.isInteger(count) || count < 0 || count > config.rateLimits.maxFollowsPerDay) {
+    throw Object.assign(
+      new Error(`Provide artistIds or a count of at most ${config.rateLimits.maxFollowsPerDay}`),
+      { code: 'INVALID_SCHEDULE' }
+    );
+  }
+
+  const {
+    startTime,
+    endTime,
+    distribution = 'even',
+    timezone = activityWindows.getSettings(user).timezone
+  } = body;
+
+  const start = new Date(startTime || Date.now());
+  const end = new Date(endTime || start.getTime() + 24 * 60 * 60 * 1000);
+
+  const timestamps = scheduleDistributions.plan(distribution, count, {
+    start,
+    end,
+    timeZone: timezone
+  });
+
+  return { distribution, timezone, startTime: start, endTime: end, count, timestamps };
+}
+
+module.exports = router;
@@ -0,0 +1,143 @@
+/**
+ * Unfollow Routes
+ *
+ * API endpoints for undoing follows the swarm made for the user:
+ * - Bulk unfollows of everything followed before a date
+ * - Single unfollows
+ *
+ * Mounted on /api/follows after the follow routes, so DELETE /:followId
+ * never shadows their DELETE routes.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { validate: isUuid } = require('uuid');
+const { requireAuth } = require('../middleware/auth');
+const followEngine = require('../services/followEngine');
+const followTargets = require('../services/followTargets');
+const unfollowJobs = require('../services/unfollowJobs');
+const queuePriority = require('../services/queuePriority');
+const logger = require('../utils/logger');
+const db = require('../database');
+const config = require('../../config');
+
+// Unfollow jobs are spaced like follows
+const averageDelay = (config.rateLimits.followDelayMin + config.rateLimits.followDelayMax) / 2;
+
+/**
+ * POST /api/follows/unfollow
+ * Queue unfollows for everything the swarm followed for the user before a date
+ */
+router.post('/unfollow', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { before, targetType = null, campaignId = null } = req.body;
+    const beforeDate = new Date(before);
+    
+    if (!before || isNaN(beforeDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid before date is required'
+      });
+    }
+    
+    if (targetType !== null && !followTargets.isValid(targetType)) {
+      return res.status(400).json({
+        success: false,
+        error: `targetType must be one of: ${followTargets.getNames().join(', ')}`
+      });
+    }
+    
+    if (campaignId !== null && (typeof campaignId !== 'string' || !isUuid(campaignId))) {
+      return res.status(400).json({
+        success: false,
+        error: 'campaignId must be a campaign ID'
+      });
+    }
+    
+    const follows = await followEngine.getUnfollowCandidates(userId, {
+      before: beforeDate,
+      targetType,
+      campaignId,
+      limit: config.rateLimits.maxBulkUnfollows
+    });
+    
+    const jobs = await unfollowJobs.addBulk(userId, follows.map(f => f.id));
+    
+    res.json({
+      success: true,
+      data: {
+        matched: follows.length,
+        jobCount: jobs.length,
+        jobIds: jobs.map(j => j.id),
+        estimatedCompletionTime: new Date(Date.now() + jobs.length * averageDelay)
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating bulk unfollow jobs:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create unfollow jobs'
+    });
+  }
+});
+
+/**
+ * DELETE /api/follows/:followId
+ * Queue an unfollow for one of the user's follows
+ */
+router.delete('/:followId', requireAuth, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { followId } = req.params;
+    
+    // follows.id is a UUID, so anything else cannot match a follow
+    const follow = isUuid(followId) && await db.findOne('follows', {
+      id: followId,
+      follower_user_id: userId
+    });
+    
+    if (!follow) {
+      return res.status(404).json({
+        success: false,
+        error: 'Follow not found'
+      });
+    }
+    
+    if (!followEngine.activeStatuses.includes(follow.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Cannot unfollow a ${follow.status} follow`
+      });
+    }
+    
+    if (await followEngine.hasPendingUnfollow(followId)) {
+      return res.status(409).json({
+        success: false,
+        error: 'An unfollow is already queued for this follow'
+      });
+    }
+    
+    const job = await unfollowJobs.add(userId, followId, {
+      source: 'single',
+      tier: queuePriority.tierFor(req.user)
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        jobId: job.id,
+        followId,
+        status: 'queued'
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating unfollow job:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create unfollow job'
+    });
+  }
+});
+
+module.exports = router;
@@ -111,6 +111,7 @@ app.use('/api/', globalRateLimiter);
 app.get('/health', async (req, res) => {
   const db = require('./database');
   const redis = require('./database/redis');
+  const spotifyCircuitBreaker = require('./services/spotifyCircuitBreaker');
   
   // Perform health checks
   const dbHealth = await db.healthCheck();
@@ -123,6 +124,13 @@ app.get('/health', async (req, res) => {
     redisHealth = { status: 'unhealthy', message: error.message };
   }
   
+  // Spotify outages are reported but do not mark this instance unhealthy
+  const breaker = spotifyCircuitBreaker.getState();
+  const spotifyHealth = {
+    status: breaker.state === 'closed' ? 'healthy' : 'unhealthy',
+    circuitBreaker: breaker
+  };
+  
   // Determine overall health
   const isHealthy = dbHealth.status === 'healthy' && redisHealth.status === 'healthy';
   
@@ -134,7 +142,8 @@ app.get('/health', async (req, res) => {
     version: process.env.npm_package_version || '1.0.0',
     services: {
       database: dbHealth,
-      redis: redisHealth
+      redis: redisHealth,
+      spotify: spotifyHealth
     }
   };
   
@@ -152,7 +161,17 @@ if (process.env.NODE_ENV !== 'test') {
  * API Routes
  */
 app.use('/auth', require('./api/auth.routes'));
+app.use('/api/follows/preferences', require('./api/preferences.routes'));
+app.use('/api/follows/batches', require('./api/batches.routes'));
+app.use('/api/follows/genres', require('./api/genres.routes'));
+app.use('/api/follows/activity-windows', require('./api/activityWindows.routes'));
+app.use('/api/follows/schedule', require('./api/schedule.routes'));
 app.use('/api/follows', require('./api/follow.routes'));
+app.use('/api/follows', require('./api/pause.routes'));
+app.use('/api/follows', require('./api/unfollow.routes'));
+app.use('/api/campaigns', require('./api/campaign.routes'));
+app.use('/api/autopilot', require('./api/autopilot.routes'));
+app.use('/api/me', require('./api/me.routes'));
 app.use('/api/admin', require('./api/admin.routes'));
 
 /**
@@ -6,7 +6,6 @@
  * Integrates with Spotify Web API for user profile and follow operations.
  */
 
-const SpotifyWebApi = require('spotify-web-api-node');
 const config = require('../../config');
 const logger = require('../utils/logger');
 const encryption = require('../utils/encryption');
@@ -14,6 +13,8 @@ const db = require('../database');
 const redis = require('../database/redis');
 const tokenRotation = require('./tokenRotation');
 const tokenManager = require('./tokenManager');
+const { createClient } = require('./spotifyClient');
+const spotifyThrottle = require('../services/spotifyThrottle');
 
 /**
  * SpotifyAuth Class
@@ -23,12 +24,27 @@ const tokenManager = require('./tokenManager');
  */
 class SpotifyAuth {
   constructor() {
-    // Initialize Spotify Web API client with OAuth credentials
-    this.spotifyApi = new SpotifyWebApi({
-      clientId: config.spotify.clientId,
-      clientSecret: config.spotify.clientSecret,
-      redirectUri: config.spotify.redirectUri
-    });
+    // App-level client for the OAuth flow; never holds user tokens
+    this.spotifyApi = createClient();
+  }
+
+  /**
+   * Create a Spotify API client scoped to one set of credentials
+   * @param {Object} credentials - Optional { accessToken, refreshToken }
+   * @returns {SpotifyWebApi} Token-scoped client
+   */
+  createClient(credentials) {
+    return createClient(credentials);
+  }
+
+  /**
+   * Get a Spotify API client authenticated as the given user
+   * @param {string} userId - User ID
+   * @returns {SpotifyWebApi} Client with a valid access token for the user
+   */
+  async getClientForUser(userId) {
+    const accessToken = await this.getValidAccessToken(userId);
+    return this.createClient({ accessToken });
   }
 
   /**
@@ -50,7 +66,7 @@ class SpotifyAuth {
    */
   async exchangeCodeForTokens(code) {
     try {
-      const data = await this.spotifyApi.authorizationCodeGrant(code);
+      const data = await spotifyThrottle.execute('token-exchange', () => this.spotifyApi.authorizationCodeGrant(code));
       
       return {
         accessToken: data.body['access_token'],
@@ -74,8 +90,8 @@ class SpotifyAuth {
    */
   async refreshAccessToken(refreshToken, userId = null) {
     try {
-      this.spotifyApi.setRefreshToken(refreshToken);
-      const data = await this.spotifyApi.refreshAccessToken();
+      const client = this.createClient({ refreshToken });
+      const data = await spotifyThrottle.execute('token-refresh', () => client.refreshAccessToken());
       
       const result = {
         accessToken: data.body['access_token'],
@@ -103,8 +119,8 @@ class SpotifyAuth {
    */
   async getUserProfile(accessToken) {
     try {
-      this.spotifyApi.setAccessToken(accessToken);
-      const data = await this.spotifyApi.getMe();
+      const client = this.createClient({ accessToken });
+      const data = await spotifyThrottle.execute('profile', () => client.getMe());
       
       return {
         spotifyId: data.body.id,
@@ -121,6 +137,27 @@ class SpotifyAuth {
     }
   }
 
+  /**
+   * Check whether the token's user follows each of the given artists
+   * @param {string} accessToken - Follower's access token
+   * @param {Array<string>} artistIds - Spotify artist IDs
+   * @returns {Array<boolean>} Follow state per artist, in input order
+   */
+  async isFollowingArtists(accessToken, artistIds) {
+    const client = this.createClient({ accessToken });
+    const results = [];
+
+    // Spotify accepts at most 50 IDs per request
+    for (let i = 0; i < artistIds.length; i += 50) {
+      const data = await spotifyThrottle.execute('follow-check', () =>
+        client.isFollowingArtists(artistIds.slice(i, i + 50))
+      );
+      results.push(...data.body);
+    }
+
+    return results;
+  }
+
   /**
    * Save or update user in database
    * @param {Object} profile - User profile from Spotify
@@ -0,0 +1,72 @@
+/**
+ * Spotify Client Factory
+ *
+ * Creates token-scoped Spotify Web API clients. Every user-level call gets
+ * its own client so concurrent jobs never share (or overwrite) credentials.
+ * Split from spotify.js to maintain file size under 300 lines per SOP
+ */
+
+const SpotifyWebApi = require('spotify-web-api-node');
+const webApiRequest = require('spotify-web-api-node/src/webapi-request');
+const authenticationRequest = require('spotify-web-api-node/src/authentication-request');
+const config = require('../../config');
+
+const defaultBuilders = {
+  webApi: webApiRequest.builder,
+  authentication: authenticationRequest.builder
+};
+
+/**
+ * Create a Spotify Web API client bound to the given credentials
+ * @param {Object} credentials - Optional { accessToken, refreshToken }
+ * @returns {SpotifyWebApi} Client that only ever uses these credentials
+ */
+function createClient({ accessToken, refreshToken } = {}) {
+  const client = new SpotifyWebApi({
+    clientId: config.spotify.clientId,
+    clientSecret: config.spotify.clientSecret,
+    redirectUri: config.spotify.redirectUri
+  });
+
+  if (accessToken) {
+    client.setAccessToken(accessToken);
+  }
+
+  if (refreshToken) {
+    client.setRefreshToken(refreshToken);
+  }
+
+  return client;
+}
+
+/**
+ * Send all Spotify Accounts and Web API requests to another server
+ * spotify-web-api-node hard-codes accounts.spotify.com and api.spotify.com,
+ * so the request builders it looks up on every call are wrapped instead.
+ * @param {string|null} baseUrl - e.g. http://localhost:8888; null restores Spotify
+ */
+function useSpotifyHost(baseUrl) {
+  if (!baseUrl) {
+    webApiRequest.builder = defaultBuilders.webApi;
+    authenticationRequest.builder = defaultBuilders.authentication;
+    return;
+  }
+
+  const url = new URL(baseUrl);
+  const scheme = url.protocol.replace(':', '');
+  const port = parseInt(url.port) || (scheme === 'https' ? 443 : 80);
+  const redirect = (builder) => (...args) =>
+    builder(...args).withHost(url.hostname).withPort(port).withScheme(scheme);
+
+  webApiRequest.builder = redirect(defaultBuilders.webApi);
+  authenticationRequest.builder = redirect(defaultBuilders.authentication);
+}
+
+if (config.sandbox.enabled) {
+  useSpotifyHost(config.sandbox.spotifyUrl || `http://localhost:${config.sandbox.port}`);
+}
+
+module.exports = {
+  createClient,
+  useSpotifyHost
+};
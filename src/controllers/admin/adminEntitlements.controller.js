@@ -0,0 +1,133 @@
+/**
+ * Admin Entitlements Controller
+ * 
+ * Handles admin operations on what a user may use beyond their tier:
+ * starting tier trials and granting or revoking single features.
+ */
+
+const logger = require('../../utils/logger');
+const entitlements = require('../../services/entitlements');
+
+/**
+ * Start a tier trial for a user
+ */
+async function startTrial(req, res) {
+  try {
+    const { tier, days } = req.body;
+    
+    const trial = await entitlements.startTrial(req.params.userId, tier, days);
+    
+    if (!trial) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+    
+    logger.info('User trial started:', {
+      userId: req.params.userId,
+      adminId: req.user.id,
+      tier,
+      days
+    });
+    
+    res.json({
+      success: true,
+      message: 'Trial started successfully',
+      data: { userId: req.params.userId, trial }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ENTITLEMENT') {
+      return res.status(400).json({
+        error: 'Invalid trial',
+        message: error.message
+      });
+    }
+    
+    logger.error('Admin start trial error:', error);
+    res.status(500).json({
+      error: 'Failed to start trial',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Grant or revoke a single feature for a user
+ */
+async function setFeatureOverride(req, res) {
+  try {
+    const { enabled, expiresAt, reason } = req.body;
+    
+    const override = await entitlements.setOverride(req.params.userId, req.params.feature, {
+      enabled,
+      expiresAt,
+      reason
+    });
+    
+    if (!override) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+    
+    logger.info('User feature override set:', {
+      userId: req.params.userId,
+      adminId: req.user.id,
+      ...override
+    });
+    
+    res.json({
+      success: true,
+      message: 'Feature override saved',
+      data: { userId: req.params.userId, override }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_ENTITLEMENT') {
+      return res.status(400).json({
+        error: 'Invalid override',
+        message: error.message
+      });
+    }
+    
+    logger.error('Admin feature override error:', error);
+    res.status(500).json({
+      error: 'Failed to save feature override',
+      message: error.message
+    });
+  }
+}
+
+/**
+ * Remove a user's feature override
+ */
+async function removeFeatureOverride(req, res) {
+  try {
+    const removed = await entitlements.removeOverride(req.params.userId, req.params.feature);
+    
+    if (!removed) {
+      return res.status(404).json({
+        error: 'User not found',
+        message: 'The requested user does not exist'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Feature override removed'
+    });
+  } catch (error) {
+    logger.error('Admin remove feature override error:', error);
+    res.status(500).json({
+      error: 'Failed to remove feature override',
+      message: error.message
+    });
+  }
+}
+
+module.exports = {
+  startTrial,
+  setFeatureOverride,
+  removeFeatureOverride
+};
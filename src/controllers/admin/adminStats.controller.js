@@ -32,11 +32,14 @@ async function getStats(req, res) {
       SELECT 
         COUNT(*) as total_follows,
         COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_follows,
+        COUNT(CASE WHEN status = 'verified' THEN 1 END) as verified_follows,
+        COUNT(CASE WHEN status = 'unverified' THEN 1 END) as unverified_follows,
         COUNT(CASE WHEN status = 'failed' THEN 1 END) as failed_follows,
         COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_follows,
         COUNT(CASE WHEN created_at >= NOW() - INTERVAL '24 hours' THEN 1 END) as follows_24h,
         COUNT(CASE WHEN created_at >= NOW() - INTERVAL '7 days' THEN 1 END) as follows_7d
       FROM follows
+      WHERE status != 'external'
     `);
     
     // Get revenue metrics (simplified)
@@ -66,6 +69,8 @@ async function getStats(req, res) {
       follows: {
         total: parseInt(followStats.total_follows || 0),
         completed: parseInt(followStats.completed_follows || 0),
+        verified: parseInt(followStats.verified_follows || 0),
+        unverified: parseInt(followStats.unverified_follows || 0),
         failed: parseInt(followStats.failed_follows || 0),
         pending: parseInt(followStats.pending_follows || 0),
         recent_24h: parseInt(followStats.follows_24h || 0),
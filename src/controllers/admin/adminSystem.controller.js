@@ -8,6 +8,8 @@
 const db = require('../../database');
 const redis = require('../../database/redis');
 const logger = require('../../utils/logger');
+const config = require('../../../config');
+const spotifyCircuitBreaker = require('../../services/spotifyCircuitBreaker');
 
 /**
  * Clear system cache
@@ -83,6 +85,16 @@ async function getSuspiciousActivity(req, res) {
       LIMIT 100`
     );
     
+    // Get members who unfollow artists after receiving follows
+    const lowReciprocityResult = await db.query(
+      `SELECT id, display_name, email, reciprocity_score, reciprocity_checked_at
+      FROM users
+      WHERE reciprocity_score < $1
+      ORDER BY reciprocity_score ASC
+      LIMIT 100`,
+      [config.reciprocity.threshold]
+    );
+    
     // Get recent failed login attempts
     const recentAttemptsResult = await db.query(
       `SELECT * FROM security_logs
@@ -96,6 +108,7 @@ async function getSuspiciousActivity(req, res) {
       data: {
         suspiciousIPs: suspiciousIPsResult.rows,
         flaggedUsers: flaggedUsersResult.rows,
+        lowReciprocityUsers: lowReciprocityResult.rows,
         recentAttempts: recentAttemptsResult.rows
       }
     });
@@ -108,8 +121,27 @@ async function getSuspiciousActivity(req, res) {
   }
 }
 
+/**
+ * Get Spotify circuit breaker state and recent transitions
+ */
+async function getCircuitBreaker(req, res) {
+  try {
+    res.json({
+      success: true,
+      data: spotifyCircuitBreaker.getState()
+    });
+  } catch (error) {
+    logger.error('Circuit breaker fetch error:', error);
+    res.status(500).json({
+      error: 'Failed to fetch circuit breaker state',
+      message: error.message
+    });
+  }
+}
+
 module.exports = {
   clearCache,
   getLogs,
-  getSuspiciousActivity
+  getSuspiciousActivity,
+  getCircuitBreaker
 };
\ No newline at end of file
@@ -80,7 +80,8 @@ async function getUserById(req, res) {
     const followsResult = await db.query(
       `SELECT COUNT(*) as total_follows
       FROM follows 
-      WHERE follower_user_id = $1`,
+      WHERE follower_user_id = $1
+        AND status != 'external'`,
       [req.params.userId]
     );
     
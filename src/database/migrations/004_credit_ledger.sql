@@ -0,0 +1,22 @@
+-- Migration: Follow-exchange credit ledger
+-- Date: 2025-09-10
+-- Purpose: Tie the follows a user receives to the follows they give
+
+-- Running balance per user (sum of credit_ledger.amount)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS credit_balance INTEGER DEFAULT 0;
+
+-- One row per credit (follow given) or debit (follow received)
+CREATE TABLE IF NOT EXISTS credit_ledger (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  follow_id UUID REFERENCES follows(id) ON DELETE SET NULL,
+  entry_type VARCHAR(50) NOT NULL, -- follow_given, follow_received
+  amount INTEGER NOT NULL,
+  counterparty_user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A follow can only be credited and debited once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_credit_ledger_follow_entry ON credit_ledger(follow_id, entry_type);
+CREATE INDEX IF NOT EXISTS idx_credit_ledger_user_created ON credit_ledger(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_users_credit_balance ON users(credit_balance);
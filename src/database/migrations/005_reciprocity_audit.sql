@@ -0,0 +1,14 @@
+-- Migration: Reciprocity audit
+-- Date: 2025-09-12
+-- Purpose: Detect swarm members who unfollow after the swarm follows them back
+
+-- Result of the latest "is following" check for a completed follow
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS still_following BOOLEAN;
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS reciprocity_checked_at TIMESTAMP;
+
+-- Share of audited follows the user is still following (0-1, NULL until audited)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reciprocity_score NUMERIC(5,4);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS reciprocity_checked_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_follows_reciprocity_checked ON follows(reciprocity_checked_at) WHERE status = 'completed';
+CREATE INDEX IF NOT EXISTS idx_users_reciprocity_score ON users(reciprocity_score);
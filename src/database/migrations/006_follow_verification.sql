@@ -0,0 +1,13 @@
+-- Migration: Post-follow verification
+-- Date: 2025-09-14
+-- Purpose: Confirm with Spotify that completed follows were actually recorded
+
+-- follows.status gains 'verified' (confirmed) and 'unverified' (not found on re-check)
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP;
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS verification_attempts INTEGER DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_follows_unverified ON follows(follower_user_id) WHERE status = 'unverified';
+
+-- Verified follows are audited for reciprocity too
+DROP INDEX IF EXISTS idx_follows_reciprocity_checked;
+CREATE INDEX IF NOT EXISTS idx_follows_reciprocity_checked ON follows(reciprocity_checked_at) WHERE status IN ('completed', 'verified');
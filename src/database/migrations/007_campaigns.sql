@@ -0,0 +1,31 @@
+-- Migration: Follow campaigns
+-- Date: 2025-09-18
+-- Purpose: Let artists request a number of new followers over a time window
+
+CREATE TABLE IF NOT EXISTS campaigns (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_artist_id VARCHAR(255) NOT NULL, -- Spotify ID the swarm should follow
+  name VARCHAR(255),
+  target_follows INTEGER NOT NULL CHECK (target_follows > 0),
+  daily_budget INTEGER CHECK (daily_budget > 0), -- Max follows queued per day, NULL = no cap
+  starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ends_at TIMESTAMP NOT NULL,
+  status VARCHAR(50) NOT NULL DEFAULT 'active', -- active, paused, completed, expired, cancelled
+  follows_pending INTEGER DEFAULT 0,   -- Campaign jobs queued and not yet finished
+  follows_completed INTEGER DEFAULT 0, -- Completed or verified campaign follows
+  last_scheduled_at TIMESTAMP,
+  completed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at > starts_at)
+);
+
+-- Campaign that produced a queued job or follow (NULL for member-initiated follows)
+ALTER TABLE queue_jobs ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS campaign_id UUID REFERENCES campaigns(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_user_id ON campaigns(user_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_active ON campaigns(ends_at) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_queue_jobs_campaign_id ON queue_jobs(campaign_id) WHERE campaign_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_follows_campaign_id ON follows(campaign_id) WHERE campaign_id IS NOT NULL;
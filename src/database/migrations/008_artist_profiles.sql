@@ -0,0 +1,20 @@
+-- Migration: Artist profiles and genre preferences
+-- Date: 2025-09-20
+-- Purpose: Cache swarm artists' Spotify genres/popularity for genre-aware targeting
+
+-- Spotify artist metadata, refreshed by the artist profile sync job
+CREATE TABLE IF NOT EXISTS artist_profiles (
+  spotify_id VARCHAR(255) PRIMARY KEY,
+  name VARCHAR(255),
+  genres TEXT[] NOT NULL DEFAULT '{}',
+  popularity INTEGER, -- 0-100 as reported by Spotify
+  followers INTEGER,
+  fetched_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Genres a user wants to be suggested, and genres they never want
+ALTER TABLE users ADD COLUMN IF NOT EXISTS preferred_genres TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS excluded_genres TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE INDEX IF NOT EXISTS idx_artist_profiles_genres ON artist_profiles USING GIN (genres);
+CREATE INDEX IF NOT EXISTS idx_artist_profiles_fetched_at ON artist_profiles(fetched_at);
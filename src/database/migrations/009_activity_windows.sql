@@ -0,0 +1,10 @@
+-- Migration: User timezones and activity windows
+-- Date: 2025-09-21
+-- Purpose: Only run a user's follows during their local activity windows (quiet hours)
+
+-- IANA timezone name; NULL falls back to the user's country
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+-- Allowed local times, e.g. [{"days": [1,2,3,4,5], "start": "09:00", "end": "22:00"}]
+-- An empty list allows follows around the clock
+ALTER TABLE users ADD COLUMN IF NOT EXISTS activity_windows JSONB NOT NULL DEFAULT '[]';
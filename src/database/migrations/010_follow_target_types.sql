@@ -0,0 +1,17 @@
+-- Migration: Follow target types
+-- Date: 2025-09-22
+-- Purpose: Follow Spotify users and playlists as well as artists
+
+-- target_artist_id holds the Spotify ID of whatever target_type names
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS target_type VARCHAR(20) NOT NULL DEFAULT 'artist';
+ALTER TABLE queue_jobs ADD COLUMN IF NOT EXISTS target_type VARCHAR(20) NOT NULL DEFAULT 'artist';
+
+ALTER TABLE follows DROP CONSTRAINT IF EXISTS follows_target_type_check;
+ALTER TABLE follows ADD CONSTRAINT follows_target_type_check
+  CHECK (target_type IN ('artist', 'user', 'playlist'));
+
+ALTER TABLE queue_jobs DROP CONSTRAINT IF EXISTS queue_jobs_target_type_check;
+ALTER TABLE queue_jobs ADD CONSTRAINT queue_jobs_target_type_check
+  CHECK (target_type IN ('artist', 'user', 'playlist'));
+
+CREATE INDEX IF NOT EXISTS idx_follows_follower_target_type ON follows(follower_user_id, target_type);
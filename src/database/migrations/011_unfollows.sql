@@ -0,0 +1,16 @@
+-- Migration: Unfollows
+-- Date: 2025-09-23
+-- Purpose: Undo follows one at a time or in bulk through the follow queue
+
+-- follows.status gains 'unfollowed'; the row is kept for history and rate limiting
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS unfollowed_at TIMESTAMP;
+
+-- Unfollows count against the same sliding windows as follows
+CREATE INDEX IF NOT EXISTS idx_follows_unfollowed_at ON follows(follower_user_id, unfollowed_at)
+  WHERE unfollowed_at IS NOT NULL;
+
+-- queue_jobs.job_type gains 'unfollow' with payload { followId }
+CREATE INDEX IF NOT EXISTS idx_queue_jobs_unfollow_follow ON queue_jobs((payload->>'followId'))
+  WHERE job_type = 'unfollow';
+
+-- credit_ledger.entry_type gains 'unfollow_given' and 'unfollow_received', reversing a follow's credits
@@ -0,0 +1,10 @@
+-- Migration: Follow import
+-- Date: 2025-09-24
+-- Purpose: Mirror the artists users already follow on Spotify so the swarm skips them
+
+-- follows.status gains 'external': followed by the user outside the swarm.
+-- External rows earn no credits and don't count toward rate limits or stats.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS follows_synced_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_follows_external ON follows(follower_user_id, target_artist_id)
+  WHERE status = 'external';
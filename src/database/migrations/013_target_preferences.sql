@@ -0,0 +1,19 @@
+-- Migration: Target preferences
+-- Date: 2025-09-25
+-- Purpose: Let users block or allow the artists, users, playlists and genres the swarm follows for them
+
+CREATE TABLE IF NOT EXISTS target_preferences (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  list VARCHAR(10) NOT NULL CHECK (list IN ('allow', 'block')),
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('artist', 'user', 'playlist', 'genre')),
+  value VARCHAR(255) NOT NULL, -- Spotify ID, or lowercase genre name
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, list, kind, value)
+);
+
+-- Campaign scheduling looks up members' entries by target
+CREATE INDEX IF NOT EXISTS idx_target_preferences_kind_value ON target_preferences(kind, value);
+
+-- Only follow targets on the allow list (blocked entries still win)
+ALTER TABLE users ADD COLUMN IF NOT EXISTS allowlist_only BOOLEAN NOT NULL DEFAULT false;
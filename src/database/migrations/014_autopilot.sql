@@ -0,0 +1,30 @@
+-- Migration: Autopilot
+-- Date: 2025-09-26
+-- Purpose: Let users opt in to daily follows topped up automatically, and log what autopilot queued
+
+CREATE TABLE IF NOT EXISTS autopilot_settings (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  enabled BOOLEAN NOT NULL DEFAULT false,
+  paused BOOLEAN NOT NULL DEFAULT false,
+  daily_target INTEGER NOT NULL DEFAULT 10 CHECK (daily_target > 0), -- Capped by tier at run time
+  window_start VARCHAR(5) NOT NULL DEFAULT '09:00', -- Local "HH:MM" in the user's timezone
+  window_end VARCHAR(5) NOT NULL DEFAULT '21:00',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One row per user and local day; each run appends what it queued
+CREATE TABLE IF NOT EXISTS autopilot_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  run_date DATE NOT NULL, -- The user's local date
+  queued INTEGER NOT NULL DEFAULT 0,
+  artist_ids TEXT[] NOT NULL DEFAULT '{}',
+  note VARCHAR(50), -- Why the last run queued nothing, e.g. rate_limited, no_suggestions
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (user_id, run_date)
+);
+
+-- Scheduler scans enabled, unpaused users
+CREATE INDEX IF NOT EXISTS idx_autopilot_settings_active ON autopilot_settings(user_id) WHERE enabled AND NOT paused;
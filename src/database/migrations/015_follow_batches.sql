@@ -0,0 +1,25 @@
+-- Migration: Follow batches
+-- Date: 2025-09-27
+-- Purpose: Track each /batch request as one unit with progress, cancel and retry
+
+CREATE TABLE IF NOT EXISTS follow_batches (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_type VARCHAR(20) NOT NULL DEFAULT 'artist',
+  requested_count INTEGER NOT NULL, -- Targets in the request
+  queued_count INTEGER NOT NULL DEFAULT 0, -- Follow jobs created, including retries
+  cancelled_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_follow_batches_user ON follow_batches(user_id, created_at DESC);
+
+-- Jobs and the follows they make point back at their batch
+ALTER TABLE queue_jobs ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES follow_batches(id) ON DELETE SET NULL;
+ALTER TABLE follows ADD COLUMN IF NOT EXISTS batch_id UUID REFERENCES follow_batches(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_queue_jobs_batch ON queue_jobs(batch_id) WHERE batch_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_follows_batch ON follows(batch_id) WHERE batch_id IS NOT NULL;
+
+-- Failed jobs that a retry replaced keep the status 'retried'
@@ -0,0 +1,22 @@
+-- Migration: Job scheduling
+-- Date: 2025-09-28
+-- Purpose: Make queue_jobs rows the source of truth for follow jobs; the
+-- promoter moves due rows into Bull and the reconciler repairs orphans
+
+-- When the row was last handed to Bull (by addFollowJob or the promoter)
+ALTER TABLE queue_jobs ADD COLUMN IF NOT EXISTS promoted_at TIMESTAMP;
+
+UPDATE queue_jobs
+SET promoted_at = created_at
+WHERE status = 'queued'
+  AND promoted_at IS NULL;
+
+-- Due rows the promoter claims
+CREATE INDEX IF NOT EXISTS idx_queue_jobs_due ON queue_jobs(scheduled_at)
+  WHERE status IN ('scheduled', 'rescheduled');
+
+-- Status updates from Bull events look rows up by Bull job ID
+CREATE INDEX IF NOT EXISTS idx_queue_jobs_queue_job_id ON queue_jobs(queue_job_id);
+
+-- Follow jobs added from now on use the row ID as their Bull job ID, so
+-- follows.queue_job_id points at the queue_jobs row that made the follow
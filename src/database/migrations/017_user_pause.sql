@@ -0,0 +1,7 @@
+-- Migration: User pause
+-- Date: 2025-09-29
+-- Purpose: Let a user pause all of their follow activity ("vacation mode")
+
+-- Set while paused; workers hold the user's jobs and the promoter,
+-- campaigns and autopilot skip the user
+ALTER TABLE users ADD COLUMN IF NOT EXISTS follows_paused_at TIMESTAMP;
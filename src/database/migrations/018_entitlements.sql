@@ -0,0 +1,11 @@
+-- Migration: Feature entitlements
+-- Date: 2025-09-30
+-- Purpose: Let users trial a higher tier and give single users features outside their tier
+
+-- While trial_ends_at is in the future the user also gets trial_tier's features
+ALTER TABLE users ADD COLUMN IF NOT EXISTS trial_tier VARCHAR(50);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS trial_ends_at TIMESTAMP;
+
+-- Per-user grants and revocations on top of tier and trial:
+-- { "<feature>": { "enabled": bool, "expiresAt": iso | null, "reason": text | null } }
+ALTER TABLE users ADD COLUMN IF NOT EXISTS feature_overrides JSONB NOT NULL DEFAULT '{}';
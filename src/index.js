@@ -30,7 +30,15 @@ const { SSLConfig } = require('../ssl/ssl-config');
 const app = require('./app');
 const queueManager = require('./services/queueManager'); // Background job processing
 const tokenRefreshJob = require('./jobs/tokenRefreshJob'); // Token refresh scheduler
+const reciprocityAuditJob = require('./jobs/reciprocityAuditJob'); // Unfollow detection
+const campaignSchedulerJob = require('./jobs/campaignSchedulerJob'); // Follow campaigns
+const artistProfileSyncJob = require('./jobs/artistProfileSyncJob'); // Genre metadata cache
+const rateLimitPersistJob = require('./jobs/rateLimitPersistJob'); // Follow counters to rate_limits
+const autopilotJob = require('./jobs/autopilotJob'); // Daily follow top-ups
+const schedulePromoterJob = require('./jobs/schedulePromoterJob'); // Scheduled follows into the queue
+const queueReconcilerJob = require('./jobs/queueReconcilerJob'); // Queue and queue_jobs repair
 const { httpsRedirect, getSSLConfig } = require('../ssl/ssl-config'); // SSL configuration
+const sandbox = require('./sandbox'); // Local Spotify simulator (SANDBOX=true)
 
 // Note: All Express middleware and routes are configured in app.js
 // This file handles server startup, database connections, and graceful shutdown
@@ -52,13 +60,21 @@ const gracefulShutdown = async (signal) => {
     logger.info('HTTP server closed');
   });
   
-  // Stop token refresh job
+  // Stop scheduled jobs
   tokenRefreshJob.stop();
+  reciprocityAuditJob.stop();
+  campaignSchedulerJob.stop();
+  artistProfileSyncJob.stop();
+  rateLimitPersistJob.stop();
+  autopilotJob.stop();
+  schedulePromoterJob.stop();
+  queueReconcilerJob.stop();
   
   // Close all external connections
   await db.disconnect();          // PostgreSQL
   await redis.disconnect();       // Redis
   await queueManager.shutdown();  // Bull queues
+  await sandbox.stop();           // Spotify simulator
   
   logger.info('Graceful shutdown complete');
   process.exit(0);
@@ -74,6 +90,12 @@ process.on('SIGINT', () => gracefulShutdown('SIGINT'));   // Ctrl+C
  */
 const startServer = async () => {
   try {
+    // Sandbox mode: serve Spotify locally before anything can call it
+    if (config.sandbox.enabled) {
+      await sandbox.start();
+      logger.warn('SANDBOX mode - Spotify requests go to the local simulator');
+    }
+    
     // Initialize PostgreSQL connection pool with validation
     await db.connect();
     await db.validateConnection();
@@ -98,6 +120,34 @@ const startServer = async () => {
     tokenRefreshJob.start();
     logger.info('Token refresh job started');
     
+    // Start reciprocity audit to detect members who unfollow the swarm
+    reciprocityAuditJob.start();
+    logger.info('Reciprocity audit job started');
+    
+    // Start campaign scheduler to queue follows for artist campaigns
+    campaignSchedulerJob.start();
+    logger.info('Campaign scheduler job started');
+    
+    // Start artist profile sync to cache genres for targeting
+    artistProfileSyncJob.start();
+    logger.info('Artist profile sync job started');
+    
+    // Start rate limit persistence of Redis follow counters
+    rateLimitPersistJob.start();
+    logger.info('Rate limit persist job started');
+    
+    // Start autopilot to top up daily follows for opted-in users
+    autopilotJob.start();
+    logger.info('Autopilot job started');
+    
+    // Start moving scheduled follows from queue_jobs into the queue
+    schedulePromoterJob.start();
+    logger.info('Schedule promoter job started');
+    
+    // Start repairing follow jobs lost on either side of the queue
+    queueReconcilerJob.start();
+    logger.info('Queue reconciler job started');
+    
     // Get SSL configuration for current environment
     const sslConfig = getSSLConfig();
     
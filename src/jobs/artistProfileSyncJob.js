@@ -0,0 +1,89 @@
+/**
+ * Artist Profile Sync Job
+ *
+ * Scheduled job that keeps the artist_profiles cache of Spotify genres and
+ * popularity fresh for active swarm artists, so suggestions can be ranked
+ * by genre without calling Spotify on every request.
+ */
+
+const cron = require('node-cron');
+const artistProfiles = require('../services/artistProfiles');
+const logger = require('../utils/logger');
+const config = require('../../config');
+
+class ArtistProfileSyncJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+    this.schedule = config.artistProfiles.syncSchedule;
+  }
+
+  /**
+   * Start the artist profile sync job
+   */
+  start() {
+    if (this.job) {
+      logger.warn('Artist profile sync job is already running');
+      return;
+    }
+
+    logger.info(`Starting artist profile sync job with schedule: ${this.schedule}`);
+
+    this.job = cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.debug('Artist profile sync job already in progress, skipping...');
+        return;
+      }
+
+      await this.run();
+    });
+  }
+
+  /**
+   * Stop the artist profile sync job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Artist profile sync job stopped');
+    }
+  }
+
+  /**
+   * Execute one sync pass
+   * @returns {number} Number of profiles stored
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      logger.debug('Running artist profile sync job...');
+      return await artistProfiles.syncStaleProfiles();
+    } catch (error) {
+      logger.error('Artist profile sync job failed:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isScheduled: !!this.job,
+      schedule: this.schedule
+    };
+  }
+}
+
+// Create singleton instance
+const artistProfileSyncJob = new ArtistProfileSyncJob();
+
+module.exports = artistProfileSyncJob;
@@ -0,0 +1,190 @@
+/**
+ * Autopilot Job
+ *
+ * Scheduled job that tops up daily follows for users who opted in to
+ * autopilot. Inside a user's autopilot window, each run queues suggested
+ * artists until the day's queued follows reach the user's target (capped
+ * by tier), never more than the rate limits leave for the day. Follows
+ * are spread over the rest of the window.
+ */
+
+const cron = require('node-cron');
+const autopilotService = require('../services/autopilotService');
+const activityWindows = require('../services/activityWindows');
+const followEngine = require('../services/followEngine');
+const queueManager = require('../services/queueManager');
+const queuePriority = require('../services/queuePriority');
+const timezone = require('../utils/timezone');
+const db = require('../database');
+const logger = require('../utils/logger');
+const config = require('../../config');
+
+class AutopilotJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+    this.schedule = config.autopilot.schedule;
+  }
+
+  /**
+   * Start the autopilot job
+   */
+  start() {
+    if (this.job) {
+      logger.warn('Autopilot job is already running');
+      return;
+    }
+
+    logger.info(`Starting autopilot job with schedule: ${this.schedule}`);
+
+    this.job = cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.debug('Autopilot job already in progress, skipping...');
+        return;
+      }
+
+      await this.run();
+    });
+  }
+
+  /**
+   * Stop the autopilot job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Autopilot job stopped');
+    }
+  }
+
+  /**
+   * Execute one top-up pass over users with autopilot on
+   * @returns {Object} Run summary (users, queued)
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+    const summary = { users: 0, queued: 0 };
+
+    try {
+      logger.debug('Running autopilot job...');
+
+      // Users topped up longest ago go first when there are more than fit in a run
+      const result = await db.query(`
+        SELECT u.id, u.subscription_tier, u.timezone, u.country, u.activity_windows,
+               u.trial_tier, u.trial_ends_at, u.feature_overrides,
+               s.enabled, s.paused, s.daily_target, s.window_start, s.window_end
+        FROM autopilot_settings s
+        JOIN users u ON u.id = s.user_id
+        WHERE s.enabled = true
+          AND s.paused = false
+          AND u.is_active = true
+          AND u.follows_paused_at IS NULL
+          AND EXISTS (SELECT 1 FROM oauth_tokens t WHERE t.user_id = u.id)
+        ORDER BY (SELECT MAX(l.updated_at) FROM autopilot_log l WHERE l.user_id = u.id) ASC NULLS FIRST
+        LIMIT $1
+      `, [config.autopilot.maxUsersPerRun]);
+
+      for (const user of result.rows) {
+        try {
+          const outcome = await this.topUp(user);
+          summary.users++;
+          summary.queued += outcome.queued;
+        } catch (error) {
+          logger.error(`Autopilot top-up failed for user ${user.id}:`, error);
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      logger.info(`Autopilot completed in ${duration}ms. Queued ${summary.queued} follows for ${summary.users} users`);
+
+      return summary;
+    } catch (error) {
+      logger.error('Autopilot job failed:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Queue follows for one user up to the day's target
+   * @param {Object} user - User row joined with the user's autopilot_settings
+   * @param {Date} now - Current time
+   * @returns {Object} { queued, reason } where reason says why nothing was queued
+   */
+  async topUp(user, now = new Date()) {
+    const settings = autopilotService.formatSettings(user, user);
+    const userTimezone = activityWindows.getSettings(user).timezone;
+
+    const today = timezone.getLocalTime(now, userTimezone);
+    const windowStart = activityWindows.toInstant(today, settings.window.start, userTimezone);
+    const windowEnd = activityWindows.toInstant(today, settings.window.end, userTimezone);
+    if (now < windowStart || now >= windowEnd) {
+      return { queued: 0, reason: 'outside_window' };
+    }
+
+    const runDate = autopilotService.getLocalDate(userTimezone, now);
+    const remaining = settings.effectiveDailyTarget - await autopilotService.getQueuedOn(user.id, runDate);
+    if (remaining <= 0) {
+      return { queued: 0, reason: 'target_reached' };
+    }
+
+    const rateCheck = await followEngine.checkRateLimits(user.id, user.subscription_tier, user);
+    if (!rateCheck.canFollow) {
+      await autopilotService.recordRun(user.id, runDate, [], 'rate_limited');
+      return { queued: 0, reason: 'rate_limited' };
+    }
+
+    const count = Math.min(remaining, rateCheck.limits.daily.remaining, rateCheck.limits.monthly.remaining);
+
+    // Follows queued by hand or by an earlier run aren't suggested again
+    const suggestions = await followEngine.getTargetArtists(user.id, count, {
+      exclude: await followEngine.getQueuedTargetIds(user.id)
+    });
+    if (suggestions.length === 0) {
+      await autopilotService.recordRun(user.id, runDate, [], 'no_suggestions');
+      return { queued: 0, reason: 'no_suggestions' };
+    }
+
+    // Each follow also gets up to the delay spread as jitter, so leave room for it
+    const jitter = config.rateLimits.followDelayMax - config.rateLimits.followDelayMin;
+    const delayBetween = Math.max(
+      config.rateLimits.followDelayMin,
+      Math.floor((windowEnd - now) / suggestions.length) - jitter
+    );
+
+    const jobs = await queueManager.addBatchFollowJobs(
+      user.id,
+      suggestions.map(artist => artist.artistId),
+      { delayBetween, source: 'autopilot', tier: queuePriority.tierFor(user) }
+    );
+    const queuedIds = jobs.map(job => job.data.targetArtistId);
+
+    await autopilotService.recordRun(user.id, runDate, queuedIds, queuedIds.length > 0 ? null : 'no_suggestions');
+    logger.info(`Autopilot queued ${queuedIds.length} follows for user ${user.id}`);
+
+    return { queued: queuedIds.length, reason: null };
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isScheduled: !!this.job,
+      schedule: this.schedule
+    };
+  }
+}
+
+// Create singleton instance
+const autopilotJob = new AutopilotJob();
+
+module.exports = autopilotJob;
@@ -0,0 +1,266 @@
+/**
+ * Campaign Scheduler Job
+ *
+ * Scheduled job that turns follow campaigns into follow jobs. Each run
+ * queues the share of a campaign's remaining demand that matches the share
+ * of its remaining time that has passed, spread over eligible swarm members.
+ * Campaigns stop at their target or end date.
+ */
+
+const cron = require('node-cron');
+const campaignService = require('../services/campaignService');
+const followEngine = require('../services/followEngine');
+const queueManager = require('../services/queueManager');
+const queuePriority = require('../services/queuePriority');
+const db = require('../database');
+const logger = require('../utils/logger');
+const config = require('../../config');
+
+class CampaignSchedulerJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+    this.schedule = config.campaigns.schedule;
+  }
+
+  /**
+   * Start the campaign scheduler job
+   */
+  start() {
+    if (this.job) {
+      logger.warn('Campaign scheduler job is already running');
+      return;
+    }
+
+    logger.info(`Starting campaign scheduler job with schedule: ${this.schedule}`);
+
+    this.job = cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.debug('Campaign scheduler job already in progress, skipping...');
+        return;
+      }
+
+      await this.run();
+    });
+  }
+
+  /**
+   * Stop the campaign scheduler job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Campaign scheduler job stopped');
+    }
+  }
+
+  /**
+   * Execute one scheduling pass over all active campaigns
+   * @returns {Object} Run summary (campaigns, queued, finished)
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+    const summary = { campaigns: 0, queued: 0, finished: 0 };
+
+    try {
+      logger.debug('Running campaign scheduler job...');
+
+      const result = await db.query(`
+        SELECT * FROM campaigns
+        WHERE status = 'active'
+          AND starts_at <= NOW()
+        ORDER BY ends_at ASC
+      `);
+
+      for (const campaign of result.rows) {
+        try {
+          const outcome = await this.scheduleCampaign(campaign);
+          summary.campaigns++;
+          summary.queued += outcome.queued;
+          if (outcome.finished) summary.finished++;
+        } catch (error) {
+          logger.error(`Campaign scheduling failed for campaign ${campaign.id}:`, error);
+        }
+      }
+
+      const duration = Date.now() - startTime;
+      logger.info(`Campaign scheduler completed in ${duration}ms. Queued ${summary.queued} follows for ${summary.campaigns} campaigns`);
+
+      return summary;
+    } catch (error) {
+      logger.error('Campaign scheduler job failed:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Finish or queue follows for one campaign
+   * @param {Object} campaign - Active campaign row
+   * @returns {Object} { queued, finished }
+   */
+  async scheduleCampaign(campaign) {
+    const current = await campaignService.refreshProgress(campaign);
+
+    if (current.follows_completed >= current.target_follows) {
+      await campaignService.finishCampaign(current, 'completed');
+      return { queued: 0, finished: true };
+    }
+
+    const now = new Date();
+    if (new Date(current.ends_at) <= now) {
+      await campaignService.finishCampaign(current, 'expired');
+      return { queued: 0, finished: true };
+    }
+
+    const quota = await this.getQuota(current, now);
+    if (quota <= 0) {
+      return { queued: 0, finished: false };
+    }
+
+    // Fetch extra candidates since some will be at their rate limits
+    const members = await this.findEligibleMembers(current, quota * 2);
+    let queued = 0;
+
+    for (const member of members) {
+      if (queued >= quota) break;
+
+      const rateCheck = await followEngine.checkRateLimits(member.id, member.subscription_tier, member);
+      if (!rateCheck.canFollow) continue;
+
+      // Jitter so campaign follows don't all land at the same moment
+      await queueManager.addFollowJob(member.id, current.target_artist_id, {
+        source: 'campaign',
+        tier: queuePriority.tierFor(member),
+        delay: Math.floor(Math.random() * config.rateLimits.followDelayMax),
+        campaignId: current.id
+      });
+      queued++;
+    }
+
+    if (queued > 0) {
+      await db.query(`
+        UPDATE campaigns
+        SET follows_pending = follows_pending + $2,
+            last_scheduled_at = NOW(),
+            updated_at = NOW()
+        WHERE id = $1
+      `, [current.id, queued]);
+    }
+
+    if (queued < quota) {
+      logger.warn(`Campaign ${current.id} queued ${queued} of ${quota} follows, not enough eligible members`);
+    }
+
+    return { queued, finished: false };
+  }
+
+  /**
+   * Number of follows to queue for a campaign in this run
+   * Remaining demand is paced across the remaining time; the last scheduled
+   * run only advances when something is queued, so small fractions add up
+   * @param {Object} campaign - Campaign row with fresh counters
+   * @param {Date} now - Current time
+   * @returns {number} Follows to queue now
+   */
+  async getQuota(campaign, now) {
+    const demand = campaign.target_follows - campaign.follows_completed - campaign.follows_pending;
+    if (demand <= 0) return 0;
+
+    const since = new Date(campaign.last_scheduled_at || campaign.starts_at).getTime();
+    const span = new Date(campaign.ends_at).getTime() - since;
+    let quota = Math.floor(demand * Math.min(1, (now.getTime() - since) / span));
+
+    if (campaign.daily_budget) {
+      const today = await db.query(`
+        SELECT COUNT(*) as count
+        FROM queue_jobs
+        WHERE campaign_id = $1
+          AND created_at >= date_trunc('day', NOW())
+      `, [campaign.id]);
+      quota = Math.min(quota, campaign.daily_budget - parseInt(today.rows[0].count));
+    }
+
+    return Math.min(quota, config.campaigns.maxMembersPerRun);
+  }
+
+  /**
+   * Active members who can follow the campaign artist, reciprocating members first
+   * Members whose lists block the artist or its genres, or who only allow
+   * other targets, are left out
+   * @param {Object} campaign - Campaign row
+   * @param {number} limit - Maximum number of members
+   * @returns {Array} User rows (id, subscription_tier)
+   */
+  async findEligibleMembers(campaign, limit) {
+    const result = await db.query(`
+      SELECT u.id, u.subscription_tier, u.timezone, u.country, u.activity_windows,
+             u.trial_tier, u.trial_ends_at, u.feature_overrides
+      FROM users u
+      CROSS JOIN (
+        SELECT COALESCE((SELECT genres FROM artist_profiles WHERE spotify_id = $2), '{}') AS genres,
+               (SELECT spotify_id FROM users WHERE id = $1) AS owner_spotify_id
+      ) artist
+      WHERE u.id != $1
+        AND u.is_active = true
+        AND u.follows_paused_at IS NULL
+        AND EXISTS (SELECT 1 FROM oauth_tokens t WHERE t.user_id = u.id)
+        AND NOT EXISTS (
+          SELECT 1 FROM follows f
+          WHERE f.follower_user_id = u.id
+            AND f.target_artist_id = $2
+            AND f.status IN ('completed', 'verified', 'unverified', 'pending', 'external')
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM queue_jobs q
+          WHERE q.user_id = u.id
+            AND q.campaign_id = $3
+            AND q.status IN ('queued', 'scheduled', 'rescheduled', 'processing')
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM target_preferences p
+          WHERE p.user_id = u.id
+            AND p.list = 'block'
+            AND ((p.kind = 'artist' AND p.value = $2)
+              OR (p.kind = 'user' AND (p.value = artist.owner_spotify_id OR p.value = $1::text))
+              OR (p.kind = 'genre' AND p.value = ANY(artist.genres)))
+        )
+        AND (u.allowlist_only = false OR EXISTS (
+          SELECT 1 FROM target_preferences p
+          WHERE p.user_id = u.id
+            AND p.list = 'allow'
+            AND ((p.kind = 'artist' AND p.value = $2)
+              OR (p.kind = 'user' AND (p.value = artist.owner_spotify_id OR p.value = $1::text))
+              OR (p.kind = 'genre' AND p.value = ANY(artist.genres)))
+        ))
+      ORDER BY (u.reciprocity_score IS NULL OR u.reciprocity_score >= $4) DESC,
+               u.last_activity DESC NULLS LAST
+      LIMIT $5
+    `, [campaign.user_id, campaign.target_artist_id, campaign.id, config.reciprocity.threshold, limit]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isScheduled: !!this.job,
+      schedule: this.schedule
+    };
+  }
+}
+
+// Create singleton instance
+const campaignSchedulerJob = new CampaignSchedulerJob();
+
+module.exports = campaignSchedulerJob;
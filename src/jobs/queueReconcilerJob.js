@@ -0,0 +1,89 @@
+/**
+ * Queue Reconciler Job
+ *
+ * Scheduled job that checks follow jobs in Bull against their queue_jobs
+ * rows and repairs orphans on either side, e.g. after a crash or after
+ * Redis lost its data (see jobScheduler).
+ */
+
+const cron = require('node-cron');
+const jobScheduler = require('../services/jobScheduler');
+const logger = require('../utils/logger');
+const config = require('../../config');
+
+class QueueReconcilerJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+    this.schedule = config.queue.reconcileSchedule;
+  }
+
+  /**
+   * Start the queue reconciler job
+   */
+  start() {
+    if (this.job) {
+      logger.warn('Queue reconciler job is already running');
+      return;
+    }
+
+    logger.info(`Starting queue reconciler job with schedule: ${this.schedule}`);
+
+    this.job = cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.debug('Queue reconciler job already in progress, skipping...');
+        return;
+      }
+
+      await this.run();
+    });
+  }
+
+  /**
+   * Stop the queue reconciler job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Queue reconciler job stopped');
+    }
+  }
+
+  /**
+   * Execute one reconcile pass
+   * @returns {Object} Run summary (removed, synced, requeued)
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+
+    try {
+      logger.debug('Running queue reconciler job...');
+      return await jobScheduler.reconcile();
+    } catch (error) {
+      logger.error('Queue reconciler job failed:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isScheduled: !!this.job,
+      schedule: this.schedule
+    };
+  }
+}
+
+// Create singleton instance
+const queueReconcilerJob = new QueueReconcilerJob();
+
+module.exports = queueReconcilerJob;
@@ -0,0 +1,138 @@
+/**
+ * Rate Limit Persist Job
+ *
+ * Scheduled job that copies the Redis follow rate counters of recently
+ * active users to the rate_limits table, so limits can be reported on
+ * from the database.
+ */
+
+const cron = require('node-cron');
+const followRateLimiter = require('../services/followRateLimiter');
+const db = require('../database');
+const logger = require('../utils/logger');
+const config = require('../../config');
+
+class RateLimitPersistJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+    this.schedule = config.rateLimits.persistSchedule;
+  }
+
+  /**
+   * Start the rate limit persist job
+   */
+  start() {
+    if (this.job) {
+      logger.warn('Rate limit persist job is already running');
+      return;
+    }
+
+    logger.info(`Starting rate limit persist job with schedule: ${this.schedule}`);
+
+    this.job = cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.debug('Rate limit persist job already in progress, skipping...');
+        return;
+      }
+
+      await this.run();
+    });
+  }
+
+  /**
+   * Stop the rate limit persist job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Rate limit persist job stopped');
+    }
+  }
+
+  /**
+   * Persist counters until no changed users remain
+   * @returns {number} Number of users persisted
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    let persisted = 0;
+
+    try {
+      logger.debug('Running rate limit persist job...');
+
+      for (;;) {
+        const count = await this.persistCounts();
+        if (count === 0) break;
+        persisted += count;
+      }
+
+      if (persisted > 0) {
+        logger.info(`Persisted follow rate counters for ${persisted} users`);
+      }
+      return persisted;
+    } catch (error) {
+      logger.error('Rate limit persist job failed:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Write current counts of recently active users to rate_limits
+   * Each user keeps one row per window, describing the sliding window at persist time
+   * @returns {number} Number of users persisted
+   */
+  async persistCounts() {
+    const userIds = await followRateLimiter.popChangedUsers(config.rateLimits.persistBatchSize);
+    if (userIds.length === 0) return 0;
+
+    const users = await db.query(
+      'SELECT id, subscription_tier FROM users WHERE id = ANY($1)',
+      [userIds]
+    );
+
+    for (const user of users.rows) {
+      const limits = followRateLimiter.getLimits(user.subscription_tier);
+      const usage = await followRateLimiter.getUsage(user.id, limits);
+      const now = Date.now();
+
+      await db.transaction(async (client) => {
+        await client.query(
+          'DELETE FROM rate_limits WHERE user_id = $1 AND action_type = \'follow\'',
+          [user.id]
+        );
+
+        for (const [name, window] of Object.entries(followRateLimiter.windows)) {
+          await client.query(`
+            INSERT INTO rate_limits (user_id, action_type, window_start, window_type, count, max_allowed)
+            VALUES ($1, 'follow', $2, $3, $4, $5)
+          `, [user.id, new Date(now - window.ms), window.type, usage[name].count, limits[name]]);
+        }
+      });
+    }
+
+    return users.rows.length;
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isScheduled: !!this.job,
+      schedule: this.schedule
+    };
+  }
+}
+
+// Create singleton instance
+const rateLimitPersistJob = new RateLimitPersistJob();
+
+module.exports = rateLimitPersistJob;
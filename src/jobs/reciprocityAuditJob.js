@@ -0,0 +1,217 @@
+/**
+ * Reciprocity Audit Job
+ *
+ * Scheduled job that samples completed follows and checks with Spotify
+ * whether the follower still follows the artist. Each user gets a
+ * reciprocity score (share of audited follows still in place) so members
+ * who unfollow after receiving follows can be deprioritized and reviewed.
+ */
+
+const cron = require('node-cron');
+const spotifyAuth = require('../auth/spotify');
+const db = require('../database');
+const logger = require('../utils/logger');
+const config = require('../../config');
+
+class ReciprocityAuditJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+    this.schedule = config.reciprocity.auditSchedule;
+    this.sampleSize = config.reciprocity.sampleSize;
+    this.minFollowAgeHours = config.reciprocity.minFollowAgeHours;
+  }
+
+  /**
+   * Start the reciprocity audit job
+   */
+  start() {
+    if (this.job) {
+      logger.warn('Reciprocity audit job is already running');
+      return;
+    }
+
+    logger.info(`Starting reciprocity audit job with schedule: ${this.schedule}`);
+
+    this.job = cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.debug('Reciprocity audit job already in progress, skipping...');
+        return;
+      }
+
+      await this.run();
+    });
+  }
+
+  /**
+   * Stop the reciprocity audit job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Reciprocity audit job stopped');
+    }
+  }
+
+  /**
+   * Execute one audit pass
+   * @returns {Object} Audit summary (checked, unfollowed, users)
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    const startTime = Date.now();
+    const summary = { checked: 0, unfollowed: 0, users: 0 };
+
+    try {
+      logger.debug('Running reciprocity audit job...');
+
+      const sample = await this.sampleFollows();
+      const byFollower = this.groupByFollower(sample);
+
+      for (const [userId, follows] of byFollower) {
+        try {
+          const result = await this.auditUser(userId, follows);
+          summary.checked += result.checked;
+          summary.unfollowed += result.unfollowed;
+          summary.users++;
+        } catch (error) {
+          logger.error(`Reciprocity audit failed for user ${userId}:`, error);
+        }
+      }
+
+      if (summary.users > 0) {
+        await this.updateScores(Array.from(byFollower.keys()));
+      }
+
+      const duration = Date.now() - startTime;
+      logger.info(`Reciprocity audit completed in ${duration}ms. Checked ${summary.checked} follows, ${summary.unfollowed} unfollowed`);
+
+      return summary;
+    } catch (error) {
+      logger.error('Reciprocity audit job failed:', error);
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Pick completed artist follows to audit, least recently checked first
+   * @returns {Array} Follow rows
+   */
+  async sampleFollows() {
+    const result = await db.query(`
+      SELECT id, follower_user_id, target_artist_id
+      FROM follows
+      WHERE status IN ('completed', 'verified')
+        AND target_type = 'artist'
+        AND completed_at <= NOW() - ($1 || ' hours')::INTERVAL
+      ORDER BY reciprocity_checked_at ASC NULLS FIRST, completed_at ASC
+      LIMIT $2
+    `, [this.minFollowAgeHours, this.sampleSize]);
+
+    return result.rows;
+  }
+
+  /**
+   * Group follow rows by follower so each user's token is fetched once
+   * @param {Array} follows - Follow rows
+   * @returns {Map} follower_user_id -> follow rows
+   */
+  groupByFollower(follows) {
+    const groups = new Map();
+    for (const follow of follows) {
+      if (!groups.has(follow.follower_user_id)) {
+        groups.set(follow.follower_user_id, []);
+      }
+      groups.get(follow.follower_user_id).push(follow);
+    }
+    return groups;
+  }
+
+  /**
+   * Check one follower's sampled follows against Spotify and record the result
+   * @param {string} userId - Follower user ID
+   * @param {Array} follows - Follow rows for this follower
+   * @returns {Object} Counts of checked and unfollowed rows
+   */
+  async auditUser(userId, follows) {
+    const accessToken = await spotifyAuth.getValidAccessToken(userId);
+    const states = await spotifyAuth.isFollowingArtists(
+      accessToken,
+      follows.map(f => f.target_artist_id)
+    );
+
+    const stillFollowing = follows.filter((_, i) => states[i]).map(f => f.id);
+    const unfollowed = follows.filter((_, i) => !states[i]).map(f => f.id);
+
+    await this.markFollows(stillFollowing, true);
+    await this.markFollows(unfollowed, false);
+
+    if (unfollowed.length > 0) {
+      logger.warn(`User ${userId} unfollowed ${unfollowed.length} of ${follows.length} audited artists`);
+    }
+
+    return { checked: follows.length, unfollowed: unfollowed.length };
+  }
+
+  /**
+   * Record audit result on follow rows
+   * @param {Array<string>} followIds - follows.id values
+   * @param {boolean} stillFollowing - Audit result
+   */
+  async markFollows(followIds, stillFollowing) {
+    if (followIds.length === 0) return;
+
+    await db.query(`
+      UPDATE follows
+      SET still_following = $1,
+          reciprocity_checked_at = NOW()
+      WHERE id = ANY($2)
+    `, [stillFollowing, followIds]);
+  }
+
+  /**
+   * Recompute reciprocity scores from all audited follows of the given users
+   * @param {Array<string>} userIds - User IDs
+   */
+  async updateScores(userIds) {
+    await db.query(`
+      UPDATE users u
+      SET reciprocity_score = s.score,
+          reciprocity_checked_at = NOW()
+      FROM (
+        SELECT follower_user_id,
+               AVG(CASE WHEN still_following THEN 1 ELSE 0 END) as score
+        FROM follows
+        WHERE follower_user_id = ANY($1)
+          AND still_following IS NOT NULL
+        GROUP BY follower_user_id
+      ) s
+      WHERE u.id = s.follower_user_id
+    `, [userIds]);
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isScheduled: !!this.job,
+      schedule: this.schedule,
+      sampleSize: this.sampleSize,
+      threshold: config.reciprocity.threshold
+    };
+  }
+}
+
+// Create singleton instance
+const reciprocityAuditJob = new ReciprocityAuditJob();
+
+module.exports = reciprocityAuditJob;
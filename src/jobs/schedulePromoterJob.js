@@ -0,0 +1,96 @@
+/**
+ * Schedule Promoter Job
+ *
+ * Scheduled job that moves follow jobs scheduled in queue_jobs into the
+ * Bull queue shortly before they are due (see jobScheduler).
+ */
+
+const cron = require('node-cron');
+const jobScheduler = require('../services/jobScheduler');
+const logger = require('../utils/logger');
+const config = require('../../config');
+
+class SchedulePromoterJob {
+  constructor() {
+    this.job = null;
+    this.isRunning = false;
+    this.schedule = config.queue.promoteSchedule;
+  }
+
+  /**
+   * Start the schedule promoter job
+   */
+  start() {
+    if (this.job) {
+      logger.warn('Schedule promoter job is already running');
+      return;
+    }
+
+    logger.info(`Starting schedule promoter job with schedule: ${this.schedule}`);
+
+    this.job = cron.schedule(this.schedule, async () => {
+      if (this.isRunning) {
+        logger.debug('Schedule promoter job already in progress, skipping...');
+        return;
+      }
+
+      await this.run();
+    });
+  }
+
+  /**
+   * Stop the schedule promoter job
+   */
+  stop() {
+    if (this.job) {
+      this.job.stop();
+      this.job = null;
+      logger.info('Schedule promoter job stopped');
+    }
+  }
+
+  /**
+   * Promote due rows until none are left
+   * @returns {number} Number of rows promoted
+   */
+  async run() {
+    if (this.isRunning) {
+      return;
+    }
+
+    this.isRunning = true;
+    let promoted = 0;
+
+    try {
+      logger.debug('Running schedule promoter job...');
+
+      for (;;) {
+        const count = await jobScheduler.promoteDueJobs();
+        promoted += count;
+        if (count < config.queue.promoteBatchSize) break;
+      }
+
+      return promoted;
+    } catch (error) {
+      logger.error('Schedule promoter job failed:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Get job status
+   */
+  getStatus() {
+    return {
+      isRunning: this.isRunning,
+      isScheduled: !!this.job,
+      schedule: this.schedule
+    };
+  }
+}
+
+// Create singleton instance
+const schedulePromoterJob = new SchedulePromoterJob();
+
+module.exports = schedulePromoterJob;
@@ -11,6 +11,7 @@ const config = require('../../config');
 const db = require('../database');
 const logger = require('../utils/logger');
 const spotifyAuth = require('../auth/spotify');
+const entitlements = require('../services/entitlements');
 
 /**
  * Middleware to check if user is authenticated
@@ -132,6 +133,45 @@ const requireSubscription = (minimumTier = 'free') => {
   };
 };
 
+/**
+ * Middleware to require a feature
+ * Features come from the user's tier, trial and overrides (see services/entitlements);
+ * the 403 names the missing feature and the tiers that include it
+ */
+const requireFeature = (feature) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'User not authenticated'
+        });
+      }
+      
+      const resolved = entitlements.resolve(req.user);
+      if (resolved.features.includes(feature)) {
+        req.entitlements = resolved;
+        return next();
+      }
+      
+      return res.status(403).json({
+        error: 'Insufficient subscription',
+        code: 'FEATURE_REQUIRED',
+        message: `Your plan does not include ${feature}`,
+        feature,
+        currentTier: resolved.tier,
+        availableIn: entitlements.tiersWith(feature)
+      });
+    } catch (error) {
+      logger.error('Feature check error:', error);
+      return res.status(500).json({
+        error: 'Feature check error',
+        message: 'Failed to verify features'
+      });
+    }
+  };
+};
+
 /**
  * Middleware for rate limiting based on subscription
  */
@@ -210,6 +250,7 @@ module.exports = {
   requireAuth: isAuthenticated, // Alias for backward compatibility
   hasValidSpotifyTokens,
   requireSubscription,
+  requireFeature,
   checkSubscription: (tiers) => {
     // Middleware that checks if user has one of the specified tiers
     return async (req, res, next) => {
@@ -0,0 +1,87 @@
+/**
+ * Sandbox Mode
+ *
+ * Runs the local Spotify simulator so the whole stack works offline.
+ * With SANDBOX=true, src/index.js starts it before anything else and the
+ * Spotify client sends every request to it (see useSpotifyHost). It can
+ * also run on its own for integration tests: npm run sandbox:spotify
+ */
+
+const http = require('http');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const SpotifySimulator = require('./spotifySimulator');
+const { createSimulatorApp } = require('./simulatorApp');
+
+/**
+ * Sandbox Class
+ */
+class Sandbox {
+  constructor() {
+    this.simulator = null;
+    this.server = null;
+  }
+
+  /**
+   * Start the simulator unless SANDBOX_SPOTIFY_URL points at one already running
+   * @param {Object} options - { port } overrides config.sandbox.port (0 picks a free port)
+   * @returns {string} Base URL Spotify requests go to
+   */
+  async start({ port = config.sandbox.port } = {}) {
+    if (config.sandbox.spotifyUrl) {
+      logger.info(`Sandbox using Spotify simulator at ${config.sandbox.spotifyUrl}`);
+      return config.sandbox.spotifyUrl;
+    }
+
+    if (this.server) {
+      return this.getSpotifyUrl();
+    }
+
+    this.simulator = new SpotifySimulator({
+      clientId: config.spotify.clientId,
+      clientSecret: config.spotify.clientSecret,
+      accessTokenTtl: config.sandbox.accessTokenTtl
+    });
+    this.server = http.createServer(createSimulatorApp(this.simulator));
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, resolve);
+    });
+
+    logger.info(`Spotify simulator running at ${this.getSpotifyUrl()}`);
+    return this.getSpotifyUrl();
+  }
+
+  /**
+   * Stop the simulator if this process started it
+   */
+  async stop() {
+    if (!this.server) return;
+
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+    logger.info('Spotify simulator stopped');
+  }
+
+  /**
+   * Get the base URL of the simulator
+   * @returns {string|null} URL, or null when not running
+   */
+  getSpotifyUrl() {
+    if (config.sandbox.spotifyUrl) return config.sandbox.spotifyUrl;
+    if (!this.server) return null;
+    return `http://localhost:${this.server.address().port}`;
+  }
+}
+
+// Export singleton instance
+module.exports = new Sandbox();
+
+// Standalone simulator: node src/sandbox
+if (require.main === module) {
+  module.exports.start().catch((error) => {
+    logger.error('Failed to start Spotify simulator:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,265 @@
+/**
+ * Spotify Simulator App
+ *
+ * Express app serving the parts of the Spotify Accounts service and Web API
+ * that the project uses, backed by SpotifySimulator state:
+ * - GET  /authorize                  Consents immediately and redirects back with a code
+ * - POST /api/token                  authorization_code, refresh_token, client_credentials
+ * - GET  /v1/me                      Current user profile
+ * - PUT/DELETE /v1/me/following      Follow / unfollow artists or users (?type=)
+ * - GET  /v1/me/following            Followed artists (cursor paging)
+ * - GET  /v1/me/following/contains   Whether artists or users are followed
+ * - PUT/DELETE /v1/playlists/:id/followers  Follow / unfollow a playlist
+ * - GET  /v1/artists, /v1/search     Artist lookup and search
+ *
+ * The /sandbox control API seeds users, injects failures and inspects state.
+ */
+
+const express = require('express');
+
+/**
+ * Create the simulator Express app
+ * @param {SpotifySimulator} simulator - State to serve
+ * @returns {Express} App
+ */
+function createSimulatorApp(simulator) {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+  app.use(express.json());
+
+  /**
+   * Answer with an injected failure for the route, if one is pending
+   */
+  const failures = (route) => (req, res, next) => {
+    res.on('finish', () => {
+      simulator.requests.push({ method: req.method, route, status: res.statusCode, at: new Date() });
+      if (simulator.requests.length > 1000) simulator.requests.shift();
+    });
+
+    const failure = simulator.takeFailure(route);
+    if (!failure) return next();
+
+    if (failure.error) {
+      // Accounts service style error, e.g. invalid_grant for a revoked refresh token
+      return res.status(failure.status).json({ error: failure.error, error_description: 'Injected by sandbox' });
+    }
+    if (failure.status === 429) {
+      res.set('Retry-After', String(failure.retryAfter));
+    }
+    res.status(failure.status).json({ error: { status: failure.status, message: 'Injected by sandbox' } });
+  };
+
+  /**
+   * Require a valid Bearer token; user tokens only unless allowApp
+   */
+  const authenticate = (allowApp = false) => (req, res, next) => {
+    const token = (req.get('Authorization') || '').replace(/^Bearer /, '');
+    const record = simulator.accessTokens.get(token);
+
+    if (!record) {
+      return res.status(401).json({ error: { status: 401, message: 'Invalid access token' } });
+    }
+    if (record.expiresAt <= Date.now()) {
+      return res.status(401).json({ error: { status: 401, message: 'The access token expired' } });
+    }
+    if (!record.userId && !allowApp) {
+      return res.status(403).json({ error: { status: 403, message: 'User token required' } });
+    }
+
+    req.spotifyUser = record.userId ? simulator.getUser(record.userId) : null;
+    next();
+  };
+
+  const artistIds = (req) => String(req.query.ids || '').split(',').filter(Boolean);
+
+  /**
+   * Follow or unfollow targets, keeping follower totals in step
+   */
+  const setFollowing = (user, type, ids, follow) => {
+    const followed = simulator.getFollowed(user, type);
+
+    for (const id of ids) {
+      if (follow === followed.has(id)) continue;
+
+      if (follow) {
+        followed.add(id);
+      } else {
+        followed.delete(id);
+      }
+
+      // Playlists don't expose follower totals here
+      const target = type === 'user' ? simulator.getUser(id) : type === 'playlist' ? null : simulator.getArtist(id);
+      if (target) target.followers.total += follow ? 1 : -1;
+    }
+  };
+
+  // Accounts service
+
+  app.get('/authorize', failures('authorize'), (req, res) => {
+    const { redirect_uri: redirectUri, state, login = 'sandbox-user' } = req.query;
+    if (!redirectUri) {
+      return res.status(400).send('redirect_uri is required');
+    }
+
+    const target = new URL(redirectUri);
+    if (state) target.searchParams.set('state', state);
+
+    // ?deny=true simulates the user pressing Cancel
+    if (req.query.deny === 'true') {
+      target.searchParams.set('error', 'access_denied');
+    } else {
+      simulator.getUser(login);
+      target.searchParams.set('code', simulator.issueCode(login, redirectUri));
+    }
+
+    res.redirect(target.toString());
+  });
+
+  app.post('/api/token', failures('token'), (req, res) => {
+    const basic = (req.get('Authorization') || '').replace(/^Basic /, '');
+    const [basicId, basicSecret] = Buffer.from(basic, 'base64').toString().split(':');
+    const clientId = req.body.client_id || basicId;
+    const clientSecret = req.body.client_secret || basicSecret;
+
+    const { clientId: expectedId, clientSecret: expectedSecret } = simulator.options;
+    if ((expectedId && clientId !== expectedId) || (expectedSecret && clientSecret !== expectedSecret)) {
+      return res.status(401).json({ error: 'invalid_client', error_description: 'Invalid client' });
+    }
+
+    let response = null;
+    switch (req.body.grant_type) {
+    case 'authorization_code':
+      response = simulator.redeemCode(req.body.code, req.body.redirect_uri);
+      break;
+    case 'refresh_token':
+      response = simulator.refresh(req.body.refresh_token);
+      break;
+    case 'client_credentials':
+      response = simulator.issueAccessToken(null);
+      break;
+    default:
+      return res.status(400).json({ error: 'unsupported_grant_type', error_description: 'Unsupported grant type' });
+    }
+
+    if (!response) {
+      return res.status(400).json({ error: 'invalid_grant', error_description: 'Invalid authorization code or refresh token' });
+    }
+    res.json(response);
+  });
+
+  // Web API
+
+  app.get('/v1/me', failures('me'), authenticate(), (req, res) => {
+    res.json(simulator.toProfile(req.spotifyUser));
+  });
+
+  app.put('/v1/me/following', failures('follow'), authenticate(), (req, res) => {
+    setFollowing(req.spotifyUser, req.query.type, artistIds(req), true);
+    res.status(204).end();
+  });
+
+  app.delete('/v1/me/following', failures('unfollow'), authenticate(), (req, res) => {
+    setFollowing(req.spotifyUser, req.query.type, artistIds(req), false);
+    res.status(204).end();
+  });
+
+  app.get('/v1/me/following/contains', failures('following'), authenticate(), (req, res) => {
+    const followed = simulator.getFollowed(req.spotifyUser, req.query.type);
+    res.json(artistIds(req).map(id => followed.has(id)));
+  });
+
+  app.put('/v1/playlists/:id/followers', failures('follow'), authenticate(), (req, res) => {
+    setFollowing(req.spotifyUser, 'playlist', [req.params.id], true);
+    res.status(200).end();
+  });
+
+  app.delete('/v1/playlists/:id/followers', failures('unfollow'), authenticate(), (req, res) => {
+    setFollowing(req.spotifyUser, 'playlist', [req.params.id], false);
+    res.status(200).end();
+  });
+
+  app.get('/v1/me/following', failures('following'), authenticate(), (req, res) => {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const followed = Array.from(req.spotifyUser.following).sort();
+    const start = req.query.after ? followed.findIndex(id => id > req.query.after) : 0;
+    const page = start === -1 ? [] : followed.slice(start, start + limit);
+    const after = start !== -1 && start + limit < followed.length ? page[page.length - 1] : null;
+
+    res.json({
+      artists: {
+        items: page.map(id => simulator.getArtist(id)),
+        next: after ? `/v1/me/following?type=artist&limit=${limit}&after=${after}` : null,
+        cursors: { after },
+        limit,
+        total: followed.length
+      }
+    });
+  });
+
+  app.get('/v1/artists', failures('artists'), authenticate(true), (req, res) => {
+    res.json({ artists: artistIds(req).slice(0, 50).map(id => simulator.getArtist(id)) });
+  });
+
+  app.get('/v1/search', failures('search'), authenticate(true), (req, res) => {
+    const query = String(req.query.q || '').toLowerCase();
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const items = Array.from(simulator.artists.values())
+      .filter(artist => artist.name.toLowerCase().includes(query))
+      .slice(0, limit);
+
+    res.json({ artists: { items, limit, offset: 0, total: items.length, next: null } });
+  });
+
+  // Sandbox control API
+
+  app.get('/sandbox/state', (req, res) => {
+    res.json(simulator.getState());
+  });
+
+  app.post('/sandbox/users', (req, res) => {
+    if (!req.body.id) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+    const user = simulator.addUser(req.body);
+    res.status(201).json({ ...simulator.toProfile(user), following: Array.from(user.following) });
+  });
+
+  app.post('/sandbox/artists', (req, res) => {
+    if (!req.body.id) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+    res.status(201).json(simulator.addArtist(req.body));
+  });
+
+  app.post('/sandbox/failures', (req, res) => {
+    res.status(201).json(simulator.injectFailure(req.body));
+  });
+
+  app.delete('/sandbox/failures', (req, res) => {
+    simulator.failures = [];
+    res.status(204).end();
+  });
+
+  app.post('/sandbox/tokens/expire', (req, res) => {
+    res.json({ expired: simulator.expireAccessTokens(req.body.userId) });
+  });
+
+  app.post('/sandbox/tokens/revoke', (req, res) => {
+    if (!req.body.userId) {
+      return res.status(400).json({ error: 'userId is required' });
+    }
+    simulator.revokeRefreshTokens(req.body.userId);
+    res.status(204).end();
+  });
+
+  app.post('/sandbox/reset', (req, res) => {
+    simulator.reset();
+    res.status(204).end();
+  });
+
+  return app;
+}
+
+module.exports = {
+  createSimulatorApp
+};
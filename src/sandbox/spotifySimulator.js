@@ -0,0 +1,296 @@
+/**
+ * Spotify Simulator State
+ *
+ * In-memory users, artists, authorization codes and tokens behind the
+ * sandbox Spotify server (see simulatorApp). Also holds injected failures
+ * so developers and tests can reproduce 429s, 5xx errors and revoked
+ * refresh tokens on demand.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * SpotifySimulator Class
+ *
+ * One instance per simulator server. Unknown users and artists are created
+ * on first use, so no seeding is needed for basic flows.
+ */
+class SpotifySimulator {
+  /**
+   * @param {Object} options - { clientId, clientSecret, accessTokenTtl (seconds), rotateRefreshTokens }
+   */
+  constructor(options = {}) {
+    this.options = {
+      clientId: null,            // Accept any client when null
+      clientSecret: null,
+      accessTokenTtl: 3600,
+      rotateRefreshTokens: false,
+      ...options
+    };
+    this.reset();
+  }
+
+  /**
+   * Drop all users, tokens, failures and the request log
+   */
+  reset() {
+    this.users = new Map();          // userId -> profile with following/followingUsers/followingPlaylists Sets
+    this.artists = new Map();        // artistId -> artist object
+    this.codes = new Map();          // authorization code -> { userId, redirectUri }
+    this.accessTokens = new Map();   // token -> { userId (null for app tokens), expiresAt }
+    this.refreshTokens = new Map();  // token -> userId
+    this.failures = [];              // Injected failures, consumed in order
+    this.requests = [];              // Recent { method, route, status, at }
+  }
+
+  /**
+   * Add or replace a Spotify user
+   * @param {Object} profile - Partial Spotify user object; id is required
+   * @returns {Object} Stored user
+   */
+  addUser(profile) {
+    const user = {
+      display_name: `Sandbox User ${profile.id}`,
+      email: `${profile.id}@sandbox.local`,
+      country: 'US',
+      product: 'premium',
+      images: [],
+      followers: { href: null, total: 0 },
+      ...profile,
+      type: 'user',
+      uri: `spotify:user:${profile.id}`,
+      following: new Set(profile.following || []),
+      followingUsers: new Set(profile.followingUsers || []),
+      followingPlaylists: new Set(profile.followingPlaylists || [])
+    };
+
+    this.users.set(user.id, user);
+    return user;
+  }
+
+  /**
+   * Get a user, creating it on first use
+   * @param {string} userId - Spotify user ID
+   * @returns {Object} User
+   */
+  getUser(userId) {
+    return this.users.get(userId) || this.addUser({ id: userId });
+  }
+
+  /**
+   * Get a user as the Web API returns it, without simulator state
+   * @param {Object} user - Stored user
+   * @returns {Object} Spotify user object
+   */
+  toProfile(user) {
+    return Object.fromEntries(Object.entries(user).filter(([key]) => !key.startsWith('following')));
+  }
+
+  /**
+   * Get the set of IDs a user follows for a target type
+   * @param {Object} user - Stored user
+   * @param {string} type - 'artist', 'user' or 'playlist'
+   * @returns {Set} Followed IDs
+   */
+  getFollowed(user, type = 'artist') {
+    if (type === 'user') return user.followingUsers;
+    if (type === 'playlist') return user.followingPlaylists;
+    return user.following;
+  }
+
+  /**
+   * Add or replace an artist
+   * @param {Object} artist - Partial Spotify artist object; id is required
+   * @returns {Object} Stored artist
+   */
+  addArtist(artist) {
+    const stored = {
+      name: `Sandbox Artist ${artist.id}`,
+      genres: this.pickGenres(artist.id),
+      popularity: 50,
+      followers: { href: null, total: 0 },
+      images: [],
+      ...artist,
+      type: 'artist',
+      uri: `spotify:artist:${artist.id}`
+    };
+
+    this.artists.set(stored.id, stored);
+    return stored;
+  }
+
+  /**
+   * Get an artist, creating it on first use
+   * @param {string} artistId - Spotify artist ID
+   * @returns {Object} Artist
+   */
+  getArtist(artistId) {
+    return this.artists.get(artistId) || this.addArtist({ id: artistId });
+  }
+
+  /**
+   * Stable made-up genres so genre features have data to work with
+   * @param {string} artistId - Spotify artist ID
+   * @returns {Array<string>} One or two genres
+   */
+  pickGenres(artistId) {
+    const genres = ['indie pop', 'shoegaze', 'hip hop', 'techno', 'jazz', 'folk', 'metal', 'r&b'];
+    const hash = crypto.createHash('md5').update(artistId).digest();
+    return [...new Set([genres[hash[0] % genres.length], genres[hash[1] % genres.length]])];
+  }
+
+  /**
+   * Issue a single-use authorization code
+   * @param {string} userId - Consenting user
+   * @param {string} redirectUri - Redirect URI the code is bound to
+   * @returns {string} Code
+   */
+  issueCode(userId, redirectUri) {
+    const code = this.randomToken('code');
+    this.codes.set(code, { userId, redirectUri });
+    return code;
+  }
+
+  /**
+   * Exchange an authorization code for tokens
+   * @param {string} code - Authorization code
+   * @param {string} redirectUri - Must match the authorize request
+   * @returns {Object|null} Token response, or null for an invalid code
+   */
+  redeemCode(code, redirectUri) {
+    const grant = this.codes.get(code);
+    this.codes.delete(code);
+
+    if (!grant || (grant.redirectUri && redirectUri && grant.redirectUri !== redirectUri)) {
+      return null;
+    }
+
+    const refreshToken = this.randomToken('refresh');
+    this.refreshTokens.set(refreshToken, grant.userId);
+
+    return { ...this.issueAccessToken(grant.userId), refresh_token: refreshToken };
+  }
+
+  /**
+   * Issue a new access token from a refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Object|null} Token response, or null for an unknown or revoked token
+   */
+  refresh(refreshToken) {
+    const userId = this.refreshTokens.get(refreshToken);
+    if (!userId) return null;
+
+    const response = this.issueAccessToken(userId);
+
+    if (this.options.rotateRefreshTokens) {
+      this.refreshTokens.delete(refreshToken);
+      response.refresh_token = this.randomToken('refresh');
+      this.refreshTokens.set(response.refresh_token, userId);
+    }
+
+    return response;
+  }
+
+  /**
+   * Issue an access token
+   * @param {string|null} userId - User, or null for a client credentials token
+   * @returns {Object} Token response
+   */
+  issueAccessToken(userId) {
+    const accessToken = this.randomToken('access');
+    this.accessTokens.set(accessToken, {
+      userId,
+      expiresAt: Date.now() + this.options.accessTokenTtl * 1000
+    });
+
+    return {
+      access_token: accessToken,
+      token_type: 'Bearer',
+      expires_in: this.options.accessTokenTtl,
+      scope: userId ? 'user-follow-modify user-follow-read user-read-private user-read-email' : ''
+    };
+  }
+
+  /**
+   * Expire access tokens so the next call needs a refresh
+   * @param {string} userId - Only this user's tokens; all tokens when omitted
+   * @returns {number} Number of tokens expired
+   */
+  expireAccessTokens(userId = null) {
+    let expired = 0;
+    for (const token of this.accessTokens.values()) {
+      if (!userId || token.userId === userId) {
+        token.expiresAt = 0;
+        expired++;
+      }
+    }
+    return expired;
+  }
+
+  /**
+   * Revoke a user's refresh tokens, as when they remove the app on Spotify
+   * @param {string} userId - Spotify user ID
+   */
+  revokeRefreshTokens(userId) {
+    for (const [token, owner] of this.refreshTokens) {
+      if (owner === userId) this.refreshTokens.delete(token);
+    }
+  }
+
+  /**
+   * Make upcoming requests fail
+   * @param {Object} failure - { route ('*' for any), status, error, retryAfter (seconds), times }
+   * @returns {Object} Stored failure
+   */
+  injectFailure({ route = '*', status = 500, error = null, retryAfter = 1, times = 1 }) {
+    const failure = { route, status: error === 'invalid_grant' ? 400 : status, error, retryAfter, remaining: times };
+    this.failures.push(failure);
+    return failure;
+  }
+
+  /**
+   * Take the next injected failure for a route, if any
+   * @param {string} route - Route name (e.g. 'token', 'follow')
+   * @returns {Object|null} Failure to answer with
+   */
+  takeFailure(route) {
+    const failure = this.failures.find(f => f.route === route || f.route === '*');
+    if (!failure) return null;
+
+    failure.remaining--;
+    if (failure.remaining <= 0) {
+      this.failures.splice(this.failures.indexOf(failure), 1);
+    }
+    return failure;
+  }
+
+  /**
+   * Generate an opaque token
+   * @param {string} kind - Prefix showing what the token is
+   * @returns {string} Token
+   */
+  randomToken(kind) {
+    return `sandbox-${kind}-${crypto.randomBytes(16).toString('hex')}`;
+  }
+
+  /**
+   * Get a summary for the control API
+   * @returns {Object} Users with followed artists, pending failures and recent requests
+   */
+  getState() {
+    return {
+      users: Array.from(this.users.values()).map(user => ({
+        id: user.id,
+        display_name: user.display_name,
+        following: Array.from(user.following),
+        followingUsers: Array.from(user.followingUsers),
+        followingPlaylists: Array.from(user.followingPlaylists)
+      })),
+      artists: this.artists.size,
+      failures: this.failures,
+      requests: this.requests.slice(-100)
+    };
+  }
+}
+
+module.exports = SpotifySimulator;
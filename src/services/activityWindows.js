@@ -0,0 +1,157 @@
+/**
+ * Activity Window Service
+ *
+ * Keeps a user's follows inside the local times they allow (quiet hours).
+ * Each user has a timezone, defaulting from their country, and a list of
+ * activity windows; follows that come due outside every window wait for
+ * the next one to open. Users without windows follow around the clock.
+ */
+
+const config = require('../../config');
+const db = require('../database');
+const timezone = require('../utils/timezone');
+
+/**
+ * ActivityWindows Class
+ *
+ * A window is { days, start, end }: weekdays (0 = Sunday) and local
+ * "HH:MM" times with start before end ("24:00" ends at midnight).
+ */
+class ActivityWindows {
+  /**
+   * Get a user's timezone and activity windows
+   * @param {Object} user - User row
+   * @returns {Object} { timezone, windows }
+   */
+  getSettings(user) {
+    const userTimezone = user?.timezone && timezone.isValid(user.timezone)
+      ? user.timezone
+      : timezone.forCountry(user?.country) || config.scheduling.defaultTimezone;
+
+    return {
+      timezone: userTimezone,
+      windows: user?.activity_windows || []
+    };
+  }
+
+  /**
+   * Replace a user's timezone and activity windows
+   * @param {string} userId - User ID
+   * @param {Object} settings - { timezone, windows }; a null timezone reverts to the country default
+   * @returns {Object} Stored settings
+   */
+  async setSettings(userId, { timezone: userTimezone = null, windows = [] }) {
+    const user = await db.update('users', userId, {
+      timezone: userTimezone,
+      activity_windows: JSON.stringify(windows.map(window => ({
+        days: [...new Set(window.days)].sort((a, b) => a - b),
+        start: window.start,
+        end: window.end
+      })))
+    });
+
+    return this.getSettings(user);
+  }
+
+  /**
+   * Check settings from a request body
+   * @param {Object} settings - { timezone, windows }
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate({ timezone: userTimezone = null, windows = [] }) {
+    if (userTimezone !== null && !timezone.isValid(userTimezone)) {
+      return `Unknown timezone: ${userTimezone}`;
+    }
+    if (!Array.isArray(windows) || windows.length > config.activityWindows.maxWindows) {
+      return `windows must be an array of at most ${config.activityWindows.maxWindows} windows`;
+    }
+
+    for (const window of windows) {
+      const days = window?.days;
+      if (!Array.isArray(days) || days.length === 0 ||
+          !days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+        return 'Each window needs days between 0 (Sunday) and 6 (Saturday)';
+      }
+
+      const start = this.toMinutes(window.start);
+      const end = this.toMinutes(window.end);
+      if (start === null || end === null || start >= end) {
+        return 'Each window needs HH:MM start and end times with start before end';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Find the earliest time at or after `from` inside an activity window
+   * @param {Object} settings - { timezone, windows }
+   * @param {Date} from - Earliest acceptable time
+   * @returns {Date} `from` if a window is open, otherwise when the next one opens
+   */
+  nextAllowed({ timezone: userTimezone, windows }, from = new Date()) {
+    if (windows.length === 0) return from;
+
+    let day = timezone.getLocalTime(from, userTimezone);
+
+    // Every window repeats weekly, so a week and a day always reaches one
+    for (let i = 0; i < 8; i++) {
+      let earliest = null;
+
+      for (const window of windows.filter(w => w.days.includes(day.weekday))) {
+        const open = this.toInstant(day, window.start, userTimezone);
+        const close = this.toInstant(day, window.end, userTimezone);
+
+        if (from >= open && from < close) return from;
+        if (open > from && (!earliest || open < earliest)) earliest = open;
+      }
+
+      if (earliest) return earliest;
+      day = timezone.nextDay(day);
+    }
+
+    return from;
+  }
+
+  /**
+   * Check whether a window is open at a time
+   * @param {Object} settings - { timezone, windows }
+   * @param {Date} at - Time to check
+   * @returns {boolean} True if follows may run
+   */
+  isOpen(settings, at = new Date()) {
+    return this.nextAllowed(settings, at).getTime() === at.getTime();
+  }
+
+  /**
+   * Convert "HH:MM" on a local date to an instant
+   * @param {Object} day - Local date { year, month, day }
+   * @param {string} time - "HH:MM"
+   * @param {string} userTimezone - IANA timezone name
+   * @returns {Date} Instant
+   */
+  toInstant(day, time, userTimezone) {
+    const minutes = this.toMinutes(time);
+    return timezone.toUtc({
+      ...day,
+      hour: Math.floor(minutes / 60),
+      minute: minutes % 60
+    }, userTimezone);
+  }
+
+  /**
+   * Parse "HH:MM" into minutes after midnight
+   * @param {string} time - "HH:MM", "00:00" to "24:00"
+   * @returns {number|null} Minutes, or null if invalid
+   */
+  toMinutes(time) {
+    const match = /^([01]\d|2[0-4]):([0-5]\d)$/.exec(time);
+    if (!match) return null;
+
+    const minutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+    return minutes <= 24 * 60 ? minutes : null;
+  }
+}
+
+// Export singleton instance
+module.exports = new ActivityWindows();
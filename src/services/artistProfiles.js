@@ -0,0 +1,168 @@
+/**
+ * Artist Profile Service
+ *
+ * Caches swarm artists' Spotify metadata (genres, popularity, followers) in
+ * artist_profiles so suggestions can be ranked by genre without calling
+ * Spotify per request. Also stores each user's preferred and excluded genres.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const { createClient } = require('../auth/spotifyClient');
+const spotifyThrottle = require('./spotifyThrottle');
+
+/**
+ * ArtistProfiles Class
+ *
+ * Artist lookups use an app (client credentials) token; no user token is needed.
+ */
+class ArtistProfiles {
+  constructor() {
+    this.appToken = null;          // Client credentials access token
+    this.appTokenExpiresAt = 0;    // Epoch ms when the app token expires
+  }
+
+  /**
+   * Get a Spotify client authorized with the app token
+   * @returns {SpotifyWebApi} Client using client credentials
+   */
+  async getAppClient() {
+    const client = createClient();
+
+    // Renew a minute early so in-flight requests never use an expired token
+    if (!this.appToken || Date.now() >= this.appTokenExpiresAt - 60000) {
+      const grant = await spotifyThrottle.execute('client-credentials', () =>
+        client.clientCredentialsGrant()
+      );
+      this.appToken = grant.body['access_token'];
+      this.appTokenExpiresAt = Date.now() + grant.body['expires_in'] * 1000;
+    }
+
+    client.setAccessToken(this.appToken);
+    return client;
+  }
+
+  /**
+   * Fetch artists from Spotify and store their profiles
+   * @param {Array<string>} spotifyIds - Spotify artist IDs
+   * @returns {number} Number of profiles stored
+   */
+  async refreshProfiles(spotifyIds) {
+    if (spotifyIds.length === 0) return 0;
+
+    const client = await this.getAppClient();
+    let stored = 0;
+
+    // Spotify accepts at most 50 IDs per request
+    for (let i = 0; i < spotifyIds.length; i += 50) {
+      const ids = spotifyIds.slice(i, i + 50);
+      const response = await spotifyThrottle.execute('artist-profile', () => client.getArtists(ids));
+
+      // Unknown IDs come back as null entries
+      for (const artist of response.body.artists.filter(Boolean)) {
+        await this.saveProfile(artist);
+        stored++;
+      }
+    }
+
+    return stored;
+  }
+
+  /**
+   * Insert or update a cached artist profile
+   * @param {Object} artist - Spotify artist object
+   */
+  async saveProfile(artist) {
+    await db.query(`
+      INSERT INTO artist_profiles (spotify_id, name, genres, popularity, followers, fetched_at)
+      VALUES ($1, $2, $3, $4, $5, NOW())
+      ON CONFLICT (spotify_id) DO UPDATE
+      SET name = EXCLUDED.name,
+          genres = EXCLUDED.genres,
+          popularity = EXCLUDED.popularity,
+          followers = EXCLUDED.followers,
+          fetched_at = NOW()
+    `, [
+      artist.id,
+      artist.name,
+      (artist.genres || []).map(genre => genre.toLowerCase()),
+      artist.popularity ?? null,
+      artist.followers?.total ?? null
+    ]);
+  }
+
+  /**
+   * Refresh profiles for active swarm artists that are missing or stale
+   * @returns {number} Number of profiles stored
+   */
+  async syncStaleProfiles() {
+    const result = await db.query(`
+      SELECT u.spotify_id
+      FROM users u
+      LEFT JOIN artist_profiles ap ON ap.spotify_id = u.spotify_id
+      WHERE u.is_active = true
+        AND (ap.fetched_at IS NULL OR ap.fetched_at < NOW() - ($1 || ' hours')::INTERVAL)
+      ORDER BY ap.fetched_at ASC NULLS FIRST
+      LIMIT $2
+    `, [config.artistProfiles.ttlHours, config.artistProfiles.batchSize]);
+
+    const stored = await this.refreshProfiles(result.rows.map(r => r.spotify_id));
+    logger.info(`Artist profile sync stored ${stored} of ${result.rows.length} stale profiles`);
+    return stored;
+  }
+
+  /**
+   * Get a user's genre preferences
+   * @param {string} userId - User ID
+   * @returns {Object} { preferred, excluded }
+   */
+  async getGenrePreferences(userId) {
+    const user = await db.findOne('users', { id: userId });
+
+    return {
+      preferred: user?.preferred_genres || [],
+      excluded: user?.excluded_genres || []
+    };
+  }
+
+  /**
+   * Replace a user's genre preferences
+   * @param {string} userId - User ID
+   * @param {Object} preferences - { preferred, excluded } genre name arrays
+   * @returns {Object} Stored preferences
+   */
+  async setGenrePreferences(userId, { preferred = [], excluded = [] }) {
+    const preferredGenres = this.normalizeGenres(preferred);
+    const excludedGenres = this.normalizeGenres(excluded)
+      .filter(genre => !preferredGenres.includes(genre));
+
+    await db.query(`
+      UPDATE users
+      SET preferred_genres = $2,
+          excluded_genres = $3,
+          updated_at = NOW()
+      WHERE id = $1
+    `, [userId, preferredGenres, excludedGenres]);
+
+    return { preferred: preferredGenres, excluded: excludedGenres };
+  }
+
+  /**
+   * Lowercase, trim and de-duplicate genre names
+   * Spotify reports genres in lowercase, e.g. "indie pop"
+   * @param {Array<string>} genres - Genre names
+   * @returns {Array<string>} Normalized genre names
+   */
+  normalizeGenres(genres) {
+    return [...new Set(
+      genres
+        .filter(genre => typeof genre === 'string')
+        .map(genre => genre.trim().toLowerCase())
+        .filter(Boolean)
+    )];
+  }
+}
+
+// Export singleton instance
+module.exports = new ArtistProfiles();
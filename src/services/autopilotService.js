@@ -0,0 +1,201 @@
+/**
+ * Autopilot Service
+ *
+ * Opt-in daily follows topped up by the autopilot job. Each user sets a
+ * daily target, capped by their tier, and a local time window; the job
+ * queues suggested artists until the day's target is reached and records
+ * what it queued in a per-day log.
+ */
+
+const config = require('../../config');
+const db = require('../database');
+const activityWindows = require('./activityWindows');
+const timezone = require('../utils/timezone');
+
+/**
+ * AutopilotService Class
+ */
+class AutopilotService {
+  /**
+   * Get the largest daily target a tier allows
+   * @param {string} tier - Subscription tier
+   * @returns {number} Follows per day
+   */
+  getTierMax(tier) {
+    return (config.subscriptions[tier] || config.subscriptions.free).maxAutopilotDaily;
+  }
+
+  /**
+   * Get a user's autopilot settings
+   * @param {Object} user - User row
+   * @returns {Object} Formatted settings (defaults when never configured)
+   */
+  async getSettings(user) {
+    const row = await db.findOne('autopilot_settings', { user_id: user.id });
+    return this.formatSettings(row, user);
+  }
+
+  /**
+   * Format a settings row for the API and the autopilot job
+   * @param {Object|null} row - autopilot_settings row
+   * @param {Object} user - User row
+   * @returns {Object} { enabled, paused, dailyTarget, effectiveDailyTarget, tierMax, window, timezone }
+   */
+  formatSettings(row, user) {
+    const tierMax = this.getTierMax(user.subscription_tier);
+    const dailyTarget = row?.daily_target ?? config.autopilot.defaultDailyTarget;
+
+    return {
+      enabled: Boolean(row?.enabled),
+      paused: Boolean(row?.paused),
+      dailyTarget,
+      effectiveDailyTarget: Math.min(dailyTarget, tierMax),
+      tierMax,
+      window: {
+        start: row?.window_start || '09:00',
+        end: row?.window_end || '21:00'
+      },
+      timezone: activityWindows.getSettings(user).timezone
+    };
+  }
+
+  /**
+   * Check settings from a request body
+   * @param {Object} settings - { enabled, dailyTarget, window }, all optional
+   * @returns {string|null} Error message, or null if valid
+   */
+  validate({ enabled, dailyTarget, window }) {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return 'enabled must be a boolean';
+    }
+    if (dailyTarget !== undefined && !(Number.isInteger(dailyTarget) && dailyTarget > 0)) {
+      return 'dailyTarget must be a positive integer';
+    }
+    if (window !== undefined) {
+      const start = activityWindows.toMinutes(window?.start);
+      const end = activityWindows.toMinutes(window?.end);
+      if (start === null || end === null || start >= end) {
+        return 'window needs HH:MM start and end times with start before end';
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Create or change a user's settings; omitted fields keep their value
+   * @param {Object} user - User row
+   * @param {Object} settings - { enabled, dailyTarget, window }
+   * @returns {Object} Formatted settings
+   */
+  async updateSettings(user, { enabled, dailyTarget, window }) {
+    const result = await db.query(`
+      INSERT INTO autopilot_settings (user_id, enabled, daily_target, window_start, window_end)
+      VALUES ($1, COALESCE($2, false), COALESCE($3, $6), COALESCE($4, '09:00'), COALESCE($5, '21:00'))
+      ON CONFLICT (user_id) DO UPDATE SET
+        enabled = COALESCE($2, autopilot_settings.enabled),
+        daily_target = COALESCE($3, autopilot_settings.daily_target),
+        window_start = COALESCE($4, autopilot_settings.window_start),
+        window_end = COALESCE($5, autopilot_settings.window_end),
+        updated_at = NOW()
+      RETURNING *
+    `, [
+      user.id,
+      enabled ?? null,
+      dailyTarget ?? null,
+      window?.start ?? null,
+      window?.end ?? null,
+      config.autopilot.defaultDailyTarget
+    ]);
+
+    return this.formatSettings(result.rows[0], user);
+  }
+
+  /**
+   * Pause or resume autopilot; follows it already queued still run
+   * @param {Object} user - User row
+   * @param {boolean} paused - Stop queuing new follows
+   * @returns {Object|null} Formatted settings, or null if autopilot was never set up
+   */
+  async setPaused(user, paused) {
+    const result = await db.query(`
+      UPDATE autopilot_settings
+      SET paused = $2, updated_at = NOW()
+      WHERE user_id = $1
+      RETURNING *
+    `, [user.id, paused]);
+
+    return result.rows[0] ? this.formatSettings(result.rows[0], user) : null;
+  }
+
+  /**
+   * Get the user's local date, which keys the autopilot log
+   * @param {string} userTimezone - IANA timezone name
+   * @param {Date} at - Instant
+   * @returns {string} "YYYY-MM-DD"
+   */
+  getLocalDate(userTimezone, at = new Date()) {
+    const { year, month, day } = timezone.getLocalTime(at, userTimezone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  }
+
+  /**
+   * Count follows autopilot queued on a local date
+   * @param {string} userId - User ID
+   * @param {string} runDate - "YYYY-MM-DD"
+   * @returns {number} Follows queued
+   */
+  async getQueuedOn(userId, runDate) {
+    const result = await db.query(
+      'SELECT queued FROM autopilot_log WHERE user_id = $1 AND run_date = $2',
+      [userId, runDate]
+    );
+    return result.rows[0]?.queued || 0;
+  }
+
+  /**
+   * Add a run to the day's log
+   * @param {string} userId - User ID
+   * @param {string} runDate - "YYYY-MM-DD"
+   * @param {Array<string>} artistIds - Artists queued by this run
+   * @param {string|null} note - Why nothing was queued, if so
+   */
+  async recordRun(userId, runDate, artistIds, note = null) {
+    await db.query(`
+      INSERT INTO autopilot_log (user_id, run_date, queued, artist_ids, note)
+      VALUES ($1, $2, $3, $4, $5)
+      ON CONFLICT (user_id, run_date) DO UPDATE SET
+        queued = autopilot_log.queued + EXCLUDED.queued,
+        artist_ids = autopilot_log.artist_ids || EXCLUDED.artist_ids,
+        note = EXCLUDED.note,
+        updated_at = NOW()
+    `, [userId, runDate, artistIds.length, artistIds, note]);
+  }
+
+  /**
+   * Get what autopilot queued for a user, one entry per day
+   * @param {string} userId - User ID
+   * @param {number} days - How many days to return
+   * @returns {Array} Log entries, newest first
+   */
+  async getLog(userId, days = 14) {
+    const result = await db.query(`
+      SELECT to_char(run_date, 'YYYY-MM-DD') AS run_date, queued, artist_ids, note, updated_at
+      FROM autopilot_log
+      WHERE user_id = $1
+      ORDER BY run_date DESC
+      LIMIT $2
+    `, [userId, days]);
+
+    return result.rows.map(row => ({
+      date: row.run_date,
+      queued: row.queued,
+      artistIds: row.artist_ids || [],
+      note: row.note,
+      lastRunAt: row.updated_at
+    }));
+  }
+}
+
+// Export singleton instance
+module.exports = new AutopilotService();
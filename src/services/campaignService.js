@@ -0,0 +1,214 @@
+/**
+ * Campaign Service
+ *
+ * Follow campaigns let an artist ask the swarm for a number of new followers
+ * over a time window ("500 followers over 3 weeks"). This service owns the
+ * campaigns table, subscription tier limits and progress reporting; the
+ * campaign scheduler job turns remaining demand into follow jobs.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const jobCancellation = require('./jobCancellation');
+
+/**
+ * CampaignService Class
+ *
+ * Campaign statuses: active, paused, completed, expired, cancelled.
+ * Only active campaigns are scheduled; paused ones keep their place.
+ */
+class CampaignService {
+  /**
+   * Check a new campaign against the user's subscription tier
+   * @param {Object} user - Campaign owner (users row)
+   * @param {number} targetFollows - Requested number of follows
+   * @returns {Object} { allowed, reason, limits }
+   */
+  async checkLimits(user, targetFollows) {
+    const tierLimits = config.subscriptions[user.subscription_tier] || config.subscriptions.free;
+
+    const result = await db.query(`
+      SELECT COUNT(*) as count
+      FROM campaigns
+      WHERE user_id = $1
+        AND status IN ('active', 'paused')
+    `, [user.id]);
+    const activeCampaigns = parseInt(result.rows[0].count);
+
+    const limits = {
+      activeCampaigns,
+      maxActiveCampaigns: tierLimits.maxActiveCampaigns,
+      maxCampaignFollows: tierLimits.maxCampaignFollows
+    };
+
+    if (activeCampaigns >= tierLimits.maxActiveCampaigns) {
+      return {
+        allowed: false,
+        reason: `Your plan allows ${tierLimits.maxActiveCampaigns} active campaign(s)`,
+        limits
+      };
+    }
+
+    if (tierLimits.maxCampaignFollows !== -1 && targetFollows > tierLimits.maxCampaignFollows) {
+      return {
+        allowed: false,
+        reason: `Your plan allows at most ${tierLimits.maxCampaignFollows} follows per campaign`,
+        limits
+      };
+    }
+
+    return { allowed: true, reason: null, limits };
+  }
+
+  /**
+   * Create a campaign for the user's own artist profile
+   * @param {Object} user - Campaign owner (users row)
+   * @param {Object} data - { name, targetFollows, startsAt, endsAt, dailyBudget }
+   * @returns {Object} Created campaign
+   */
+  async createCampaign(user, { name, targetFollows, startsAt, endsAt, dailyBudget = null }) {
+    const campaign = await db.insert('campaigns', {
+      user_id: user.id,
+      target_artist_id: user.spotify_id,
+      name: name || null,
+      target_follows: targetFollows,
+      daily_budget: dailyBudget,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      status: 'active'
+    });
+
+    logger.info(`Campaign ${campaign.id} created by user ${user.id}: ${targetFollows} follows by ${endsAt.toISOString()}`);
+    return campaign;
+  }
+
+  /**
+   * Get a user's campaigns, newest first
+   * @param {string} userId - Owner user ID
+   * @returns {Array} Campaign rows
+   */
+  async getCampaigns(userId) {
+    const result = await db.query(`
+      SELECT * FROM campaigns
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+      LIMIT 100
+    `, [userId]);
+
+    return result.rows;
+  }
+
+  /**
+   * Get one of the user's campaigns
+   * @param {string} campaignId - campaigns.id
+   * @param {string} userId - Owner user ID
+   * @returns {Object|null} Campaign row
+   */
+  async getCampaign(campaignId, userId) {
+    return db.findOne('campaigns', { id: campaignId, user_id: userId });
+  }
+
+  /**
+   * Update a campaign's editable fields
+   * @param {Object} campaign - Campaign row
+   * @param {Object} updates - { name, dailyBudget, endsAt, status }
+   * @returns {Object} Updated campaign
+   */
+  async updateCampaign(campaign, { name, dailyBudget, endsAt, status }) {
+    const fields = { updated_at: new Date() };
+
+    if (name !== undefined) fields.name = name;
+    if (dailyBudget !== undefined) fields.daily_budget = dailyBudget;
+    if (endsAt !== undefined) fields.ends_at = endsAt;
+    if (status !== undefined) fields.status = status;
+
+    if (status === 'paused' && campaign.status === 'active') {
+      // Queued follows are dropped and re-planned on resume
+      await jobCancellation.cancelCampaignJobs(campaign.id);
+      fields.follows_pending = 0;
+    } else if (status === 'active' && campaign.status === 'paused') {
+      // Pace the remaining demand from now rather than catching up the pause
+      fields.last_scheduled_at = new Date();
+    }
+
+    return db.update('campaigns', campaign.id, fields);
+  }
+
+  /**
+   * Cancel a campaign and its queued follow jobs
+   * @param {Object} campaign - Campaign row
+   * @returns {Object} Cancelled campaign
+   */
+  async cancelCampaign(campaign) {
+    return this.finishCampaign(campaign, 'cancelled');
+  }
+
+  /**
+   * Move a campaign to a final status and drop its queued jobs
+   * @param {Object} campaign - Campaign row
+   * @param {string} status - completed, expired or cancelled
+   * @returns {Object} Updated campaign
+   */
+  async finishCampaign(campaign, status) {
+    await jobCancellation.cancelCampaignJobs(campaign.id);
+
+    const updated = await db.update('campaigns', campaign.id, {
+      status,
+      follows_pending: 0,
+      completed_at: new Date(),
+      updated_at: new Date()
+    });
+
+    logger.info(`Campaign ${campaign.id} ${status}`);
+    return updated;
+  }
+
+  /**
+   * Recount completed and pending follows for a campaign
+   * @param {Object} campaign - Campaign row
+   * @returns {Object} Campaign row with fresh counters
+   */
+  async refreshProgress(campaign) {
+    const result = await db.query(`
+      UPDATE campaigns
+      SET follows_completed = (
+            SELECT COUNT(*) FROM follows
+            WHERE campaign_id = $1
+              AND status IN ('completed', 'verified')
+          ),
+          follows_pending = (
+            SELECT COUNT(*) FROM queue_jobs
+            WHERE campaign_id = $1
+              AND status IN ('queued', 'scheduled', 'rescheduled', 'processing')
+          ),
+          updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [campaign.id]);
+
+    return result.rows[0] || campaign;
+  }
+
+  /**
+   * Format campaign progress for API responses
+   * @param {Object} campaign - Campaign row
+   * @returns {Object} Progress summary
+   */
+  getProgress(campaign) {
+    const completed = parseInt(campaign.follows_completed) || 0;
+    const pending = parseInt(campaign.follows_pending) || 0;
+
+    return {
+      target: campaign.target_follows,
+      completed,
+      pending,
+      remaining: Math.max(0, campaign.target_follows - completed),
+      percent: Math.min(100, Math.round((completed / campaign.target_follows) * 100)),
+      endsAt: campaign.ends_at
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new CampaignService();
@@ -0,0 +1,179 @@
+/**
+ * Credit Ledger Service
+ *
+ * Tracks the follow-exchange economy: users earn credits for every follow
+ * they give and spend credits for every follow they receive from the swarm.
+ * Balances are kept on users.credit_balance, entries in credit_ledger.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+
+/**
+ * CreditLedger Class
+ *
+ * Records ledger entries and keeps user balances in sync within a transaction.
+ */
+class CreditLedger {
+  /**
+   * Record a completed follow: credit the follower, debit the followed artist
+   * @param {string} followerUserId - User who gave the follow
+   * @param {string} targetArtistId - Spotify ID that was followed
+   * @param {string} followId - follows.id of the completed follow
+   * @returns {Object} Resulting balances ({ follower, target })
+   */
+  async recordFollow(followerUserId, targetArtistId, followId) {
+    return db.transaction(async (client) => {
+      // Only swarm members have a balance to debit
+      const targetResult = await client.query(
+        'SELECT id FROM users WHERE spotify_id = $1 LIMIT 1',
+        [targetArtistId]
+      );
+      const targetUserId = targetResult.rows[0]?.id || null;
+
+      const follower = await this.applyEntry(client, {
+        userId: followerUserId,
+        followId,
+        entryType: 'follow_given',
+        amount: config.credits.perFollowGiven,
+        counterpartyUserId: targetUserId
+      });
+
+      let target = null;
+      if (targetUserId) {
+        target = await this.applyEntry(client, {
+          userId: targetUserId,
+          followId,
+          entryType: 'follow_received',
+          amount: -config.credits.perFollowReceived,
+          counterpartyUserId: followerUserId
+        });
+      }
+
+      logger.debug(`Credit ledger updated for follow ${followId}`);
+      return { follower, target };
+    });
+  }
+
+  /**
+   * Reverse the credits of a follow that was undone
+   * The follower gives back what they earned and the artist gets back what
+   * they spent, using the amounts originally recorded
+   * @param {string} followId - follows.id that was unfollowed
+   * @returns {Object} Resulting balances ({ follower, target }); null where nothing was reversed
+   */
+  async recordUnfollow(followId) {
+    return db.transaction(async (client) => {
+      const entries = await client.query(`
+        SELECT user_id, entry_type, amount, counterparty_user_id
+        FROM credit_ledger
+        WHERE follow_id = $1
+          AND entry_type IN ('follow_given', 'follow_received')
+      `, [followId]);
+
+      const balances = { follower: null, target: null };
+      for (const entry of entries.rows) {
+        const given = entry.entry_type === 'follow_given';
+        balances[given ? 'follower' : 'target'] = await this.applyEntry(client, {
+          userId: entry.user_id,
+          followId,
+          entryType: given ? 'unfollow_given' : 'unfollow_received',
+          amount: -entry.amount,
+          counterpartyUserId: entry.counterparty_user_id
+        });
+      }
+
+      logger.debug(`Credit ledger reversed for unfollowed follow ${followId}`);
+      return balances;
+    });
+  }
+
+  /**
+   * Insert a ledger entry and apply it to the user's balance
+   * Entries are unique per (follow, entry type) so replays are no-ops
+   * @param {Client} client - Transaction client
+   * @param {Object} entry - Entry data
+   * @returns {number|null} New balance, or null if the entry already existed
+   */
+  async applyEntry(client, { userId, followId, entryType, amount, counterpartyUserId }) {
+    const result = await client.query(`
+      WITH entry AS (
+        INSERT INTO credit_ledger (user_id, follow_id, entry_type, amount, counterparty_user_id)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (follow_id, entry_type) DO NOTHING
+        RETURNING id
+      )
+      UPDATE users
+      SET credit_balance = credit_balance + $4
+      WHERE id = $1
+        AND EXISTS (SELECT 1 FROM entry)
+      RETURNING credit_balance
+    `, [userId, followId, entryType, amount, counterpartyUserId]);
+
+    return result.rows[0] ? parseInt(result.rows[0].credit_balance) : null;
+  }
+
+  /**
+   * Get a user's current balance with lifetime totals
+   * @param {string} userId - User ID
+   * @returns {Object} Balance summary
+   */
+  async getBalance(userId) {
+    const result = await db.query(`
+      SELECT
+        u.credit_balance as balance,
+        COALESCE(SUM(l.amount) FILTER (WHERE l.amount > 0), 0) as earned,
+        COALESCE(-SUM(l.amount) FILTER (WHERE l.amount < 0), 0) as spent
+      FROM users u
+      LEFT JOIN credit_ledger l ON l.user_id = u.id
+      WHERE u.id = $1
+      GROUP BY u.id, u.credit_balance
+    `, [userId]);
+
+    const row = result.rows[0] || {};
+    return {
+      balance: parseInt(row.balance) || 0,
+      earned: parseInt(row.earned) || 0,
+      spent: parseInt(row.spent) || 0
+    };
+  }
+
+  /**
+   * Get a user's ledger entries, newest first
+   * @param {string} userId - User ID
+   * @param {Object} options - Pagination options (limit, offset)
+   * @returns {Array} Ledger entries
+   */
+  async getHistory(userId, { limit = 50, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT l.id, l.entry_type, l.amount, l.follow_id, l.created_at,
+             f.target_artist_id, c.display_name as counterparty_name
+      FROM credit_ledger l
+      LEFT JOIN follows f ON f.id = l.follow_id
+      LEFT JOIN users c ON c.id = l.counterparty_user_id
+      WHERE l.user_id = $1
+      ORDER BY l.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset]);
+
+    return result.rows;
+  }
+
+  /**
+   * Count a user's ledger entries
+   * @param {string} userId - User ID
+   * @returns {number} Number of entries
+   */
+  async countEntries(userId) {
+    const result = await db.query(
+      'SELECT COUNT(*) as total FROM credit_ledger WHERE user_id = $1',
+      [userId]
+    );
+
+    return parseInt(result.rows[0]?.total) || 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new CreditLedger();
@@ -0,0 +1,204 @@
+/**
+ * Entitlements Service
+ *
+ * Works out which features (config.subscriptions[tier].features) a user may
+ * use. A user gets their tier's features, plus those of a tier they are
+ * trialling, and per-user overrides grant or revoke single features on top.
+ * requireFeature (middleware/auth) enforces them and GET /api/me/entitlements
+ * lets the client gate its UI.
+ */
+
+const config = require('../../config');
+const db = require('../database');
+const logger = require('../utils/logger');
+
+/**
+ * Entitlements Class
+ *
+ * Everything is read from the user row (trial_tier, trial_ends_at,
+ * feature_overrides), so checking a feature needs no query.
+ */
+class Entitlements {
+  /**
+   * Every feature some tier includes
+   * @returns {Array<string>} Feature names
+   */
+  getFeatures() {
+    return [...new Set(Object.values(config.subscriptions).flatMap(tier => tier.features))];
+  }
+
+  /**
+   * Tiers whose plan includes a feature, cheapest first
+   * @param {string} feature - Feature name
+   * @returns {Array<string>} Tier names
+   */
+  tiersWith(feature) {
+    return Object.keys(config.subscriptions)
+      .filter(tier => config.subscriptions[tier].features.includes(feature));
+  }
+
+  /**
+   * Resolve a user's effective features
+   * Expired trials and overrides are ignored
+   * @param {Object} user - User row
+   * @param {Date} now - Current time
+   * @returns {Object} { tier, features, trial, overrides }
+   */
+  resolve(user, now = new Date()) {
+    const tier = config.subscriptions[user.subscription_tier] ? user.subscription_tier : 'free';
+    const features = new Set(config.subscriptions[tier].features);
+
+    const trial = this.getActiveTrial(user, now);
+    if (trial) {
+      config.subscriptions[trial.tier].features.forEach(feature => features.add(feature));
+    }
+
+    const overrides = this.getActiveOverrides(user, now);
+    for (const override of overrides) {
+      if (override.enabled) {
+        features.add(override.feature);
+      } else {
+        features.delete(override.feature);
+      }
+    }
+
+    return {
+      tier,
+      features: this.getFeatures().filter(feature => features.has(feature)),
+      trial,
+      overrides
+    };
+  }
+
+  /**
+   * Check one feature
+   * @param {Object} user - User row
+   * @param {string} feature - Feature name
+   * @param {Date} now - Current time
+   * @returns {boolean} Whether the user may use the feature
+   */
+  hasFeature(user, feature, now = new Date()) {
+    return this.resolve(user, now).features.includes(feature);
+  }
+
+  /**
+   * The user's trial, if it is still running
+   * @param {Object} user - User row
+   * @param {Date} now - Current time
+   * @returns {Object|null} { tier, endsAt }
+   */
+  getActiveTrial(user, now = new Date()) {
+    if (!config.subscriptions[user.trial_tier] || !user.trial_ends_at) return null;
+    if (new Date(user.trial_ends_at) <= now) return null;
+
+    return { tier: user.trial_tier, endsAt: new Date(user.trial_ends_at) };
+  }
+
+  /**
+   * The user's overrides that have not expired
+   * @param {Object} user - User row
+   * @param {Date} now - Current time
+   * @returns {Array<Object>} { feature, enabled, expiresAt, reason }
+   */
+  getActiveOverrides(user, now = new Date()) {
+    return Object.entries(user.feature_overrides || {})
+      .filter(([, override]) => !override.expiresAt || new Date(override.expiresAt) > now)
+      .map(([feature, override]) => ({
+        feature,
+        enabled: override.enabled,
+        expiresAt: override.expiresAt ? new Date(override.expiresAt) : null,
+        reason: override.reason || null
+      }));
+  }
+
+  /**
+   * Let a user try a tier's features for a number of days
+   * Starting a new trial replaces the current one
+   * @param {string} userId - User ID
+   * @param {string} tier - Tier to trial
+   * @param {number} days - Trial length
+   * @param {Date} now - Current time
+   * @returns {Object|null} { tier, endsAt }, or null if the user doesn't exist
+   */
+  async startTrial(userId, tier, days, now = new Date()) {
+    if (!config.subscriptions[tier]) {
+      throw Object.assign(new Error(`Unknown tier: ${tier}`), { code: 'INVALID_ENTITLEMENT' });
+    }
+    if (!Number.isInteger(days) || days < 1 || days > config.entitlements.maxTrialDays) {
+      throw Object.assign(
+        new Error(`Trial length must be 1 to ${config.entitlements.maxTrialDays} days`),
+        { code: 'INVALID_ENTITLEMENT' }
+      );
+    }
+
+    const endsAt = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+    const result = await db.query(`
+      UPDATE users
+      SET trial_tier = $2,
+          trial_ends_at = $3
+      WHERE id = $1
+      RETURNING id
+    `, [userId, tier, endsAt]);
+
+    if (result.rows.length === 0) return null;
+
+    logger.info(`Started ${days}-day ${tier} trial for user ${userId}`);
+    return { tier, endsAt };
+  }
+
+  /**
+   * Grant or revoke one feature for a user
+   * @param {string} userId - User ID
+   * @param {string} feature - Feature name
+   * @param {Object} override - { enabled, expiresAt, reason }
+   * @returns {Object|null} The stored override, or null if the user doesn't exist
+   */
+  async setOverride(userId, feature, { enabled, expiresAt = null, reason = null }) {
+    if (!this.getFeatures().includes(feature)) {
+      throw Object.assign(new Error(`Unknown feature: ${feature}`), { code: 'INVALID_ENTITLEMENT' });
+    }
+    if (typeof enabled !== 'boolean') {
+      throw Object.assign(new Error('enabled must be true or false'), { code: 'INVALID_ENTITLEMENT' });
+    }
+    if (expiresAt !== null && isNaN(new Date(expiresAt).getTime())) {
+      throw Object.assign(new Error('expiresAt must be a date'), { code: 'INVALID_ENTITLEMENT' });
+    }
+
+    const override = {
+      enabled,
+      expiresAt: expiresAt === null ? null : new Date(expiresAt).toISOString(),
+      reason
+    };
+    const result = await db.query(`
+      UPDATE users
+      SET feature_overrides = feature_overrides || jsonb_build_object($2::text, $3::jsonb)
+      WHERE id = $1
+      RETURNING id
+    `, [userId, feature, JSON.stringify(override)]);
+
+    if (result.rows.length === 0) return null;
+
+    logger.info(`${enabled ? 'Granted' : 'Revoked'} feature ${feature} for user ${userId}`);
+    return { feature, ...override };
+  }
+
+  /**
+   * Drop a user's override so the feature follows tier and trial again
+   * @param {string} userId - User ID
+   * @param {string} feature - Feature name
+   * @returns {boolean} Whether the user exists
+   */
+  async removeOverride(userId, feature) {
+    const result = await db.query(`
+      UPDATE users
+      SET feature_overrides = feature_overrides - $2
+      WHERE id = $1
+      RETURNING id
+    `, [userId, feature]);
+
+    return result.rows.length > 0;
+  }
+}
+
+// Export singleton instance
+module.exports = new Entitlements();
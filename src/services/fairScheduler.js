@@ -0,0 +1,172 @@
+/**
+ * Fair Scheduler
+ *
+ * Decides which user's follow job runs next so that one user's large batch
+ * cannot starve everyone else. Scheduling is hierarchical deficit round-robin:
+ * subscription tiers share the queue by weight (config.subscriptions[tier].queueShare)
+ * and users within a tier take turns. Each user's jobs run strictly in the
+ * order they were queued.
+ *
+ * The scheduler only holds ordering state; QueueManager loads it with the
+ * currently due jobs before each dispatch.
+ */
+
+const config = require('../../config');
+
+/**
+ * FairScheduler Class
+ *
+ * Every visit to a tier adds its share to the tier's deficit, and each job
+ * served costs 1. A tier with share 4 therefore serves four jobs for every
+ * one served by a tier with share 1 while both have work waiting.
+ */
+class FairScheduler {
+  constructor() {
+    this.reset();
+  }
+
+  /**
+   * Drop all queued items and fairness state
+   */
+  reset() {
+    this.tierOrder = Object.keys(config.subscriptions).reverse(); // Highest tier visited first
+    this.tierIndex = 0;
+    this.tiers = {};          // tier -> { ring: [userId], deficit, visited }
+    this.users = new Map();   // userId -> { tier, items: [] } in queue order
+
+    for (const tier of this.tierOrder) {
+      this.tiers[tier] = { ring: [], deficit: 0, visited: false };
+    }
+  }
+
+  /**
+   * Add an item to the end of a user's queue
+   * @param {string} userId - Owner of the item
+   * @param {string} tier - Subscription tier of the user
+   * @param {*} item - Queued item (e.g. a Bull job)
+   */
+  enqueue(userId, tier, item) {
+    let user = this.users.get(userId);
+
+    if (!user) {
+      const userTier = this.tiers[tier] ? tier : 'free';
+      user = { tier: userTier, items: [] };
+      this.users.set(userId, user);
+      this.tiers[userTier].ring.push(userId);
+    }
+
+    user.items.push(item);
+  }
+
+  /**
+   * Replace queued items with a fresh snapshot, keeping whose turn it is
+   * Users already waiting keep their place in the rotation; new users join the end
+   * @param {Array<Object>} entries - { userId, tier, item } in queue order
+   */
+  load(entries) {
+    const present = new Set(entries.map(entry => entry.userId));
+
+    for (const state of Object.values(this.tiers)) {
+      state.ring = state.ring.filter(userId => present.has(userId));
+    }
+
+    const previous = this.users;
+    this.users = new Map();
+
+    for (const { userId, tier, item } of entries) {
+      let user = this.users.get(userId);
+
+      if (!user) {
+        const userTier = this.tiers[tier] ? tier : 'free';
+        user = { tier: userTier, items: [] };
+        this.users.set(userId, user);
+
+        // A user who moved tier leaves the old rotation and joins the new one
+        const before = previous.get(userId);
+        if (before && before.tier !== userTier) {
+          this.tiers[before.tier].ring = this.tiers[before.tier].ring.filter(id => id !== userId);
+        }
+        if (!this.tiers[userTier].ring.includes(userId)) {
+          this.tiers[userTier].ring.push(userId);
+        }
+      }
+
+      user.items.push(item);
+    }
+  }
+
+  /**
+   * Take the next item in fair order
+   * @returns {*} Next item, or null when nothing is queued
+   */
+  next() {
+    if (this.users.size === 0) return null;
+
+    for (;;) {
+      const tier = this.tierOrder[this.tierIndex];
+      const state = this.tiers[tier];
+
+      if (state.ring.length === 0) {
+        // Idle tiers don't bank credit for later
+        state.deficit = 0;
+        state.visited = false;
+        this.tierIndex = (this.tierIndex + 1) % this.tierOrder.length;
+        continue;
+      }
+
+      if (!state.visited) {
+        state.deficit += config.subscriptions[tier].queueShare;
+        state.visited = true;
+      }
+
+      if (state.deficit >= 1) {
+        state.deficit -= 1;
+        return this.takeFromTier(state);
+      }
+
+      state.visited = false;
+      this.tierIndex = (this.tierIndex + 1) % this.tierOrder.length;
+    }
+  }
+
+  /**
+   * Serve the user at the head of a tier's rotation
+   * @param {Object} state - Tier state
+   * @returns {*} The user's oldest item
+   */
+  takeFromTier(state) {
+    const userId = state.ring.shift();
+    const user = this.users.get(userId);
+    const item = user.items.shift();
+
+    if (user.items.length > 0) {
+      state.ring.push(userId);
+    } else {
+      this.users.delete(userId);
+    }
+
+    return item;
+  }
+
+  /**
+   * Get scheduler state for queue status
+   * @returns {Object} Waiting users and items per tier
+   */
+  getState() {
+    const tiers = {};
+
+    for (const tier of this.tierOrder) {
+      const ring = this.tiers[tier].ring;
+      tiers[tier] = {
+        share: config.subscriptions[tier].queueShare,
+        users: ring.length,
+        items: ring.reduce((sum, userId) => sum + this.users.get(userId).items.length, 0)
+      };
+    }
+
+    return { tiers };
+  }
+}
+
+// Export singleton instance
+module.exports = new FairScheduler();
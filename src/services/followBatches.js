@@ -0,0 +1,233 @@
+/**
+ * Follow Batch Service
+ *
+ * Each /batch request becomes a follow_batches row that its queue jobs and
+ * follows point back at, so a user can check a batch's progress, cancel
+ * what is left of it or retry the follows that failed.
+ */
+
+const config = require('../../config');
+const db = require('../database');
+const logger = require('../utils/logger');
+const queueManager = require('./queueManager');
+const jobCancellation = require('./jobCancellation');
+
+/**
+ * FollowBatches Class
+ *
+ * A batch is 'active' while any of its jobs wait or run, then 'completed';
+ * cancelling it makes it 'cancelled' for good.
+ */
+class FollowBatches {
+  constructor() {
+    this.pendingStatuses = ['queued', 'scheduled', 'rescheduled', 'processing'];
+    this.jobStatuses = [...this.pendingStatuses, 'completed', 'failed', 'cancelled', 'retried'];
+  }
+
+  /**
+   * Create a batch and queue its follows
+   * Targets the user already follows or whose lists don't allow are skipped
+   * @param {string} userId - Follower user ID
+   * @param {Array<string>} targetIds - Spotify IDs of one target type
+   * @param {Object} options - { targetType } plus addBatchFollowJobs options
+   * @returns {Object} { batch, jobs }
+   */
+  async createBatch(userId, targetIds, options = {}) {
+    const { targetType = 'artist' } = options;
+
+    const batch = await db.insert('follow_batches', {
+      user_id: userId,
+      target_type: targetType,
+      requested_count: targetIds.length
+    });
+
+    const jobs = await queueManager.addBatchFollowJobs(userId, targetIds, {
+      ...options,
+      targetType,
+      batchId: batch.id
+    });
+
+    await db.update('follow_batches', batch.id, { queued_count: jobs.length });
+
+    return { batch: { ...batch, queued_count: jobs.length }, jobs };
+  }
+
+  /**
+   * List a user's batches, newest first
+   * @param {string} userId - User ID
+   * @param {Object} page - { limit, offset }
+   * @returns {Array} Batch summaries
+   */
+  async getBatches(userId, { limit = 20, offset = 0 } = {}) {
+    const result = await db.query(`
+      SELECT b.*, ${this.countColumns()}
+      FROM follow_batches b
+      LEFT JOIN queue_jobs q ON q.batch_id = b.id
+      WHERE b.user_id = $1
+      GROUP BY b.id
+      ORDER BY b.created_at DESC
+      LIMIT $3 OFFSET $4
+    `, [userId, this.pendingStatuses, limit, offset]);
+
+    return result.rows.map(row => this.summarize(row));
+  }
+
+  /**
+   * Get one of a user's batches
+   * @param {string} userId - User ID; must own the batch
+   * @param {string} batchId - follow_batches.id
+   * @returns {Object|null} Batch summary, or null if not found
+   */
+  async getBatch(userId, batchId) {
+    const result = await db.query(`
+      SELECT b.*, ${this.countColumns()}
+      FROM follow_batches b
+      LEFT JOIN queue_jobs q ON q.batch_id = b.id
+      WHERE b.user_id = $1
+        AND b.id = $3
+      GROUP BY b.id
+    `, [userId, this.pendingStatuses, batchId]);
+
+    return result.rows[0] ? this.summarize(result.rows[0]) : null;
+  }
+
+  /**
+   * Cancel a batch's jobs that have not started
+   * @param {string} userId - User ID; must own the batch
+   * @param {string} batchId - follow_batches.id
+   * @returns {Object|null} { batch, cancelledCount }, or null if not found
+   */
+  async cancelBatch(userId, batchId) {
+    const batch = await db.findOne('follow_batches', { id: batchId, user_id: userId });
+    if (!batch) return null;
+
+    const cancelled = await jobCancellation.cancelBatchJobs(batchId);
+    if (!batch.cancelled_at) {
+      await db.update('follow_batches', batchId, { cancelled_at: new Date() });
+    }
+
+    logger.info(`Cancelled batch ${batchId} for user ${userId} (${cancelled.length} jobs)`);
+    return { batch: await this.getBatch(userId, batchId), cancelledCount: cancelled.length };
+  }
+
+  /**
+   * Queue new follow jobs for a batch's failed jobs
+   * A failed job is marked 'retried' only once a replacement job exists, so
+   * if queueing fails part-way the rest can be retried again. Targets
+   * followed since are skipped and stay failed
+   * @param {string} userId - User ID; must own the batch
+   * @param {string} batchId - follow_batches.id
+   * @returns {Object|null} { batch, retriedCount }, or null if not found
+   */
+  async retryFailed(userId, batchId) {
+    const batch = await db.findOne('follow_batches', { id: batchId, user_id: userId });
+    if (!batch) return null;
+    if (batch.cancelled_at) {
+      throw Object.assign(new Error('Cannot retry a cancelled batch'), { code: 'BATCH_CANCELLED' });
+    }
+
+    const { jobs, targetIds } = await db.transaction(async (client) => {
+      // Locking the failed rows makes a concurrent retry of the batch wait for this one
+      const failed = await client.query(`
+        SELECT payload->>'targetArtistId' AS target_id
+        FROM queue_jobs
+        WHERE batch_id = $1
+          AND status = 'failed'
+        FOR UPDATE
+      `, [batchId]);
+      const targetIds = [...new Set(failed.rows.map(r => r.target_id))];
+
+      // Replacements queued by an earlier retry that failed part-way
+      const pending = await client.query(`
+        SELECT DISTINCT payload->>'targetArtistId' AS target_id
+        FROM queue_jobs
+        WHERE batch_id = $1
+          AND status = ANY($2)
+          AND payload->>'targetArtistId' = ANY($3)
+      `, [batchId, this.pendingStatuses, targetIds]);
+      const replaced = new Set(pending.rows.map(r => r.target_id));
+
+      const jobs = await queueManager.addBatchFollowJobs(userId, targetIds.filter(id => !replaced.has(id)), {
+        targetType: batch.target_type,
+        batchId
+      });
+      jobs.forEach(job => replaced.add(job.data.targetArtistId));
+
+      await client.query(`
+        UPDATE queue_jobs
+        SET status = 'retried'
+        WHERE batch_id = $1
+          AND status = 'failed'
+          AND payload->>'targetArtistId' = ANY($2)
+      `, [batchId, [...replaced]]);
+
+      if (jobs.length > 0) {
+        await client.query(`
+          UPDATE follow_batches
+          SET queued_count = queued_count + $2, updated_at = NOW()
+          WHERE id = $1
+        `, [batchId, jobs.length]);
+      }
+
+      return { jobs, targetIds };
+    });
+
+    logger.info(`Retried ${jobs.length} of ${targetIds.length} failed follows in batch ${batchId}`);
+    return { batch: await this.getBatch(userId, batchId), retriedCount: jobs.length };
+  }
+
+  /**
+   * SQL select list of per-status job counts for a batch b joined to its jobs q
+   * Also selects the latest run time of pending jobs ($2 holds pendingStatuses)
+   * @returns {string} Columns
+   */
+  countColumns() {
+    const counts = this.jobStatuses.map(status =>
+      `COUNT(q.id) FILTER (WHERE q.status = '${status}') AS ${status}_jobs`
+    );
+    return [
+      ...counts,
+      'MAX(q.scheduled_at) FILTER (WHERE q.status = ANY($2)) AS last_scheduled_at'
+    ].join(',\n             ');
+  }
+
+  /**
+   * Format a batch row with its job counts
+   * The ETA is when the last pending job is due; jobs already due are
+   * expected within one follow delay
+   * @param {Object} row - follow_batches row with count columns
+   * @returns {Object} Batch summary
+   */
+  summarize(row) {
+    const counts = {};
+    for (const status of this.jobStatuses) {
+      counts[status] = parseInt(row[`${status}_jobs`]) || 0;
+    }
+
+    const pending = this.pendingStatuses.reduce((sum, status) => sum + counts[status], 0);
+    let status = 'completed';
+    if (row.cancelled_at) status = 'cancelled';
+    else if (pending > 0) status = 'active';
+
+    const avgDelay = (config.rateLimits.followDelayMin + config.rateLimits.followDelayMax) / 2;
+    const eta = pending > 0 && row.last_scheduled_at
+      ? new Date(Math.max(new Date(row.last_scheduled_at).getTime(), Date.now() + avgDelay))
+      : null;
+
+    return {
+      id: row.id,
+      targetType: row.target_type,
+      requestedCount: row.requested_count,
+      queuedCount: row.queued_count,
+      status,
+      counts,
+      pendingCount: pending,
+      eta,
+      createdAt: row.created_at,
+      cancelledAt: row.cancelled_at
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new FollowBatches();
@@ -0,0 +1,105 @@
+/**
+ * Follow Batching
+ *
+ * With config.queue.batchFollows on, the worker processing a follow job
+ * takes the user's other due follow jobs along, so one Spotify request
+ * follows several targets. Claimed jobs are removed from the queue and run
+ * under the claiming job; if the batch fails they are put back.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const queueManager = require('./queueManager');
+
+/**
+ * FollowBatching Class
+ *
+ * Used by QueueManager.processFollowJob.
+ */
+class FollowBatching {
+  /**
+   * Claim the user's other follow jobs that are due within the batch window
+   * Only jobs already due (or about to be) are taken, so the randomized
+   * spacing of later jobs from addBatchFollowJobs is left untouched.
+   * Jobs must share the target type, since each type has its own endpoint.
+   * Candidates are found through the user's queued queue_jobs rows, so the
+   * queue itself is never scanned
+   * @param {Job} job - Job currently being processed
+   * @param {number} max - Maximum number of extra jobs to claim
+   * @returns {Array<Job>} Claimed jobs, removed from the queue
+   */
+  async claimJobs(job, max) {
+    if (max <= 0) return [];
+
+    const result = await db.query(`
+      SELECT queue_job_id
+      FROM queue_jobs
+      WHERE user_id = $1
+        AND job_type = 'follow'
+        AND target_type = $2
+        AND status = 'queued'
+        AND scheduled_at <= $3
+        AND queue_job_id <> $4
+      ORDER BY scheduled_at
+      LIMIT $5
+    `, [
+      job.data.userId,
+      job.data.targetType || 'artist',
+      new Date(Date.now() + config.queue.batchWindow),
+      String(job.id),
+      max
+    ]);
+
+    const claimed = [];
+    for (const row of result.rows) {
+      const candidate = await queueManager.getFollowJob(row.queue_job_id);
+      if (!candidate) continue;
+
+      try {
+        await candidate.remove();
+      } catch (error) {
+        // Locked by another worker, it will be processed on its own
+        logger.debug(`Could not claim job ${candidate.id} for batch: ${error.message}`);
+        continue;
+      }
+
+      // Cancelled after it was queued; removing it was all that was left to do
+      if (await queueManager.claimJobRow(candidate)) {
+        claimed.push(candidate);
+      }
+    }
+
+    if (claimed.length > 0) {
+      logger.debug(`Batched ${claimed.length} extra follow jobs with job ${job.id}`);
+    }
+
+    return claimed;
+  }
+
+  /**
+   * Put claimed jobs back on the queue after a failed batch
+   * @param {Array<Job>} jobs - Jobs previously removed by claimJobs
+   */
+  async requeueJobs(jobs) {
+    if (jobs.length === 0) return;
+
+    for (const job of jobs) {
+      await queueManager.followIntake().add(job.name, job.data, {
+        priority: job.opts.priority,
+        delay: config.queue.backoffDelay,
+        jobId: job.id
+      });
+    }
+
+    await db.query(`
+      UPDATE queue_jobs
+      SET status = 'queued'
+      WHERE queue_job_id = ANY($1)
+        AND status = 'processing'
+    `, [jobs.map(job => String(job.id))]);
+  }
+}
+
+// Export singleton instance
+module.exports = new FollowBatching();
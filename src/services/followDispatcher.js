@@ -0,0 +1,150 @@
+/**
+ * Follow Dispatcher
+ *
+ * With fair scheduling (config.queue.fairScheduling), new follow and
+ * unfollow jobs wait in QueueManager's intake queue. The dispatcher moves
+ * them to the follow queue only as workers free up, in the order
+ * fairScheduler picks from each tier's queue share, so one user's large
+ * batch can't hold everyone else up.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const queueManager = require('./queueManager');
+const fairScheduler = require('./fairScheduler');
+const queuePriority = require('./queuePriority');
+
+/**
+ * FollowDispatcher Class
+ *
+ * QueueManager starts it on initialize and stops it on shutdown.
+ */
+class FollowDispatcher {
+  constructor() {
+    this.timer = null;        // Dispatch interval
+    this.dispatching = false; // Dispatch pass in progress
+  }
+
+  /**
+   * Dispatch periodically and whenever a worker frees up
+   */
+  start() {
+    const dispatch = () => this.dispatch().catch(error => {
+      logger.error('Follow job dispatch failed:', error);
+    });
+
+    this.timer = setInterval(dispatch, config.queue.fairDispatchInterval);
+    queueManager.queues.follow.on('completed', dispatch);
+    queueManager.queues.follow.on('failed', dispatch);
+  }
+
+  /**
+   * Stop the dispatch interval
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Move due intake jobs to the follow queue in fair-share order
+   * Only enough jobs to keep the workers busy are moved, so the order in
+   * which workers see jobs is decided here rather than by Bull
+   * @returns {number} Number of jobs dispatched
+   */
+  async dispatch() {
+    if (this.dispatching) return 0;
+    this.dispatching = true;
+
+    try {
+      const [waiting, active] = await Promise.all([
+        queueManager.queues.follow.getWaitingCount(),
+        queueManager.queues.follow.getActiveCount()
+      ]);
+      const slots = config.queue.concurrency - waiting - active;
+      if (slots <= 0) return 0;
+
+      await this.promoteDueIntakeJobs();
+
+      // Oldest due jobs first
+      const pending = (await queueManager.queues.followIntake.getJobs(
+        ['waiting'], 0, config.queue.fairWindow - 1, true
+      )).filter(Boolean);
+      if (pending.length === 0) return 0;
+
+      const tiers = await this.getUserTiers([...new Set(pending.map(job => job.data.userId))]);
+      fairScheduler.load(pending
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .map(job => ({ userId: job.data.userId, tier: tiers.get(job.data.userId), item: job })));
+
+      let dispatched = 0;
+      while (dispatched < slots) {
+        const job = fairScheduler.next();
+        if (!job) break;
+
+        // Same job ID makes a repeated move (e.g. by another process) a no-op
+        await queueManager.queues.follow.add(job.name, job.data, {
+          jobId: job.id,
+          priority: job.opts.priority,
+          attempts: job.opts.attempts
+        });
+        await job.remove();
+        dispatched++;
+      }
+
+      return dispatched;
+    } finally {
+      this.dispatching = false;
+    }
+  }
+
+  /**
+   * Move delayed intake jobs that are due to waiting
+   * Bull only does this itself for queues it processes, and the intake
+   * queue is only read by the dispatcher
+   * @param {number} now - Current time in ms
+   * @returns {number} Number of jobs promoted
+   */
+  async promoteDueIntakeJobs(now = Date.now()) {
+    // Earliest due first
+    const delayed = (await queueManager.queues.followIntake.getJobs(
+      ['delayed'], 0, config.queue.fairWindow - 1, true
+    )).filter(Boolean);
+
+    let promoted = 0;
+    for (const job of delayed) {
+      if (job.timestamp + (job.opts.delay || 0) > now) break;
+
+      try {
+        await job.promote();
+        promoted++;
+      } catch (error) {
+        // Removed or promoted by another process in the meantime
+        logger.debug(`Could not promote intake job ${job.id}: ${error.message}`);
+      }
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Look up the tier each user's jobs are dispatched as
+   * A trial or an override of priority_queue moves a user into a tier that
+   * has it (see queuePriority.tierFor), and with it that tier's queue share
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Map} userId -> tier
+   */
+  async getUserTiers(userIds) {
+    const result = await db.query(`
+      SELECT id, subscription_tier, trial_tier, trial_ends_at, feature_overrides
+      FROM users
+      WHERE id = ANY($1)
+    `, [userIds]);
+
+    return new Map(result.rows.map(row => [row.id, queuePriority.tierFor(row)]));
+  }
+}
+
+// Export singleton instance
+module.exports = new FollowDispatcher();
@@ -6,12 +6,19 @@
  * Handles both single and batch follow operations with proper throttling.
  */
 
+const crypto = require('crypto');
 const { Pool } = require('pg');
 const Bull = require('bull');
 const config = require('../../config');
 const logger = require('../utils/logger');
 const db = require('../database');
 const spotifyService = require('../auth/spotify');
+const creditLedger = require('./creditLedger');
+const activityWindows = require('./activityWindows');
+const followRateLimiter = require('./followRateLimiter');
+const followTargets = require('./followTargets');
+const targetPreferences = require('./targetPreferences');
+const queuePriority = require('./queuePriority');
 
 /**
  * FollowEngine Class
@@ -24,58 +31,55 @@ class FollowEngine {
     this.spotify = spotifyService;
     this.rateLimiters = new Map(); // Track rate limits per user
     this.activeJobs = new Map();    // Track active follow operations
+    this.activeStatuses = ['completed', 'verified', 'unverified']; // Follows that can be undone
+    this.verifiableStatuses = ['completed', 'unverified']; // Follows verification may still check
   }
 
   /**
    * Check if user can perform follow action based on rate limits
+   * nextAvailableSlot also respects the user's activity windows; pass the
+   * user row when the caller already has it to skip a lookup
    */
-  async checkRateLimits(userId, subscriptionTier = 'free') {
+  async checkRateLimits(userId, subscriptionTier = 'free', user = null) {
     const now = new Date();
-    // Calculate time windows for rate limit checks
-    const hourAgo = new Date(now - 60 * 60 * 1000);        // 1 hour ago
-    const dayAgo = new Date(now - 24 * 60 * 60 * 1000);    // 24 hours ago
-    const monthAgo = new Date(now - 30 * 24 * 60 * 60 * 1000); // 30 days ago
-
-    // Get follow counts for each time window in parallel
-    const [hourCount, dayCount, monthCount] = await Promise.all([
-      this.getFollowCount(userId, hourAgo),
-      this.getFollowCount(userId, dayAgo),
-      this.getFollowCount(userId, monthAgo)
-    ]);
-
-    // Get subscription tier limits
-    const tierLimits = config.subscriptions[subscriptionTier];
-    // Use -1 for unlimited (premium tier)
-    const maxMonthly = tierLimits?.maxFollowsPerMonth || config.subscriptions.free.maxFollowsPerMonth;
+    const maxLimits = followRateLimiter.getLimits(subscriptionTier);
+
+    // Sliding-window counts for the hour, day and 30 days
+    const usage = await followRateLimiter.getUsage(userId, maxLimits);
 
     // Calculate remaining allowances for each time window
-    const limits = {
-      hourly: {
-        count: hourCount,
-        limit: config.rateLimits.maxFollowsPerHour,
-        remaining: Math.max(0, config.rateLimits.maxFollowsPerHour - hourCount)
-      },
-      daily: {
-        count: dayCount,
-        limit: config.rateLimits.maxFollowsPerDay,
-        remaining: Math.max(0, config.rateLimits.maxFollowsPerDay - dayCount)
-      },
-      monthly: {
-        count: monthCount,
-        limit: maxMonthly === -1 ? Infinity : maxMonthly,
-        remaining: maxMonthly === -1 ? Infinity : Math.max(0, maxMonthly - monthCount)
-      }
-    };
+    // Use -1 for unlimited (premium tier)
+    const limits = {};
+    for (const window of ['hourly', 'daily', 'monthly']) {
+      const unlimited = maxLimits[window] === -1;
+      limits[window] = {
+        count: usage[window].count,
+        limit: unlimited ? Infinity : maxLimits[window],
+        remaining: unlimited ? Infinity : Math.max(0, maxLimits[window] - usage[window].count),
+        resetAt: usage[window].resetAt
+      };
+    }
 
     // User can follow only if all rate limits allow it
     const canFollow = limits.hourly.remaining > 0 && 
                      limits.daily.remaining > 0 && 
                      limits.monthly.remaining > 0;
 
+    // The next slot must also fall inside one of the user's activity windows
+    const settings = activityWindows.getSettings(user || await db.findOne('users', { id: userId }));
+    const nextAvailableSlot = activityWindows.nextAllowed(
+      settings,
+      canFollow ? now : this.calculateNextSlot(limits)
+    );
+
     return {
       canFollow,
       limits,
-      nextAvailableSlot: canFollow ? now : this.calculateNextSlot(limits)
+      activityWindow: {
+        timezone: settings.timezone,
+        open: activityWindows.isOpen(settings, now)
+      },
+      nextAvailableSlot
     };
   }
 
@@ -88,7 +92,7 @@ class FollowEngine {
       FROM follows
       WHERE follower_user_id = $1 
         AND created_at >= $2
-        AND status IN ('pending', 'completed')
+        AND status IN ('pending', 'completed', 'verified', 'unverified')
     `;
     
     const result = await db.query(query, [userId, since]);
@@ -97,31 +101,50 @@ class FollowEngine {
 
   /**
    * Calculate when the next follow slot is available
+   * Every exhausted window must have freed up, so this is the latest reset
    */
   calculateNextSlot(limits) {
-    const now = new Date();
-    const delays = [];
-
-    // Calculate wait time for each exhausted limit
-    if (limits.hourly.remaining === 0) {
-      delays.push(60 * 60 * 1000); // Wait 1 hour
-    }
-    if (limits.daily.remaining === 0) {
-      delays.push(24 * 60 * 60 * 1000); // Wait 24 hours
-    }
-    if (limits.monthly.remaining === 0) {
-      delays.push(30 * 24 * 60 * 60 * 1000); // Wait 30 days
-    }
+    const resets = Object.values(limits)
+      .filter(window => window.remaining === 0 && window.resetAt)
+      .map(window => window.resetAt.getTime());
 
-    // Return the soonest time when user can follow again
-    const minDelay = Math.min(...delays);
-    return new Date(now.getTime() + minDelay);
+    return new Date(Math.max(Date.now(), ...resets));
   }
 
   /**
    * Execute follow action for a user
+   * @param {string} userId - Follower user ID
+   * @param {string} targetArtistId - Spotify ID of the artist, user or playlist
+   * @param {string} jobId - queue_jobs ID, if any
+   * @param {string} targetType - 'artist', 'user' or 'playlist' (see followTargets)
    */
-  async followArtist(userId, targetArtistId, jobId = null) {
+  async followArtist(userId, targetArtistId, jobId = null, targetType = 'artist') {
+    const [result] = await this.followArtistBatch(userId, [{ targetArtistId, targetType, jobId }]);
+    return result;
+  }
+
+  /**
+   * Follow several targets of one type for one user with as few Spotify calls as possible
+   * Every target still gets its own follows row, counter increment and credits
+   * @param {string} userId - Follower user ID
+   * @param {Array<Object>} targets - Up to 50 entries of { targetArtistId, targetType, jobId, campaignId, batchId }
+   * @returns {Array<Object>} Per-target results, in input order
+   */
+  async followArtistBatch(userId, targets) {
+    // Spotify accepts at most 50 IDs per request
+    if (targets.length > 50) {
+      throw new Error('Cannot follow more than 50 artists per request');
+    }
+
+    // Each target type has its own endpoint, so a request holds one type
+    const targetType = targets[0]?.targetType || 'artist';
+    if (targets.some(t => (t.targetType || 'artist') !== targetType)) {
+      throw new Error('Cannot follow different target types in one request');
+    }
+
+    const followRecords = [];
+    let reservedIds = [];
+
     try {
       // Verify user exists
       const user = await db.findOne('users', { id: userId });
@@ -129,147 +152,471 @@ class FollowEngine {
         throw new Error('User not found');
       }
 
-      // Retrieve user's OAuth tokens
-      const tokens = await db.findOne('oauth_tokens', { 
-        user_id: userId,
-        provider: 'spotify' 
-      });
-
-      if (!tokens) {
-        throw new Error('No Spotify tokens found for user');
+      // Spotify client scoped to this user's token (refreshed if expired)
+      const spotifyApi = await this.spotify.getClientForUser(userId);
+
+      // Take the rate limit slots before any row exists, so a refusal leaves nothing behind
+      const followIds = targets.map(() => crypto.randomUUID());
+      const now = new Date();
+      await this.acquireRateLimit(userId, user.subscription_tier, followIds.map(id => ({ id, created_at: now })));
+      reservedIds = followIds;
+
+      // Create database records for tracking
+      for (const [i, { targetArtistId, jobId = null, campaignId = null, batchId = null }] of targets.entries()) {
+        followRecords.push(await db.insert('follows', {
+          id: followIds[i],
+          follower_user_id: userId,
+          target_artist_id: targetArtistId,
+          target_type: targetType,
+          status: 'pending',
+          queue_job_id: jobId,
+          campaign_id: campaignId,
+          batch_id: batchId
+        }));
       }
 
-      // Decrypt access token for API use
-      const decryptedTokens = await this.spotify.decryptTokens(tokens.encrypted_access_token);
-      
-      // Refresh token if expired
-      if (new Date(tokens.expires_at) <= new Date()) {
-        const refreshedTokens = await this.spotify.refreshAccessToken(
-          this.spotify.decryptRefreshToken(tokens.encrypted_refresh_token)
-        );
-        
-        // Store new access token (encrypted)
-        await db.update('oauth_tokens', tokens.id, {
-          encrypted_access_token: this.spotify.encryptTokens(refreshedTokens.accessToken),
-          expires_at: new Date(Date.now() + refreshedTokens.expiresIn * 1000)
-        });
-        
-        decryptedTokens.accessToken = refreshedTokens.accessToken;
-      }
-
-      // Configure Spotify API client with user's token
-      this.spotify.spotifyApi.setAccessToken(decryptedTokens.accessToken);
-
-      // Create database record for tracking
-      const followRecord = await db.insert('follows', {
-        follower_user_id: userId,
-        target_artist_id: targetArtistId,
-        status: 'pending',
-        queue_job_id: jobId
-      });
-
       // Execute the follow operation via Spotify API
-      await this.spotify.spotifyApi.followArtists([targetArtistId]);
+      await followTargets.follow(spotifyApi, targetType, targets.map(t => t.targetArtistId));
 
-      // Mark follow as successful
-      await db.update('follows', followRecord.id, {
-        status: 'completed',
-        completed_at: new Date()
-      });
+      // Mark follows as successful
+      for (const followRecord of followRecords) {
+        await db.update('follows', followRecord.id, {
+          status: 'completed',
+          completed_at: new Date()
+        });
+      }
 
       // Increment user's follow counter
       await db.query(`
         UPDATE users 
-        SET total_follows = total_follows + 1,
+        SET total_follows = total_follows + $2,
             last_activity = NOW()
         WHERE id = $1
-      `, [userId]);
+      `, [userId, targets.length]);
+
+      // Credit the follower and debit the followed artists
+      for (const followRecord of followRecords) {
+        try {
+          await creditLedger.recordFollow(userId, followRecord.target_artist_id, followRecord.id);
+        } catch (ledgerError) {
+          // Non-critical, the follow itself succeeded
+          logger.error(`Failed to record credits for follow ${followRecord.id}:`, ledgerError);
+        }
+      }
 
-      logger.info(`Follow completed: User ${userId} -> Artist ${targetArtistId}`);
-      
-      return {
+      logger.info(`Follow completed: User ${userId} -> ${targets.length} ${targetType}(s) ${targets.map(t => t.targetArtistId).join(', ')}`);
+
+      return followRecords.map(followRecord => ({
         success: true,
         followId: followRecord.id,
-        artistId: targetArtistId
-      };
+        artistId: followRecord.target_artist_id,
+        targetType
+      }));
 
     } catch (error) {
       logger.error('Follow execution failed:', error);
-      
-      // Record failure in database if job ID provided
-      if (jobId) {
+
+      // Rejected before reaching Spotify: the job is deferred and writes new rows when it runs
+      if (followRecords.length > 0 && ['CIRCUIT_OPEN', 'SPOTIFY_THROTTLED'].includes(error.code)) {
+        await db.query('DELETE FROM follows WHERE id = ANY($1)', [followRecords.map(f => f.id)]);
+      } else if (followRecords.length > 0) {
+        // Record failure on every row created for this request
         await db.query(`
           UPDATE follows 
           SET status = 'failed',
               error_message = $1,
               completed_at = NOW()
-          WHERE queue_job_id = $2
-        `, [error.message, jobId]);
+          WHERE id = ANY($2)
+        `, [error.message, followRecords.map(f => f.id)]);
       }
+      await followRateLimiter.release(userId, reservedIds);
 
       throw error;
     }
   }
 
   /**
-   * Get artists to follow based on user preferences and history
+   * Count follows or unfollows against the user's rate limits
+   * @param {string} userId - User ID
+   * @param {string} subscriptionTier - User's tier
+   * @param {Array<Object>} events - { id, created_at } per follow or unfollow
+   * @throws {Error} RATE_LIMITED with resetAt when they don't fit
    */
-  async getTargetArtists(userId, limit = 10) {
-    // Get list of artists user has already followed
+  async acquireRateLimit(userId, subscriptionTier, events) {
+    const limits = followRateLimiter.getLimits(subscriptionTier);
+    const { acquired, resetAt } = await followRateLimiter.acquire(userId, events, limits);
+
+    if (!acquired) {
+      throw Object.assign(new Error('Follow rate limit reached'), { code: 'RATE_LIMITED', resetAt });
+    }
+  }
+
+  /**
+   * Undo a follow on Spotify
+   * Unfollows count against the same rate limits as follows, and the
+   * follow's credits are given back
+   * @param {string} userId - Follower user ID; must own the follow
+   * @param {string} followId - follows.id to undo
+   * @returns {Object} Result ({ success, followId, artistId, targetType })
+   */
+  async unfollow(userId, followId) {
+    const follow = await db.findOne('follows', { id: followId });
+    if (!follow || follow.follower_user_id !== userId) {
+      throw Object.assign(new Error('Follow not found'), { code: 'FOLLOW_NOT_FOUND' });
+    }
+
+    const result = {
+      success: true,
+      followId,
+      artistId: follow.target_artist_id,
+      targetType: follow.target_type || 'artist'
+    };
+
+    // A repeated job (e.g. after a retry) has nothing left to do
+    if (follow.status === 'unfollowed') {
+      return { ...result, alreadyUnfollowed: true };
+    }
+    if (!this.activeStatuses.includes(follow.status)) {
+      throw Object.assign(new Error(`Cannot unfollow a ${follow.status} follow`), { code: 'FOLLOW_NOT_ACTIVE' });
+    }
+
+    const event = followRateLimiter.unfollowEvent(followId);
+    const user = await db.findOne('users', { id: userId });
+    await this.acquireRateLimit(userId, user?.subscription_tier, [event]);
+
+    try {
+      const spotifyApi = await this.spotify.getClientForUser(userId);
+      await followTargets.unfollow(spotifyApi, result.targetType, [follow.target_artist_id]);
+    } catch (error) {
+      await followRateLimiter.release(userId, [event.id]);
+      throw error;
+    }
+
+    await db.update('follows', followId, {
+      status: 'unfollowed',
+      unfollowed_at: event.created_at
+    });
+
+    try {
+      await creditLedger.recordUnfollow(followId);
+    } catch (ledgerError) {
+      // Non-critical, the unfollow itself succeeded
+      logger.error(`Failed to reverse credits for follow ${followId}:`, ledgerError);
+    }
+
+    logger.info(`Unfollow completed: User ${userId} -> ${result.targetType} ${result.artistId}`);
+    return result;
+  }
+
+  /**
+   * Check whether a follow already has an unfollow job waiting or running
+   * @param {string} followId - follows.id
+   * @returns {boolean} True when an unfollow is pending
+   */
+  async hasPendingUnfollow(followId) {
+    const result = await db.query(`
+      SELECT 1 FROM queue_jobs
+      WHERE job_type = 'unfollow'
+        AND payload->>'followId' = $1
+        AND status IN ('queued', 'scheduled', 'rescheduled', 'processing')
+      LIMIT 1
+    `, [String(followId)]);
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Get the targets of a user's follow jobs that are waiting or running
+   * @param {string} userId - User ID
+   * @returns {Array<string>} Spotify IDs
+   */
+  async getQueuedTargetIds(userId) {
+    const result = await db.query(`
+      SELECT DISTINCT payload->>'targetArtistId' AS target_id
+      FROM queue_jobs
+      WHERE user_id = $1
+        AND job_type = 'follow'
+        AND status IN ('queued', 'scheduled', 'rescheduled', 'processing')
+    `, [userId]);
+
+    return result.rows.map(r => r.target_id);
+  }
+
+  /**
+   * Find which of the given targets a user already follows
+   * Includes follows the swarm is still making and ones imported from Spotify
+   * @param {string} userId - Follower user ID
+   * @param {Array<string>} targetIds - Spotify IDs to check
+   * @param {string} targetType - Target type of the IDs
+   * @returns {Set<string>} IDs that are already followed
+   */
+  async getFollowedTargetIds(userId, targetIds, targetType = 'artist') {
+    if (targetIds.length === 0) return new Set();
+
+    const result = await db.query(`
+      SELECT DISTINCT target_artist_id
+      FROM follows
+      WHERE follower_user_id = $1
+        AND target_type = $2
+        AND target_artist_id = ANY($3::text[])
+        AND status IN ('completed', 'verified', 'unverified', 'pending', 'external')
+    `, [userId, targetType, targetIds]);
+
+    return new Set(result.rows.map(r => r.target_artist_id));
+  }
+
+  /**
+   * Find a user's follows that a bulk unfollow would undo
+   * Follows that already have an unfollow queued are left out
+   * @param {string} userId - Follower user ID
+   * @param {Object} filters - { before (Date), targetType, campaignId, limit }
+   * @returns {Array<Object>} follows rows, oldest first
+   */
+  async getUnfollowCandidates(userId, { before = new Date(), targetType = null, campaignId = null, limit = 500 } = {}) {
+    const result = await db.query(`
+      SELECT f.id, f.target_artist_id, f.target_type, f.created_at
+      FROM follows f
+      WHERE f.follower_user_id = $1
+        AND f.status = ANY($6)
+        AND f.created_at < $2
+        AND ($3::text IS NULL OR f.target_type = $3)
+        AND ($4::uuid IS NULL OR f.campaign_id = $4)
+        AND NOT EXISTS (
+          SELECT 1 FROM queue_jobs q
+          WHERE q.job_type = 'unfollow'
+            AND q.payload->>'followId' = f.id::text
+            AND q.status IN ('queued', 'scheduled', 'rescheduled', 'processing')
+        )
+      ORDER BY f.created_at ASC
+      LIMIT $5
+    `, [userId, before, targetType, campaignId, limit, this.activeStatuses]);
+
+    return result.rows;
+  }
+
+  /**
+   * Re-check a completed follow with Spotify and record the outcome
+   * Unconfirmed follows are re-sent while retries remain
+   * @param {string} followId - follows.id of the completed follow
+   * @returns {Object} Verification result ({ verified, retry }); verified is null
+   * for target types Spotify cannot be asked about and for follows that are no
+   * longer awaiting verification (e.g. unfollowed since)
+   */
+  async verifyFollow(followId) {
+    const follow = await db.findOne('follows', { id: followId });
+    if (!follow) {
+      throw new Error('Follow not found');
+    }
+
+    if (!this.verifiableStatuses.includes(follow.status)) {
+      logger.debug(`Follow ${followId} is ${follow.status}, skipping verification`);
+      return { verified: null, retry: false };
+    }
+
+    const targetType = follow.target_type || 'artist';
+    if (!followTargets.canVerify(targetType)) {
+      logger.debug(`Follow ${followId} is a ${targetType} follow, which cannot be verified`);
+      return { verified: null, retry: false };
+    }
+
+    const accessToken = await this.spotify.getValidAccessToken(follow.follower_user_id);
+    const [isFollowing] = targetType === 'artist'
+      ? await this.spotify.isFollowingArtists(accessToken, [follow.target_artist_id])
+      : await followTargets.isFollowing(
+        this.spotify.createClient({ accessToken }), targetType, [follow.target_artist_id]
+      );
+    const attempts = (follow.verification_attempts || 0) + 1;
+
+    if (isFollowing) {
+      await db.update('follows', followId, {
+        status: 'verified',
+        verified_at: new Date(),
+        verification_attempts: attempts
+      });
+
+      logger.debug(`Follow ${followId} verified`);
+      return { verified: true, retry: false };
+    }
+
+    await db.update('follows', followId, {
+      status: 'unverified',
+      verification_attempts: attempts
+    });
+
+    const retry = attempts <= config.verification.maxRetries;
+    if (retry) {
+      // Spotify did not record the follow, send it again before the next check
+      await this.resendFollow(follow, this.spotify.createClient({ accessToken }), attempts);
+    }
+
+    logger.warn(`Follow ${followId} not found on Spotify (attempt ${attempts})${retry ? ', retrying' : ''}`);
+    return { verified: false, retry };
+  }
+
+  /**
+   * Send a follow Spotify did not record again
+   * The resend counts against the user's rate limits like any follow. When it
+   * can't go out now (rate limited, Spotify throttling or circuit open) it is
+   * left to the next verification attempt
+   * @param {Object} follow - follows row
+   * @param {Object} spotifyApi - Client holding the follower's token
+   * @param {number} attempt - Verification attempt that found the follow missing
+   * @returns {boolean} True if the follow was sent
+   */
+  async resendFollow(follow, spotifyApi, attempt) {
+    const userId = follow.follower_user_id;
+    const event = { id: `resend:${follow.id}:${attempt}`, created_at: new Date() };
+    const user = await db.findOne('users', { id: userId });
+
+    try {
+      await this.acquireRateLimit(userId, user?.subscription_tier, [event]);
+    } catch (error) {
+      if (error.code !== 'RATE_LIMITED') throw error;
+      logger.debug(`Resending follow ${follow.id} deferred, rate limited until ${error.resetAt?.toISOString()}`);
+      return false;
+    }
+
+    try {
+      await followTargets.follow(spotifyApi, follow.target_type || 'artist', [follow.target_artist_id]);
+      return true;
+    } catch (error) {
+      await followRateLimiter.release(userId, [event.id]);
+      if (error.code !== 'CIRCUIT_OPEN' && error.code !== 'SPOTIFY_THROTTLED') throw error;
+      logger.debug(`Resending follow ${follow.id} deferred: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Get suggested artists for a user to follow
+   * Candidates sharing genres with the user's preferences (or the requested
+   * genres) rank higher; artists in excluded genres are never suggested
+   * @param {string} userId - User ID
+   * @param {number} limit - Maximum number of suggestions
+   * @param {Object} options - { genres } only suggest artists in these genres,
+   *   { exclude } Spotify IDs to leave out (e.g. follows already queued)
+   * @returns {Array} Suggested artists
+   */
+  async getTargetArtists(userId, limit = 10, options = {}) {
+    const { genres = [], exclude = [] } = options;
+
+    // Get list of artists user has already followed, through the swarm or on their own
     const followedArtists = await db.query(`
       SELECT DISTINCT target_artist_id 
       FROM follows 
       WHERE follower_user_id = $1 
-        AND status IN ('completed', 'pending')
+        AND status IN ('completed', 'verified', 'unverified', 'pending', 'external')
     `, [userId]);
 
     // Create exclusion list to avoid duplicate follows
-    const excludeIds = followedArtists.rows.map(r => r.target_artist_id);
+    const excludeIds = [...new Set([...followedArtists.rows.map(r => r.target_artist_id), ...exclude])];
+
+    // Requested genres take precedence over the user's saved preferences
+    const user = await db.findOne('users', { id: userId });
+    const preferredGenres = genres.length > 0 ? genres : (user?.preferred_genres || []);
+    const excludedGenres = user?.excluded_genres || [];
 
     // Find artists followed by other active premium users (swarm discovery)
+    // Members who keep their follows come first, then genre matches, then
+    // those with a positive balance (given more follows than received).
+    // The user's block list (and allow list in allowlist-only mode) filters the rest.
+    // An empty exclusion list compares against '' since NOT IN (NULL) matches nothing
+    const n = excludeIds.length;
     const query = `
-      SELECT DISTINCT u.spotify_id as artist_id, u.display_name, u.spotify_data, u.total_follows
+      SELECT DISTINCT u.spotify_id as artist_id, u.display_name, u.spotify_data, u.total_follows,
+             u.credit_balance, (u.credit_balance > 0) as has_credit,
+             (u.reciprocity_score IS NULL OR u.reciprocity_score >= $${n + 3}) as reciprocates,
+             ap.genres, ap.popularity,
+             cardinality(ARRAY(
+               SELECT unnest(COALESCE(ap.genres, '{}')) INTERSECT SELECT unnest($${n + 4}::text[])
+             )) as genre_overlap
       FROM users u
+      LEFT JOIN artist_profiles ap ON ap.spotify_id = u.spotify_id
       WHERE u.id != $1
-        AND u.spotify_id NOT IN (${excludeIds.map((_, i) => `$${i + 2}`).join(',') || 'NULL'})
+        AND u.spotify_id NOT IN (${excludeIds.map((_, i) => `$${i + 2}`).join(',') || '\'\''})
         AND u.is_active = true
         AND u.subscription_tier != 'free'
-      ORDER BY u.total_follows DESC
-      LIMIT $${excludeIds.length + 2}
+        AND NOT (COALESCE(ap.genres, '{}') && $${n + 5}::text[])
+        ${genres.length > 0 ? `AND ap.genres && $${n + 4}::text[]` : ''}
+        ${user?.allowlist_only ? `AND ${this.preferenceMatch('allow')}` : ''}
+        AND NOT ${this.preferenceMatch('block')}
+      ORDER BY reciprocates DESC, genre_overlap DESC, has_credit DESC, u.total_follows DESC
+      LIMIT $${n + 2}
     `;
 
-    const params = [userId, ...excludeIds, limit];
+    const params = [
+      userId, ...excludeIds, limit, config.reciprocity.threshold, preferredGenres, excludedGenres
+    ];
     const result = await db.query(query, params);
 
     // Format artist data for response
     return result.rows.map(row => ({
       artistId: row.artist_id,
       name: row.display_name,
-      metadata: row.spotify_data
+      metadata: row.spotify_data,
+      creditBalance: parseInt(row.credit_balance) || 0,
+      genres: row.genres || [],
+      popularity: row.popularity ?? null,
+      genreOverlap: parseInt(row.genre_overlap) || 0
     }));
   }
 
+  /**
+   * SQL condition: the follower ($1) has an entry on a list matching artist u / profile ap
+   * Artists are Spotify users too, so 'user' entries match their account
+   * @param {string} list - 'allow' or 'block'
+   * @returns {string} EXISTS clause for getTargetArtists
+   */
+  preferenceMatch(list) {
+    return `EXISTS (
+          SELECT 1 FROM target_preferences p
+          WHERE p.user_id = $1
+            AND p.list = '${list}'
+            AND ((p.kind = 'artist' AND p.value = u.spotify_id)
+              OR (p.kind = 'user' AND (p.value = u.spotify_id OR p.value = u.id::text))
+              OR (p.kind = 'genre' AND p.value = ANY(COALESCE(ap.genres, '{}'))))
+        )`;
+  }
+
   /**
    * Schedule batch follow operations
+   * Rows wait in queue_jobs as 'scheduled' until jobScheduler promotes them
+   * into the queue shortly before they are due.
+   * Pass `timestamps` (e.g. from scheduleDistributions.plan) to set each
+   * follow's run time; otherwise follows are spaced by delayBetween plus jitter.
+   * All IDs are of options.targetType (default 'artist').
+   * Rows get the 'scheduled' priority of options.tier unless options.priority is given
    */
   async scheduleBatchFollows(userId, artistIds, options = {}) {
     const {
-      priority = 1,
+      targetType = 'artist',
+      tier = null,
+      priority = queuePriority.get(tier, 'scheduled'),
       delayBetween = config.rateLimits.followDelayMin,
-      startTime = new Date()
+      startTime = new Date(),
+      timestamps = null
     } = options;
 
     const jobs = [];
     let currentDelay = 0;
+    const followed = await this.getFollowedTargetIds(userId, artistIds, targetType);
+    const allowed = new Set(await targetPreferences.filterTargets(userId, artistIds, targetType));
 
     // Schedule each follow with increasing delays
-    for (const artistId of artistIds) {
-      const scheduledTime = new Date(startTime.getTime() + currentDelay);
+    for (const [index, artistId] of artistIds.entries()) {
+      // Already followed (e.g. by the user on Spotify) or on the user's block list;
+      // its planned slot goes unused
+      if (followed.has(artistId) || !allowed.has(artistId)) continue;
+
+      const scheduledTime = timestamps
+        ? timestamps[index]
+        : new Date(startTime.getTime() + currentDelay);
       
       const job = await db.insert('queue_jobs', {
         user_id: userId,
         job_type: 'follow',
-        payload: { targetArtistId: artistId },
+        payload: { targetArtistId: artistId, targetType },
+        target_type: targetType,
         priority,
         scheduled_at: scheduledTime,
         status: 'scheduled'
@@ -286,80 +633,6 @@ class FollowEngine {
     return jobs;
   }
 
-  /**
-   * Process pending follow jobs
-   */
-  async processPendingJobs() {
-    // Query for jobs ready to be processed
-    const query = `
-      SELECT * FROM queue_jobs
-      WHERE status = 'scheduled'
-        AND scheduled_at <= NOW()
-        AND attempts < $1
-      ORDER BY priority DESC, scheduled_at ASC
-      LIMIT 10
-    `;
-
-    const jobs = await db.query(query, [config.queue.maxJobAttempts]);
-
-    // Process each pending job
-    for (const job of jobs.rows) {
-      try {
-        // Verify rate limits before execution
-        const user = await db.findOne('users', { id: job.user_id });
-        const rateCheck = await this.checkRateLimits(job.user_id, user.subscription_tier);
-        
-        if (!rateCheck.canFollow) {
-          // Delay job until rate limit resets
-          await db.update('queue_jobs', job.id, {
-            scheduled_at: rateCheck.nextAvailableSlot,
-            status: 'rescheduled'
-          });
-          continue;
-        }
-
-        // Mark job as in progress
-        await db.update('queue_jobs', job.id, {
-          status: 'processing',
-          started_at: new Date()
-        });
-
-        // Execute the follow operation
-        await this.followArtist(
-          job.user_id,
-          job.payload.targetArtistId,
-          job.id
-        );
-
-        // Mark job as successfully completed
-        await db.update('queue_jobs', job.id, {
-          status: 'completed',
-          completed_at: new Date()
-        });
-
-      } catch (error) {
-        logger.error(`Job ${job.id} failed:`, error);
-        
-        // Record job failure details
-        await db.update('queue_jobs', job.id, {
-          status: 'failed',
-          attempts: job.attempts + 1,
-          last_error: error.message,
-          completed_at: new Date()
-        });
-
-        // Schedule retry with exponential backoff
-        if (job.attempts + 1 < config.queue.maxJobAttempts) {
-          const retryDelay = config.queue.backoffDelay * (job.attempts + 1); // Exponential backoff
-          await db.update('queue_jobs', job.id, {
-            status: 'scheduled',
-            scheduled_at: new Date(Date.now() + retryDelay)
-          });
-        }
-      }
-    }
-  }
-
   /**
    * Get follow statistics for a user
    */
@@ -380,6 +653,8 @@ class FollowEngine {
     const stats = await db.query(`
       SELECT 
         COUNT(*) FILTER (WHERE status = 'completed') as completed,
+        COUNT(*) FILTER (WHERE status = 'verified') as verified,
+        COUNT(*) FILTER (WHERE status = 'unverified') as unverified,
         COUNT(*) FILTER (WHERE status = 'pending') as pending,
         COUNT(*) FILTER (WHERE status = 'failed') as failed,
         COUNT(*) as total,
@@ -388,6 +663,7 @@ class FollowEngine {
       FROM follows
       WHERE follower_user_id = $1
         AND created_at >= $2
+        AND status != 'external'
     `, [userId, since]);
 
     // Get daily breakdown of follows
@@ -398,13 +674,40 @@ class FollowEngine {
       FROM follows
       WHERE follower_user_id = $1
         AND created_at >= $2
-        AND status = 'completed'
+        AND status IN ('completed', 'verified')
       GROUP BY DATE(created_at)
       ORDER BY date DESC
     `, [userId, since]);
 
+    // Break the totals down by what was followed
+    const typeStats = await db.query(`
+      SELECT 
+        target_type,
+        COUNT(*) FILTER (WHERE status IN ('completed', 'verified', 'unverified')) as completed,
+        COUNT(*) FILTER (WHERE status = 'pending') as pending,
+        COUNT(*) FILTER (WHERE status = 'failed') as failed,
+        COUNT(*) as total
+      FROM follows
+      WHERE follower_user_id = $1
+        AND created_at >= $2
+        AND status != 'external'
+      GROUP BY target_type
+    `, [userId, since]);
+
+    const byType = {};
+    for (const type of followTargets.getNames()) {
+      const row = typeStats.rows.find(r => r.target_type === type);
+      byType[type] = {
+        completed: parseInt(row?.completed) || 0,
+        pending: parseInt(row?.pending) || 0,
+        failed: parseInt(row?.failed) || 0,
+        total: parseInt(row?.total) || 0
+      };
+    }
+
     return {
       summary: stats.rows[0],
+      byType,
       daily: dailyStats.rows,
       period
     };
@@ -0,0 +1,96 @@
+/**
+ * Follow Import Service
+ *
+ * Mirrors the artists a user already follows on Spotify into follows rows
+ * with status 'external', so suggestions and batch jobs skip artists the
+ * user followed on their own. External rows earn no credits and don't count
+ * toward rate limits or follow stats.
+ */
+
+const logger = require('../utils/logger');
+const db = require('../database');
+const spotifyService = require('../auth/spotify');
+const spotifyThrottle = require('./spotifyThrottle');
+
+/**
+ * FollowImport Class
+ *
+ * Imports are safe to re-run: artists the swarm already tracks are left
+ * alone, and external rows for artists the user has since unfollowed are
+ * removed.
+ */
+class FollowImport {
+  /**
+   * Import a user's followed artists from Spotify
+   * @param {string} userId - User ID
+   * @returns {Object} { followed, imported, removed }
+   */
+  async importFollows(userId) {
+    const spotifyApi = await spotifyService.getClientForUser(userId);
+    const followedIds = await this.fetchFollowedArtists(spotifyApi);
+
+    // Artists the swarm followed for the user keep their own rows
+    const known = await db.query(`
+      SELECT target_artist_id
+      FROM follows
+      WHERE follower_user_id = $1
+        AND target_type = 'artist'
+        AND status IN ('completed', 'verified', 'unverified', 'pending', 'external')
+    `, [userId]);
+
+    const knownIds = new Set(known.rows.map(r => r.target_artist_id));
+    const newIds = followedIds.filter(id => !knownIds.has(id));
+
+    if (newIds.length > 0) {
+      await db.query(`
+        INSERT INTO follows (follower_user_id, target_artist_id, target_type, status, completed_at)
+        SELECT $1, artist_id, 'artist', 'external', NOW()
+        FROM unnest($2::text[]) AS artist_id
+      `, [userId, newIds]);
+    }
+
+    const removed = await db.query(`
+      DELETE FROM follows
+      WHERE follower_user_id = $1
+        AND status = 'external'
+        AND NOT (target_artist_id = ANY($2::text[]))
+    `, [userId, followedIds]);
+
+    await db.query('UPDATE users SET follows_synced_at = NOW() WHERE id = $1', [userId]);
+
+    const result = {
+      followed: followedIds.length,
+      imported: newIds.length,
+      removed: removed.rowCount || 0
+    };
+
+    logger.info(`Imported Spotify follows for user ${userId}:`, result);
+    return result;
+  }
+
+  /**
+   * Page through every artist the client's user follows
+   * @param {SpotifyWebApi} spotifyApi - Client scoped to the user (needs user-follow-read)
+   * @returns {Array<string>} Spotify artist IDs
+   */
+  async fetchFollowedArtists(spotifyApi) {
+    const ids = [];
+    let after = null;
+
+    do {
+      const options = after ? { limit: 50, after } : { limit: 50 };
+      const response = await spotifyThrottle.execute('follow-import', () =>
+        spotifyApi.getFollowedArtists(options)
+      );
+      const page = response.body.artists;
+
+      ids.push(...page.items.map(artist => artist.id));
+      after = page.next ? page.cursors?.after : null;
+    } while (after);
+
+    return ids;
+  }
+}
+
+// Export singleton instance
+module.exports = new FollowImport();
@@ -0,0 +1,182 @@
+/**
+ * Follow Queue Holds
+ *
+ * Records in Redis why an automatic guard (Spotify rate limiting, an open
+ * circuit) paused the follow queue, and until when. Bull's pause is global,
+ * so the reasons have to outlive the process that paused it: any process
+ * can then tell an automatic hold from an admin pause, release it, and
+ * resume a queue whose holds all ended while no one was watching.
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const redis = require('../database/redis');
+const queueManager = require('./queueManager');
+const spotifyThrottle = require('./spotifyThrottle');
+const spotifyCircuitBreaker = require('./spotifyCircuitBreaker');
+
+/**
+ * FollowQueueHolds Class
+ *
+ * One hash field per guard, holding the time (ms) its hold ends.
+ * QueueManager starts watching on initialize and stops on shutdown.
+ */
+class FollowQueueHolds {
+  constructor() {
+    this.key = 'queue:follow:holds';
+    this.timer = null; // Checks the holds once they end
+  }
+
+  /**
+   * Hold the follow queue during Spotify rate limiting (429) and outages
+   * A circuit hold lasts one reset timeout past the next probe, so a failed
+   * probe renews it before it ends
+   */
+  watchSpotify() {
+    spotifyThrottle.on('paused', ({ until }) =>
+      this.hold('throttle', until, `Spotify rate limit until ${until.toISOString()}`)
+    );
+    spotifyThrottle.on('resumed', () => this.release('throttle'));
+
+    spotifyCircuitBreaker.on('open', ({ lastError }) => this.hold(
+      'circuit',
+      new Date(spotifyCircuitBreaker.nextProbeAt.getTime() + config.spotify.circuitBreaker.resetTimeout),
+      `Spotify circuit open (${lastError})`
+    ));
+    spotifyCircuitBreaker.on('closed', () => this.release('circuit'));
+  }
+
+  /**
+   * Stop waiting for the holds to end
+   */
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Pause the follow queue on behalf of an automatic guard
+   * The hold is recorded, so it can be told apart from an admin pause and
+   * released by any process
+   * @param {string} reason - Guard holding the queue
+   * @param {Date} until - When the hold ends unless the guard renews it
+   * @param {string} message - Log message
+   */
+  async hold(reason, until, message) {
+    try {
+      const holds = await this.getAll();
+
+      if (!holds[reason]) {
+        // Paused without a recorded hold: an admin paused it, nothing to undo later
+        if (Object.keys(holds).length === 0 && await queueManager.queues.follow.isPaused()) return;
+
+        const active = await this.getActive();
+        await this.add(reason, until);
+        if (Object.keys(active).length === 0) {
+          await queueManager.pauseQueue('follow', true);
+        }
+        logger.warn(`Follow queue held: ${message}`);
+      } else {
+        await this.add(reason, until);
+      }
+
+      await this.reconcile();
+    } catch (error) {
+      logger.error(`Failed to hold follow queue for ${reason}:`, error);
+    }
+  }
+
+  /**
+   * Release an automatic hold, resuming once no guard holds the queue
+   * @param {string} reason - Guard releasing the queue
+   */
+  async release(reason) {
+    try {
+      if (!await this.remove(reason)) return;
+      if (Object.keys(await this.getActive()).length > 0) return;
+
+      await this.clear();
+      await queueManager.pauseQueue('follow', false);
+    } catch (error) {
+      logger.error(`Failed to resume follow queue after ${reason}:`, error);
+    }
+  }
+
+  /**
+   * Resume the follow queue once every recorded hold has ended
+   * Guards release their own holds, but a hold outlives the process that
+   * placed it (e.g. a restart during a 429 pause), so this runs on init and
+   * again when the last recorded hold ends
+   */
+  async reconcile() {
+    this.stop();
+
+    try {
+      const holds = await this.getAll();
+      const reasons = Object.keys(holds);
+      if (reasons.length === 0) return;
+
+      const endsAt = Math.max(...Object.values(holds).map(until => until.getTime()));
+      if (endsAt > Date.now()) {
+        this.timer = setTimeout(() => this.reconcile(), endsAt - Date.now());
+        this.timer.unref?.();
+        return;
+      }
+
+      await this.clear();
+      await queueManager.pauseQueue('follow', false);
+      logger.info(`Follow queue holds ended (${reasons.join(', ')}), queue resumed`);
+    } catch (error) {
+      logger.error('Failed to reconcile follow queue holds:', error);
+    }
+  }
+
+  /**
+   * Record or extend a guard's hold
+   * @param {string} reason - Guard holding the queue (throttle, circuit)
+   * @param {Date} until - When the hold ends unless the guard renews it
+   */
+  async add(reason, until) {
+    await redis.client.hset(this.key, reason, String(until.getTime()));
+  }
+
+  /**
+   * Drop a guard's hold
+   * @param {string} reason - Guard releasing the queue
+   * @returns {boolean} False if the guard held nothing
+   */
+  async remove(reason) {
+    return await redis.client.hdel(this.key, reason) > 0;
+  }
+
+  /**
+   * Every recorded hold, including ones that have ended
+   * @returns {Object} reason -> Date the hold ends
+   */
+  async getAll() {
+    const holds = await redis.client.hgetall(this.key) || {};
+
+    return Object.fromEntries(Object.entries(holds).map(([reason, until]) => [reason, new Date(parseInt(until))]));
+  }
+
+  /**
+   * Holds that have not ended yet
+   * @param {number} now - Current time in ms
+   * @returns {Object} reason -> Date the hold ends
+   */
+  async getActive(now = Date.now()) {
+    const holds = await this.getAll();
+
+    return Object.fromEntries(Object.entries(holds).filter(([, until]) => until.getTime() > now));
+  }
+
+  /**
+   * Forget every hold, e.g. once the queue is resumed
+   */
+  async clear() {
+    await redis.client.del(this.key);
+  }
+}
+
+// Export singleton instance
+module.exports = new FollowQueueHolds();
@@ -0,0 +1,298 @@
+/**
+ * Follow Rate Limiter
+ *
+ * Sliding-window follow counters per user, kept in Redis so rate limit checks
+ * don't scan the follows table. Each user has a sorted set of follow IDs
+ * scored by creation time; Lua scripts count and trim it atomically, and
+ * new follows are only added if they fit under every limit.
+ * Unfollows share the limits and are stored as 'unfollow:<follow ID>'.
+ *
+ * - Counters are rebuilt from follows whenever Redis has lost them (flush,
+ *   eviction or expiry after a quiet month)
+ * - Counts are periodically persisted to rate_limits for reporting (see rateLimitPersistJob)
+ * - If Redis is unavailable, usage is read from the follows table instead (see followRateStore)
+ */
+
+const config = require('../../config');
+const logger = require('../utils/logger');
+const redis = require('../database/redis');
+const followRateStore = require('./followRateStore');
+
+/**
+ * FollowRateLimiter Class
+ *
+ * Usage is reported per window as { count, resetAt }: resetAt is the exact
+ * time enough of the window's oldest follows age out for the user to be
+ * under the limit again, or null while under the limit.
+ */
+class FollowRateLimiter {
+  constructor() {
+    this.keyPrefix = 'ratelimit:follow:';
+    this.dirtyKey = 'ratelimit:follow:dirty'; // Users whose counts changed since the last persist
+    this.windows = {
+      hourly: { ms: 60 * 60 * 1000, type: 'hour' },
+      daily: { ms: 24 * 60 * 60 * 1000, type: 'day' },
+      monthly: { ms: 30 * 24 * 60 * 60 * 1000, type: 'month' }
+    };
+    this.retention = this.windows.monthly.ms; // Longest window
+  }
+
+  /**
+   * Get a user's follow counts and reset times
+   * @param {string} userId - User ID
+   * @param {Object} limits - { hourly, daily, monthly } maximum follows; -1 for unlimited
+   * @returns {Object} { hourly, daily, monthly } of { count, resetAt }
+   */
+  async getUsage(userId, limits) {
+    try {
+      let usage = await this.readUsage(userId, limits);
+      if (!usage) {
+        await this.rebuild(userId);
+        usage = await this.readUsage(userId, limits);
+      }
+      return usage;
+    } catch (error) {
+      logger.warn(`Follow rate counters unavailable for user ${userId}, using database: ${error.message}`);
+      return followRateStore.getUsage(userId, limits, this.windows);
+    }
+  }
+
+  /**
+   * Count follows in each window from Redis
+   * @param {string} userId - User ID
+   * @param {Object} limits - { hourly, daily, monthly }
+   * @returns {Object|null} Usage, or null when the counters need rebuilding
+   */
+  async readUsage(userId, limits) {
+    // Returns -1 until the user's history has been loaded, otherwise count
+    // and reset time for each window in argument order; drops follows older
+    // than the longest window
+    const script = `
+      if redis.call("exists", KEYS[2]) == 0 then
+        return -1
+      end
+
+      local now = tonumber(ARGV[1])
+      local result = {}
+      for i = 3, #ARGV, 2 do
+        local window = tonumber(ARGV[i])
+        local limit = tonumber(ARGV[i + 1])
+        local since = "(" .. (now - window)
+        local count = redis.call("zcount", KEYS[1], since, "+inf")
+        local resetAt = 0
+
+        -- Under the limit again once the (count - limit + 1) oldest follows age out
+        if limit >= 0 and count >= limit and count > 0 then
+          local oldest = redis.call("zrangebyscore", KEYS[1], since, "+inf", "WITHSCORES", "LIMIT", count - limit, 1)
+          resetAt = tonumber(oldest[2]) + window
+        end
+
+        table.insert(result, count)
+        table.insert(result, resetAt)
+      end
+
+      redis.call("zremrangebyscore", KEYS[1], "-inf", now - tonumber(ARGV[2]))
+      return result
+    `;
+
+    const names = Object.keys(this.windows);
+    const args = names.flatMap(name => [this.windows[name].ms, limits[name]]);
+    const result = await redis.client.eval(
+      script, 2, this.eventsKey(userId), this.loadedKey(userId),
+      Date.now(), this.retention, ...args
+    );
+
+    if (result === -1) return null;
+
+    const usage = {};
+    names.forEach((name, i) => {
+      usage[name] = {
+        count: result[i * 2],
+        resetAt: result[i * 2 + 1] > 0 ? new Date(result[i * 2 + 1]) : null
+      };
+    });
+    return usage;
+  }
+
+  /**
+   * Load a user's last month of follows and unfollows from the database into Redis
+   * @param {string} userId - User ID
+   */
+  async rebuild(userId) {
+    const events = await followRateStore.getEvents(userId, new Date(Date.now() - this.retention));
+
+    // Merged with anything recorded meanwhile; sorted set members are follow IDs so nothing counts twice
+    const script = `
+      for i = 2, #ARGV, 2 do
+        redis.call("zadd", KEYS[1], ARGV[i], ARGV[i + 1])
+      end
+      redis.call("pexpire", KEYS[1], ARGV[1])
+      redis.call("set", KEYS[2], "1", "PX", ARGV[1])
+      return 1
+    `;
+
+    await redis.client.eval(
+      script, 2, this.eventsKey(userId), this.loadedKey(userId),
+      this.retention,
+      ...events.flatMap(event => [new Date(event.created_at).getTime(), String(event.id)])
+    );
+
+    logger.debug(`Rebuilt follow rate counters for user ${userId} from ${events.length} follows and unfollows`);
+  }
+
+  /**
+   * Count new follows against a user's limits if they all fit
+   * Checking and counting happen in one script, so concurrent workers can't
+   * both take the last slot
+   * @param {string} userId - User ID
+   * @param {Array<Object>} follows - { id, created_at } per follow; unfollows use unfollowEvent()
+   * @param {Object} limits - { hourly, daily, monthly } maximum follows; -1 for unlimited
+   * @returns {Object} { acquired, resetAt }: resetAt is when the follows would fit, if refused
+   */
+  async acquire(userId, follows, limits) {
+    try {
+      let result = await this.tryAcquire(userId, follows, limits);
+      if (result === -1) {
+        await this.rebuild(userId);
+        result = await this.tryAcquire(userId, follows, limits);
+      }
+      if (result === -1) throw new Error('Counters not loaded');
+
+      return { acquired: result[0] === 1, resetAt: result[0] === 1 ? null : new Date(result[1]) };
+    } catch (error) {
+      // The job gate already checked the limits; counters are rebuilt from follows once Redis is back
+      logger.warn(`Failed to record follows for user ${userId}: ${error.message}`);
+      return { acquired: true, resetAt: null };
+    }
+  }
+
+  /**
+   * Run the check-and-record script once
+   * @param {string} userId - User ID
+   * @param {Array<Object>} follows - { id, created_at } per follow
+   * @param {Object} limits - { hourly, daily, monthly }
+   * @returns {Array|number} [1, 0] when recorded, [0, resetAt] when refused, or -1 when the counters need rebuilding
+   */
+  async tryAcquire(userId, follows, limits) {
+    // Follows already in the set (e.g. a retried unfollow) don't count again.
+    // Over a limit, the follows fit once enough of the window's oldest age out
+    const script = `
+      if redis.call("exists", KEYS[2]) == 0 then
+        return -1
+      end
+
+      local now = tonumber(ARGV[1])
+      local first = 5 + tonumber(ARGV[4]) * 2
+      local adding = 0
+      for i = first, #ARGV, 2 do
+        if not redis.call("zscore", KEYS[1], ARGV[i + 1]) then adding = adding + 1 end
+      end
+
+      local resetAt = 0
+      for i = 5, first - 1, 2 do
+        local window = tonumber(ARGV[i])
+        local limit = tonumber(ARGV[i + 1])
+        if limit >= 0 then
+          local since = "(" .. (now - window)
+          local count = redis.call("zcount", KEYS[1], since, "+inf")
+          local over = count + adding - limit
+          if over > 0 then
+            local reset = now + window
+            if over <= count then
+              local oldest = redis.call("zrangebyscore", KEYS[1], since, "+inf", "WITHSCORES", "LIMIT", over - 1, 1)
+              reset = tonumber(oldest[2]) + window
+            end
+            resetAt = math.max(resetAt, reset)
+          end
+        end
+      end
+      if resetAt > 0 then return {0, resetAt} end
+
+      for i = first, #ARGV, 2 do
+        redis.call("zadd", KEYS[1], ARGV[i], ARGV[i + 1])
+      end
+      redis.call("pexpire", KEYS[1], ARGV[2])
+      redis.call("pexpire", KEYS[2], ARGV[2])
+      redis.call("sadd", KEYS[3], ARGV[3])
+      return {1, 0}
+    `;
+
+    const names = Object.keys(this.windows);
+    return redis.client.eval(
+      script, 3, this.eventsKey(userId), this.loadedKey(userId), this.dirtyKey,
+      Date.now(), this.retention, userId, names.length,
+      ...names.flatMap(name => [this.windows[name].ms, limits[name]]),
+      ...follows.flatMap(follow => [
+        new Date(follow.created_at || Date.now()).getTime(),
+        String(follow.id)
+      ])
+    );
+  }
+
+  /**
+   * Stop counting follows that failed
+   * @param {string} userId - User ID
+   * @param {Array<string>} followIds - follows.id values
+   */
+  async release(userId, followIds) {
+    if (followIds.length === 0) return;
+
+    try {
+      await redis.client.zrem(this.eventsKey(userId), ...followIds.map(String));
+      await redis.client.sadd(this.dirtyKey, userId);
+    } catch (error) {
+      logger.warn(`Failed to release follows for user ${userId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sorted set entry for an unfollow, so it counts separately from the follow itself
+   * @param {string} followId - follows.id that was unfollowed
+   * @param {Date} unfollowedAt - When the unfollow was sent
+   * @returns {Object} { id, created_at } for acquire() and release()
+   */
+  unfollowEvent(followId, unfollowedAt = new Date()) {
+    return { id: `unfollow:${followId}`, created_at: unfollowedAt };
+  }
+
+  /**
+   * Take up to count users whose counts changed since they were last persisted
+   * @param {number} count - Maximum number of users
+   * @returns {Array<string>} User IDs
+   */
+  async popChangedUsers(count) {
+    return (await redis.client.spop(this.dirtyKey, count)) || [];
+  }
+
+  /**
+   * Get follow limits for a subscription tier
+   * @param {string} subscriptionTier - Tier name
+   * @returns {Object} { hourly, daily, monthly }; -1 for unlimited
+   */
+  getLimits(subscriptionTier) {
+    const tierLimits = config.subscriptions[subscriptionTier];
+
+    return {
+      hourly: config.rateLimits.maxFollowsPerHour,
+      daily: config.rateLimits.maxFollowsPerDay,
+      monthly: tierLimits?.maxFollowsPerMonth || config.subscriptions.free.maxFollowsPerMonth
+    };
+  }
+
+  /**
+   * Sorted set of a user's follow (and unfollow) IDs scored by time (epoch ms)
+   */
+  eventsKey(userId) {
+    return `${this.keyPrefix}${userId}`;
+  }
+
+  /**
+   * Marker that the user's follow history has been loaded from the database
+   */
+  loadedKey(userId) {
+    return `${this.keyPrefix}${userId}:loaded`;
+  }
+}
+
+// Export singleton instance
+module.exports = new FollowRateLimiter();
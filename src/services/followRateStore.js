@@ -0,0 +1,95 @@
+/**
+ * Follow Rate Store
+ *
+ * Database side of the follow rate limiter (see followRateLimiter): reads a
+ * user's follows and unfollows from the follows table to rebuild the Redis
+ * counters, or to count usage directly while Redis is unavailable.
+ */
+
+const db = require('../database');
+
+/**
+ * FollowRateStore Class
+ *
+ * Follows count from creation while pending or done; an unfollow counts
+ * separately from when it was sent.
+ */
+class FollowRateStore {
+  /**
+   * A user's follow and unfollow events since a time
+   * @param {string} userId - User ID
+   * @param {Date} since - Oldest event to include
+   * @returns {Array<Object>} { id, created_at }; unfollows have id 'unfollow:<follow ID>'
+   */
+  async getEvents(userId, since) {
+    const result = await db.query(`
+      SELECT id::text as id, created_at
+      FROM follows
+      WHERE follower_user_id = $1
+        AND created_at >= $2
+        AND status IN ('pending', 'completed', 'verified', 'unverified', 'unfollowed')
+      UNION ALL
+      SELECT 'unfollow:' || id, unfollowed_at
+      FROM follows
+      WHERE follower_user_id = $1
+        AND unfollowed_at >= $2
+    `, [userId, since]);
+
+    return result.rows;
+  }
+
+  /**
+   * Count usage from the follows table when Redis is unavailable
+   * @param {string} userId - User ID
+   * @param {Object} limits - { hourly, daily, monthly }
+   * @param {Object} windows - Window name -> { ms }
+   * @returns {Object} Window name -> { count, resetAt }
+   */
+  async getUsage(userId, limits, windows) {
+    const usage = {};
+
+    // Follows and unfollows by the user since $2
+    const events = `
+      SELECT created_at
+      FROM follows
+      WHERE follower_user_id = $1
+        AND created_at >= $2
+        AND status IN ('pending', 'completed', 'verified', 'unverified', 'unfollowed')
+      UNION ALL
+      SELECT unfollowed_at
+      FROM follows
+      WHERE follower_user_id = $1
+        AND unfollowed_at >= $2
+    `;
+
+    for (const [name, window] of Object.entries(windows)) {
+      const since = new Date(Date.now() - window.ms);
+      const result = await db.query(`
+        SELECT COUNT(*) as count
+        FROM (${events}) events
+      `, [userId, since]);
+      const count = parseInt(result.rows[0].count);
+
+      let resetAt = null;
+      if (limits[name] >= 0 && count >= limits[name]) {
+        const oldest = await db.query(`
+          SELECT created_at
+          FROM (${events}) events
+          ORDER BY created_at ASC
+          OFFSET $3
+          LIMIT 1
+        `, [userId, since, count - limits[name]]);
+
+        const createdAt = oldest.rows[0]?.created_at;
+        resetAt = new Date((createdAt ? new Date(createdAt).getTime() : Date.now()) + window.ms);
+      }
+
+      usage[name] = { count, resetAt };
+    }
+
+    return usage;
+  }
+}
+
+// Export singleton instance
+module.exports = new FollowRateStore();
@@ -0,0 +1,144 @@
+/**
+ * Follow Targets
+ *
+ * What a follow can point at on Spotify and which API calls handle each kind:
+ * - artist:   PUT/DELETE /me/following?type=artist (up to 50 IDs per call)
+ * - user:     PUT/DELETE /me/following?type=user (up to 50 IDs per call)
+ * - playlist: PUT/DELETE /playlists/{id}/followers (one playlist per call)
+ *
+ * follows.target_artist_id and the targetArtistId job field hold the Spotify
+ * ID of whichever type follows.target_type names.
+ */
+
+const spotifyThrottle = require('./spotifyThrottle');
+
+/**
+ * FollowTargets Class
+ */
+class FollowTargets {
+  constructor() {
+    this.types = {
+      artist: {
+        batchSize: 50,
+        follow: (client, ids) => client.followArtists(ids),
+        unfollow: (client, ids) => client.unfollowArtists(ids),
+        isFollowing: (client, ids) => client.isFollowingArtists(ids)
+      },
+      user: {
+        batchSize: 50,
+        follow: (client, ids) => client.followUsers(ids),
+        unfollow: (client, ids) => client.unfollowUsers(ids),
+        isFollowing: (client, ids) => client.isFollowingUsers(ids)
+      },
+      playlist: {
+        batchSize: 1,
+        follow: (client, [id]) => client.followPlaylist(id, { public: true }),
+        unfollow: (client, [id]) => client.unfollowPlaylist(id),
+        // Checking playlist followers needs the owner's ID, which we don't store
+        isFollowing: null
+      }
+    };
+  }
+
+  /**
+   * Get the supported target type names
+   * @returns {Array<string>} e.g. ['artist', 'user', 'playlist']
+   */
+  getNames() {
+    return Object.keys(this.types);
+  }
+
+  /**
+   * Check whether a target type is supported
+   * @param {string} type - Target type
+   * @returns {boolean} True when supported
+   */
+  isValid(type) {
+    return Object.prototype.hasOwnProperty.call(this.types, type);
+  }
+
+  /**
+   * Get a target type's definition, defaulting to artist for older rows and jobs
+   * @param {string} type - Target type
+   * @returns {Object} Type definition
+   */
+  get(type) {
+    const name = type || 'artist';
+    if (!this.isValid(name)) {
+      throw Object.assign(new Error(`Unknown follow target type: ${name}`), { code: 'INVALID_TARGET_TYPE' });
+    }
+    return this.types[name];
+  }
+
+  /**
+   * Maximum number of targets of a type that one Spotify call can follow
+   * @param {string} type - Target type
+   * @returns {number} Batch size
+   */
+  getBatchSize(type) {
+    return this.get(type).batchSize;
+  }
+
+  /**
+   * Whether follows of a type can be re-checked with Spotify
+   * @param {string} type - Target type
+   * @returns {boolean} True when verifiable
+   */
+  canVerify(type) {
+    return Boolean(this.get(type).isFollowing);
+  }
+
+  /**
+   * Follow targets of one type, one throttled Spotify call per batch
+   * @param {SpotifyWebApi} client - Client scoped to the follower
+   * @param {string} type - Target type
+   * @param {Array<string>} ids - Spotify IDs
+   */
+  async follow(client, type, ids) {
+    const target = this.get(type);
+
+    for (let i = 0; i < ids.length; i += target.batchSize) {
+      const batch = ids.slice(i, i + target.batchSize);
+      await spotifyThrottle.execute('follow', () => target.follow(client, batch));
+    }
+  }
+
+  /**
+   * Unfollow targets of one type, one throttled Spotify call per batch
+   * @param {SpotifyWebApi} client - Client scoped to the follower
+   * @param {string} type - Target type
+   * @param {Array<string>} ids - Spotify IDs
+   */
+  async unfollow(client, type, ids) {
+    const target = this.get(type);
+
+    for (let i = 0; i < ids.length; i += target.batchSize) {
+      const batch = ids.slice(i, i + target.batchSize);
+      await spotifyThrottle.execute('unfollow', () => target.unfollow(client, batch));
+    }
+  }
+
+  /**
+   * Check whether the client's user follows each target
+   * @param {SpotifyWebApi} client - Client scoped to the follower
+   * @param {string} type - Target type; must be verifiable
+   * @param {Array<string>} ids - Spotify IDs
+   * @returns {Array<boolean>} Follow state per ID, in input order
+   */
+  async isFollowing(client, type, ids) {
+    const target = this.get(type);
+    const results = [];
+
+    for (let i = 0; i < ids.length; i += target.batchSize) {
+      const data = await spotifyThrottle.execute('follow-check', () =>
+        target.isFollowing(client, ids.slice(i, i + target.batchSize))
+      );
+      results.push(...data.body);
+    }
+
+    return results;
+  }
+}
+
+// Export singleton instance
+module.exports = new FollowTargets();
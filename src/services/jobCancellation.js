@@ -0,0 +1,121 @@
+/**
+ * Job Cancellation Service
+ *
+ * Cancels follow and unfollow jobs that have not started: one job, or all
+ * of a user's, a campaign's or a follow batch's. The queue_jobs row is
+ * cancelled first and the Bull job removed after; a worker that picks the
+ * job up in between finds the row cancelled and skips it
+ * (see QueueManager.claimJobRow).
+ */
+
+const db = require('../database');
+const logger = require('../utils/logger');
+const queueManager = require('./queueManager');
+
+/**
+ * JobCancellation Class
+ */
+class JobCancellation {
+  constructor() {
+    this.cancellableStatuses = ['queued', 'scheduled', 'rescheduled']; // queue_jobs statuses not yet running
+  }
+
+  /**
+   * Cancel one of a user's jobs that has not started
+   * @param {string} userId - User ID; must own the job
+   * @param {string} rowId - queue_jobs.id
+   * @returns {Object|null} Cancelled row, or null if the job is not the
+   *   user's or is already running or finished
+   */
+  async cancelJob(userId, rowId) {
+    const [row] = await this.cancelJobs({ id: rowId, user_id: userId });
+
+    if (row) {
+      logger.info(`Cancelled job ${rowId} for user ${userId}`);
+    }
+    return row || null;
+  }
+
+  /**
+   * Cancel user's pending jobs
+   */
+  async cancelUserJobs(userId) {
+    const cancelled = await this.cancelJobs({ user_id: userId });
+
+    logger.info(`Cancelled ${cancelled.length} jobs for user ${userId}`);
+    return cancelled;
+  }
+
+  /**
+   * Cancel a campaign's pending jobs
+   * @param {string} campaignId - campaigns.id
+   */
+  async cancelCampaignJobs(campaignId) {
+    const cancelled = await this.cancelJobs({ campaign_id: campaignId });
+
+    logger.info(`Cancelled ${cancelled.length} jobs for campaign ${campaignId}`);
+    return cancelled;
+  }
+
+  /**
+   * Cancel a follow batch's pending jobs
+   * @param {string} batchId - follow_batches.id
+   * @returns {Array} Cancelled queue_jobs rows
+   */
+  async cancelBatchJobs(batchId) {
+    const cancelled = await this.cancelJobs({ batch_id: batchId });
+
+    logger.info(`Cancelled ${cancelled.length} jobs for batch ${batchId}`);
+    return cancelled;
+  }
+
+  /**
+   * Cancel the pending queue_jobs rows matching conditions, then remove their Bull jobs
+   * Rows are found through indexed columns and each row's queue_job_id
+   * names its Bull job, so the queue is never scanned
+   * @param {Object} conditions - Column -> value, e.g. { user_id }
+   * @returns {Array} Cancelled queue_jobs rows
+   */
+  async cancelJobs(conditions) {
+    const columns = Object.keys(conditions);
+    const result = await db.query(`
+      UPDATE queue_jobs
+      SET status = 'cancelled',
+          completed_at = NOW()
+      WHERE ${columns.map((column, i) => `${column} = $${i + 2}`).join(' AND ')}
+        AND status = ANY($1)
+      RETURNING *
+    `, [this.cancellableStatuses, ...Object.values(conditions)]);
+
+    // Scheduled rows have not reached Bull yet. Jobs locked by a worker
+    // can't be removed, but the worker finds the row cancelled
+    for (const row of result.rows) {
+      if (row.queue_job_id) await this.removeJob(row.queue_job_id);
+    }
+
+    return result.rows;
+  }
+
+  /**
+   * Remove a waiting or delayed follow or unfollow job from Bull
+   * @param {string} jobId - Bull job ID (queue_jobs.queue_job_id)
+   * @returns {boolean} True if the job is no longer in Bull, false if a
+   *   worker holds it
+   */
+  async removeJob(jobId) {
+    try {
+      const job = await queueManager.getFollowJob(jobId);
+      if (!job) return true;
+
+      await job.remove();
+      return true;
+    } catch (error) {
+      // Locked by a worker that is running it
+      logger.debug(`Could not remove job ${jobId}: ${error.message}`);
+      return false;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobCancellation();
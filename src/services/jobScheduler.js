@@ -0,0 +1,339 @@
+/**
+ * Job Scheduler Service
+ *
+ * queue_jobs rows are the source of truth for follow and unfollow jobs. Rows
+ * scheduled for later (e.g. by /api/follows/schedule, or re-spread when a user
+ * resumes) wait in the database with status 'scheduled' until the promoter
+ * moves them into Bull as delayed jobs. The
+ * reconciler repairs what a crash or a Redis loss leaves behind: Bull jobs
+ * without a live row are removed, and queued or processing rows without a
+ * Bull job are settled or queued again.
+ */
+
+const config = require('../../config');
+const db = require('../database');
+const logger = require('../utils/logger');
+const queueManager = require('./queueManager');
+const unfollowJobs = require('./unfollowJobs');
+
+/**
+ * JobScheduler Class
+ *
+ * Follow jobs use their row ID as Bull job ID and carry it as data.jobId,
+ * so either side can find the other. Jobs deferred by the worker get a new
+ * Bull ID and keep data.jobId; older jobs only match on queue_job_id.
+ */
+class JobScheduler {
+  constructor() {
+    this.dueStatuses = ['scheduled', 'rescheduled'];
+    this.finishedStatuses = ['completed', 'cancelled', 'retried'];
+    this.jobNames = ['follow-artist', 'unfollow']; // Bull jobs that have queue_jobs rows
+    // follows statuses meaning the follow went through
+    this.followedStatuses = ['completed', 'verified', 'unverified', 'unfollowed'];
+  }
+
+  /**
+   * Move scheduled rows due within promoteAhead into Bull
+   * Rows are claimed in one statement so concurrent promoters never queue
+   * the same row twice; a row whose Bull add fails goes back to 'scheduled'.
+   * Rows of paused users stay until the user resumes
+   * @param {Date} now - Current time
+   * @returns {number} Number of rows promoted
+   */
+  async promoteDueJobs(now = new Date()) {
+    const claimed = await db.query(`
+      UPDATE queue_jobs
+      SET status = 'queued',
+          queue_job_id = id::text,
+          promoted_at = NOW()
+      WHERE id IN (
+        SELECT id FROM queue_jobs q
+        WHERE job_type IN ('follow', 'unfollow')
+          AND status = ANY($1)
+          AND scheduled_at <= $2
+          AND NOT EXISTS (
+            SELECT 1 FROM users u
+            WHERE u.id = q.user_id
+              AND u.follows_paused_at IS NOT NULL
+          )
+        ORDER BY scheduled_at ASC
+        LIMIT $3
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `, [
+      this.dueStatuses,
+      new Date(now.getTime() + config.queue.promoteAhead),
+      config.queue.promoteBatchSize
+    ]);
+
+    let promoted = 0;
+    for (const row of claimed.rows) {
+      try {
+        await this.enqueue(row, now);
+        promoted++;
+      } catch (error) {
+        logger.error(`Failed to promote job ${row.id}:`, error);
+        await db.update('queue_jobs', row.id, {
+          status: 'scheduled',
+          promoted_at: null
+        });
+      }
+    }
+
+    if (promoted > 0) {
+      logger.info(`Promoted ${promoted} scheduled jobs`);
+    }
+
+    return promoted;
+  }
+
+  /**
+   * Add a Bull job for an existing follow or unfollow queue_jobs row
+   * @param {Object} row - queue_jobs row
+   * @param {Date} now - Current time; the job is delayed until scheduled_at
+   * @returns {Job} Bull job
+   */
+  async enqueue(row, now = new Date()) {
+    const priority = row.priority || 0;
+    const delay = Math.max(0, new Date(row.scheduled_at).getTime() - now.getTime());
+
+    if (row.job_type === 'unfollow') {
+      return unfollowJobs.add(row.user_id, row.payload.followId, { priority, delay, jobId: row.id });
+    }
+
+    const { targetArtistId, targetType = row.target_type || 'artist' } = row.payload;
+
+    return queueManager.addFollowJob(row.user_id, targetArtistId, {
+      targetType,
+      priority,
+      delay,
+      jobId: row.id,
+      campaignId: row.campaign_id,
+      batchId: row.batch_id
+    });
+  }
+
+  /**
+   * Repair orphans on both sides
+   * Only jobs and rows older than reconcileGrace are looked at, so work
+   * still in flight (e.g. between a row insert and its Bull add) is left alone
+   * @param {Date} now - Current time
+   * @returns {Object} { removed, synced, requeued }
+   */
+  async reconcile(now = new Date()) {
+    const cutoff = new Date(now.getTime() - config.queue.reconcileGrace);
+    const summary = { removed: 0, synced: 0, requeued: 0 };
+
+    const pending = (await queueManager.getPendingFollowJobs())
+      .filter(job => this.jobNames.includes(job.name));
+
+    await this.reconcileQueue(pending.filter(job => job.timestamp < cutoff.getTime()), summary);
+    await this.reconcileRows(pending, cutoff, summary);
+
+    if (summary.removed + summary.synced + summary.requeued > 0) {
+      logger.info(`Reconciled follow and unfollow jobs: ${summary.removed} removed, ${summary.synced} synced, ${summary.requeued} requeued`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Bull side: drop jobs whose row is gone or finished, and point rows at
+   * the Bull job that will run them
+   * @param {Array<Job>} jobs - Waiting and delayed follow and unfollow jobs
+   * @param {Object} summary - Counts to update
+   */
+  async reconcileQueue(jobs, summary) {
+    if (jobs.length === 0) return;
+
+    const result = await db.query(`
+      SELECT id, status, queue_job_id FROM queue_jobs
+      WHERE job_type IN ('follow', 'unfollow')
+        AND (id = ANY($1::uuid[]) OR queue_job_id = ANY($2))
+    `, [
+      [...new Set(jobs.map(job => job.data.jobId).filter(Boolean))],
+      jobs.map(job => String(job.id))
+    ]);
+
+    const byId = new Map(result.rows.map(row => [row.id, row]));
+    const byQueueJobId = new Map(result.rows.map(row => [row.queue_job_id, row]));
+    const rowFor = (job) => byId.get(job.data.jobId) || byQueueJobId.get(String(job.id));
+
+    // The job a row already points at wins when a row has several
+    const ordered = [...jobs].sort((a, b) =>
+      Number(rowFor(b)?.queue_job_id === String(b.id)) - Number(rowFor(a)?.queue_job_id === String(a.id))
+    );
+
+    const seen = new Set();
+    for (const job of ordered) {
+      const row = rowFor(job);
+
+      if (!row || this.finishedStatuses.includes(row.status) || seen.has(row.id)) {
+        await this.removeJob(job, summary);
+        continue;
+      }
+      seen.add(row.id);
+
+      // Failed rows are still retrying in Bull
+      if (row.status === 'failed') continue;
+
+      if (row.status !== 'queued' || row.queue_job_id !== String(job.id)) {
+        await db.query(`
+          UPDATE queue_jobs
+          SET status = 'queued',
+              queue_job_id = $2
+          WHERE id = $1
+        `, [row.id, String(job.id)]);
+        summary.synced++;
+      }
+    }
+  }
+
+  /**
+   * DB side: settle queued rows whose Bull job is missing or finished, and
+   * processing rows no worker is running any more (the worker died, Redis
+   * lost the job, or a batch claimed it and never finished)
+   * @param {Array<Job>} pending - All waiting and delayed follow and unfollow jobs
+   * @param {Date} cutoff - Rows handed to Bull or started after this are skipped
+   * @param {Object} summary - Counts to update
+   */
+  async reconcileRows(pending, cutoff, summary) {
+    const result = await db.query(`
+      SELECT * FROM queue_jobs
+      WHERE job_type IN ('follow', 'unfollow')
+        AND (
+          (status = 'queued' AND COALESCE(promoted_at, created_at) < $1)
+          OR (status = 'processing' AND started_at < $1)
+        )
+        AND (queue_job_id IS NULL OR queue_job_id <> ALL($2))
+      ORDER BY COALESCE(started_at, promoted_at, created_at) ASC
+      LIMIT $3
+    `, [cutoff, pending.map(job => String(job.id)), config.queue.reconcileBatchSize]);
+
+    for (const row of result.rows) {
+      try {
+        await this.reconcileRow(row, cutoff, summary);
+      } catch (error) {
+        logger.error(`Failed to reconcile job ${row.id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Settle one queued or processing row against Bull and the follow it made or undid
+   * @param {Object} row - queue_jobs row
+   * @param {Date} cutoff - Follows still pending since before this are settled
+   * @param {Object} summary - Counts to update
+   */
+  async reconcileRow(row, cutoff, summary) {
+    let job = row.queue_job_id ? await queueManager.getFollowJob(row.queue_job_id) : null;
+    if (!job && row.queue_job_id !== row.id) {
+      job = await queueManager.getFollowJob(row.id);
+    }
+
+    if (job) {
+      const state = await job.getState();
+
+      // A worker is still on it; Bull moves it back to waiting if that worker stalled
+      if (state === 'active') return;
+
+      if (state === 'completed' && job.returnvalue?.deferred) {
+        await this.syncRow(row, { queue_job_id: String(job.returnvalue.nextJobId) }, summary);
+      } else if (state === 'completed') {
+        await this.syncRow(row, { status: 'completed', result: job.returnvalue, completed_at: new Date() }, summary);
+      } else if (state === 'failed' && job.attemptsMade >= (job.opts.attempts || 1)) {
+        await this.syncRow(row, { status: 'failed', last_error: job.failedReason, completed_at: new Date() }, summary);
+      } else if (row.queue_job_id !== String(job.id)) {
+        await this.syncRow(row, { queue_job_id: String(job.id) }, summary);
+      }
+      return;
+    }
+
+    // No Bull job: the follow or unfollow either went through before Redis lost it, or never ran.
+    // An unfollow row's state is that of the follow it undoes
+    const unfollowOf = row.job_type === 'unfollow' ? row.payload.followId : null;
+    const follow = await db.query(`
+      SELECT id, status, created_at FROM follows
+      WHERE ${unfollowOf ? 'id = $1' : 'queue_job_id = $1'}
+      ORDER BY created_at DESC
+      LIMIT 1
+    `, [unfollowOf || row.id]);
+    const followStatus = follow.rows[0]?.status;
+
+    if (unfollowOf ? followStatus === 'unfollowed' : this.followedStatuses.includes(followStatus)) {
+      await this.syncRow(row, { status: 'completed', completed_at: new Date() }, summary);
+      return;
+    }
+
+    // Mid-follow when the worker died; whether Spotify saw it is unknown. Unfollows can simply run again
+    if (!unfollowOf && followStatus === 'pending') {
+      if (new Date(follow.rows[0].created_at) < cutoff) {
+        await this.settlePendingFollow(row, follow.rows[0].id, summary);
+      }
+      return;
+    }
+
+    await this.enqueue(row);
+    await db.update('queue_jobs', row.id, { status: 'queued', queue_job_id: row.id, promoted_at: new Date() });
+    summary.requeued++;
+    logger.warn(`Requeued ${row.job_type} job ${row.id} missing from the queue`);
+  }
+
+  /**
+   * Settle a row whose follow was left pending by a worker that died mid-follow
+   * Sending it again could follow twice, so the follow is marked unverified
+   * and verification asks Spotify whether it went through (re-sending it if not)
+   * @param {Object} row - queue_jobs row
+   * @param {string} followId - follows.id left pending
+   * @param {Object} summary - Counts to update
+   */
+  async settlePendingFollow(row, followId, summary) {
+    const updated = await db.query(`
+      UPDATE follows
+      SET status = 'unverified'
+      WHERE id = $1 AND status = 'pending'
+    `, [followId]);
+
+    if (updated.rowCount > 0) {
+      await queueManager.addVerificationJob(followId);
+    }
+
+    await this.syncRow(row, {
+      status: 'completed',
+      result: { followId, interrupted: true },
+      completed_at: new Date()
+    }, summary);
+    logger.warn(`Follow ${followId} of job ${row.id} was interrupted, leaving it to verification`);
+  }
+
+  /**
+   * Update a row to match Bull
+   * @param {Object} row - queue_jobs row
+   * @param {Object} data - Columns to set
+   * @param {Object} summary - Counts to update
+   */
+  async syncRow(row, data, summary) {
+    await db.update('queue_jobs', row.id, data);
+    summary.synced++;
+  }
+
+  /**
+   * Remove an orphaned Bull job
+   * @param {Job} job - Waiting or delayed job
+   * @param {Object} summary - Counts to update
+   */
+  async removeJob(job, summary) {
+    try {
+      await job.remove();
+      summary.removed++;
+      logger.warn(`Removed orphaned follow job ${job.id}`);
+    } catch (error) {
+      // Picked up by a worker in the meantime
+      logger.debug(`Could not remove follow job ${job.id}: ${error.message}`);
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new JobScheduler();
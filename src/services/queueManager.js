@@ -7,10 +7,18 @@
  */
 
 const Bull = require('bull');
+const crypto = require('crypto');
 const config = require('../../config');
 const logger = require('../utils/logger');
 const db = require('../database');
 const followEngine = require('./followEngine');
+const spotifyThrottle = require('./spotifyThrottle');
+const spotifyCircuitBreaker = require('./spotifyCircuitBreaker');
+const fairScheduler = require('./fairScheduler');
+const followTargets = require('./followTargets');
+const followImport = require('./followImport');
+const queuePriority = require('./queuePriority');
+const targetPreferences = require('./targetPreferences');
 
 /**
  * QueueManager Class
@@ -23,6 +31,7 @@ class QueueManager {
     this.queues = {};         // Bull queue instances by name
     this.workers = {};        // Worker processes by queue
     this.isInitialized = false; // Initialization flag
+    this.skippedStatuses = ['cancelled', 'retried']; // queue_jobs statuses whose Bull job must not run
   }
 
   /**
@@ -50,6 +59,23 @@ class QueueManager {
         }
       });
 
+      // Create follow intake queue; with fair scheduling, follow jobs wait
+      // here until the fair scheduler moves them to the follow queue
+      if (config.queue.fairScheduling) {
+        this.queues.followIntake = new Bull('follow-intake-queue', {
+          redis: {
+            host: config.redis.host,
+            port: config.redis.port,
+            password: config.redis.password
+          },
+          defaultJobOptions: {
+            attempts: config.queue.maxJobAttempts,
+            removeOnComplete: true,
+            removeOnFail: false
+          }
+        });
+      }
+
       // Create analytics queue
       this.queues.analytics = new Bull('analytics-queue', {
         redis: {
@@ -59,6 +85,38 @@ class QueueManager {
         }
       });
 
+      // Create verification queue (re-checks completed follows)
+      this.queues.verification = new Bull('verification-queue', {
+        redis: {
+          host: config.redis.host,
+          port: config.redis.port,
+          password: config.redis.password
+        },
+        defaultJobOptions: {
+          removeOnComplete: true,
+          removeOnFail: false
+        }
+      });
+
+      // Create sync queue (imports follows users made outside the swarm)
+      this.queues.sync = new Bull('sync-queue', {
+        redis: {
+          host: config.redis.host,
+          port: config.redis.port,
+          password: config.redis.password
+        },
+        defaultJobOptions: {
+          attempts: config.queue.maxJobAttempts,
+          backoff: {
+            type: 'exponential',
+            delay: config.queue.backoffDelay
+          },
+          removeOnComplete: true,
+          // Failed imports must not block the user's next import (same job ID)
+          removeOnFail: true
+        }
+      });
+
       // Create notification queue
       this.queues.notification = new Bull('notification-queue', {
         redis: {
@@ -74,6 +132,16 @@ class QueueManager {
       // Setup workers
       await this.setupWorkers();
 
+      // Stop pulling follow jobs while Spotify is rate limiting us or down.
+      // followQueueHolds and followDispatcher are required here because they build on this module
+      const followQueueHolds = require('./followQueueHolds');
+      followQueueHolds.watchSpotify();
+      await followQueueHolds.reconcile();
+
+      if (config.queue.fairScheduling) {
+        require('./followDispatcher').start();
+      }
+
       this.isInitialized = true;
       logger.info('Queue manager initialized successfully');
     } catch (error) {
@@ -88,13 +156,21 @@ class QueueManager {
   setupQueueEvents() {
     // Follow queue events
     this.queues.follow.on('completed', async (job, result) => {
+      // Deferred jobs were re-added to the queue and are not done yet;
+      // cancelled jobs keep their 'cancelled' row
+      if (result && (result.deferred || result.cancelled)) return;
+
       logger.info(`Follow job ${job.id} completed:`, result);
       await this.updateJobStatus(job.id, 'completed', result);
     });
 
     this.queues.follow.on('failed', async (job, err) => {
       logger.error(`Follow job ${job.id} failed:`, err);
-      await this.updateJobStatus(job.id, 'failed', null, err.message);
+
+      // Bull retries the job until its attempts run out, and only then is it failed
+      if (job.attemptsMade >= (job.opts.attempts || 1)) {
+        await this.updateJobStatus(job.id, 'failed', null, err.message);
+      }
     });
 
     this.queues.follow.on('stalled', (job) => {
@@ -109,62 +185,102 @@ class QueueManager {
     this.queues.analytics.on('failed', (job, err) => {
       logger.error(`Analytics job ${job.id} failed:`, err);
     });
+
+    // Verification queue events
+    this.queues.verification.on('failed', (job, err) => {
+      logger.error(`Verification job ${job.id} failed:`, err);
+    });
+
+    // Sync queue events
+    this.queues.sync.on('failed', (job, err) => {
+      logger.error(`Sync job ${job.id} failed:`, err);
+    });
+  }
+
+  /**
+   * Queue that new and re-queued follow jobs enter
+   * @returns {Queue} Intake queue with fair scheduling, otherwise the follow queue
+   */
+  followIntake() {
+    return this.queues.followIntake || this.queues.follow;
+  }
+
+  /**
+   * Follow jobs that have not started yet, in either queue
+   * @returns {Array<Job>} Waiting and delayed jobs
+   */
+  async getPendingFollowJobs() {
+    const queues = [this.queues.follow, this.queues.followIntake].filter(Boolean);
+    const jobs = await Promise.all(queues.map(queue => queue.getJobs(['waiting', 'delayed'])));
+    return jobs.flat().filter(Boolean);
+  }
+
+  /**
+   * Find a follow job by ID in either queue
+   * @param {string} jobId - Bull job ID
+   * @returns {Job|null} Job in any state, or null if Redis has no such job
+   */
+  async getFollowJob(jobId) {
+    for (const queue of [this.queues.follow, this.queues.followIntake].filter(Boolean)) {
+      const job = await queue.getJob(jobId);
+      if (job) return job;
+    }
+    return null;
   }
 
   /**
    * Setup queue workers
    */
   async setupWorkers() {
-    // Follow queue worker
-    this.queues.follow.process(config.queue.concurrency, async (job) => {
-      const { userId, targetArtistId, jobId } = job.data;
-      
-      try {
-        // Check rate limits
-        const user = await db.findOne('users', { id: userId });
-        const rateCheck = await followEngine.checkRateLimits(userId, user.subscription_tier);
-        
-        if (!rateCheck.canFollow) {
-          // Delay job until next available slot
-          const delay = rateCheck.nextAvailableSlot.getTime() - Date.now();
-          await job.moveToDelayed(delay);
-          return { delayed: true, nextSlot: rateCheck.nextAvailableSlot };
-        }
+    // Follow queue worker; unfollowJobs is required here because it builds on this module.
+    // One processor for both job names, as Bull adds up the concurrency of a queue's processors
+    const unfollowJobs = require('./unfollowJobs');
+    this.queues.follow.process('*', config.queue.concurrency, (job) => {
+      switch (job.name) {
+      case 'follow-artist':
+        return this.processFollowJob(job);
+      case 'unfollow':
+        return unfollowJobs.process(job);
+      default:
+        throw new Error(`Unknown follow queue job: ${job.name}`);
+      }
+    });
 
-        // Execute follow
-        const result = await followEngine.followArtist(userId, targetArtistId, jobId);
-        
-        // Track analytics
-        await this.queues.analytics.add('track-follow', {
-          userId,
-          artistId: targetArtistId,
-          result,
-          timestamp: new Date()
-        });
+    // Verification queue worker
+    this.queues.verification.process(async (job) => {
+      const { followId } = job.data;
+      const result = await followEngine.verifyFollow(followId);
 
-        return result;
-      } catch (error) {
-        logger.error(`Worker error for job ${job.id}:`, error);
-        throw error;
+      if (result.retry) {
+        await this.addVerificationJob(followId);
       }
+
+      return result;
     });
 
+    // Sync queue worker
+    this.queues.sync.process('import-follows', (job) => followImport.importFollows(job.data.userId));
+
     // Analytics queue worker
-    this.queues.analytics.process(async (job) => {
-      const { type, data } = job.data;
+    this.queues.analytics.process('*', async (job) => {
+      // Named jobs carry their data directly; unnamed ones wrap it as { type, data }
+      const { type, data } = job.name === '__default__' ? job.data : { type: job.name, data: job.data };
       
       switch (type) {
-        case 'track-follow':
-          await this.trackFollowAnalytics(data);
-          break;
-        case 'daily-summary':
-          await this.generateDailySummary(data);
-          break;
-        case 'user-metrics':
-          await this.calculateUserMetrics(data);
-          break;
-        default:
-          logger.warn(`Unknown analytics job type: ${type}`);
+      case 'track-follow':
+        await this.trackFollowAnalytics(data);
+        break;
+      case 'track-unfollow':
+        await this.trackUnfollowAnalytics(data);
+        break;
+      case 'daily-summary':
+        await this.generateDailySummary(data);
+        break;
+      case 'user-metrics':
+        await this.calculateUserMetrics(data);
+        break;
+      default:
+        logger.warn(`Unknown analytics job type: ${type}`);
       }
     });
 
@@ -190,65 +306,336 @@ class QueueManager {
     logger.info('Queue workers setup completed');
   }
 
+  /**
+   * Process a follow job, coalescing the user's other due jobs when batching is enabled
+   * @param {Job} job - Bull follow job
+   * @returns {Object} Follow result for this job
+   */
+  async processFollowJob(job) {
+    const { userId } = job.data;
+    // Required here because followBatching builds on this module
+    const followBatching = require('./followBatching');
+
+    try {
+      if (!await this.claimJobRow(job)) return this.skipCancelledJob(job);
+
+      const { rateCheck, deferred } = await this.gateJob(job);
+      if (deferred) return deferred;
+
+      // Coalesce this user's other due jobs into the same API call
+      const batch = [job];
+      if (config.queue.batchFollows) {
+        const capacity = Math.min(
+          config.queue.batchMaxSize,
+          followTargets.getBatchSize(job.data.targetType),
+          rateCheck.limits.hourly.remaining,
+          rateCheck.limits.daily.remaining,
+          rateCheck.limits.monthly.remaining
+        );
+        batch.push(...await followBatching.claimJobs(job, capacity - 1));
+      }
+
+      // Execute follow
+      let results;
+      try {
+        results = await followEngine.followArtistBatch(userId, batch.map(j => ({
+          targetArtistId: j.data.targetArtistId,
+          targetType: j.data.targetType,
+          jobId: j.data.jobId,
+          campaignId: j.data.campaignId,
+          batchId: j.data.batchId
+        })));
+      } catch (error) {
+        await followBatching.requeueJobs(batch.slice(1));
+
+        // Rejected without reaching Spotify, so it should not cost an attempt
+        if (error.code === 'CIRCUIT_OPEN') {
+          return this.deferJob(job, new Date(Date.now() + error.retryAfter), 'circuit_open');
+        }
+        if (error.code === 'SPOTIFY_THROTTLED') {
+          return this.deferJob(job, new Date(Date.now() + error.retryAfter), 'spotify_throttled');
+        }
+        // Another worker took the last slots after the gate checked them
+        if (error.code === 'RATE_LIMITED') {
+          return this.deferJob(job, error.resetAt, 'rate_limited');
+        }
+        throw error;
+      }
+
+      for (let i = 0; i < batch.length; i++) {
+        await this.afterFollow(userId, batch[i].data.targetArtistId, results[i]);
+
+        // Claimed jobs were removed from Bull, so no 'completed' event fires for them
+        if (i > 0) {
+          await this.updateJobStatus(batch[i].id, 'completed', results[i]);
+        }
+      }
+
+      return results[0];
+    } catch (error) {
+      logger.error(`Worker error for job ${job.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Mark a job's queue_jobs row as processing unless it was cancelled or retried
+   * A cancel (see jobCancellation) and a worker starting the job both update
+   * the row, so Postgres decides which one wins: cancellation only touches
+   * rows that are not processing yet, and this leaves cancelled rows as they
+   * are. Retried rows
+   * were replaced by a new job (see followBatches.retryFailed).
+   * Jobs without a row (e.g. queued before rows were written first) run
+   * @param {Job} job - Follow or unfollow job
+   * @returns {boolean} False if the row is cancelled or retried and the job must not run
+   */
+  async claimJobRow(job) {
+    const result = await db.query(`
+      UPDATE queue_jobs
+      SET status = CASE WHEN status = ANY($3) THEN status ELSE 'processing' END,
+          started_at = CASE WHEN status = ANY($3) THEN started_at ELSE NOW() END
+      WHERE id = $1 OR queue_job_id = $2
+      RETURNING status
+    `, [job.data.jobId || null, String(job.id), this.skippedStatuses]);
+
+    return !result.rows.some(row => this.skippedStatuses.includes(row.status));
+  }
+
+  /**
+   * Finish a job whose row was cancelled or retried without doing any work
+   * @param {Job} job - Follow or unfollow job
+   * @returns {Object} Cancellation result
+   */
+  skipCancelledJob(job) {
+    logger.info(`${job.name} job ${job.id} was cancelled or retried, skipping`);
+    return { cancelled: true };
+  }
+
+  /**
+   * Check a job's user against their pause, rate limits and activity windows
+   * Jobs that may not run yet are deferred to the next allowed slot
+   * @param {Job} job - Follow or unfollow job
+   * @returns {Object} { rateCheck, deferred } with the deferral result when deferred
+   */
+  async gateJob(job) {
+    const { userId } = job.data;
+    const user = await db.findOne('users', { id: userId });
+
+    // Paused by the user: hold the job; resuming re-spreads held jobs (see userPause)
+    if (user.follows_paused_at) {
+      const until = new Date(Date.now() + config.queue.pausedHoldDelay);
+      return { rateCheck: null, deferred: await this.deferJob(job, until, 'user_paused') };
+    }
+
+    const rateCheck = await followEngine.checkRateLimits(userId, user.subscription_tier, user);
+
+    if (!rateCheck.canFollow) {
+      // Delay job until next available slot
+      return { rateCheck, deferred: await this.deferJob(job, rateCheck.nextAvailableSlot, 'rate_limited') };
+    }
+
+    // Quiet hours: hold the job until the user's next activity window opens
+    if (rateCheck.activityWindow?.open === false) {
+      return { rateCheck, deferred: await this.deferJob(job, rateCheck.nextAvailableSlot, 'outside_activity_window') };
+    }
+
+    return { rateCheck, deferred: null };
+  }
+
+  /**
+   * Re-add a job to run later without consuming one of its attempts
+   * The current Bull job completes with { deferred: true } and the
+   * queue_jobs row is pointed at the replacement job
+   * @param {Job} job - Job being processed
+   * @param {Date} until - When the job should run again
+   * @param {string} reason - Why the job was deferred
+   * @returns {Object} Deferral result
+   */
+  async deferJob(job, until, reason) {
+    const next = await this.followIntake().add(job.name, job.data, {
+      priority: job.opts.priority,
+      delay: Math.max(0, until.getTime() - Date.now()),
+      attempts: Math.max(1, (job.opts.attempts || config.queue.maxJobAttempts) - job.attemptsMade)
+    });
+
+    // Waiting again, so the job can be cancelled until it next runs
+    await db.query(`
+      UPDATE queue_jobs
+      SET queue_job_id = $1,
+          scheduled_at = $2,
+          status = 'queued'
+      WHERE queue_job_id = $3
+    `, [String(next.id), until, String(job.id)]);
+
+    logger.info(`${job.name} job ${job.id} deferred until ${until.toISOString()} (${reason}) as job ${next.id}`);
+    return { deferred: true, reason, nextJobId: next.id, nextSlot: until };
+  }
+
+  /**
+   * Track analytics and schedule verification for a completed follow
+   * @param {string} userId - Follower user ID
+   * @param {string} targetArtistId - Followed artist, user or playlist
+   * @param {Object} result - followEngine result for this target
+   */
+  async afterFollow(userId, targetArtistId, result) {
+    // Track analytics
+    await this.queues.analytics.add('track-follow', {
+      userId,
+      artistId: targetArtistId,
+      targetType: result.targetType || 'artist',
+      result,
+      timestamp: new Date()
+    });
+
+    // Re-check the follow with Spotify once it has had time to settle
+    if (config.verification.enabled && followTargets.canVerify(result.targetType)) {
+      await this.addVerificationJob(result.followId);
+    }
+  }
+
+  /**
+   * Bull priority for a user's new job
+   * @param {string} userId - User ID
+   * @param {string|null} tier - Subscription tier if the caller has it
+   * @param {string} source - What queued the job (see config.queue.prioritySources)
+   * @returns {number} Bull priority
+   */
+  async getJobPriority(userId, tier, source) {
+    return tier ? queuePriority.get(tier, source) : queuePriority.forUser(userId, source);
+  }
+
   /**
    * Add follow job to queue
+   * targetArtistId is the Spotify ID of an artist, user or playlist, as named
+   * by options.targetType (default 'artist'); options.batchId links the job
+   * to a follow_batches row.
+   * The queue_jobs row is written first and the Bull job reuses its ID, so
+   * the reconciler (see jobScheduler) can restore a job Redis lost. Pass
+   * options.jobId to queue an existing row (e.g. one the promoter claimed).
+   * Priority comes from the user's tier and options.source (see
+   * queuePriority); pass options.tier to skip the tier lookup. An explicit
+   * options.priority, such as an existing row's, is used as is.
    */
   async addFollowJob(userId, targetArtistId, options = {}) {
     const {
-      priority = 0,
+      targetType = 'artist',
+      source = 'batch',
+      tier = null,
       delay = 0,
-      jobId = null
+      jobId = null,
+      campaignId = null,
+      batchId = null
     } = options;
 
-    const job = await this.queues.follow.add(
-      'follow-artist',
-      {
-        userId,
-        targetArtistId,
-        jobId,
-        timestamp: new Date()
-      },
-      {
-        priority,
-        delay,
-        jobId: jobId || undefined
-      }
-    );
+    const priority = options.priority ?? await this.getJobPriority(userId, tier, source);
+    const rowId = jobId || crypto.randomUUID();
 
     // Record in database
     if (!jobId) {
       await db.insert('queue_jobs', {
+        id: rowId,
         user_id: userId,
         job_type: 'follow',
-        queue_job_id: job.id,
-        payload: { targetArtistId },
+        queue_job_id: rowId,
+        payload: { targetArtistId, targetType },
+        target_type: targetType,
         priority,
         scheduled_at: new Date(Date.now() + delay),
-        status: 'queued'
+        promoted_at: new Date(),
+        status: 'queued',
+        campaign_id: campaignId,
+        batch_id: batchId
       });
     }
 
+    let job;
+    try {
+      job = await this.followIntake().add(
+        'follow-artist',
+        {
+          userId,
+          targetArtistId,
+          targetType,
+          jobId: rowId,
+          campaignId,
+          batchId,
+          timestamp: new Date()
+        },
+        {
+          priority,
+          delay,
+          jobId: rowId
+        }
+      );
+    } catch (error) {
+      // Don't leave a row behind for a job the caller was told failed
+      if (!jobId) {
+        await db.update('queue_jobs', rowId, {
+          status: 'failed',
+          last_error: error.message,
+          completed_at: new Date()
+        });
+      }
+      throw error;
+    }
+
     logger.info(`Added follow job ${job.id} for user ${userId}`);
     return job;
   }
 
+  /**
+   * Schedule a verification check for a completed follow
+   * @param {string} followId - follows.id to verify
+   */
+  async addVerificationJob(followId) {
+    return this.queues.verification.add(
+      { followId },
+      { delay: config.verification.delay }
+    );
+  }
+
+  /**
+   * Queue an import of the artists a user follows on Spotify
+   * Only one import per user is queued at a time
+   * @param {string} userId - User ID
+   * @returns {Job} Bull job
+   */
+  async addImportJob(userId) {
+    const job = await this.queues.sync.add('import-follows', { userId }, {
+      jobId: `import:${userId}`
+    });
+
+    logger.info(`Added follow import job ${job.id} for user ${userId}`);
+    return job;
+  }
+
   /**
    * Add batch follow jobs
+   * Targets the user already follows or whose lists don't allow are skipped.
+   * The priority is worked out once for the whole batch
    */
   async addBatchFollowJobs(userId, artistIds, options = {}) {
     const {
-      priority = 0,
+      targetType = 'artist',
+      source = 'batch',
+      tier = null,
       delayBetween = config.rateLimits.followDelayMin,
-      startDelay = 0
+      startDelay = 0,
+      batchId = null
     } = options;
 
     const jobs = [];
     let currentDelay = startDelay;
+    const followed = await followEngine.getFollowedTargetIds(userId, artistIds, targetType);
+    const allowed = await targetPreferences.filterTargets(userId, artistIds, targetType);
+    const priority = options.priority ?? await this.getJobPriority(userId, tier, source);
 
-    for (const artistId of artistIds) {
+    for (const artistId of allowed.filter(id => !followed.has(id))) {
       const job = await this.addFollowJob(userId, artistId, {
+        targetType,
         priority,
-        delay: currentDelay
+        delay: currentDelay,
+        batchId
       });
       
       jobs.push(job);
@@ -259,7 +646,7 @@ class QueueManager {
       currentDelay += delayBetween + variation;
     }
 
-    logger.info(`Added ${jobs.length} batch follow jobs for user ${userId}`);
+    logger.info(`Added ${jobs.length} of ${artistIds.length} batch follow jobs for user ${userId}`);
     return jobs;
   }
 
@@ -271,6 +658,7 @@ class QueueManager {
     if (!queue) {
       throw new Error(`Queue ${queueName} not found`);
     }
+    const followQueueHolds = require('./followQueueHolds');
 
     const [
       waiting,
@@ -278,14 +666,18 @@ class QueueManager {
       completed,
       failed,
       delayed,
-      paused
+      paused,
+      throttle,
+      holds
     ] = await Promise.all([
       queue.getWaitingCount(),
       queue.getActiveCount(),
       queue.getCompletedCount(),
       queue.getFailedCount(),
       queue.getDelayedCount(),
-      queue.isPaused()
+      queue.isPaused(),
+      spotifyThrottle.getState(),
+      followQueueHolds.getActive().catch(() => ({}))
     ]);
 
     return {
@@ -298,10 +690,71 @@ class QueueManager {
         delayed
       },
       isPaused: paused,
-      workers: config.queue.concurrency
+      workers: config.queue.concurrency,
+      autoPauses: Object.keys(holds),
+      fairScheduling: queueName === 'follow' && this.queues.followIntake
+        ? {
+          waiting: await this.queues.followIntake.getWaitingCount(),
+          delayed: await this.queues.followIntake.getDelayedCount(),
+          ...fairScheduler.getState()
+        }
+        : null,
+      waitTimes: queueName === 'follow' ? await this.getWaitTimes() : null,
+      throttle,
+      circuitBreaker: spotifyCircuitBreaker.getState()
     };
   }
 
+  /**
+   * Wait time percentiles per subscription tier
+   * A job's wait runs from when it was due (scheduled_at) to when a worker
+   * started it, so time spent deferred by rate limits counts too
+   * @param {Date} now - Current time; jobs started within waitStatsWindow count
+   * @returns {Object} tier -> { count, p50, p90, p99 } in milliseconds
+   */
+  async getWaitTimes(now = new Date()) {
+    const since = new Date(now.getTime() - config.queue.waitStatsWindow);
+
+    // Users count under the tier their jobs are queued as, which a trial or
+    // an override of priority_queue can change (see queuePriority.tierFor)
+    const users = await db.query(`
+      SELECT id, subscription_tier, trial_tier, trial_ends_at, feature_overrides
+      FROM users
+      WHERE id IN (
+        SELECT user_id FROM queue_jobs
+        WHERE job_type IN ('follow', 'unfollow')
+          AND started_at >= $1
+      )
+    `, [since]);
+
+    const result = await db.query(`
+      SELECT t.tier,
+             COUNT(*)::int AS count,
+             percentile_cont(ARRAY[0.5, 0.9, 0.99]) WITHIN GROUP (
+               ORDER BY GREATEST(EXTRACT(EPOCH FROM (q.started_at - q.scheduled_at)), 0)
+             ) AS percentiles
+      FROM queue_jobs q
+      JOIN unnest($2::uuid[], $3::text[]) AS t(user_id, tier) ON t.user_id = q.user_id
+      WHERE q.job_type IN ('follow', 'unfollow')
+        AND q.started_at >= $1
+      GROUP BY t.tier
+    `, [since, users.rows.map(user => user.id), users.rows.map(user => queuePriority.tierFor(user))]);
+
+    const waitTimes = {};
+    for (const tier of Object.keys(config.subscriptions)) {
+      waitTimes[tier] = { count: 0, p50: null, p90: null, p99: null };
+    }
+
+    for (const row of result.rows) {
+      if (!waitTimes[row.tier]) continue;
+
+      const [p50, p90, p99] = row.percentiles.map(seconds => Math.round(seconds * 1000));
+      waitTimes[row.tier] = { count: row.count, p50, p90, p99 };
+    }
+
+    return waitTimes;
+  }
+
   /**
    * Get user's jobs
    */
@@ -324,32 +777,6 @@ class QueueManager {
     return result.rows;
   }
 
-  /**
-   * Cancel user's pending jobs
-   */
-  async cancelUserJobs(userId) {
-    // Cancel in Bull queue
-    const jobs = await this.queues.follow.getJobs(['waiting', 'delayed']);
-    const userJobs = jobs.filter(job => job.data.userId === userId);
-    
-    for (const job of userJobs) {
-      await job.remove();
-    }
-
-    // Update database
-    const result = await db.query(`
-      UPDATE queue_jobs
-      SET status = 'cancelled',
-          completed_at = NOW()
-      WHERE user_id = $1
-        AND status IN ('queued', 'scheduled')
-      RETURNING *
-    `, [userId]);
-
-    logger.info(`Cancelled ${result.rowCount} jobs for user ${userId}`);
-    return result.rows;
-  }
-
   /**
    * Pause/resume queue
    */
@@ -394,6 +821,7 @@ class QueueManager {
           result = $3,
           last_error = $4
       WHERE queue_job_id = $5
+        AND status <> 'cancelled'
     `, [status, updateData.completed_at, result, error, jobId]);
   }
 
@@ -420,6 +848,27 @@ class QueueManager {
     `, [timestamp]);
   }
 
+  /**
+   * Track unfollow analytics
+   */
+  async trackUnfollowAnalytics(data) {
+    const { userId, timestamp } = data;
+
+    await db.query(`
+      INSERT INTO user_daily_stats (user_id, date, unfollows_count)
+      VALUES ($1, DATE($2), 1)
+      ON CONFLICT (user_id, date)
+      DO UPDATE SET unfollows_count = user_daily_stats.unfollows_count + 1
+    `, [userId, timestamp]);
+
+    await db.query(`
+      INSERT INTO platform_stats (date, total_unfollows)
+      VALUES (DATE($1), 1)
+      ON CONFLICT (date)
+      DO UPDATE SET total_unfollows = platform_stats.total_unfollows + 1
+    `, [timestamp]);
+  }
+
   /**
    * Generate daily summary
    */
@@ -428,10 +877,11 @@ class QueueManager {
       SELECT 
         COUNT(DISTINCT follower_user_id) as active_users,
         COUNT(*) as total_follows,
-        COUNT(*) FILTER (WHERE status = 'completed') as successful_follows,
+        COUNT(*) FILTER (WHERE status IN ('completed', 'verified')) as successful_follows,
         COUNT(*) FILTER (WHERE status = 'failed') as failed_follows
       FROM follows
       WHERE DATE(created_at) = $1
+        AND status != 'external'
     `, [date]);
 
     logger.info('Daily summary generated:', summary.rows[0]);
@@ -451,6 +901,7 @@ class QueueManager {
       FROM follows
       WHERE follower_user_id = $1
         AND created_at >= NOW() - INTERVAL '30 days'
+        AND status != 'external'
     `, [userId]);
 
     return metrics.rows[0];
@@ -509,6 +960,9 @@ class QueueManager {
   async shutdown() {
     logger.info('Shutting down queue manager...');
     
+    require('./followDispatcher').stop();
+    require('./followQueueHolds').stop();
+
     for (const queueName in this.queues) {
       await this.queues[queueName].close();
     }
@@ -0,0 +1,70 @@
+/**
+ * Queue Priority Service
+ *
+ * Assigns Bull priorities to follow and unfollow jobs. Each subscription
+ * tier has a band (config.subscriptions[tier].queuePriority) and the source
+ * of a job adds an offset within it, so a premium user's batch still runs
+ * ahead of a free user's single follow. Bull runs lower numbers first.
+ * Users granted the priority_queue feature by a trial or an override get
+ * the band of a tier that includes it (see tierFor).
+ */
+
+const config = require('../../config');
+const db = require('../database');
+const entitlements = require('./entitlements');
+
+/**
+ * QueuePriority Class
+ *
+ * Priorities only order jobs that are waiting at the same time; how much
+ * of the queue each tier gets is left to fairScheduler's queue shares.
+ */
+class QueuePriority {
+  /**
+   * Priority for a job of the given tier and source
+   * Unknown tiers get the free band and unknown sources the batch offset
+   * @param {string} tier - Subscription tier
+   * @param {string} source - What queued the job (see config.queue.prioritySources)
+   * @returns {number} Bull priority
+   */
+  get(tier, source = 'batch') {
+    const band = (config.subscriptions[tier] || config.subscriptions.free).queuePriority;
+    const offset = config.queue.prioritySources[source] ?? config.queue.prioritySources.batch;
+
+    return band + offset;
+  }
+
+  /**
+   * Tier whose band a user's jobs get
+   * Their own tier, unless a trial or an override changes whether they have
+   * priority_queue; then the cheapest tier with it, or the dearest without it
+   * @param {Object} user - User row (subscription_tier, trial and override columns)
+   * @returns {string} Tier name
+   */
+  tierFor(user) {
+    const tier = user?.subscription_tier;
+    if (!user) return tier;
+
+    const granted = entitlements.hasFeature(user, 'priority_queue');
+    const priorityTiers = entitlements.tiersWith('priority_queue');
+    if (granted === priorityTiers.includes(tier)) return tier;
+
+    return granted
+      ? priorityTiers[0]
+      : Object.keys(config.subscriptions).filter(name => !priorityTiers.includes(name)).pop();
+  }
+
+  /**
+   * Priority for a user's job, looking up their tier and entitlements
+   * @param {string} userId - User ID
+   * @param {string} source - What queued the job
+   * @returns {number} Bull priority
+   */
+  async forUser(userId, source = 'batch') {
+    const user = await db.findOne('users', { id: userId });
+    return this.get(this.tierFor(user), source);
+  }
+}
+
+// Export singleton instance
+module.exports = new QueuePriority();
@@ -0,0 +1,185 @@
+/**
+ * Schedule Distributions
+ *
+ * Spreads a number of follows over a time window. Each distribution is a
+ * pluggable strategy that returns the timestamps follows should run at, so
+ * a schedule can be previewed before any jobs are created.
+ *
+ * Built-in distributions:
+ * - even: equal gaps across the window
+ * - random: one uniformly jittered follow per equal slot
+ * - poisson: Poisson arrivals (exponential gaps) fitted to the window
+ * - front-loaded: most follows early, tapering off towards the end
+ * - business-hours: equal gaps across local working hours, skipping nights
+ */
+
+const config = require('../../config');
+const timezone = require('../utils/timezone');
+
+/**
+ * ScheduleDistributions Class
+ *
+ * A strategy is called as strategy(count, window) where window is
+ * { start, end, timeZone, random } (start/end in epoch ms, random returning [0, 1)),
+ * and returns `count` ascending epoch ms timestamps within [start, end).
+ */
+class ScheduleDistributions {
+  constructor() {
+    this.strategies = new Map();
+
+    this.register('even', (count, { start, end }) => {
+      const step = (end - start) / count;
+      return Array.from({ length: count }, (_, i) => start + i * step);
+    });
+
+    this.register('random', (count, { start, end, random }) => {
+      const step = (end - start) / count;
+      return Array.from({ length: count }, (_, i) => start + (i + random()) * step);
+    });
+
+    this.register('poisson', (count, { start, end, random }) => {
+      // Arrival times of a Poisson process given `count` arrivals in the window
+      const gaps = Array.from({ length: count + 1 }, () => -Math.log(1 - random()));
+      const total = gaps.reduce((sum, gap) => sum + gap, 0);
+
+      let elapsed = 0;
+      return gaps.slice(0, count).map(gap => {
+        elapsed += gap;
+        return start + (elapsed / total) * (end - start);
+      });
+    });
+
+    this.register('front-loaded', (count, { start, end }) => {
+      // Density falls linearly to zero at the end: half the follows land in the first ~29%
+      return Array.from({ length: count }, (_, i) =>
+        start + (1 - Math.sqrt(1 - i / count)) * (end - start)
+      );
+    });
+
+    this.register('business-hours', (count, window) => {
+      const intervals = this.getBusinessIntervals(window);
+      const total = intervals.reduce((sum, [from, to]) => sum + (to - from), 0);
+
+      if (total === 0) {
+        throw this.invalid('The schedule window contains no business hours');
+      }
+
+      // Even gaps across business time, mapped back onto the calendar
+      const step = total / count;
+      const timestamps = [];
+      let interval = 0;
+      let passed = 0;
+
+      for (let i = 0; i < count; i++) {
+        const offset = i * step;
+        while (offset - passed >= intervals[interval][1] - intervals[interval][0]) {
+          passed += intervals[interval][1] - intervals[interval][0];
+          interval++;
+        }
+        timestamps.push(intervals[interval][0] + (offset - passed));
+      }
+
+      return timestamps;
+    });
+  }
+
+  /**
+   * Add or replace a distribution
+   * @param {string} name - Distribution name used by the API
+   * @param {Function} strategy - (count, window) => Array<number>
+   */
+  register(name, strategy) {
+    this.strategies.set(name, strategy);
+  }
+
+  /**
+   * Get the available distribution names
+   * @returns {Array<string>} Distribution names
+   */
+  getNames() {
+    return Array.from(this.strategies.keys());
+  }
+
+  /**
+   * Plan when follows should run
+   * @param {string} distribution - Distribution name
+   * @param {number} count - Number of follows
+   * @param {Object} options - { start, end, timeZone, random }
+   * @returns {Array<Date>} Ascending run times
+   */
+  plan(distribution, count, options = {}) {
+    const strategy = this.strategies.get(distribution);
+    if (!strategy) {
+      throw this.invalid(`Unknown distribution. Use one of: ${this.getNames().join(', ')}`);
+    }
+
+    const {
+      start = new Date(),
+      end = new Date(start.getTime() + 24 * 60 * 60 * 1000),
+      timeZone = config.scheduling.defaultTimezone,
+      random = Math.random
+    } = options;
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) {
+      throw this.invalid('endTime must be after startTime');
+    }
+    if (end - start > config.scheduling.maxWindowDays * 24 * 60 * 60 * 1000) {
+      throw this.invalid(`Schedules can span at most ${config.scheduling.maxWindowDays} days`);
+    }
+    if (!timezone.isValid(timeZone)) {
+      throw this.invalid(`Unknown timezone: ${timeZone}`);
+    }
+    if (count === 0) return [];
+
+    const timestamps = strategy(count, {
+      start: start.getTime(),
+      end: end.getTime(),
+      timeZone,
+      random
+    });
+
+    return timestamps
+      .map(timestamp => Math.round(timestamp))
+      .sort((a, b) => a - b)
+      .map(timestamp => new Date(timestamp));
+  }
+
+  /**
+   * Get the business-hour intervals of a window in a timezone
+   * @param {Object} window - { start, end, timeZone } with epoch ms bounds
+   * @returns {Array<Array<number>>} [from, to] epoch ms pairs in order
+   */
+  getBusinessIntervals({ start, end, timeZone }) {
+    const { startHour, endHour, weekdays } = config.scheduling.businessHours;
+    const intervals = [];
+
+    let day = timezone.getLocalTime(new Date(start), timeZone);
+    for (;;) {
+      const open = timezone.toUtc({ ...day, hour: startHour, minute: 0 }, timeZone).getTime();
+      if (open >= end) break;
+
+      if (weekdays.includes(day.weekday)) {
+        const close = timezone.toUtc({ ...day, hour: endHour, minute: 0 }, timeZone).getTime();
+        const from = Math.max(open, start);
+        const to = Math.min(close, end);
+        if (to > from) intervals.push([from, to]);
+      }
+
+      day = timezone.nextDay(day);
+    }
+
+    return intervals;
+  }
+
+  /**
+   * Create an error for a schedule that cannot be planned
+   * @param {string} message - Error message
+   * @returns {Error} Error with code INVALID_SCHEDULE
+   */
+  invalid(message) {
+    return Object.assign(new Error(message), { code: 'INVALID_SCHEDULE' });
+  }
+}
+
+// Export singleton instance
+module.exports = new ScheduleDistributions();
@@ -0,0 +1,178 @@
+/**
+ * Spotify Circuit Breaker
+ *
+ * Stops calling Spotify during outages. Repeated 5xx responses, timeouts or
+ * network errors open the circuit; calls then fail fast with CIRCUIT_OPEN
+ * instead of burning job attempts. After the reset timeout a single probe
+ * request is sent (half-open) and a success closes the circuit again.
+ * State is kept per process; QueueManager listens for transitions to pause
+ * and resume the follow queue.
+ */
+
+const EventEmitter = require('events');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const { createClient } = require('../auth/spotifyClient');
+
+/**
+ * SpotifyCircuitBreaker Class
+ *
+ * closed -> open after `failureThreshold` consecutive outage errors
+ * open -> half_open after `resetTimeout`, when the probe is sent
+ * half_open -> closed on probe success, back to open on probe failure
+ */
+class SpotifyCircuitBreaker extends EventEmitter {
+  constructor() {
+    super();
+    this.state = 'closed';
+    this.failures = 0;          // Consecutive outage errors while closed
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.lastError = null;
+    this.probeTimer = null;
+    this.transitions = [];      // Recent state changes, newest first
+  }
+
+  /**
+   * Run a Spotify call through the breaker
+   * @param {string} label - Call site name for logging
+   * @param {Function} fn - Async function performing the Spotify call
+   * @returns {*} Result of fn
+   */
+  async execute(label, fn) {
+    if (this.state !== 'closed') {
+      const error = new Error(`Spotify circuit is ${this.state}, ${label} call rejected`);
+      error.code = 'CIRCUIT_OPEN';
+      error.retryAfter = Math.max(0, (this.nextProbeAt?.getTime() || Date.now()) - Date.now());
+      throw error;
+    }
+
+    try {
+      const result = await fn();
+      this.failures = 0;
+      return result;
+    } catch (error) {
+      if (this.isOutageError(error)) {
+        this.recordFailure(label, error);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Whether an error indicates Spotify itself is unavailable
+   * Client errors (4xx, including 429) say nothing about availability
+   * @param {Error} error - Error thrown by the Spotify client
+   * @returns {boolean}
+   */
+  isOutageError(error) {
+    if (error.statusCode >= 500) return true;
+    if (error.name === 'TimeoutError') return true;
+
+    return ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNABORTED']
+      .includes(error.code);
+  }
+
+  /**
+   * Count an outage error and open the circuit at the threshold
+   * @param {string} label - Call site name
+   * @param {Error} error - Outage error
+   */
+  recordFailure(label, error) {
+    this.failures++;
+    this.lastError = error.message;
+    logger.warn(`Spotify ${label} call failed (${this.failures}/${config.spotify.circuitBreaker.failureThreshold}): ${error.message}`);
+
+    // Calls already in flight when the circuit opened may still fail
+    if (this.state === 'closed' && this.failures >= config.spotify.circuitBreaker.failureThreshold) {
+      this.open();
+    }
+  }
+
+  /**
+   * Open the circuit and schedule the next probe
+   */
+  open() {
+    const { resetTimeout } = config.spotify.circuitBreaker;
+
+    this.openedAt = new Date();
+    this.nextProbeAt = new Date(Date.now() + resetTimeout);
+    this.transition('open');
+
+    clearTimeout(this.probeTimer);
+    this.probeTimer = setTimeout(() => this.probe(), resetTimeout);
+    this.probeTimer.unref?.();
+  }
+
+  /**
+   * Send a single request to check whether Spotify has recovered
+   */
+  async probe() {
+    this.probeTimer = null;
+    this.transition('half_open');
+
+    try {
+      await this.sendProbeRequest();
+      this.close();
+    } catch (error) {
+      this.lastError = error.message;
+      logger.warn(`Spotify probe failed: ${error.message}`);
+      this.open();
+    }
+  }
+
+  /**
+   * Lightweight Spotify request using app credentials
+   */
+  async sendProbeRequest() {
+    const client = createClient();
+    const grant = await client.clientCredentialsGrant();
+    client.setAccessToken(grant.body['access_token']);
+    await client.searchArtists('spotify', { limit: 1 });
+  }
+
+  /**
+   * Close the circuit and reset counters
+   */
+  close() {
+    clearTimeout(this.probeTimer);
+    this.probeTimer = null;
+    this.failures = 0;
+    this.openedAt = null;
+    this.nextProbeAt = null;
+    this.transition('closed');
+  }
+
+  /**
+   * Record a state change and notify listeners
+   * @param {string} state - New state (closed, open, half_open)
+   */
+  transition(state) {
+    const from = this.state;
+    this.state = state;
+
+    this.transitions.unshift({ from, to: state, at: new Date(), error: this.lastError });
+    this.transitions.length = Math.min(this.transitions.length, 20);
+
+    logger.info(`Spotify circuit breaker: ${from} -> ${state}`);
+    this.emit(state, { from, lastError: this.lastError });
+  }
+
+  /**
+   * Get breaker state for health checks and the admin API
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: config.spotify.circuitBreaker.failureThreshold,
+      openedAt: this.openedAt,
+      nextProbeAt: this.nextProbeAt,
+      lastError: this.lastError,
+      transitions: this.transitions
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new SpotifyCircuitBreaker();
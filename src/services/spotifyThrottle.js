@@ -0,0 +1,192 @@
+/**
+ * Spotify Throttle Service
+ *
+ * App-wide token bucket for Spotify Web API calls, stored in Redis so every
+ * worker and web process draws from the same budget. When Spotify answers
+ * 429 the bucket is paused for exactly the Retry-After period and a
+ * 'paused' event is emitted so the follow queue can stop pulling jobs.
+ */
+
+const EventEmitter = require('events');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const redis = require('../database/redis');
+const spotifyCircuitBreaker = require('./spotifyCircuitBreaker');
+
+/**
+ * SpotifyThrottle Class
+ *
+ * Single choke point for Spotify calls. Fails open when Redis is unavailable
+ * so an outage of the cache never blocks logins or follows.
+ */
+class SpotifyThrottle extends EventEmitter {
+  constructor() {
+    super();
+    this.bucketKey = 'spotify:throttle:bucket';
+    this.pauseKey = 'spotify:throttle:paused_until';
+    this.resumeTimer = null;  // Local timer that emits 'resumed'
+    this.pausedUntil = 0;     // Latest pause deadline seen by this process
+  }
+
+  /**
+   * Run a Spotify call once the bucket allows it
+   * Calls are rejected without using a token while the circuit breaker is open
+   * @param {string} label - Call site name for logging (e.g. 'follow', 'profile')
+   * @param {Function} fn - Async function performing the Spotify call
+   * @returns {*} Result of fn
+   */
+  async execute(label, fn) {
+    try {
+      return await spotifyCircuitBreaker.execute(label, async () => {
+        await this.acquire(label);
+        return fn();
+      });
+    } catch (error) {
+      if (error.statusCode === 429) {
+        const retryAfter = parseInt(error.headers?.['retry-after']) || 1;
+        await this.pause(retryAfter * 1000, label);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Wait for a token from the shared bucket
+   * @param {string} label - Call site name for logging
+   */
+  async acquire(label) {
+    const { capacity, refillPerSecond, maxWait } = config.spotify.throttle;
+    const deadline = Date.now() + maxWait;
+
+    // Lua script refills and takes a token atomically across all workers;
+    // returns 0 when a token was taken, otherwise milliseconds to wait
+    const script = `
+      local capacity = tonumber(ARGV[1])
+      local rate = tonumber(ARGV[2])
+      local now = tonumber(ARGV[3])
+
+      local pausedUntil = tonumber(redis.call("get", KEYS[2]) or "0")
+      if pausedUntil > now then
+        return pausedUntil - now
+      end
+
+      local state = redis.call("hmget", KEYS[1], "tokens", "ts")
+      local tokens = tonumber(state[1]) or capacity
+      local ts = tonumber(state[2]) or now
+      tokens = math.min(capacity, tokens + math.max(0, now - ts) * rate)
+
+      local wait = 0
+      if tokens >= 1 then
+        tokens = tokens - 1
+      else
+        wait = math.ceil((1 - tokens) / rate)
+      end
+
+      redis.call("hset", KEYS[1], "tokens", tostring(tokens), "ts", tostring(now))
+      redis.call("pexpire", KEYS[1], math.ceil(capacity / rate) + 1000)
+      return wait
+    `;
+
+    for (;;) {
+      let wait;
+      try {
+        wait = await redis.client.eval(
+          script, 2, this.bucketKey, this.pauseKey,
+          capacity, refillPerSecond / 1000, Date.now()
+        );
+      } catch (error) {
+        logger.warn(`Spotify throttle unavailable, allowing ${label} call: ${error.message}`);
+        return;
+      }
+
+      if (wait <= 0) return;
+
+      if (Date.now() + wait > deadline) {
+        const error = new Error(`Spotify API throttled, retry in ${Math.ceil(wait / 1000)}s`);
+        error.code = 'SPOTIFY_THROTTLED';
+        error.retryAfter = wait;
+        throw error;
+      }
+
+      logger.debug(`Spotify throttle: ${label} call waiting ${wait}ms`);
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Pause all Spotify calls for the given duration
+   * @param {number} ms - Pause length in milliseconds
+   * @param {string} label - Call site that triggered the pause
+   */
+  async pause(ms, label = 'unknown') {
+    const until = Date.now() + ms;
+    logger.warn(`Spotify rate limited on ${label} call, pausing for ${ms}ms`);
+
+    try {
+      await redis.client.set(this.pauseKey, String(until), 'PX', ms);
+    } catch (error) {
+      logger.error('Failed to store Spotify throttle pause:', error);
+    }
+
+    // Extend, never shorten, an existing pause
+    if (until <= this.pausedUntil) return;
+    this.pausedUntil = until;
+
+    clearTimeout(this.resumeTimer);
+    this.resumeTimer = setTimeout(() => {
+      this.resumeTimer = null;
+      this.pausedUntil = 0;
+      logger.info('Spotify throttle pause elapsed');
+      this.emit('resumed');
+    }, ms);
+    this.resumeTimer.unref?.();
+
+    this.emit('paused', { until: new Date(until), retryAfter: ms, label });
+  }
+
+  /**
+   * Get current throttle state
+   * @returns {Object} Pause status, time to resume and remaining tokens
+   */
+  async getState() {
+    const { capacity, refillPerSecond } = config.spotify.throttle;
+    const state = {
+      paused: false,
+      resumeAt: null,
+      resumeInMs: 0,
+      tokens: null,
+      capacity,
+      refillPerSecond
+    };
+
+    try {
+      const [pausedUntil, bucket] = await Promise.all([
+        redis.client.get(this.pauseKey),
+        redis.client.hgetall(this.bucketKey)
+      ]);
+
+      const until = parseInt(pausedUntil) || 0;
+      if (until > Date.now()) {
+        state.paused = true;
+        state.resumeAt = new Date(until);
+        state.resumeInMs = until - Date.now();
+      }
+
+      if (bucket && bucket.tokens !== undefined) {
+        const elapsed = Math.max(0, Date.now() - parseInt(bucket.ts));
+        state.tokens = Math.floor(
+          Math.min(capacity, parseFloat(bucket.tokens) + elapsed * refillPerSecond / 1000)
+        );
+      } else {
+        state.tokens = capacity;
+      }
+    } catch (error) {
+      logger.error('Failed to read Spotify throttle state:', error);
+    }
+
+    return state;
+  }
+}
+
+// Export singleton instance
+module.exports = new SpotifyThrottle();
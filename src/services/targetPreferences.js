@@ -0,0 +1,196 @@
+/**
+ * Target Preferences Service
+ *
+ * User-managed allow and block lists for what the swarm follows on a user's
+ * behalf. Entries name a Spotify ID of one target type (artist, user,
+ * playlist) or a genre, which applies to artists through their cached
+ * profile. Artists are Spotify users too, so user entries (a Spotify or
+ * swarm user ID) apply to their account as well. In allowlist-only mode a target must match an allow entry;
+ * a matching block entry always wins.
+ */
+
+const config = require('../../config');
+const db = require('../database');
+const followTargets = require('./followTargets');
+
+/**
+ * TargetPreferences Class
+ */
+class TargetPreferences {
+  constructor() {
+    this.lists = ['allow', 'block'];
+  }
+
+  /**
+   * Kinds of entry a list can hold
+   * @returns {Array<string>} Target type names plus 'genre'
+   */
+  getKinds() {
+    return [...followTargets.getNames(), 'genre'];
+  }
+
+  /**
+   * Get a user's lists
+   * @param {string} userId - User ID
+   * @returns {Object} { allowlistOnly, entries } with entries oldest first
+   */
+  async getPreferences(userId) {
+    const user = await db.findOne('users', { id: userId });
+    const result = await db.query(`
+      SELECT id, list, kind, value, created_at
+      FROM target_preferences
+      WHERE user_id = $1
+      ORDER BY created_at ASC
+    `, [userId]);
+
+    return {
+      allowlistOnly: Boolean(user?.allowlist_only),
+      entries: result.rows
+    };
+  }
+
+  /**
+   * Add an entry to one of a user's lists; adding an existing entry is a no-op
+   * @param {string} userId - User ID
+   * @param {Object} entry - { list, kind, value }
+   * @returns {Object} Stored entry
+   */
+  async addEntry(userId, { list, kind, value }) {
+    if (!this.lists.includes(list)) {
+      throw this.invalid(`list must be one of: ${this.lists.join(', ')}`);
+    }
+    if (!this.getKinds().includes(kind)) {
+      throw this.invalid(`kind must be one of: ${this.getKinds().join(', ')}`);
+    }
+
+    const normalized = typeof value === 'string' ? value.trim() : '';
+    if (!normalized || normalized.length > 255) {
+      throw this.invalid('value must be a non-empty string of at most 255 characters');
+    }
+
+    const count = await db.query(
+      'SELECT COUNT(*) as count FROM target_preferences WHERE user_id = $1',
+      [userId]
+    );
+    if (parseInt(count.rows[0].count) >= config.targetPreferences.maxEntries) {
+      throw this.invalid(`A user can have at most ${config.targetPreferences.maxEntries} entries`);
+    }
+
+    // Spotify reports genres in lowercase, e.g. "indie pop"
+    const result = await db.query(`
+      INSERT INTO target_preferences (user_id, list, kind, value)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, list, kind, value) DO UPDATE SET value = EXCLUDED.value
+      RETURNING id, list, kind, value, created_at
+    `, [userId, list, kind, kind === 'genre' ? normalized.toLowerCase() : normalized]);
+
+    return result.rows[0];
+  }
+
+  /**
+   * Remove an entry from a user's lists
+   * @param {string} userId - User ID; must own the entry
+   * @param {string} entryId - target_preferences.id
+   * @returns {boolean} True when an entry was removed
+   */
+  async removeEntry(userId, entryId) {
+    const result = await db.query(
+      'DELETE FROM target_preferences WHERE id = $1 AND user_id = $2 RETURNING id',
+      [entryId, userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Turn allowlist-only mode on or off
+   * @param {string} userId - User ID
+   * @param {boolean} enabled - Only follow allowed targets
+   */
+  async setAllowlistOnly(userId, enabled) {
+    await db.query(
+      'UPDATE users SET allowlist_only = $2, updated_at = NOW() WHERE id = $1',
+      [userId, Boolean(enabled)]
+    );
+  }
+
+  /**
+   * Get the parts of a user's lists that apply to one target type
+   * Artist rules include the user entries, like followEngine.preferenceMatch
+   * @param {string} userId - User ID
+   * @param {string} targetType - Target type
+   * @returns {Object} { allowlistOnly, allow: { ids, genres }, block: { ids, genres } }
+   */
+  async getRules(userId, targetType = 'artist') {
+    const { allowlistOnly, entries } = await this.getPreferences(userId);
+    const kinds = targetType === 'artist' ? ['artist', 'user'] : [targetType];
+    const pick = (list, ...listed) => entries
+      .filter(entry => entry.list === list && listed.includes(entry.kind))
+      .map(entry => entry.value);
+
+    return {
+      allowlistOnly,
+      allow: { ids: pick('allow', ...kinds), genres: pick('allow', 'genre') },
+      block: { ids: pick('block', ...kinds), genres: pick('block', 'genre') }
+    };
+  }
+
+  /**
+   * Check one target against a user's rules
+   * @param {Object} rules - From getRules()
+   * @param {string} targetId - Spotify ID
+   * @param {Array<string>} genres - Target's genres (artists only)
+   * @param {Array<string>} aliases - Other IDs of the target (an artist's swarm user ID)
+   * @returns {boolean} True when the swarm may follow the target
+   */
+  allows(rules, targetId, genres = [], aliases = []) {
+    const matches = ({ ids, genres: listed }) =>
+      [targetId, ...aliases].some(id => ids.includes(id)) || genres.some(genre => listed.includes(genre));
+
+    if (matches(rules.block)) return false;
+    return !rules.allowlistOnly || matches(rules.allow);
+  }
+
+  /**
+   * Keep only the targets a user's lists allow
+   * @param {string} userId - User ID
+   * @param {Array<string>} targetIds - Spotify IDs of one target type
+   * @param {string} targetType - Target type
+   * @returns {Array<string>} Allowed IDs, in input order
+   */
+  async filterTargets(userId, targetIds, targetType = 'artist') {
+    if (targetIds.length === 0) return [];
+
+    const rules = await this.getRules(userId, targetType);
+    const hasRules = rules.allowlistOnly || rules.block.ids.length > 0 || rules.block.genres.length > 0;
+    if (!hasRules) return targetIds;
+
+    const genres = new Map();
+    const aliases = new Map();
+    if (targetType === 'artist') {
+      const profiles = await db.query(`
+        SELECT t.spotify_id, ap.genres, u.id AS user_id
+        FROM unnest($1::text[]) AS t(spotify_id)
+        LEFT JOIN artist_profiles ap ON ap.spotify_id = t.spotify_id
+        LEFT JOIN users u ON u.spotify_id = t.spotify_id
+      `, [targetIds]);
+      for (const profile of profiles.rows) {
+        genres.set(profile.spotify_id, profile.genres || []);
+        if (profile.user_id) aliases.set(profile.spotify_id, [String(profile.user_id)]);
+      }
+    }
+
+    return targetIds.filter(id => this.allows(rules, id, genres.get(id), aliases.get(id)));
+  }
+
+  /**
+   * Build a validation error the routes turn into a 400
+   * @param {string} message - Error message
+   * @returns {Error} Error with code INVALID_PREFERENCE
+   */
+  invalid(message) {
+    return Object.assign(new Error(message), { code: 'INVALID_PREFERENCE' });
+  }
+}
+
+// Export singleton instance
+module.exports = new TargetPreferences();
@@ -0,0 +1,172 @@
+/**
+ * Unfollow Jobs
+ *
+ * Queues and runs unfollow jobs. They share the follow queue with follow
+ * jobs, so they are paced, rate limited, paused and deferred the same way
+ * (QueueManager's gateJob and deferJob), and each one has a queue_jobs row
+ * of job_type 'unfollow' that the reconciler (see jobScheduler) can restore
+ * a lost job from.
+ */
+
+const crypto = require('crypto');
+const config = require('../../config');
+const logger = require('../utils/logger');
+const db = require('../database');
+const followEngine = require('./followEngine');
+const queueManager = require('./queueManager');
+
+/**
+ * UnfollowJobs Class
+ *
+ * QueueManager registers process() as the worker for 'unfollow' jobs.
+ */
+class UnfollowJobs {
+  /**
+   * Process an unfollow job; paced and rate limited like follows
+   * @param {Job} job - Bull unfollow job ({ userId, followId })
+   * @returns {Object} Unfollow result
+   */
+  async process(job) {
+    const { userId, followId } = job.data;
+
+    try {
+      if (!await queueManager.claimJobRow(job)) return queueManager.skipCancelledJob(job);
+
+      const { deferred } = await queueManager.gateJob(job);
+      if (deferred) return deferred;
+
+      let result;
+      try {
+        result = await followEngine.unfollow(userId, followId);
+      } catch (error) {
+        // Rejected without reaching Spotify, so it should not cost an attempt
+        if (error.code === 'CIRCUIT_OPEN') {
+          return queueManager.deferJob(job, new Date(Date.now() + error.retryAfter), 'circuit_open');
+        }
+        if (error.code === 'SPOTIFY_THROTTLED') {
+          return queueManager.deferJob(job, new Date(Date.now() + error.retryAfter), 'spotify_throttled');
+        }
+        if (error.code === 'RATE_LIMITED') {
+          return queueManager.deferJob(job, error.resetAt, 'rate_limited');
+        }
+        throw error;
+      }
+
+      if (!result.alreadyUnfollowed) {
+        await queueManager.queues.analytics.add('track-unfollow', {
+          userId,
+          followId,
+          artistId: result.artistId,
+          targetType: result.targetType,
+          timestamp: new Date()
+        });
+      }
+
+      return result;
+    } catch (error) {
+      logger.error(`Worker error for unfollow job ${job.id}:`, error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add unfollow job to queue
+   * @param {string} userId - Follower user ID
+   * @param {string} followId - follows.id to undo
+   * @param {Object} options - { source, tier, priority, delay, jobId } where jobId queues an existing row
+   * @returns {Job} Bull job
+   */
+  async add(userId, followId, options = {}) {
+    const {
+      source = 'batch',
+      tier = null,
+      delay = 0,
+      jobId = null
+    } = options;
+
+    // Row first, as for follow jobs
+    const priority = options.priority ?? await queueManager.getJobPriority(userId, tier, source);
+    const rowId = jobId || crypto.randomUUID();
+    if (!jobId) {
+      await db.insert('queue_jobs', {
+        id: rowId,
+        user_id: userId,
+        job_type: 'unfollow',
+        queue_job_id: rowId,
+        payload: { followId },
+        priority,
+        scheduled_at: new Date(Date.now() + delay),
+        promoted_at: new Date(),
+        status: 'queued'
+      });
+    }
+
+    let job;
+    try {
+      job = await queueManager.followIntake().add(
+        'unfollow',
+        {
+          userId,
+          followId,
+          jobId: rowId,
+          timestamp: new Date()
+        },
+        {
+          priority,
+          delay,
+          jobId: rowId
+        }
+      );
+    } catch (error) {
+      if (!jobId) {
+        await db.update('queue_jobs', rowId, {
+          status: 'failed',
+          last_error: error.message,
+          completed_at: new Date()
+        });
+      }
+      throw error;
+    }
+
+    logger.info(`Added unfollow job ${job.id} for user ${userId}`);
+    return job;
+  }
+
+  /**
+   * Add unfollow jobs spaced like batch follows
+   * @param {string} userId - Follower user ID
+   * @param {Array<string>} followIds - follows.id values to undo
+   * @param {Object} options - { source, tier, delayBetween, startDelay }
+   * @returns {Array<Job>} Bull jobs
+   */
+  async addBulk(userId, followIds, options = {}) {
+    const {
+      source = 'batch',
+      tier = null,
+      delayBetween = config.rateLimits.followDelayMin,
+      startDelay = 0
+    } = options;
+
+    const jobs = [];
+    let currentDelay = startDelay;
+    const priority = options.priority ?? await queueManager.getJobPriority(userId, tier, source);
+
+    for (const followId of followIds) {
+      jobs.push(await this.add(userId, followId, {
+        priority,
+        delay: currentDelay
+      }));
+
+      // Same randomized spacing as follows
+      const variation = Math.random() *
+        (config.rateLimits.followDelayMax - config.rateLimits.followDelayMin);
+      currentDelay += delayBetween + variation;
+    }
+
+    logger.info(`Added ${jobs.length} unfollow jobs for user ${userId}`);
+    return jobs;
+  }
+}
+
+// Export singleton instance
+module.exports = new UnfollowJobs();
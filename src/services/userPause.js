@@ -0,0 +1,136 @@
+/**
+ * User Pause Service
+ *
+ * Lets a user pause all of their follow activity ("vacation mode") without
+ * cancelling anything. While paused, workers hold the user's jobs without
+ * using attempts, the promoter leaves the user's scheduled jobs alone and
+ * campaigns and autopilot skip the user. Resuming re-spreads the held jobs
+ * so they don't all run at once.
+ */
+
+const config = require('../../config');
+const db = require('../database');
+const logger = require('../utils/logger');
+const jobCancellation = require('./jobCancellation');
+
+/**
+ * UserPause Class
+ *
+ * The pause is users.follows_paused_at; NULL means not paused.
+ */
+class UserPause {
+  constructor() {
+    this.pendingStatuses = ['queued', 'scheduled', 'rescheduled'];
+  }
+
+  /**
+   * Format a user's pause state
+   * @param {Object} user - User row
+   * @returns {Object} { paused, pausedAt }
+   */
+  getState(user) {
+    return {
+      paused: !!user.follows_paused_at,
+      pausedAt: user.follows_paused_at || null
+    };
+  }
+
+  /**
+   * Pause a user's follow activity; pausing again keeps the original time
+   * @param {string} userId - User ID
+   * @returns {Object} { paused, pausedAt }
+   */
+  async pause(userId) {
+    const result = await db.query(`
+      UPDATE users
+      SET follows_paused_at = COALESCE(follows_paused_at, NOW())
+      WHERE id = $1
+      RETURNING follows_paused_at
+    `, [userId]);
+
+    logger.info(`Paused follow activity for user ${userId}`);
+    return this.getState(result.rows[0] || {});
+  }
+
+  /**
+   * Resume a user's follow activity and re-spread their pending jobs
+   * @param {string} userId - User ID
+   * @param {Date} now - Current time
+   * @returns {Object} { paused, pausedAt, respreadCount }
+   */
+  async resume(userId, now = new Date()) {
+    const result = await db.query(`
+      UPDATE users
+      SET follows_paused_at = NULL
+      WHERE id = $1
+        AND follows_paused_at IS NOT NULL
+      RETURNING id
+    `, [userId]);
+
+    // Not paused, so nothing was held
+    const respreadCount = result.rows.length > 0 ? await this.respreadJobs(userId, now) : 0;
+
+    logger.info(`Resumed follow activity for user ${userId} (${respreadCount} jobs re-spread)`);
+    return { paused: false, pausedAt: null, respreadCount };
+  }
+
+  /**
+   * Give a user's pending jobs new run times, spaced like batch follows
+   * Jobs that fell due while the user was paused are spread out from now;
+   * later jobs keep their time unless an earlier job pushes them back.
+   * Queued jobs leave Bull and, like every rescheduled job, wait as
+   * 'scheduled' rows for the promoter
+   * @param {string} userId - User ID
+   * @param {Date} now - Current time
+   * @returns {number} Number of jobs re-spread
+   */
+  async respreadJobs(userId, now = new Date()) {
+    const pending = await db.query(`
+      SELECT id, status, queue_job_id, scheduled_at FROM queue_jobs
+      WHERE user_id = $1
+        AND job_type IN ('follow', 'unfollow')
+        AND status = ANY($2)
+      ORDER BY scheduled_at ASC, created_at ASC
+    `, [userId, this.pendingStatuses]);
+
+    // A job a worker already holds can't be removed; it keeps its row and
+    // runs (or is deferred) as it is, so only rows whose job left Bull move
+    const movable = [];
+    for (const row of pending.rows) {
+      if (row.status !== 'queued' || !row.queue_job_id || await jobCancellation.removeJob(row.queue_job_id)) {
+        movable.push(row);
+      }
+    }
+
+    if (movable.length === 0) return 0;
+
+    const times = [];
+    let next = now.getTime();
+    for (const row of movable) {
+      const at = Math.max(new Date(row.scheduled_at).getTime(), next);
+      times.push(new Date(at));
+
+      // Same randomized spacing as batch follows
+      next = at + config.rateLimits.followDelayMin +
+        Math.random() * (config.rateLimits.followDelayMax - config.rateLimits.followDelayMin);
+    }
+
+    // A row a worker re-pointed at a new Bull job meanwhile (see deferJob) is left alone
+    const result = await db.query(`
+      UPDATE queue_jobs q
+      SET status = 'scheduled',
+          scheduled_at = v.scheduled_at,
+          queue_job_id = NULL,
+          promoted_at = NULL
+      FROM unnest($1::uuid[], $2::timestamp[], $3::text[]) AS v(id, scheduled_at, queue_job_id)
+      WHERE q.id = v.id
+        AND q.queue_job_id IS NOT DISTINCT FROM v.queue_job_id
+        AND q.status = ANY($4)
+    `, [movable.map(row => row.id), times, movable.map(row => row.queue_job_id), this.pendingStatuses]);
+
+    return result.rowCount;
+  }
+}
+
+// Export singleton instance
+module.exports = new UserPause();
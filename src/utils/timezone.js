@@ -0,0 +1,161 @@
+/**
+ * Timezone Module
+ *
+ * Converts between UTC instants and wall-clock time in IANA timezones
+ * (e.g. "Europe/Berlin") using the runtime's Intl support, so schedules can
+ * follow a user's local day without a timezone library.
+ */
+
+/**
+ * Timezone Class
+ *
+ * Local times are plain objects: { year, month (1-12), day, hour, minute, weekday (0 = Sunday) }.
+ */
+class Timezone {
+  constructor() {
+    this.formatters = new Map(); // Intl formatters by timezone; construction is slow
+
+    // Most populous timezone of each country (ISO 3166-1 alpha-2, as Spotify reports it)
+    this.countryTimezones = {
+      AR: 'America/Argentina/Buenos_Aires', AT: 'Europe/Vienna', AU: 'Australia/Sydney',
+      BE: 'Europe/Brussels', BG: 'Europe/Sofia', BR: 'America/Sao_Paulo',
+      CA: 'America/Toronto', CH: 'Europe/Zurich', CL: 'America/Santiago',
+      CN: 'Asia/Shanghai', CO: 'America/Bogota', CZ: 'Europe/Prague',
+      DE: 'Europe/Berlin', DK: 'Europe/Copenhagen', EE: 'Europe/Tallinn',
+      EG: 'Africa/Cairo', ES: 'Europe/Madrid', FI: 'Europe/Helsinki',
+      FR: 'Europe/Paris', GB: 'Europe/London', GR: 'Europe/Athens',
+      HK: 'Asia/Hong_Kong', HU: 'Europe/Budapest', ID: 'Asia/Jakarta',
+      IE: 'Europe/Dublin', IL: 'Asia/Jerusalem', IN: 'Asia/Kolkata',
+      IS: 'Atlantic/Reykjavik', IT: 'Europe/Rome', JP: 'Asia/Tokyo',
+      KE: 'Africa/Nairobi', KR: 'Asia/Seoul', LT: 'Europe/Vilnius',
+      LV: 'Europe/Riga', MX: 'America/Mexico_City', MY: 'Asia/Kuala_Lumpur',
+      NG: 'Africa/Lagos', NL: 'Europe/Amsterdam', NO: 'Europe/Oslo',
+      NZ: 'Pacific/Auckland', PE: 'America/Lima', PH: 'Asia/Manila',
+      PL: 'Europe/Warsaw', PT: 'Europe/Lisbon', RO: 'Europe/Bucharest',
+      RS: 'Europe/Belgrade', SE: 'Europe/Stockholm', SG: 'Asia/Singapore',
+      SK: 'Europe/Bratislava', TH: 'Asia/Bangkok', TR: 'Europe/Istanbul',
+      TW: 'Asia/Taipei', UA: 'Europe/Kyiv', US: 'America/New_York',
+      UY: 'America/Montevideo', VN: 'Asia/Ho_Chi_Minh', ZA: 'Africa/Johannesburg'
+    };
+  }
+
+  /**
+   * Guess a timezone from a country code
+   * @param {string} country - ISO 3166-1 alpha-2 country code
+   * @returns {string|null} IANA timezone name, or null if unknown
+   */
+  forCountry(country) {
+    if (typeof country !== 'string') return null;
+    return this.countryTimezones[country.toUpperCase()] || null;
+  }
+
+  /**
+   * Check whether a timezone name is known to the runtime
+   * @param {string} timeZone - IANA timezone name
+   * @returns {boolean} True if valid
+   */
+  isValid(timeZone) {
+    if (typeof timeZone !== 'string' || timeZone.length === 0) return false;
+
+    try {
+      this.getFormatter(timeZone);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Get a cached formatter for a timezone
+   * @param {string} timeZone - IANA timezone name
+   * @returns {Intl.DateTimeFormat} Formatter producing numeric parts
+   */
+  getFormatter(timeZone) {
+    if (!this.formatters.has(timeZone)) {
+      this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+      }));
+    }
+
+    return this.formatters.get(timeZone);
+  }
+
+  /**
+   * Get the wall-clock time of an instant in a timezone
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA timezone name
+   * @returns {Object} Local time
+   */
+  getLocalTime(date, timeZone) {
+    const parts = {};
+    for (const { type, value } of this.getFormatter(timeZone).formatToParts(date)) {
+      if (type !== 'literal') parts[type] = parseInt(value);
+    }
+
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour,
+      minute: parts.minute,
+      second: parts.second,
+      weekday: new Date(Date.UTC(parts.year, parts.month - 1, parts.day)).getUTCDay()
+    };
+  }
+
+  /**
+   * Get a timezone's UTC offset at an instant
+   * @param {Date} date - Instant
+   * @param {string} timeZone - IANA timezone name
+   * @returns {number} Offset in minutes (positive east of UTC)
+   */
+  getOffset(date, timeZone) {
+    const local = this.getLocalTime(date, timeZone);
+    const asUtc = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+
+    return Math.round((asUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+  }
+
+  /**
+   * Convert a wall-clock time in a timezone to an instant
+   * Times skipped by a DST change move forward by the length of the gap
+   * @param {Object} local - { year, month, day, hour, minute }
+   * @param {string} timeZone - IANA timezone name
+   * @returns {Date} Instant
+   */
+  toUtc({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset at the guessed instant can differ near a DST change; one correction settles it
+    const offset = this.getOffset(new Date(asUtc), timeZone);
+    const corrected = this.getOffset(new Date(asUtc - offset * 60000), timeZone);
+
+    return new Date(asUtc - corrected * 60000);
+  }
+
+  /**
+   * Get the calendar day after a local date
+   * @param {Object} local - { year, month, day }
+   * @returns {Object} { year, month, day, weekday }
+   */
+  nextDay({ year, month, day }) {
+    const next = new Date(Date.UTC(year, month - 1, day + 1));
+
+    return {
+      year: next.getUTCFullYear(),
+      month: next.getUTCMonth() + 1,
+      day: next.getUTCDate(),
+      weekday: next.getUTCDay()
+    };
+  }
+}
+
+// Export singleton instance
+module.exports = new Timezone();
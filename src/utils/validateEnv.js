@@ -34,17 +34,20 @@ const envSchema = {
   // Spotify API (Required)
   SPOTIFY_CLIENT_ID: {
     required: true,
+    sandboxOptional: true, // Defaulted when SANDBOX=true
     type: 'string',
     description: 'Spotify application client ID'
   },
   SPOTIFY_CLIENT_SECRET: {
     required: true,
+    sandboxOptional: true, // Defaulted when SANDBOX=true
     type: 'string',
     sensitive: true,
     description: 'Spotify application client secret'
   },
   SPOTIFY_REDIRECT_URI: {
     required: true,
+    sandboxOptional: true, // Defaulted when SANDBOX=true
     type: 'url',
     description: 'Spotify OAuth callback URL'
   },
@@ -289,8 +292,9 @@ function validateEnvironment() {
   for (const [key, schema] of Object.entries(envSchema)) {
     const value = process.env[key];
     
-    // Check if required variable is missing
-    if (schema.required && !value) {
+    // Check if required variable is missing (sandbox mode supplies Spotify credentials)
+    const sandboxed = schema.sandboxOptional && process.env.SANDBOX === 'true';
+    if (schema.required && !value && !sandboxed) {
       missing.push(key);
       errors.push(`Missing required environment variable: ${key} - ${schema.description}`);
       continue;
@@ -328,6 +332,11 @@ function validateEnvironment() {
     }
   }
   
+  // The simulator fakes Spotify, so a production server must never use it
+  if (process.env.SANDBOX === 'true' && process.env.NODE_ENV === 'production') {
+    errors.push('SANDBOX=true is not allowed when NODE_ENV=production');
+  }
+  
   // Add warnings for optional but recommended variables
   if (!process.env.SENTRY_DSN) {
     warnings.push('SENTRY_DSN not configured - Error tracking disabled');
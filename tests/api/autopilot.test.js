@@ -0,0 +1,86 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const autopilotService = require('../../src/services/autopilotService');
+const db = require('../../src/database');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+
+jest.mock('../../src/database');
+
+describe('Autopilot Routes', () => {
+  const testUser = { id: 'user-123', subscription_tier: 'pro' };
+  const validToken = jwt.sign({ userId: testUser.id }, config.security.jwtSecret);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    db.findOne = jest.fn().mockResolvedValue(testUser);
+  });
+
+  describe('PUT /api/autopilot', () => {
+    it('should update settings', async () => {
+      jest.spyOn(autopilotService, 'updateSettings').mockResolvedValue({ enabled: true, dailyTarget: 20 });
+
+      const response = await request(app)
+        .put('/api/autopilot')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ enabled: true, dailyTarget: 20 })
+        .expect(200);
+
+      expect(response.body.data.enabled).toBe(true);
+      expect(autopilotService.updateSettings).toHaveBeenCalledWith(testUser, {
+        enabled: true,
+        dailyTarget: 20,
+        window: undefined
+      });
+    });
+
+    it('should reject invalid windows', async () => {
+      const response = await request(app)
+        .put('/api/autopilot')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ window: { start: '9am', end: '21:00' } })
+        .expect(400);
+
+      expect(response.body.error).toContain('window');
+    });
+  });
+
+  describe('POST /api/autopilot/pause', () => {
+    it('should pause autopilot', async () => {
+      jest.spyOn(autopilotService, 'setPaused').mockResolvedValue({ enabled: true, paused: true });
+
+      const response = await request(app)
+        .post('/api/autopilot/pause')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data.paused).toBe(true);
+      expect(autopilotService.setPaused).toHaveBeenCalledWith(testUser, true);
+    });
+
+    it('should return 404 when autopilot was never set up', async () => {
+      jest.spyOn(autopilotService, 'setPaused').mockResolvedValue(null);
+
+      await request(app)
+        .post('/api/autopilot/resume')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(404);
+    });
+  });
+
+  describe('GET /api/autopilot/log', () => {
+    it('should return daily log entries', async () => {
+      const entry = { date: '2025-09-26', queued: 3, artistIds: ['a1', 'a2', 'a3'], note: null };
+      jest.spyOn(autopilotService, 'getLog').mockResolvedValue([entry]);
+
+      const response = await request(app)
+        .get('/api/autopilot/log?days=7')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual([entry]);
+      expect(autopilotService.getLog).toHaveBeenCalledWith(testUser.id, 7);
+    });
+  });
+});
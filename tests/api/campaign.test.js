@@ -0,0 +1,46 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const campaignService = require('../../src/services/campaignService');
+const db = require('../../src/database');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+
+jest.mock('../../src/database');
+
+describe('Campaign Routes', () => {
+  const testUser = { id: 'user-123', subscription_tier: 'pro' };
+  const validToken = jwt.sign({ userId: testUser.id }, config.security.jwtSecret);
+  const campaignId = '3f2a1b4c-5d6e-4f70-8a9b-0c1d2e3f4a5b';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.findOne = jest.fn().mockResolvedValue(testUser);
+    jest.spyOn(campaignService, 'getCampaign').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should look up campaigns by ID for the user', async () => {
+    await request(app)
+      .get(`/api/campaigns/${campaignId}`)
+      .set('Authorization', `Bearer ${validToken}`)
+      .expect(404);
+
+    expect(campaignService.getCampaign).toHaveBeenCalledWith(campaignId, testUser.id);
+  });
+
+  it.each([
+    ['get', '/api/campaigns/not-a-uuid'],
+    ['put', '/api/campaigns/not-a-uuid'],
+    ['delete', '/api/campaigns/not-a-uuid']
+  ])('should return 404 for %s of a campaign ID that is not a UUID without querying it', async (method, path) => {
+    await request(app)[method](path)
+      .set('Authorization', `Bearer ${validToken}`)
+      .send({})
+      .expect(404);
+
+    expect(campaignService.getCampaign).not.toHaveBeenCalled();
+  });
+});
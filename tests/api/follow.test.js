@@ -1,6 +1,9 @@
 const request = require('supertest');
 const app = require('../../src/app');
 const followEngine = require('../../src/services/followEngine');
+const queueManager = require('../../src/services/queueManager');
+const jobCancellation = require('../../src/services/jobCancellation');
+const unfollowJobs = require('../../src/services/unfollowJobs');
 const db = require('../../src/database');
 const jwt = require('jsonwebtoken');
 const config = require('../../config');
@@ -270,7 +273,7 @@ describe('Follow Routes', () => {
 
       expect(response.body).toHaveProperty('suggestions');
       expect(response.body.suggestions).toHaveLength(2);
-      expect(followEngine.getTargetArtists).toHaveBeenCalledWith(testUser.id, 20);
+      expect(followEngine.getTargetArtists).toHaveBeenCalledWith(testUser.id, 20, { genres: [] });
     });
 
     it('should accept limit parameter', async () => {
@@ -281,7 +284,449 @@ describe('Follow Routes', () => {
         .set('Authorization', `Bearer ${validToken}`)
         .expect(200);
 
-      expect(followEngine.getTargetArtists).toHaveBeenCalledWith(testUser.id, 50);
+      expect(followEngine.getTargetArtists).toHaveBeenCalledWith(testUser.id, 50, { genres: [] });
+    });
+
+    it('should pass the genres filter', async () => {
+      followEngine.getTargetArtists = jest.fn().mockResolvedValue([]);
+
+      await request(app)
+        .get('/api/follows/suggestions?genres=Indie Pop, shoegaze')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(followEngine.getTargetArtists).toHaveBeenCalledWith(
+        testUser.id, 10, { genres: ['indie pop', 'shoegaze'] }
+      );
+    });
+  });
+
+  describe('POST /api/follows/schedule/preview', () => {
+    beforeEach(() => {
+      db.findOne = jest.fn().mockResolvedValue({ ...testUser, subscription_tier: 'premium' });
+    });
+
+    it('should name the missing feature when the plan lacks scheduling', async () => {
+      db.findOne = jest.fn().mockResolvedValue(testUser);
+
+      const response = await request(app)
+        .post('/api/follows/schedule/preview')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ count: 2 })
+        .expect(403);
+
+      expect(response.body).toMatchObject({
+        code: 'FEATURE_REQUIRED',
+        feature: 'scheduling',
+        currentTier: 'pro',
+        availableIn: ['premium']
+      });
+    });
+
+    it('should allow users granted scheduling by an override', async () => {
+      db.findOne = jest.fn().mockResolvedValue({
+        ...testUser,
+        feature_overrides: { scheduling: { enabled: true, expiresAt: null } }
+      });
+
+      await request(app)
+        .post('/api/follows/schedule/preview')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({
+          count: 2,
+          startTime: '2025-09-15T00:00:00.000Z',
+          endTime: '2025-09-15T02:00:00.000Z'
+        })
+        .expect(200);
+    });
+
+    it('should return planned run times without creating jobs', async () => {
+      followEngine.scheduleBatchFollows = jest.fn();
+
+      const response = await request(app)
+        .post('/api/follows/schedule/preview')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({
+          count: 2,
+          startTime: '2025-09-15T00:00:00.000Z',
+          endTime: '2025-09-15T02:00:00.000Z'
+        })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({
+        distribution: 'even',
+        timezone: 'UTC',
+        count: 2,
+        timestamps: ['2025-09-15T00:00:00.000Z', '2025-09-15T01:00:00.000Z']
+      });
+      expect(followEngine.scheduleBatchFollows).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown distributions', async () => {
+      const response = await request(app)
+        .post('/api/follows/schedule/preview')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ count: 2, distribution: 'burst' })
+        .expect(400);
+
+      expect(response.body.error).toContain('Unknown distribution');
+    });
+
+    it('should cap previews and schedules at the same number of follows', async () => {
+      followEngine.scheduleBatchFollows = jest.fn();
+      const artistIds = Array.from({ length: config.rateLimits.maxFollowsPerDay + 1 }, (_, i) => `artist_${i}`);
+
+      for (const path of ['/api/follows/schedule/preview', '/api/follows/schedule']) {
+        const response = await request(app)
+          .post(path)
+          .set('Authorization', `Bearer ${validToken}`)
+          .send({ artistIds })
+          .expect(400);
+
+        expect(response.body.error).toBe(`Provide artistIds or a count of at most ${config.rateLimits.maxFollowsPerDay}`);
+      }
+      expect(followEngine.scheduleBatchFollows).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('follow target types', () => {
+    it('should queue playlist follows with their target type', async () => {
+      followEngine.checkRateLimits = jest.fn().mockResolvedValue({ canFollow: true });
+      queueManager.addFollowJob.mockResolvedValueOnce({ id: 'job-1' });
+
+      const response = await request(app)
+        .post('/api/follows/single')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ targetId: 'playlist-1', targetType: 'playlist' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ artistId: 'playlist-1', targetType: 'playlist' });
+      expect(queueManager.addFollowJob).toHaveBeenCalledWith(
+        testUser.id, 'playlist-1', expect.objectContaining({ targetType: 'playlist' })
+      );
+    });
+
+    it('should reject unknown target types', async () => {
+      const response = await request(app)
+        .post('/api/follows/single')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ artistId: 'show-1', targetType: 'podcast' })
+        .expect(400);
+
+      expect(response.body.error).toContain('artist, user, playlist');
+    });
+  });
+
+  describe('unfollows', () => {
+    const followId = '5b6c7d8e-1f2a-4b3c-8d4e-5f6a7b8c9d0e';
+    const follow = {
+      id: followId,
+      follower_user_id: 'user-123',
+      target_artist_id: 'artist-1',
+      status: 'completed'
+    };
+
+    beforeEach(() => {
+      db.findOne = jest.fn((table) => Promise.resolve(table === 'follows' ? follow : testUser));
+      followEngine.activeStatuses = ['completed', 'verified', 'unverified'];
+      followEngine.hasPendingUnfollow = jest.fn().mockResolvedValue(false);
+    });
+
+    it('should queue an unfollow for one follow', async () => {
+      unfollowJobs.add.mockResolvedValueOnce({ id: 'job-1' });
+
+      const response = await request(app)
+        .delete(`/api/follows/${followId}`)
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ jobId: 'job-1', followId, status: 'queued' });
+      expect(unfollowJobs.add).toHaveBeenCalledWith(testUser.id, followId, {
+        source: 'single',
+        tier: 'pro'
+      });
+    });
+
+    it('should not queue a second unfollow for the same follow', async () => {
+      followEngine.hasPendingUnfollow.mockResolvedValueOnce(true);
+
+      await request(app)
+        .delete(`/api/follows/${followId}`)
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(409);
+
+      expect(unfollowJobs.add).not.toHaveBeenCalled();
+    });
+
+    it('should return 404 for follow IDs that are not UUIDs without querying them', async () => {
+      await request(app)
+        .delete('/api/follows/not-a-uuid')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(404);
+
+      expect(db.findOne).not.toHaveBeenCalledWith('follows', expect.anything());
+      expect(unfollowJobs.add).not.toHaveBeenCalled();
+    });
+
+    it('should queue bulk unfollows for follows made before a date', async () => {
+      followEngine.getUnfollowCandidates = jest.fn().mockResolvedValue([{ id: 'f1' }, { id: 'f2' }]);
+      unfollowJobs.addBulk.mockResolvedValueOnce([{ id: 'job-1' }, { id: 'job-2' }]);
+
+      const response = await request(app)
+        .post('/api/follows/unfollow')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ before: '2025-09-01T00:00:00.000Z', targetType: 'artist' })
+        .expect(200);
+
+      expect(response.body.data).toMatchObject({ matched: 2, jobCount: 2, jobIds: ['job-1', 'job-2'] });
+      expect(followEngine.getUnfollowCandidates).toHaveBeenCalledWith(testUser.id, expect.objectContaining({
+        before: new Date('2025-09-01T00:00:00.000Z'),
+        targetType: 'artist',
+        limit: config.rateLimits.maxBulkUnfollows
+      }));
+      expect(unfollowJobs.addBulk).toHaveBeenCalledWith(testUser.id, ['f1', 'f2']);
+    });
+
+    it('should require a valid before date for bulk unfollows', async () => {
+      await request(app)
+        .post('/api/follows/unfollow')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ before: 'last week' })
+        .expect(400);
+    });
+
+    it('should reject bulk unfollows for a campaignId that is not a UUID', async () => {
+      followEngine.getUnfollowCandidates = jest.fn();
+
+      const response = await request(app)
+        .post('/api/follows/unfollow')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ before: '2025-09-01T00:00:00.000Z', campaignId: 'campaign-1' })
+        .expect(400);
+
+      expect(response.body.error).toBe('campaignId must be a campaign ID');
+      expect(followEngine.getUnfollowCandidates).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('POST /api/follows/sync', () => {
+    it('should queue an import of the user\'s Spotify follows', async () => {
+      queueManager.addImportJob.mockResolvedValueOnce({ id: 'import:user-123' });
+
+      const response = await request(app)
+        .post('/api/follows/sync')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ jobId: 'import:user-123', status: 'queued' });
+      expect(queueManager.addImportJob).toHaveBeenCalledWith(testUser.id);
+    });
+  });
+
+  describe('target preferences', () => {
+    const targetPreferences = require('../../src/services/targetPreferences');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should add entries to a list', async () => {
+      jest.spyOn(targetPreferences, 'addEntry').mockResolvedValue({ id: 'p1', list: 'block', kind: 'genre', value: 'polka' });
+
+      const response = await request(app)
+        .post('/api/follows/preferences/entries')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ list: 'block', kind: 'genre', value: 'Polka' })
+        .expect(201);
+
+      expect(response.body.data.id).toBe('p1');
+      expect(targetPreferences.addEntry).toHaveBeenCalledWith(testUser.id, { list: 'block', kind: 'genre', value: 'Polka' });
+    });
+
+    it('should reject invalid entries', async () => {
+      const response = await request(app)
+        .post('/api/follows/preferences/entries')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ list: 'mute', kind: 'artist', value: 'artist-1' })
+        .expect(400);
+
+      expect(response.body.error).toContain('list must be one of');
+    });
+
+    it('should return 404 when removing another user\'s entry', async () => {
+      jest.spyOn(targetPreferences, 'removeEntry').mockResolvedValue(false);
+
+      await request(app)
+        .delete('/api/follows/preferences/entries/p9')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(404);
+    });
+
+    it('should require a boolean allowlistOnly', async () => {
+      await request(app)
+        .put('/api/follows/preferences')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ allowlistOnly: 'yes' })
+        .expect(400);
+    });
+  });
+
+  describe('follow batches', () => {
+    const followBatches = require('../../src/services/followBatches');
+    const batchId = '7c1d2e3f-4a5b-4c6d-8e7f-9a0b1c2d3e4f';
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should return a batch with per-status counts', async () => {
+      const batch = { id: batchId, status: 'active', counts: { queued: 2, completed: 1 }, eta: null };
+      jest.spyOn(followBatches, 'getBatch').mockResolvedValue(batch);
+
+      const response = await request(app)
+        .get(`/api/follows/batches/${batchId}`)
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual(batch);
+      expect(followBatches.getBatch).toHaveBeenCalledWith(testUser.id, batchId);
+    });
+
+    it('should return 404 for unknown batches', async () => {
+      jest.spyOn(followBatches, 'cancelBatch').mockResolvedValue(null);
+
+      await request(app)
+        .delete(`/api/follows/batches/${batchId}`)
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(404);
+    });
+
+    it('should not retry cancelled batches', async () => {
+      jest.spyOn(followBatches, 'retryFailed').mockRejectedValue(
+        Object.assign(new Error('Cannot retry a cancelled batch'), { code: 'BATCH_CANCELLED' })
+      );
+
+      const response = await request(app)
+        .post(`/api/follows/batches/${batchId}/retry-failed`)
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(409);
+
+      expect(response.body.error).toBe('Cannot retry a cancelled batch');
+    });
+
+    it.each([
+      ['get', '/api/follows/batches/batch-1'],
+      ['delete', '/api/follows/batches/batch-1'],
+      ['post', '/api/follows/batches/batch-1/retry-failed']
+    ])('should return 404 for %s of a batch ID that is not a UUID without querying it', async (method, path) => {
+      jest.spyOn(followBatches, 'getBatch');
+      jest.spyOn(followBatches, 'cancelBatch');
+      jest.spyOn(followBatches, 'retryFailed');
+
+      await request(app)[method](path)
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(404);
+
+      expect(followBatches.getBatch).not.toHaveBeenCalled();
+      expect(followBatches.cancelBatch).not.toHaveBeenCalled();
+      expect(followBatches.retryFailed).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('DELETE /api/follows/jobs/:jobId', () => {
+    it('should cancel the job through the queue manager', async () => {
+      jobCancellation.cancelJob.mockResolvedValueOnce({ id: 'job-1', status: 'cancelled' });
+
+      const response = await request(app)
+        .delete('/api/follows/jobs/job-1')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ jobId: 'job-1', status: 'cancelled' });
+      expect(jobCancellation.cancelJob).toHaveBeenCalledWith(testUser.id, 'job-1');
+    });
+
+    it('should refuse jobs that already started', async () => {
+      jobCancellation.cancelJob.mockResolvedValueOnce(null);
+
+      await request(app)
+        .delete('/api/follows/jobs/job-1')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(400);
+    });
+  });
+
+  describe('pause and resume', () => {
+    const userPause = require('../../src/services/userPause');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should pause follow activity', async () => {
+      const pausedAt = new Date('2025-09-29T12:00:00Z');
+      jest.spyOn(userPause, 'pause').mockResolvedValue({ paused: true, pausedAt });
+
+      const response = await request(app)
+        .post('/api/follows/pause')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({ paused: true, pausedAt: pausedAt.toISOString() });
+      expect(userPause.pause).toHaveBeenCalledWith(testUser.id);
+    });
+
+    it('should report how many held jobs were re-spread on resume', async () => {
+      jest.spyOn(userPause, 'resume').mockResolvedValue({ paused: false, pausedAt: null, respreadCount: 4 });
+
+      const response = await request(app)
+        .post('/api/follows/resume')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data.respreadCount).toBe(4);
+    });
+  });
+
+  describe('genre preferences', () => {
+    const artistProfiles = require('../../src/services/artistProfiles');
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should replace the user\'s genres', async () => {
+      const preferences = { preferred: ['shoegaze'], excluded: ['polka'] };
+      jest.spyOn(artistProfiles, 'setGenrePreferences').mockResolvedValue(preferences);
+
+      const response = await request(app)
+        .put('/api/follows/genres')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send(preferences)
+        .expect(200);
+
+      expect(response.body.data).toEqual(preferences);
+      expect(artistProfiles.setGenrePreferences).toHaveBeenCalledWith(testUser.id, preferences);
+    });
+
+    it('should reject genre lists that are not arrays', async () => {
+      await request(app)
+        .put('/api/follows/genres')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ preferred: 'shoegaze' })
+        .expect(400);
+    });
+  });
+
+  describe('activity windows', () => {
+    it('should reject an unknown timezone', async () => {
+      const response = await request(app)
+        .put('/api/follows/activity-windows')
+        .set('Authorization', `Bearer ${validToken}`)
+        .send({ timezone: 'Mars/Olympus_Mons', windows: [] })
+        .expect(400);
+
+      expect(response.body.success).toBe(false);
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,61 @@
+const request = require('supertest');
+const app = require('../../src/app');
+const db = require('../../src/database');
+const jwt = require('jsonwebtoken');
+const config = require('../../config');
+
+jest.mock('../../src/database');
+
+describe('Current User Routes', () => {
+  const testUser = { id: 'user-123', subscription_tier: 'pro' };
+  const validToken = jwt.sign({ userId: testUser.id }, config.security.jwtSecret);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    db.findOne = jest.fn().mockResolvedValue(testUser);
+  });
+
+  describe('GET /api/me/entitlements', () => {
+    it('should return the tier\'s features', async () => {
+      const response = await request(app)
+        .get('/api/me/entitlements')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data).toEqual({
+        tier: 'pro',
+        features: config.subscriptions.pro.features,
+        trial: null,
+        overrides: []
+      });
+    });
+
+    it('should include trial and override features', async () => {
+      const endsAt = new Date(Date.now() + 24 * 60 * 60 * 1000);
+      db.findOne.mockResolvedValue({
+        ...testUser,
+        trial_tier: 'premium',
+        trial_ends_at: endsAt,
+        feature_overrides: { analytics: { enabled: false, expiresAt: null, reason: 'abuse' } }
+      });
+
+      const response = await request(app)
+        .get('/api/me/entitlements')
+        .set('Authorization', `Bearer ${validToken}`)
+        .expect(200);
+
+      expect(response.body.data.trial).toEqual({ tier: 'premium', endsAt: endsAt.toISOString() });
+      expect(response.body.data.features).toContain('scheduling');
+      expect(response.body.data.features).not.toContain('analytics');
+      expect(response.body.data.overrides).toEqual([
+        { feature: 'analytics', enabled: false, expiresAt: null, reason: 'abuse' }
+      ]);
+    });
+
+    it('should require authentication', async () => {
+      await request(app)
+        .get('/api/me/entitlements')
+        .expect(401);
+    });
+  });
+});
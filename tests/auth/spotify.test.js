@@ -29,7 +29,15 @@ describe('Spotify Authentication', () => {
   beforeEach(() => {
     // Reset mocks
     jest.clearAllMocks();
+    jest.restoreAllMocks();
   });
+
+  // Token-scoped client returned by createClient() for the call under test
+  const mockClient = (methods) => {
+    const client = { ...methods };
+    jest.spyOn(spotifyAuth, 'createClient').mockReturnValue(client);
+    return client;
+  };
   
   describe('getAuthorizationUrl()', () => {
     it('should generate authorization URL with state', () => {
@@ -93,12 +101,11 @@ describe('Spotify Authentication', () => {
         }
       };
       
-      spotifyAuth.spotifyApi.setRefreshToken = jest.fn();
-      spotifyAuth.spotifyApi.refreshAccessToken = jest.fn().mockResolvedValue(mockRefreshData);
+      mockClient({ refreshAccessToken: jest.fn().mockResolvedValue(mockRefreshData) });
       
       const result = await spotifyAuth.refreshAccessToken('refresh_token_123');
       
-      expect(spotifyAuth.spotifyApi.setRefreshToken).toHaveBeenCalledWith('refresh_token_123');
+      expect(spotifyAuth.createClient).toHaveBeenCalledWith({ refreshToken: 'refresh_token_123' });
       expect(result).toEqual({
         accessToken: 'new_access_token',
         expiresIn: 3600
@@ -106,10 +113,9 @@ describe('Spotify Authentication', () => {
     });
     
     it('should handle refresh token errors', async () => {
-      spotifyAuth.spotifyApi.setRefreshToken = jest.fn();
-      spotifyAuth.spotifyApi.refreshAccessToken = jest.fn().mockRejectedValue(
-        new Error('Invalid refresh token')
-      );
+      mockClient({
+        refreshAccessToken: jest.fn().mockRejectedValue(new Error('Invalid refresh token'))
+      });
       
       await expect(spotifyAuth.refreshAccessToken('invalid_token'))
         .rejects
@@ -130,12 +136,11 @@ describe('Spotify Authentication', () => {
         }
       };
       
-      spotifyAuth.spotifyApi.setAccessToken = jest.fn();
-      spotifyAuth.spotifyApi.getMe = jest.fn().mockResolvedValue(mockProfileData);
+      mockClient({ getMe: jest.fn().mockResolvedValue(mockProfileData) });
       
       const profile = await spotifyAuth.getUserProfile('access_token_123');
       
-      expect(spotifyAuth.spotifyApi.setAccessToken).toHaveBeenCalledWith('access_token_123');
+      expect(spotifyAuth.createClient).toHaveBeenCalledWith({ accessToken: 'access_token_123' });
       expect(profile).toEqual({
         spotifyId: 'user123',
         email: 'test@example.com',
@@ -158,8 +163,7 @@ describe('Spotify Authentication', () => {
         }
       };
       
-      spotifyAuth.spotifyApi.setAccessToken = jest.fn();
-      spotifyAuth.spotifyApi.getMe = jest.fn().mockResolvedValue(mockProfileData);
+      mockClient({ getMe: jest.fn().mockResolvedValue(mockProfileData) });
       
       const profile = await spotifyAuth.getUserProfile('access_token_123');
       
@@ -167,10 +171,7 @@ describe('Spotify Authentication', () => {
     });
     
     it('should handle profile fetch errors', async () => {
-      spotifyAuth.spotifyApi.setAccessToken = jest.fn();
-      spotifyAuth.spotifyApi.getMe = jest.fn().mockRejectedValue(
-        new Error('Unauthorized')
-      );
+      mockClient({ getMe: jest.fn().mockRejectedValue(new Error('Unauthorized')) });
       
       await expect(spotifyAuth.getUserProfile('invalid_token'))
         .rejects
@@ -0,0 +1,84 @@
+const adminEntitlementsController = require('../../src/controllers/admin/adminEntitlements.controller');
+const entitlements = require('../../src/services/entitlements');
+
+// Mock dependencies
+jest.mock('../../src/services/entitlements', () => ({
+  startTrial: jest.fn(),
+  setOverride: jest.fn(),
+  removeOverride: jest.fn()
+}));
+
+describe('Admin Entitlements Controller', () => {
+  let mockReq, mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      params: { userId: 'user-1', feature: 'scheduling' },
+      query: {},
+      body: {},
+      user: { id: 'admin-123', role: 'admin' }
+    };
+
+    mockRes = {
+      json: jest.fn().mockReturnThis(),
+      status: jest.fn().mockReturnThis()
+    };
+  });
+
+  describe('startTrial', () => {
+    it('should start the trial and return it', async () => {
+      const trial = { tier: 'premium', endsAt: new Date() };
+      mockReq.body = { tier: 'premium', days: 14 };
+      entitlements.startTrial.mockResolvedValue(trial);
+
+      await adminEntitlementsController.startTrial(mockReq, mockRes);
+
+      expect(entitlements.startTrial).toHaveBeenCalledWith('user-1', 'premium', 14);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        data: { userId: 'user-1', trial }
+      }));
+    });
+
+    it('should reject invalid trials with 400', async () => {
+      mockReq.body = { tier: 'gold', days: 14 };
+      entitlements.startTrial.mockRejectedValue(
+        Object.assign(new Error('Unknown tier: gold'), { code: 'INVALID_ENTITLEMENT' })
+      );
+
+      await adminEntitlementsController.startTrial(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({ error: 'Invalid trial', message: 'Unknown tier: gold' });
+    });
+  });
+
+  describe('setFeatureOverride', () => {
+    it('should return 404 when the user does not exist', async () => {
+      mockReq.body = { enabled: true };
+      entitlements.setOverride.mockResolvedValue(null);
+
+      await adminEntitlementsController.setFeatureOverride(mockReq, mockRes);
+
+      expect(entitlements.setOverride).toHaveBeenCalledWith('user-1', 'scheduling', {
+        enabled: true,
+        expiresAt: undefined,
+        reason: undefined
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('removeFeatureOverride', () => {
+    it('should remove the override', async () => {
+      entitlements.removeOverride.mockResolvedValue(true);
+
+      await adminEntitlementsController.removeFeatureOverride(mockReq, mockRes);
+
+      expect(entitlements.removeOverride).toHaveBeenCalledWith('user-1', 'scheduling');
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, message: 'Feature override removed' });
+    });
+  });
+});
@@ -1,4 +1,6 @@
+const SpotifyWebApi = require('spotify-web-api-node');
 const followEngine = require('../src/services/followEngine');
+const followRateLimiter = require('../src/services/followRateLimiter');
 const db = require('../src/database');
 const config = require('../config');
 
@@ -77,6 +79,43 @@ describe('Follow Engine', () => {
         await db.delete('follows', follow.id);
       }
     });
+
+    it('should wait until every exhausted window frees up', async () => {
+      const hourReset = new Date(Date.now() + 20 * 60 * 1000);
+      const dayReset = new Date(Date.now() + 3 * 60 * 60 * 1000);
+      const usage = jest.spyOn(followRateLimiter, 'getUsage').mockResolvedValueOnce({
+        hourly: { count: 30, resetAt: hourReset },
+        daily: { count: 500, resetAt: dayReset },
+        monthly: { count: 500, resetAt: null }
+      });
+
+      const result = await followEngine.checkRateLimits(testUser.id, 'premium');
+
+      expect(result.canFollow).toBe(false);
+      expect(result.limits.hourly).toMatchObject({ remaining: 0, resetAt: hourReset });
+      expect(result.nextAvailableSlot).toEqual(dayReset);
+      usage.mockRestore();
+    });
+
+    it('should move the next slot into the user\'s activity window', async () => {
+      // A one-hour UTC window that opens within the next two hours
+      const opens = (new Date().getUTCHours() + 2) % 24;
+      const pad = (n) => String(n).padStart(2, '0');
+      const user = {
+        ...testUser,
+        timezone: 'UTC',
+        activity_windows: [{ days: [0, 1, 2, 3, 4, 5, 6], start: `${pad(opens)}:00`, end: `${pad(opens + 1)}:00` }]
+      };
+
+      const result = await followEngine.checkRateLimits(testUser.id, 'free', user);
+
+      expect(result.canFollow).toBe(true);
+      expect(result.activityWindow).toEqual({ timezone: 'UTC', open: false });
+      expect(result.nextAvailableSlot.getTime()).toBeGreaterThan(Date.now());
+      expect(result.nextAvailableSlot.getTime()).toBeLessThanOrEqual(Date.now() + 2 * 60 * 60 * 1000);
+      expect(result.nextAvailableSlot.getUTCHours()).toBe(opens);
+      expect(result.nextAvailableSlot.getUTCMinutes()).toBe(0);
+    });
   });
 
   describe('Follow Count', () => {
@@ -193,6 +232,44 @@ describe('Follow Engine', () => {
       await db.delete('users', artist1.id);
       await db.delete('users', artist2.id);
     });
+
+    it('should rank by requested genres and leave out excluded genres', async () => {
+      db.findOne.mockResolvedValueOnce({
+        ...testUser,
+        preferred_genres: ['indie pop'],
+        excluded_genres: ['metal']
+      });
+      db.query.mockClear();
+
+      await followEngine.getTargetArtists(testUser.id, 10, { genres: ['shoegaze'] });
+
+      const [sql, params] = db.query.mock.calls[1];
+      expect(sql).toContain('LEFT JOIN artist_profiles');
+      expect(sql).toMatch(/ORDER BY reciprocates DESC, genre_overlap DESC/);
+      expect(sql).toMatch(/AND ap\.genres && \$\d+::text\[\]/);
+      expect(params.slice(-2)).toEqual([['shoegaze'], ['metal']]);
+    });
+
+    it('should apply the user\'s block list and, when enabled, allowlist-only mode', async () => {
+      db.query.mockClear();
+      await followEngine.getTargetArtists(testUser.id, 10);
+      expect(db.query.mock.calls[1][0]).toContain("AND NOT EXISTS (\n          SELECT 1 FROM target_preferences");
+      expect(db.query.mock.calls[1][0]).not.toContain("p.list = 'allow'");
+
+      db.findOne.mockResolvedValueOnce({ ...testUser, allowlist_only: true });
+      db.query.mockClear();
+      await followEngine.getTargetArtists(testUser.id, 10);
+      expect(db.query.mock.calls[1][0]).toContain("p.list = 'allow'");
+    });
+
+    it('should leave out artists whose account is on the user\'s block list', async () => {
+      db.query.mockClear();
+      await followEngine.getTargetArtists(testUser.id, 10);
+
+      const sql = db.query.mock.calls[1][0];
+      const block = sql.slice(sql.indexOf("p.list = 'block'"));
+      expect(block).toContain("p.kind = 'user' AND (p.value = u.spotify_id OR p.value = u.id::text)");
+    });
   });
 
   describe('Batch Scheduling', () => {
@@ -227,6 +304,22 @@ describe('Follow Engine', () => {
         await db.delete('queue_jobs', job.id);
       }
     });
+
+    it('should skip artists the user already follows on Spotify', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ target_artist_id: 'artist_2' }] });
+
+      const jobs = await followEngine.scheduleBatchFollows(testUser.id, ['artist_1', 'artist_2', 'artist_3']);
+
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining("'external'"),
+        [testUser.id, 'artist', ['artist_1', 'artist_2', 'artist_3']]
+      );
+      expect(jobs.map(job => job.payload.targetArtistId)).toEqual(['artist_1', 'artist_3']);
+
+      for (const job of jobs) {
+        await db.delete('queue_jobs', job.id);
+      }
+    });
   });
 
   describe('Statistics', () => {
@@ -303,6 +396,318 @@ describe('Follow Engine', () => {
     });
   });
 
+  describe('Verification', () => {
+    let follow;
+    let spotifyClient;
+
+    beforeEach(() => {
+      follow = {
+        id: 'follow-1',
+        follower_user_id: testUser.id,
+        target_artist_id: 'artist_1',
+        status: 'completed',
+        verification_attempts: 0
+      };
+      db.findOne.mockResolvedValueOnce(follow);
+      db.update.mockClear();
+      followEngine.spotify.getValidAccessToken = jest.fn().mockResolvedValue('access_token');
+      spotifyClient = { followArtists: jest.fn().mockResolvedValue({}) };
+      jest.spyOn(followEngine.spotify, 'createClient').mockReturnValue(spotifyClient);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should mark follow verified when Spotify confirms it', async () => {
+      followEngine.spotify.isFollowingArtists = jest.fn().mockResolvedValue([true]);
+
+      const result = await followEngine.verifyFollow('follow-1');
+
+      expect(result).toEqual({ verified: true, retry: false });
+      expect(followEngine.spotify.isFollowingArtists).toHaveBeenCalledWith('access_token', ['artist_1']);
+      expect(db.update).toHaveBeenCalledWith('follows', 'follow-1', expect.objectContaining({
+        status: 'verified',
+        verification_attempts: 1
+      }));
+      expect(spotifyClient.followArtists).not.toHaveBeenCalled();
+    });
+
+    it('should mark follow unverified and re-send it while retries remain', async () => {
+      followEngine.spotify.isFollowingArtists = jest.fn().mockResolvedValue([false]);
+
+      const result = await followEngine.verifyFollow('follow-1');
+
+      expect(result).toEqual({ verified: false, retry: true });
+      expect(db.update).toHaveBeenCalledWith('follows', 'follow-1', {
+        status: 'unverified',
+        verification_attempts: 1
+      });
+      expect(followEngine.spotify.createClient).toHaveBeenCalledWith({ accessToken: 'access_token' });
+      expect(spotifyClient.followArtists).toHaveBeenCalledWith(['artist_1']);
+    });
+
+    it('should count the re-sent follow against the rate limits', async () => {
+      followEngine.spotify.isFollowingArtists = jest.fn().mockResolvedValue([false]);
+      jest.spyOn(followRateLimiter, 'acquire').mockResolvedValue({ acquired: false, resetAt: new Date() });
+
+      const result = await followEngine.verifyFollow('follow-1');
+
+      expect(followRateLimiter.acquire).toHaveBeenCalledWith(
+        testUser.id,
+        [expect.objectContaining({ id: 'resend:follow-1:1' })],
+        followRateLimiter.getLimits(testUser.subscription_tier)
+      );
+      expect(spotifyClient.followArtists).not.toHaveBeenCalled();
+      expect(result).toEqual({ verified: false, retry: true });
+    });
+
+    it('should leave the re-send to the next check while Spotify is throttling', async () => {
+      followEngine.spotify.isFollowingArtists = jest.fn().mockResolvedValue([false]);
+      spotifyClient.followArtists.mockRejectedValue(
+        Object.assign(new Error('Spotify is throttling requests'), { code: 'SPOTIFY_THROTTLED', retryAfter: 30000 })
+      );
+      const release = jest.spyOn(followRateLimiter, 'release');
+
+      const result = await followEngine.verifyFollow('follow-1');
+
+      expect(result).toEqual({ verified: false, retry: true });
+      expect(release).toHaveBeenCalledWith(testUser.id, ['resend:follow-1:1']);
+    });
+
+    it('should stop retrying after the configured number of attempts', async () => {
+      follow.verification_attempts = config.verification.maxRetries;
+      followEngine.spotify.isFollowingArtists = jest.fn().mockResolvedValue([false]);
+
+      const result = await followEngine.verifyFollow('follow-1');
+
+      expect(result).toEqual({ verified: false, retry: false });
+      expect(spotifyClient.followArtists).not.toHaveBeenCalled();
+    });
+
+    it('should not re-follow a follow unfollowed before its verification ran', async () => {
+      spotifyClient.unfollowArtists = jest.fn().mockResolvedValue({});
+      await followEngine.unfollow(testUser.id, 'follow-1');
+      expect(spotifyClient.unfollowArtists).toHaveBeenCalledWith(['artist_1']);
+      follow.status = 'unfollowed';
+      db.findOne.mockResolvedValueOnce(follow);
+      db.update.mockClear();
+      followEngine.spotify.isFollowingArtists = jest.fn().mockResolvedValue([false]);
+
+      const result = await followEngine.verifyFollow('follow-1');
+
+      expect(result).toEqual({ verified: null, retry: false });
+      expect(followEngine.spotify.isFollowingArtists).not.toHaveBeenCalled();
+      expect(db.update).not.toHaveBeenCalled();
+      expect(spotifyClient.followArtists).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Concurrent Follows', () => {
+    let otherUser;
+
+    beforeAll(async () => {
+      otherUser = await db.insert('users', {
+        spotify_id: 'other_user_456',
+        email: 'other@example.com',
+        display_name: 'Other User',
+        subscription_tier: 'pro'
+      });
+    });
+
+    afterAll(async () => {
+      await db.delete('users', otherUser.id);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should never send one user\'s follow with another user\'s token', async () => {
+      const tick = () => new Promise(resolve => setImmediate(resolve));
+      const calls = [];
+
+      // Token lookups and API calls both yield, so the jobs interleave
+      jest.spyOn(followEngine.spotify, 'getValidAccessToken').mockImplementation(async (userId) => {
+        await tick();
+        return `token_for_${userId}`;
+      });
+      jest.spyOn(SpotifyWebApi.prototype, 'followArtists').mockImplementation(async function (ids) {
+        await tick();
+        calls.push({ token: this.getAccessToken(), ids });
+        return { body: {} };
+      });
+
+      const users = [testUser, otherUser];
+      await Promise.all(
+        Array.from({ length: 10 }, (_, i) => {
+          const user = users[i % 2];
+          return followEngine.followArtist(user.id, `${user.id}_artist_${i}`);
+        })
+      );
+
+      expect(calls).toHaveLength(10);
+      for (const call of calls) {
+        const ownerId = call.ids[0].split('_artist_')[0];
+        expect(call.token).toBe(`token_for_${ownerId}`);
+      }
+    });
+
+    it('should drop the rows of a follow rejected before it reached Spotify', async () => {
+      jest.spyOn(followEngine.spotify, 'getValidAccessToken').mockResolvedValue('access_token');
+      jest.spyOn(SpotifyWebApi.prototype, 'followArtists').mockRejectedValue(
+        Object.assign(new Error('Spotify API throttled, retry in 60s'), { code: 'SPOTIFY_THROTTLED', retryAfter: 60000 })
+      );
+      db.query.mockClear();
+
+      await expect(followEngine.followArtist(testUser.id, 'artist_throttled')).rejects.toThrow('throttled');
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM follows'), [[expect.any(String)]]);
+      expect(db.query).not.toHaveBeenCalledWith(expect.stringContaining("SET status = 'failed'"), expect.anything());
+    });
+  });
+
+  describe('Target Types', () => {
+    beforeEach(() => {
+      followEngine.spotify.getValidAccessToken = jest.fn().mockResolvedValue('access_token');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should follow users and playlists with their own endpoints', async () => {
+      const followUsers = jest.spyOn(SpotifyWebApi.prototype, 'followUsers').mockResolvedValue({ body: {} });
+      const followPlaylist = jest.spyOn(SpotifyWebApi.prototype, 'followPlaylist').mockResolvedValue({ body: {} });
+
+      const userFollow = await followEngine.followArtist(testUser.id, 'spotify_user_1', null, 'user');
+      const playlistFollow = await followEngine.followArtist(testUser.id, 'playlist_1', null, 'playlist');
+
+      expect(followUsers).toHaveBeenCalledWith(['spotify_user_1']);
+      expect(followPlaylist).toHaveBeenCalledWith('playlist_1', { public: true });
+      expect(userFollow).toEqual(expect.objectContaining({ success: true, targetType: 'user' }));
+      expect(playlistFollow.targetType).toBe('playlist');
+      expect(db.insert).toHaveBeenCalledWith('follows', expect.objectContaining({
+        target_artist_id: 'playlist_1',
+        target_type: 'playlist'
+      }));
+    });
+
+    it('should not mix target types in one request', async () => {
+      await expect(followEngine.followArtistBatch(testUser.id, [
+        { targetArtistId: 'artist_1' },
+        { targetArtistId: 'playlist_1', targetType: 'playlist' }
+      ])).rejects.toThrow('different target types');
+    });
+
+    it('should skip verification for playlist follows', async () => {
+      db.findOne.mockResolvedValueOnce({ id: 'follow-9', target_artist_id: 'playlist_1', target_type: 'playlist' });
+
+      const result = await followEngine.verifyFollow('follow-9');
+
+      expect(result).toEqual({ verified: null, retry: false });
+      expect(followEngine.spotify.getValidAccessToken).not.toHaveBeenCalled();
+    });
+
+    it('should count follows per target type', async () => {
+      const follows = [];
+      for (const [targetType, status] of [['artist', 'completed'], ['user', 'completed'], ['playlist', 'failed']]) {
+        follows.push(await db.insert('follows', {
+          follower_user_id: 'stats-user',
+          target_artist_id: `${targetType}_stats`,
+          target_type: targetType,
+          status,
+          created_at: new Date()
+        }));
+      }
+
+      const stats = await followEngine.getUserStats('stats-user', '24h');
+
+      expect(stats.byType.user).toEqual(expect.objectContaining({ completed: 1, total: 1 }));
+      expect(stats.byType.playlist).toEqual(expect.objectContaining({ completed: 0, failed: 1 }));
+
+      for (const follow of follows) {
+        await db.delete('follows', follow.id);
+      }
+    });
+  });
+
+  describe('Unfollows', () => {
+    const activeFollow = (overrides = {}) => ({
+      id: 'follow-21',
+      follower_user_id: testUser.id,
+      target_artist_id: 'artist_21',
+      target_type: 'artist',
+      status: 'completed',
+      ...overrides
+    });
+
+    beforeEach(() => {
+      followEngine.spotify.getValidAccessToken = jest.fn().mockResolvedValue('access_token');
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should unfollow on Spotify and mark the follow unfollowed', async () => {
+      const unfollowArtists = jest.spyOn(SpotifyWebApi.prototype, 'unfollowArtists').mockResolvedValue({ body: {} });
+      const acquire = jest.spyOn(followRateLimiter, 'acquire');
+      db.findOne.mockResolvedValueOnce(activeFollow());
+
+      const result = await followEngine.unfollow(testUser.id, 'follow-21');
+
+      expect(unfollowArtists).toHaveBeenCalledWith(['artist_21']);
+      expect(acquire).toHaveBeenCalledWith(
+        testUser.id,
+        [expect.objectContaining({ id: 'unfollow:follow-21' })],
+        followRateLimiter.getLimits(testUser.subscription_tier)
+      );
+      expect(db.update).toHaveBeenCalledWith('follows', 'follow-21', {
+        status: 'unfollowed',
+        unfollowed_at: expect.any(Date)
+      });
+      expect(result).toEqual({ success: true, followId: 'follow-21', artistId: 'artist_21', targetType: 'artist' });
+    });
+
+    it('should reject follows owned by another user', async () => {
+      db.findOne.mockResolvedValueOnce(activeFollow({ follower_user_id: 'someone-else' }));
+
+      await expect(followEngine.unfollow(testUser.id, 'follow-21'))
+        .rejects.toMatchObject({ code: 'FOLLOW_NOT_FOUND' });
+    });
+
+    it('should do nothing for follows that were already unfollowed', async () => {
+      const unfollowArtists = jest.spyOn(SpotifyWebApi.prototype, 'unfollowArtists');
+      db.findOne.mockResolvedValueOnce(activeFollow({ status: 'unfollowed' }));
+
+      const result = await followEngine.unfollow(testUser.id, 'follow-21');
+
+      expect(result.alreadyUnfollowed).toBe(true);
+      expect(unfollowArtists).not.toHaveBeenCalled();
+    });
+
+    it('should not unfollow when the rate limit is reached', async () => {
+      const unfollowArtists = jest.spyOn(SpotifyWebApi.prototype, 'unfollowArtists');
+      const resetAt = new Date(Date.now() + 60000);
+      jest.spyOn(followRateLimiter, 'acquire').mockResolvedValue({ acquired: false, resetAt });
+      db.findOne.mockResolvedValueOnce(activeFollow());
+
+      await expect(followEngine.unfollow(testUser.id, 'follow-21'))
+        .rejects.toMatchObject({ code: 'RATE_LIMITED', resetAt });
+      expect(unfollowArtists).not.toHaveBeenCalled();
+    });
+
+    it('should give back the rate limit slot when Spotify fails', async () => {
+      jest.spyOn(SpotifyWebApi.prototype, 'unfollowUsers').mockRejectedValue(new Error('Bad gateway'));
+      const release = jest.spyOn(followRateLimiter, 'release');
+      db.findOne.mockResolvedValueOnce(activeFollow({ target_type: 'user' }));
+
+      await expect(followEngine.unfollow(testUser.id, 'follow-21')).rejects.toThrow('Bad gateway');
+      expect(release).toHaveBeenCalledWith(testUser.id, ['unfollow:follow-21']);
+    });
+  });
+
   describe('Cancel Operations', () => {
     it('should cancel pending follows', async () => {
       // Create pending jobs
@@ -0,0 +1,116 @@
+jest.mock('../../src/services/followEngine', () => ({
+  checkRateLimits: jest.fn(),
+  getTargetArtists: jest.fn(),
+  getQueuedTargetIds: jest.fn()
+}));
+
+const autopilotJob = require('../../src/jobs/autopilotJob');
+const autopilotService = require('../../src/services/autopilotService');
+const followEngine = require('../../src/services/followEngine');
+const queueManager = require('../../src/services/queueManager');
+const config = require('../../config');
+
+const noon = new Date('2025-09-26T12:00:00Z');
+
+const createUser = (overrides = {}) => ({
+  id: 'user-1',
+  subscription_tier: 'pro',
+  timezone: 'UTC',
+  enabled: true,
+  paused: false,
+  daily_target: 10,
+  window_start: '09:00',
+  window_end: '21:00',
+  ...overrides
+});
+
+const limits = (daily, monthly = 1000) => ({
+  canFollow: daily > 0,
+  limits: { daily: { remaining: daily }, monthly: { remaining: monthly } }
+});
+
+describe('Autopilot Job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    autopilotJob.isRunning = false;
+
+    jest.spyOn(autopilotService, 'getQueuedOn').mockResolvedValue(0);
+    jest.spyOn(autopilotService, 'recordRun').mockResolvedValue();
+    followEngine.checkRateLimits.mockResolvedValue(limits(100));
+    followEngine.getQueuedTargetIds.mockResolvedValue(['queued_artist']);
+    followEngine.getTargetArtists.mockImplementation(async (userId, limit) =>
+      Array.from({ length: limit }, (_, i) => ({ artistId: `artist_${i}` }))
+    );
+    jest.spyOn(queueManager, 'addBatchFollowJobs').mockImplementation(async (userId, ids) =>
+      ids.map(id => ({ data: { targetArtistId: id } }))
+    );
+  });
+
+  describe('topUp()', () => {
+    it('should queue the rest of the day\'s target and log it', async () => {
+      autopilotService.getQueuedOn.mockResolvedValue(4);
+
+      const outcome = await autopilotJob.topUp(createUser(), noon);
+
+      expect(outcome).toEqual({ queued: 6, reason: null });
+      expect(followEngine.getTargetArtists).toHaveBeenCalledWith('user-1', 6, { exclude: ['queued_artist'] });
+      expect(autopilotService.recordRun).toHaveBeenCalledWith(
+        'user-1', '2025-09-26', ['artist_0', 'artist_1', 'artist_2', 'artist_3', 'artist_4', 'artist_5'], null
+      );
+    });
+
+    it('should spread follows over the rest of the window', async () => {
+      await autopilotJob.topUp(createUser({ daily_target: 9 }), noon);
+
+      // Nine hours left for nine follows, less the jitter each one may add
+      const jitter = config.rateLimits.followDelayMax - config.rateLimits.followDelayMin;
+      expect(queueManager.addBatchFollowJobs).toHaveBeenCalledWith(
+        'user-1', expect.any(Array), { delayBetween: 60 * 60 * 1000 - jitter, source: 'autopilot', tier: 'pro' }
+      );
+    });
+
+    it('should cap the target at the tier maximum', async () => {
+      await autopilotJob.topUp(createUser({ subscription_tier: 'free', daily_target: 50 }), noon);
+
+      expect(followEngine.getTargetArtists).toHaveBeenCalledWith(
+        'user-1', config.subscriptions.free.maxAutopilotDaily, expect.any(Object)
+      );
+    });
+
+    it('should stay under the remaining daily rate limit', async () => {
+      followEngine.checkRateLimits.mockResolvedValue(limits(3));
+
+      const outcome = await autopilotJob.topUp(createUser(), noon);
+
+      expect(outcome.queued).toBe(3);
+    });
+
+    it('should log rate-limited runs without queuing', async () => {
+      followEngine.checkRateLimits.mockResolvedValue(limits(0));
+
+      const outcome = await autopilotJob.topUp(createUser(), noon);
+
+      expect(outcome).toEqual({ queued: 0, reason: 'rate_limited' });
+      expect(autopilotService.recordRun).toHaveBeenCalledWith('user-1', '2025-09-26', [], 'rate_limited');
+      expect(queueManager.addBatchFollowJobs).not.toHaveBeenCalled();
+    });
+
+    it('should do nothing outside the window in the user\'s timezone', async () => {
+      // 12:00 UTC is 21:00 in Tokyo
+      const outcome = await autopilotJob.topUp(createUser({ timezone: 'Asia/Tokyo' }), noon);
+
+      expect(outcome).toEqual({ queued: 0, reason: 'outside_window' });
+      expect(followEngine.checkRateLimits).not.toHaveBeenCalled();
+    });
+
+    it('should stop once the day\'s target is reached', async () => {
+      autopilotService.getQueuedOn.mockResolvedValue(10);
+
+      const outcome = await autopilotJob.topUp(createUser(), noon);
+
+      expect(outcome).toEqual({ queued: 0, reason: 'target_reached' });
+      expect(autopilotService.recordRun).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,147 @@
+jest.mock('../../src/services/followEngine', () => ({
+  checkRateLimits: jest.fn()
+}));
+
+const campaignSchedulerJob = require('../../src/jobs/campaignSchedulerJob');
+const campaignService = require('../../src/services/campaignService');
+const followEngine = require('../../src/services/followEngine');
+const queueManager = require('../../src/services/queueManager');
+const db = require('../../src/database');
+
+const day = 24 * 60 * 60 * 1000;
+
+const createCampaign = (overrides = {}) => ({
+  id: 'campaign-1',
+  user_id: 'artist-user',
+  target_artist_id: 'artist_spotify',
+  target_follows: 500,
+  daily_budget: null,
+  starts_at: new Date(Date.now() - day),
+  ends_at: new Date(Date.now() + 20 * day),
+  last_scheduled_at: null,
+  follows_completed: 0,
+  follows_pending: 0,
+  status: 'active',
+  ...overrides
+});
+
+describe('Campaign Scheduler Job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    campaignSchedulerJob.isRunning = false;
+    db.query.mockResolvedValue({ rows: [] });
+    followEngine.checkRateLimits.mockResolvedValue({ canFollow: true });
+  });
+
+  describe('getQuota()', () => {
+    it('should pace remaining demand across the remaining time', async () => {
+      // One of 21 days has passed since the campaign started
+      const quota = await campaignSchedulerJob.getQuota(createCampaign(), new Date());
+
+      expect(quota).toBe(23);
+    });
+
+    it('should not count follows that are already queued', async () => {
+      const campaign = createCampaign({ follows_completed: 400, follows_pending: 100 });
+
+      await expect(campaignSchedulerJob.getQuota(campaign, new Date())).resolves.toBe(0);
+    });
+
+    it('should respect the daily budget', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ count: '8' }] });
+
+      const quota = await campaignSchedulerJob.getQuota(createCampaign({ daily_budget: 10 }), new Date());
+
+      expect(quota).toBe(2);
+    });
+  });
+
+  describe('scheduleCampaign()', () => {
+    it('should queue follows for eligible members that are within their rate limits', async () => {
+      const campaign = createCampaign({ target_follows: 42 });
+      jest.spyOn(campaignService, 'refreshProgress').mockResolvedValue(campaign);
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { id: 'member-1', subscription_tier: 'pro' },
+          { id: 'member-2', subscription_tier: 'free' },
+          { id: 'member-3', subscription_tier: 'pro' }
+        ]
+      });
+      followEngine.checkRateLimits
+        .mockResolvedValueOnce({ canFollow: true })
+        .mockResolvedValueOnce({ canFollow: false })
+        .mockResolvedValueOnce({ canFollow: true });
+
+      const result = await campaignSchedulerJob.scheduleCampaign(campaign);
+
+      expect(result).toEqual({ queued: 2, finished: false });
+      expect(queueManager.addFollowJob).toHaveBeenCalledTimes(2);
+      expect(queueManager.addFollowJob).toHaveBeenCalledWith(
+        'member-1',
+        'artist_spotify',
+        expect.objectContaining({ campaignId: 'campaign-1' })
+      );
+      expect(queueManager.addFollowJob).not.toHaveBeenCalledWith('member-2', expect.anything(), expect.anything());
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('last_scheduled_at = NOW()'), ['campaign-1', 2]);
+    });
+
+    it('should complete campaigns that reached their target', async () => {
+      const campaign = createCampaign({ follows_completed: 500 });
+      jest.spyOn(campaignService, 'refreshProgress').mockResolvedValue(campaign);
+      const finish = jest.spyOn(campaignService, 'finishCampaign').mockResolvedValue({});
+
+      const result = await campaignSchedulerJob.scheduleCampaign(campaign);
+
+      expect(result).toEqual({ queued: 0, finished: true });
+      expect(finish).toHaveBeenCalledWith(campaign, 'completed');
+      expect(queueManager.addFollowJob).not.toHaveBeenCalled();
+    });
+
+    it('should expire campaigns past their end date', async () => {
+      const campaign = createCampaign({ ends_at: new Date(Date.now() - 1000) });
+      jest.spyOn(campaignService, 'refreshProgress').mockResolvedValue(campaign);
+      const finish = jest.spyOn(campaignService, 'finishCampaign').mockResolvedValue({});
+
+      await campaignSchedulerJob.scheduleCampaign(campaign);
+
+      expect(finish).toHaveBeenCalledWith(campaign, 'expired');
+    });
+  });
+
+  describe('findEligibleMembers()', () => {
+    it('should leave out members whose lists don\'t allow the campaign artist', async () => {
+      await campaignSchedulerJob.findEligibleMembers(createCampaign(), 10);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("p.list = 'block'");
+      expect(sql).toContain("u.allowlist_only = false OR EXISTS");
+      expect(params[1]).toBe('artist_spotify');
+    });
+
+    it('should leave out members who blocked the campaign owner\'s account', async () => {
+      await campaignSchedulerJob.findEligibleMembers(createCampaign(), 10);
+
+      const [sql] = db.query.mock.calls[0];
+      const block = sql.slice(sql.indexOf("p.list = 'block'"), sql.indexOf('u.allowlist_only'));
+      expect(block).toContain("p.kind = 'user' AND (p.value = artist.owner_spotify_id OR p.value = $1::text)");
+      expect(sql).toContain('(SELECT spotify_id FROM users WHERE id = $1) AS owner_spotify_id');
+    });
+  });
+
+  describe('run()', () => {
+    it('should continue with other campaigns when one fails', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [createCampaign({ id: 'c1' }), createCampaign({ id: 'c2' })]
+      });
+      jest.spyOn(campaignSchedulerJob, 'scheduleCampaign')
+        .mockRejectedValueOnce(new Error('Database error'))
+        .mockResolvedValueOnce({ queued: 3, finished: false });
+
+      const summary = await campaignSchedulerJob.run();
+
+      expect(summary).toEqual({ campaigns: 1, queued: 3, finished: 0 });
+      expect(campaignSchedulerJob.isRunning).toBe(false);
+    });
+  });
+});
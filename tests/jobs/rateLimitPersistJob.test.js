@@ -0,0 +1,41 @@
+const rateLimitPersistJob = require('../../src/jobs/rateLimitPersistJob');
+const redis = require('../../src/database/redis');
+const db = require('../../src/database');
+
+describe('Rate Limit Persist Job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rateLimitPersistJob.isRunning = false;
+    redis.client.eval = jest.fn();
+    redis.client.spop = jest.fn().mockResolvedValue([]);
+  });
+
+  describe('persistCounts()', () => {
+    it('should write one row per window for changed users', async () => {
+      const client = { query: jest.fn().mockResolvedValue({ rows: [] }) };
+      db.transaction = jest.fn(callback => callback(client));
+      redis.client.spop.mockResolvedValueOnce(['user-1']);
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'user-1', subscription_tier: 'premium' }] });
+      redis.client.eval.mockResolvedValueOnce([3, 0, 12, 0, 40, 0]);
+
+      const persisted = await rateLimitPersistJob.persistCounts();
+
+      expect(persisted).toBe(1);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM rate_limits'), ['user-1']);
+      expect(client.query.mock.calls.slice(1).map(call => call[1].slice(2))).toEqual([
+        ['hour', 3, 30],
+        ['day', 12, 500],
+        ['month', 40, -1]
+      ]);
+    });
+  });
+
+  describe('run()', () => {
+    it('should persist until no changed users remain', async () => {
+      redis.client.spop.mockResolvedValueOnce(null);
+
+      await expect(rateLimitPersistJob.run()).resolves.toBe(0);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+});
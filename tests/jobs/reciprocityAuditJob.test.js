@@ -0,0 +1,72 @@
+jest.mock('../../src/auth/spotify', () => ({
+  getValidAccessToken: jest.fn(),
+  isFollowingArtists: jest.fn()
+}));
+
+const reciprocityAuditJob = require('../../src/jobs/reciprocityAuditJob');
+const spotifyAuth = require('../../src/auth/spotify');
+const db = require('../../src/database');
+
+describe('Reciprocity Audit Job', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reciprocityAuditJob.isRunning = false;
+  });
+
+  describe('groupByFollower()', () => {
+    it('should group follow rows by follower', () => {
+      const groups = reciprocityAuditJob.groupByFollower([
+        { id: 'f1', follower_user_id: 'u1' },
+        { id: 'f2', follower_user_id: 'u2' },
+        { id: 'f3', follower_user_id: 'u1' }
+      ]);
+
+      expect(groups.get('u1').map(f => f.id)).toEqual(['f1', 'f3']);
+      expect(groups.get('u2').map(f => f.id)).toEqual(['f2']);
+    });
+  });
+
+  describe('auditUser()', () => {
+    it('should mark follows by their current follow state', async () => {
+      spotifyAuth.getValidAccessToken.mockResolvedValue('token');
+      spotifyAuth.isFollowingArtists.mockResolvedValue([true, false, true]);
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await reciprocityAuditJob.auditUser('u1', [
+        { id: 'f1', target_artist_id: 'a1' },
+        { id: 'f2', target_artist_id: 'a2' },
+        { id: 'f3', target_artist_id: 'a3' }
+      ]);
+
+      expect(result).toEqual({ checked: 3, unfollowed: 1 });
+      expect(spotifyAuth.isFollowingArtists).toHaveBeenCalledWith('token', ['a1', 'a2', 'a3']);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE follows'), [true, ['f1', 'f3']]);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE follows'), [false, ['f2']]);
+    });
+  });
+
+  describe('run()', () => {
+    it('should continue auditing when one user fails and update scores', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { id: 'f1', follower_user_id: 'u1', target_artist_id: 'a1' },
+          { id: 'f2', follower_user_id: 'u2', target_artist_id: 'a2' }
+        ]
+      });
+      spotifyAuth.getValidAccessToken
+        .mockRejectedValueOnce(new Error('Token expired'))
+        .mockResolvedValueOnce('token');
+      spotifyAuth.isFollowingArtists.mockResolvedValue([false]);
+
+      const summary = await reciprocityAuditJob.run();
+
+      expect(summary).toEqual({ checked: 1, unfollowed: 1, users: 1 });
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('reciprocity_score'),
+        [['u1', 'u2']]
+      );
+      expect(reciprocityAuditJob.isRunning).toBe(false);
+    });
+  });
+});
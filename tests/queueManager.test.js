@@ -1,5 +1,6 @@
-// The queueManager is already mocked in setup.js
+// The queueManager and jobCancellation are already mocked in setup.js
 const queueManager = require('../src/services/queueManager');
+const jobCancellation = require('../src/services/jobCancellation');
 const db = require('../src/database');
 
 describe('Queue Manager', () => {
@@ -152,7 +153,7 @@ describe('Queue Manager', () => {
         jobs.push(job);
       }
 
-      const cancelled = await queueManager.cancelUserJobs(testUser.id);
+      const cancelled = await jobCancellation.cancelUserJobs(testUser.id);
       
       expect(cancelled).toHaveLength(3);
       cancelled.forEach(job => {
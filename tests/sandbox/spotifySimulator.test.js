@@ -0,0 +1,142 @@
+const SpotifyWebApi = require('spotify-web-api-node');
+const sandbox = require('../../src/sandbox');
+const { useSpotifyHost } = require('../../src/auth/spotifyClient');
+
+const redirectUri = 'http://localhost:3001/auth/callback';
+
+describe('Sandbox Spotify Simulator', () => {
+  let baseUrl;
+  let client;
+
+  /**
+   * Walk through /authorize and redeem the code like the OAuth callback does
+   */
+  const login = async (userId = 'sandbox-user') => {
+    const authorizeUrl = new URL(client.createAuthorizeURL(['user-follow-modify'], 'state-1'));
+    authorizeUrl.searchParams.set('login', userId);
+
+    const response = await fetch(authorizeUrl, { redirect: 'manual' });
+    const callback = new URL(response.headers.get('location'));
+    expect(callback.searchParams.get('state')).toBe('state-1');
+
+    const grant = await client.authorizationCodeGrant(callback.searchParams.get('code'));
+    client.setAccessToken(grant.body.access_token);
+    client.setRefreshToken(grant.body.refresh_token);
+    return grant.body;
+  };
+
+  beforeAll(async () => {
+    baseUrl = await sandbox.start({ port: 0 });
+    useSpotifyHost(baseUrl);
+  });
+
+  afterAll(async () => {
+    useSpotifyHost(null);
+    await sandbox.stop();
+  });
+
+  beforeEach(() => {
+    sandbox.simulator.reset();
+    client = new SpotifyWebApi({ clientId: 'client', clientSecret: 'secret', redirectUri });
+  });
+
+  it('should send Spotify client requests to the simulator', () => {
+    expect(client.createAuthorizeURL(['user-follow-read'], 's')).toMatch(new RegExp(`^${baseUrl}/authorize`));
+  });
+
+  it('should log in and follow artists', async () => {
+    const grant = await login('listener-1');
+    expect(grant).toEqual(expect.objectContaining({ token_type: 'Bearer', expires_in: 3600 }));
+
+    const me = await client.getMe();
+    expect(me.body.id).toBe('listener-1');
+
+    await client.followArtists(['artist-a', 'artist-b']);
+    const contains = await client.isFollowingArtists(['artist-a', 'artist-c']);
+    expect(contains.body).toEqual([true, false]);
+
+    const followed = await client.getFollowedArtists({ limit: 1 });
+    expect(followed.body.artists.total).toBe(2);
+    expect(followed.body.artists.cursors.after).toBe('artist-a');
+
+    await client.unfollowArtists(['artist-a']);
+    expect(sandbox.simulator.getState().users[0].following).toEqual(['artist-b']);
+  });
+
+  it('should follow users and playlists', async () => {
+    await login('listener-3');
+
+    await client.followUsers(['friend-1']);
+    await client.followPlaylist('playlist-1', { public: true });
+
+    const contains = await client.isFollowingUsers(['friend-1', 'friend-2']);
+    expect(contains.body).toEqual([true, false]);
+    expect(sandbox.simulator.getState().users).toContainEqual(expect.objectContaining({
+      id: 'listener-3',
+      following: [],
+      followingUsers: ['friend-1'],
+      followingPlaylists: ['playlist-1']
+    }));
+  });
+
+  it('should reject expired access tokens until they are refreshed', async () => {
+    await login();
+    sandbox.simulator.expireAccessTokens();
+
+    await expect(client.getMe()).rejects.toMatchObject({ statusCode: 401 });
+
+    const refreshed = await client.refreshAccessToken();
+    client.setAccessToken(refreshed.body.access_token);
+    await expect(client.getMe()).resolves.toMatchObject({ statusCode: 200 });
+  });
+
+  it('should inject 429 responses with Retry-After', async () => {
+    await login();
+    sandbox.simulator.injectFailure({ route: 'follow', status: 429, retryAfter: 7 });
+
+    const error = await client.followArtists(['artist-a']).catch(e => e);
+
+    expect(error.statusCode).toBe(429);
+    expect(error.headers['retry-after']).toBe('7');
+    await expect(client.followArtists(['artist-a'])).resolves.toMatchObject({ statusCode: 204 });
+  });
+
+  it('should inject server errors for a number of requests', async () => {
+    await login();
+    sandbox.simulator.injectFailure({ route: 'me', status: 503, times: 2 });
+
+    await expect(client.getMe()).rejects.toMatchObject({ statusCode: 503 });
+    await expect(client.getMe()).rejects.toMatchObject({ statusCode: 503 });
+    await expect(client.getMe()).resolves.toMatchObject({ statusCode: 200 });
+  });
+
+  it('should fail refreshes with invalid_grant', async () => {
+    await login();
+    sandbox.simulator.injectFailure({ route: 'token', error: 'invalid_grant' });
+
+    const error = await client.refreshAccessToken().catch(e => e);
+
+    expect(error.statusCode).toBe(400);
+    expect(error.body.error).toBe('invalid_grant');
+  });
+
+  it('should reject refresh tokens revoked by the user', async () => {
+    await login('listener-2');
+    sandbox.simulator.revokeRefreshTokens('listener-2');
+
+    await expect(client.refreshAccessToken()).rejects.toMatchObject({
+      statusCode: 400,
+      body: expect.objectContaining({ error: 'invalid_grant' })
+    });
+  });
+
+  it('should issue client credentials tokens for artist lookups', async () => {
+    const grant = await client.clientCredentialsGrant();
+    client.setAccessToken(grant.body.access_token);
+
+    const artists = await client.getArtists(['artist-a']);
+
+    expect(artists.body.artists[0]).toEqual(expect.objectContaining({ id: 'artist-a', type: 'artist' }));
+    await expect(client.getMe()).rejects.toMatchObject({ statusCode: 403 });
+  });
+});
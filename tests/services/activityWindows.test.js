@@ -0,0 +1,97 @@
+const activityWindows = require('../../src/services/activityWindows');
+const db = require('../../src/database');
+
+describe('Activity Windows', () => {
+  // Weekdays 09:00-22:00 and weekends 11:00-24:00 in Berlin (UTC+2 in September)
+  const settings = {
+    timezone: 'Europe/Berlin',
+    windows: [
+      { days: [1, 2, 3, 4, 5], start: '09:00', end: '22:00' },
+      { days: [0, 6], start: '11:00', end: '24:00' }
+    ]
+  };
+
+  const nextAllowed = (at) => activityWindows.nextAllowed(settings, new Date(at)).toISOString();
+
+  describe('getSettings()', () => {
+    it('should default the timezone from the user\'s country', () => {
+      expect(activityWindows.getSettings({ country: 'jp' })).toEqual({ timezone: 'Asia/Tokyo', windows: [] });
+    });
+
+    it('should prefer the user\'s own timezone', () => {
+      expect(activityWindows.getSettings({ country: 'JP', timezone: 'Europe/Lisbon' }).timezone)
+        .toBe('Europe/Lisbon');
+    });
+
+    it('should fall back to the default timezone', () => {
+      expect(activityWindows.getSettings({ country: null }).timezone).toBe('UTC');
+    });
+  });
+
+  describe('nextAllowed()', () => {
+    it('should allow follows inside a window', () => {
+      // Friday 14:00 local
+      expect(nextAllowed('2025-09-19T12:00:00.000Z')).toBe('2025-09-19T12:00:00.000Z');
+    });
+
+    it('should wait for the next window after the evening closes', () => {
+      // Friday 23:30 local -> Saturday 11:00 local
+      expect(nextAllowed('2025-09-19T21:30:00.000Z')).toBe('2025-09-20T09:00:00.000Z');
+    });
+
+    it('should wait for a window later the same day', () => {
+      // Saturday 07:00 local -> 11:00 local
+      expect(nextAllowed('2025-09-20T05:00:00.000Z')).toBe('2025-09-20T09:00:00.000Z');
+    });
+
+    it('should treat 24:00 as the end of the day', () => {
+      // Sunday 23:59 local is open; Monday 00:30 waits for 09:00
+      expect(nextAllowed('2025-09-21T21:59:00.000Z')).toBe('2025-09-21T21:59:00.000Z');
+      expect(nextAllowed('2025-09-21T22:30:00.000Z')).toBe('2025-09-22T07:00:00.000Z');
+    });
+
+    it('should allow any time without windows', () => {
+      expect(activityWindows.isOpen({ timezone: 'UTC', windows: [] }, new Date())).toBe(true);
+    });
+  });
+
+  describe('validate()', () => {
+    it('should accept valid settings', () => {
+      expect(activityWindows.validate(settings)).toBeNull();
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(activityWindows.validate({ timezone: 'Mars/Olympus' })).toContain('Unknown timezone');
+    });
+
+    it('should reject windows that end before they start', () => {
+      expect(activityWindows.validate({ windows: [{ days: [1], start: '22:00', end: '07:00' }] }))
+        .toContain('start before end');
+    });
+
+    it('should reject windows without valid days', () => {
+      expect(activityWindows.validate({ windows: [{ days: [7], start: '09:00', end: '17:00' }] }))
+        .toContain('days');
+    });
+  });
+
+  describe('setSettings()', () => {
+    it('should store windows as JSON with sorted days', async () => {
+      db.update.mockResolvedValueOnce({
+        timezone: 'Europe/Berlin',
+        activity_windows: [{ days: [1, 5], start: '09:00', end: '17:00' }]
+      });
+
+      const result = await activityWindows.setSettings('user-1', {
+        timezone: 'Europe/Berlin',
+        windows: [{ days: [5, 1, 5], start: '09:00', end: '17:00' }]
+      });
+
+      expect(db.update).toHaveBeenCalledWith('users', 'user-1', {
+        timezone: 'Europe/Berlin',
+        activity_windows: '[{"days":[1,5],"start":"09:00","end":"17:00"}]'
+      });
+      expect(result.windows).toHaveLength(1);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const SpotifyWebApi = require('spotify-web-api-node');
+const artistProfiles = require('../../src/services/artistProfiles');
+const db = require('../../src/database');
+const redis = require('../../src/database/redis');
+
+describe('Artist Profile Service', () => {
+  let grant;
+  let getArtists;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    redis.client.eval = jest.fn().mockResolvedValue(0);
+    artistProfiles.appToken = null;
+    artistProfiles.appTokenExpiresAt = 0;
+
+    grant = jest.spyOn(SpotifyWebApi.prototype, 'clientCredentialsGrant').mockResolvedValue({
+      body: { access_token: 'app-token', expires_in: 3600 }
+    });
+    getArtists = jest.spyOn(SpotifyWebApi.prototype, 'getArtists')
+      .mockResolvedValue({ body: { artists: [] } });
+  });
+
+  describe('refreshProfiles()', () => {
+    it('should fetch artists in chunks of 50 and store their profiles', async () => {
+      const ids = Array.from({ length: 60 }, (_, i) => `artist_${i}`);
+      getArtists.mockResolvedValueOnce({
+        body: {
+          artists: [
+            { id: 'artist_0', name: 'Zero', genres: ['Indie Pop'], popularity: 40, followers: { total: 900 } },
+            null
+          ]
+        }
+      });
+      db.query.mockResolvedValue({ rows: [] });
+
+      const stored = await artistProfiles.refreshProfiles(ids);
+
+      expect(stored).toBe(1);
+      expect(getArtists).toHaveBeenCalledTimes(2);
+      expect(getArtists.mock.calls[0][0]).toHaveLength(50);
+      expect(getArtists.mock.calls[1][0]).toHaveLength(10);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO artist_profiles'),
+        ['artist_0', 'Zero', ['indie pop'], 40, 900]
+      );
+    });
+
+    it('should reuse the app token until it expires', async () => {
+      await artistProfiles.refreshProfiles(['a']);
+      await artistProfiles.refreshProfiles(['b']);
+
+      expect(grant).toHaveBeenCalledTimes(1);
+      expect(getArtists.mock.instances.map(c => c.getAccessToken())).toEqual(['app-token', 'app-token']);
+    });
+  });
+
+  describe('setGenrePreferences()', () => {
+    it('should normalize genres and drop exclusions that are also preferred', async () => {
+      db.query.mockResolvedValue({ rows: [] });
+
+      const result = await artistProfiles.setGenrePreferences('u1', {
+        preferred: [' Indie Pop', 'indie pop', 'Shoegaze'],
+        excluded: ['shoegaze', 'Metal', 42]
+      });
+
+      expect(result).toEqual({ preferred: ['indie pop', 'shoegaze'], excluded: ['metal'] });
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('preferred_genres = $2'),
+        ['u1', ['indie pop', 'shoegaze'], ['metal']]
+      );
+    });
+  });
+});
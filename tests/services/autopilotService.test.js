@@ -0,0 +1,60 @@
+const autopilotService = require('../../src/services/autopilotService');
+const db = require('../../src/database');
+const config = require('../../config');
+
+describe('Autopilot Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('formatSettings()', () => {
+    it('should return defaults for users who never set up autopilot', () => {
+      const settings = autopilotService.formatSettings(null, { id: 'user-1', subscription_tier: 'free', timezone: 'UTC' });
+
+      expect(settings).toEqual({
+        enabled: false,
+        paused: false,
+        dailyTarget: config.autopilot.defaultDailyTarget,
+        effectiveDailyTarget: config.subscriptions.free.maxAutopilotDaily,
+        tierMax: config.subscriptions.free.maxAutopilotDaily,
+        window: { start: '09:00', end: '21:00' },
+        timezone: 'UTC'
+      });
+    });
+  });
+
+  describe('validate()', () => {
+    it('should accept partial updates', () => {
+      expect(autopilotService.validate({ enabled: true })).toBeNull();
+      expect(autopilotService.validate({ window: { start: '08:00', end: '24:00' } })).toBeNull();
+    });
+
+    it('should reject bad targets and windows', () => {
+      expect(autopilotService.validate({ dailyTarget: 0 })).toContain('dailyTarget');
+      expect(autopilotService.validate({ enabled: 'yes' })).toContain('enabled');
+      expect(autopilotService.validate({ window: { start: '22:00', end: '06:00' } })).toContain('window');
+    });
+  });
+
+  describe('recordRun()', () => {
+    it('should add to the day\'s log entry', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      await autopilotService.recordRun('user-1', '2025-09-26', ['a1', 'a2']);
+
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('queued = autopilot_log.queued + EXCLUDED.queued'),
+        ['user-1', '2025-09-26', 2, ['a1', 'a2'], null]
+      );
+    });
+  });
+
+  describe('getLocalDate()', () => {
+    it('should use the user\'s local date', () => {
+      const lateUtc = new Date('2025-09-26T23:30:00Z');
+
+      expect(autopilotService.getLocalDate('UTC', lateUtc)).toBe('2025-09-26');
+      expect(autopilotService.getLocalDate('Europe/Berlin', lateUtc)).toBe('2025-09-27');
+    });
+  });
+});
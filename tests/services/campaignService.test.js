@@ -0,0 +1,103 @@
+const campaignService = require('../../src/services/campaignService');
+const jobCancellation = require('../../src/services/jobCancellation');
+const db = require('../../src/database');
+const config = require('../../config');
+
+describe('Campaign Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('checkLimits()', () => {
+    it('should allow campaigns within the tier limits', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ count: '1' }] });
+
+      const result = await campaignService.checkLimits({ id: 'u1', subscription_tier: 'pro' }, 500);
+
+      expect(result.allowed).toBe(true);
+      expect(result.limits).toEqual({
+        activeCampaigns: 1,
+        maxActiveCampaigns: config.subscriptions.pro.maxActiveCampaigns,
+        maxCampaignFollows: config.subscriptions.pro.maxCampaignFollows
+      });
+    });
+
+    it('should reject campaigns beyond the active campaign limit', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ count: String(config.subscriptions.free.maxActiveCampaigns) }]
+      });
+
+      const result = await campaignService.checkLimits({ id: 'u1', subscription_tier: 'free' }, 10);
+
+      expect(result.allowed).toBe(false);
+      expect(result.reason).toContain('active campaign');
+    });
+
+    it('should reject targets above the tier maximum', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      const result = await campaignService.checkLimits(
+        { id: 'u1', subscription_tier: 'pro' },
+        config.subscriptions.pro.maxCampaignFollows + 1
+      );
+
+      expect(result.allowed).toBe(false);
+    });
+
+    it('should not cap targets for unlimited tiers', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ count: '0' }] });
+
+      const result = await campaignService.checkLimits({ id: 'u1', subscription_tier: 'premium' }, 100000);
+
+      expect(result.allowed).toBe(true);
+    });
+  });
+
+  describe('updateCampaign()', () => {
+    it('should drop queued follows when a campaign is paused', async () => {
+      db.update = jest.fn().mockResolvedValue({ id: 'c1', status: 'paused' });
+
+      await campaignService.updateCampaign({ id: 'c1', status: 'active' }, { status: 'paused' });
+
+      expect(jobCancellation.cancelCampaignJobs).toHaveBeenCalledWith('c1');
+      expect(db.update).toHaveBeenCalledWith('campaigns', 'c1', expect.objectContaining({
+        status: 'paused',
+        follows_pending: 0
+      }));
+    });
+  });
+
+  describe('refreshProgress()', () => {
+    it('should count rescheduled jobs as pending alongside scheduled ones', async () => {
+      const campaign = { id: 'c1', follows_pending: 0 };
+      db.query.mockResolvedValueOnce({ rows: [{ ...campaign, follows_pending: 3 }] });
+
+      const result = await campaignService.refreshProgress(campaign);
+
+      const [sql, params] = db.query.mock.calls[0];
+      expect(sql).toContain("status IN ('queued', 'scheduled', 'rescheduled', 'processing')");
+      expect(params).toEqual(['c1']);
+      expect(result.follows_pending).toBe(3);
+    });
+  });
+
+  describe('getProgress()', () => {
+    it('should report completed, pending and remaining follows', () => {
+      const progress = campaignService.getProgress({
+        target_follows: 500,
+        follows_completed: 125,
+        follows_pending: 20,
+        ends_at: '2025-10-01T00:00:00.000Z'
+      });
+
+      expect(progress).toEqual({
+        target: 500,
+        completed: 125,
+        pending: 20,
+        remaining: 375,
+        percent: 25,
+        endsAt: '2025-10-01T00:00:00.000Z'
+      });
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const creditLedger = require('../../src/services/creditLedger');
+const db = require('../../src/database');
+const config = require('../../config');
+
+describe('Credit Ledger Service', () => {
+  let client;
+
+  beforeEach(() => {
+    client = { query: jest.fn() };
+    db.transaction = jest.fn((callback) => callback(client));
+  });
+
+  describe('recordFollow()', () => {
+    it('should credit the follower and debit the followed swarm artist', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 'artist-user' }] }) // target lookup
+        .mockResolvedValueOnce({ rows: [{ credit_balance: 3 }] }) // follower credit
+        .mockResolvedValueOnce({ rows: [{ credit_balance: -1 }] }); // target debit
+
+      const result = await creditLedger.recordFollow('follower-user', 'artist_spotify', 'follow-1');
+
+      expect(result).toEqual({ follower: 3, target: -1 });
+      expect(client.query).toHaveBeenCalledTimes(3);
+
+      const creditParams = client.query.mock.calls[1][1];
+      expect(creditParams).toEqual([
+        'follower-user', 'follow-1', 'follow_given', config.credits.perFollowGiven, 'artist-user'
+      ]);
+
+      const debitParams = client.query.mock.calls[2][1];
+      expect(debitParams).toEqual([
+        'artist-user', 'follow-1', 'follow_received', -config.credits.perFollowReceived, 'follower-user'
+      ]);
+    });
+
+    it('should only credit the follower when the target is not a swarm member', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [{ credit_balance: 1 }] });
+
+      const result = await creditLedger.recordFollow('follower-user', 'outside_artist', 'follow-2');
+
+      expect(result).toEqual({ follower: 1, target: null });
+      expect(client.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should return null balances when the follow was already recorded', async () => {
+      client.query
+        .mockResolvedValueOnce({ rows: [{ id: 'artist-user' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await creditLedger.recordFollow('follower-user', 'artist_spotify', 'follow-1');
+
+      expect(result).toEqual({ follower: null, target: null });
+    });
+  });
+
+  describe('recordUnfollow()', () => {
+    it('should reverse the recorded credit and debit', async () => {
+      client.query
+        .mockResolvedValueOnce({
+          rows: [
+            { user_id: 'follower-user', entry_type: 'follow_given', amount: 2, counterparty_user_id: 'artist-user' },
+            { user_id: 'artist-user', entry_type: 'follow_received', amount: -1, counterparty_user_id: 'follower-user' }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [{ credit_balance: 1 }] })
+        .mockResolvedValueOnce({ rows: [{ credit_balance: 0 }] });
+
+      const result = await creditLedger.recordUnfollow('follow-1');
+
+      expect(result).toEqual({ follower: 1, target: 0 });
+      expect(client.query.mock.calls[1][1]).toEqual([
+        'follower-user', 'follow-1', 'unfollow_given', -2, 'artist-user'
+      ]);
+      expect(client.query.mock.calls[2][1]).toEqual([
+        'artist-user', 'follow-1', 'unfollow_received', 1, 'follower-user'
+      ]);
+    });
+
+    it('should do nothing for follows that earned no credits', async () => {
+      client.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await creditLedger.recordUnfollow('follow-2');
+
+      expect(result).toEqual({ follower: null, target: null });
+      expect(client.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('getBalance()', () => {
+    it('should parse balance and lifetime totals', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [{ balance: '4', earned: '10', spent: '6' }]
+      });
+
+      const balance = await creditLedger.getBalance('user-1');
+
+      expect(balance).toEqual({ balance: 4, earned: 10, spent: 6 });
+    });
+
+    it('should default to zero for unknown users', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const balance = await creditLedger.getBalance('missing-user');
+
+      expect(balance).toEqual({ balance: 0, earned: 0, spent: 0 });
+    });
+  });
+
+  describe('getHistory()', () => {
+    it('should query ledger entries with pagination', async () => {
+      const entries = [{ id: 'entry-1', entry_type: 'follow_given', amount: 1 }];
+      db.query.mockResolvedValueOnce({ rows: entries });
+
+      const history = await creditLedger.getHistory('user-1', { limit: 10, offset: 20 });
+
+      expect(history).toEqual(entries);
+      expect(db.query).toHaveBeenLastCalledWith(expect.stringContaining('FROM credit_ledger'), ['user-1', 10, 20]);
+    });
+  });
+
+  describe('countEntries()', () => {
+    it('should count all of the user\'s entries, not just one page', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ total: '134' }] });
+
+      await expect(creditLedger.countEntries('user-1')).resolves.toBe(134);
+      expect(db.query).toHaveBeenLastCalledWith(expect.stringContaining('COUNT(*)'), ['user-1']);
+    });
+  });
+});
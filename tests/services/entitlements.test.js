@@ -0,0 +1,98 @@
+const entitlements = require('../../src/services/entitlements');
+const db = require('../../src/database');
+const config = require('../../config');
+
+const now = new Date('2025-09-30T12:00:00Z');
+const later = new Date(now.getTime() + 60 * 60 * 1000);
+const earlier = new Date(now.getTime() - 60 * 60 * 1000);
+
+describe('Entitlements Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolve()', () => {
+    it('should give unknown tiers the free features', () => {
+      const resolved = entitlements.resolve({ id: 'user-1', subscription_tier: 'gold' }, now);
+
+      expect(resolved.tier).toBe('free');
+      expect(resolved.features).toEqual(config.subscriptions.free.features);
+    });
+
+    it('should add the features of a running trial only', () => {
+      const user = { id: 'user-1', subscription_tier: 'free', trial_tier: 'premium', trial_ends_at: later };
+
+      expect(entitlements.resolve(user, now).features).toContain('scheduling');
+      expect(entitlements.resolve({ ...user, trial_ends_at: earlier }, now)).toMatchObject({
+        trial: null,
+        features: config.subscriptions.free.features
+      });
+    });
+
+    it('should apply overrides on top of tier and trial until they expire', () => {
+      const user = {
+        id: 'user-1',
+        subscription_tier: 'pro',
+        trial_tier: 'premium',
+        trial_ends_at: later,
+        feature_overrides: {
+          scheduling: { enabled: false, expiresAt: later.toISOString() },
+          csv_export: { enabled: false, expiresAt: earlier.toISOString() }
+        }
+      };
+
+      const resolved = entitlements.resolve(user, now);
+
+      expect(resolved.features).not.toContain('scheduling');
+      expect(resolved.features).toContain('csv_export');
+      expect(resolved.overrides.map(o => o.feature)).toEqual(['scheduling']);
+    });
+  });
+
+  describe('tiersWith()', () => {
+    it('should list the tiers that include a feature', () => {
+      expect(entitlements.tiersWith('batch_follow')).toEqual(['pro', 'premium']);
+      expect(entitlements.tiersWith('scheduling')).toEqual(['premium']);
+    });
+  });
+
+  describe('startTrial()', () => {
+    it('should store the trial end', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'user-1' }] });
+
+      const trial = await entitlements.startTrial('user-1', 'premium', 14, now);
+
+      const endsAt = new Date(now.getTime() + 14 * 24 * 60 * 60 * 1000);
+      expect(trial).toEqual({ tier: 'premium', endsAt });
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('trial_ends_at'), ['user-1', 'premium', endsAt]);
+    });
+
+    it('should reject unknown tiers and over-long trials', async () => {
+      await expect(entitlements.startTrial('user-1', 'gold', 14, now))
+        .rejects.toMatchObject({ code: 'INVALID_ENTITLEMENT' });
+      await expect(entitlements.startTrial('user-1', 'premium', config.entitlements.maxTrialDays + 1, now))
+        .rejects.toMatchObject({ code: 'INVALID_ENTITLEMENT' });
+      expect(db.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setOverride()', () => {
+    it('should merge the override into the user\'s overrides', async () => {
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'user-1' }] });
+
+      const override = await entitlements.setOverride('user-1', 'scheduling', { enabled: true, reason: 'beta' });
+
+      expect(override).toEqual({ feature: 'scheduling', enabled: true, expiresAt: null, reason: 'beta' });
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('feature_overrides ||'), [
+        'user-1',
+        'scheduling',
+        JSON.stringify({ enabled: true, expiresAt: null, reason: 'beta' })
+      ]);
+    });
+
+    it('should reject unknown features', async () => {
+      await expect(entitlements.setOverride('user-1', 'teleport', { enabled: true }))
+        .rejects.toMatchObject({ code: 'INVALID_ENTITLEMENT' });
+    });
+  });
+});
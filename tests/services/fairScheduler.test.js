@@ -0,0 +1,142 @@
+const fairScheduler = require('../../src/services/fairScheduler');
+
+/**
+ * Run a single-worker queue to completion: every job takes one tick and all
+ * jobs are queued at tick 0, so a job's latency is the tick it finishes on
+ */
+const simulate = (next) => {
+  const finished = {};
+  let tick = 0;
+
+  for (let job = next(); job; job = next()) {
+    tick++;
+    (finished[job.userId] = finished[job.userId] || []).push({ seq: job.seq, latency: tick });
+  }
+
+  return finished;
+};
+
+const percentile = (sorted, p) => sorted[Math.ceil((p / 100) * sorted.length) - 1];
+
+const distribution = (finished) => {
+  const result = {};
+  for (const [userId, jobs] of Object.entries(finished)) {
+    const latencies = jobs.map(j => j.latency).sort((a, b) => a - b);
+    result[userId] = {
+      p50: percentile(latencies, 50),
+      p90: percentile(latencies, 90),
+      max: latencies[latencies.length - 1]
+    };
+  }
+  return result;
+};
+
+// One free user queues a 50-artist batch just before everyone else
+const workload = [
+  { userId: 'alice', tier: 'free', count: 50 },
+  { userId: 'bob', tier: 'free', count: 5 },
+  { userId: 'carol', tier: 'pro', count: 5 },
+  { userId: 'dave', tier: 'premium', count: 5 }
+];
+
+const jobsFor = ({ userId, tier, count }) =>
+  Array.from({ length: count }, (_, seq) => ({ userId, tier, seq }));
+
+describe('Fair Scheduler', () => {
+  beforeEach(() => {
+    fairScheduler.reset();
+  });
+
+  describe('simulation', () => {
+    it('should keep a large batch from starving other users', () => {
+      // Baseline: a plain FIFO queue in arrival order
+      const fifo = workload.flatMap(jobsFor);
+      const fifoLatency = distribution(simulate(() => fifo.shift() || null));
+
+      for (const spec of workload) {
+        for (const job of jobsFor(spec)) {
+          fairScheduler.enqueue(job.userId, job.tier, job);
+        }
+      }
+      const fairLatency = distribution(simulate(() => fairScheduler.next()));
+
+      expect(fifoLatency).toEqual({
+        alice: { p50: 25, p90: 45, max: 50 },
+        bob: { p50: 53, p90: 55, max: 55 },
+        carol: { p50: 58, p90: 60, max: 60 },
+        dave: { p50: 63, p90: 65, max: 65 }
+      });
+      expect(fairLatency).toEqual({
+        alice: { p50: 40, p90: 60, max: 65 },
+        bob: { p50: 16, p90: 20, max: 20 },
+        carol: { p50: 9, p90: 12, max: 12 },
+        dave: { p50: 3, p90: 8, max: 8 }
+      });
+    });
+
+    it('should run each user\'s jobs in the order they were queued', () => {
+      for (const spec of workload) {
+        for (const job of jobsFor(spec)) {
+          fairScheduler.enqueue(job.userId, job.tier, job);
+        }
+      }
+
+      const finished = simulate(() => fairScheduler.next());
+
+      for (const jobs of Object.values(finished)) {
+        expect(jobs.map(j => j.seq)).toEqual(jobs.map((_, i) => i));
+      }
+    });
+
+    it('should split the queue between tiers by their shares', () => {
+      for (const [userId, tier] of [['f1', 'free'], ['p1', 'pro'], ['v1', 'premium']]) {
+        for (const job of jobsFor({ userId, tier, count: 100 })) {
+          fairScheduler.enqueue(userId, tier, job);
+        }
+      }
+
+      const served = { f1: 0, p1: 0, v1: 0 };
+      for (let i = 0; i < 70; i++) {
+        served[fairScheduler.next().userId]++;
+      }
+
+      expect(served).toEqual({ v1: 40, p1: 20, f1: 10 });
+    });
+
+    it('should round-robin between users of the same tier', () => {
+      for (const userId of ['a', 'b', 'c']) {
+        for (const job of jobsFor({ userId, tier: 'pro', count: 3 })) {
+          fairScheduler.enqueue(userId, 'pro', job);
+        }
+      }
+
+      const order = [];
+      for (let job = fairScheduler.next(); job; job = fairScheduler.next()) {
+        order.push(job.userId);
+      }
+
+      expect(order.join('')).toBe('abcabcabc');
+    });
+  });
+
+  describe('load()', () => {
+    it('should keep users\' place in the rotation across snapshots', () => {
+      const snapshot = ['a', 'b', 'c'].flatMap(userId =>
+        jobsFor({ userId, tier: 'free', count: 2 }).map(item => ({ userId, tier: 'free', item }))
+      );
+
+      fairScheduler.load(snapshot);
+      expect(fairScheduler.next().userId).toBe('a');
+
+      // 'a' was just served, so after reloading 'b' is next and 'a' waits its turn
+      fairScheduler.load(snapshot.filter(entry => entry.item.seq === 1 || entry.userId !== 'a'));
+      expect(['b', 'c', 'a'].map(() => fairScheduler.next().userId)).toEqual(['b', 'c', 'a']);
+    });
+
+    it('should treat unknown tiers as free', () => {
+      fairScheduler.load([{ userId: 'x', tier: 'legacy', item: { userId: 'x' } }]);
+
+      expect(fairScheduler.getState().tiers.free).toEqual({ share: 1, users: 1, items: 1 });
+    });
+  });
+});
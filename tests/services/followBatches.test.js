@@ -0,0 +1,151 @@
+const followBatches = require('../../src/services/followBatches');
+const queueManager = require('../../src/services/queueManager');
+const jobCancellation = require('../../src/services/jobCancellation');
+const db = require('../../src/database');
+const config = require('../../config');
+
+const batchRow = (counts = {}, overrides = {}) => ({
+  id: 'batch-1',
+  user_id: 'user-1',
+  target_type: 'artist',
+  requested_count: 5,
+  queued_count: 5,
+  cancelled_at: null,
+  created_at: new Date('2025-09-27T10:00:00Z'),
+  last_scheduled_at: null,
+  ...Object.fromEntries(Object.entries(counts).map(([status, n]) => [`${status}_jobs`, String(n)])),
+  ...overrides
+});
+
+describe('Follow Batches Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createBatch()', () => {
+    it('should link queued jobs to a new batch', async () => {
+      db.insert.mockResolvedValueOnce({ id: 'batch-1', requested_count: 3 });
+      db.update.mockResolvedValueOnce({});
+      queueManager.addBatchFollowJobs.mockResolvedValueOnce([{ id: 'job-1' }, { id: 'job-2' }]);
+
+      const { batch, jobs } = await followBatches.createBatch('user-1', ['a1', 'a2', 'a3'], { targetType: 'artist' });
+
+      expect(jobs).toHaveLength(2);
+      expect(batch.queued_count).toBe(2);
+      expect(queueManager.addBatchFollowJobs).toHaveBeenCalledWith('user-1', ['a1', 'a2', 'a3'], {
+        targetType: 'artist',
+        batchId: 'batch-1'
+      });
+      expect(db.update).toHaveBeenCalledWith('follow_batches', 'batch-1', { queued_count: 2 });
+    });
+  });
+
+  describe('summarize()', () => {
+    it('should count jobs by status and stay active while any are pending', () => {
+      const due = new Date(Date.now() + 60 * 60 * 1000);
+      const summary = followBatches.summarize(batchRow(
+        { completed: 2, failed: 1, queued: 2 },
+        { last_scheduled_at: due }
+      ));
+
+      expect(summary.status).toBe('active');
+      expect(summary.counts).toMatchObject({ completed: 2, failed: 1, queued: 2, cancelled: 0 });
+      expect(summary.pendingCount).toBe(2);
+      expect(summary.eta).toEqual(due);
+    });
+
+    it('should expect overdue jobs within one follow delay', () => {
+      const summary = followBatches.summarize(batchRow(
+        { queued: 1 },
+        { last_scheduled_at: new Date(Date.now() - 60000) }
+      ));
+
+      const avgDelay = (config.rateLimits.followDelayMin + config.rateLimits.followDelayMax) / 2;
+      expect(summary.eta.getTime()).toBeGreaterThanOrEqual(Date.now() + avgDelay - 1000);
+    });
+
+    it('should report finished and cancelled batches without an ETA', () => {
+      expect(followBatches.summarize(batchRow({ completed: 5 }))).toMatchObject({ status: 'completed', eta: null });
+      expect(followBatches.summarize(batchRow({ cancelled: 3 }, { cancelled_at: new Date() })).status).toBe('cancelled');
+    });
+  });
+
+  describe('retryFailed()', () => {
+    const retriedUpdate = () => db.query.mock.calls.find(([sql]) => sql.includes("SET status = 'retried'"));
+
+    beforeEach(() => {
+      db.transaction = jest.fn(callback => callback(db));
+    });
+
+    it('should requeue failed targets into the same batch', async () => {
+      db.findOne.mockResolvedValueOnce(batchRow());
+      db.query
+        .mockResolvedValueOnce({ rows: [{ target_id: 'a2' }, { target_id: 'a4' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [batchRow({ queued: 2, retried: 2 })] });
+      queueManager.addBatchFollowJobs.mockResolvedValueOnce([
+        { id: 'job-6', data: { targetArtistId: 'a2' } },
+        { id: 'job-7', data: { targetArtistId: 'a4' } }
+      ]);
+
+      const result = await followBatches.retryFailed('user-1', 'batch-1');
+
+      expect(result.retriedCount).toBe(2);
+      expect(result.batch.counts.retried).toBe(2);
+      expect(db.query).toHaveBeenNthCalledWith(1, expect.stringContaining('FOR UPDATE'), ['batch-1']);
+      expect(queueManager.addBatchFollowJobs).toHaveBeenCalledWith('user-1', ['a2', 'a4'], {
+        targetType: 'artist',
+        batchId: 'batch-1'
+      });
+      expect(retriedUpdate()[1]).toEqual(['batch-1', ['a2', 'a4']]);
+    });
+
+    it('should leave failed jobs failed when their replacements cannot be queued', async () => {
+      db.findOne.mockResolvedValueOnce(batchRow());
+      db.query
+        .mockResolvedValueOnce({ rows: [{ target_id: 'a2' }] })
+        .mockResolvedValueOnce({ rows: [] });
+      queueManager.addBatchFollowJobs.mockRejectedValueOnce(new Error('Redis connection lost'));
+
+      await expect(followBatches.retryFailed('user-1', 'batch-1')).rejects.toThrow('Redis connection lost');
+      expect(retriedUpdate()).toBeUndefined();
+    });
+
+    it('should only mark jobs retried whose target got a replacement', async () => {
+      db.findOne.mockResolvedValueOnce(batchRow());
+      db.query
+        .mockResolvedValueOnce({ rows: [{ target_id: 'a1' }, { target_id: 'a2' }, { target_id: 'a3' }] })
+        // a1 was queued again by an earlier retry that failed part-way
+        .mockResolvedValueOnce({ rows: [{ target_id: 'a1' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [batchRow()] });
+      // a3 is followed by now, so it gets no job
+      queueManager.addBatchFollowJobs.mockResolvedValueOnce([{ id: 'job-8', data: { targetArtistId: 'a2' } }]);
+
+      const result = await followBatches.retryFailed('user-1', 'batch-1');
+
+      expect(result.retriedCount).toBe(1);
+      expect(queueManager.addBatchFollowJobs.mock.calls[0][1]).toEqual(['a2', 'a3']);
+      expect(retriedUpdate()[1]).toEqual(['batch-1', ['a1', 'a2']]);
+    });
+
+    it('should refuse to retry a cancelled batch', async () => {
+      db.findOne.mockResolvedValueOnce(batchRow({}, { cancelled_at: new Date() }));
+
+      await expect(followBatches.retryFailed('user-1', 'batch-1')).rejects.toMatchObject({ code: 'BATCH_CANCELLED' });
+      expect(queueManager.addBatchFollowJobs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelBatch()', () => {
+    it('should return null for another user\'s batch', async () => {
+      db.findOne.mockResolvedValueOnce(null);
+
+      await expect(followBatches.cancelBatch('user-2', 'batch-1')).resolves.toBeNull();
+      expect(jobCancellation.cancelBatchJobs).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,148 @@
+// Use the real queue manager; setup.js mocks it for route tests
+jest.unmock('../../src/services/queueManager');
+jest.mock('../../src/services/followEngine', () => ({
+  checkRateLimits: jest.fn(),
+  followArtistBatch: jest.fn(),
+  verifyFollow: jest.fn()
+}));
+
+const queueManager = require('../../src/services/queueManager');
+const followDispatcher = require('../../src/services/followDispatcher');
+const fairScheduler = require('../../src/services/fairScheduler');
+const db = require('../../src/database');
+const config = require('../../config');
+
+const createIntakeJob = (id, userId, timestamp) => ({
+  id,
+  name: 'follow-artist',
+  timestamp,
+  data: { userId, targetArtistId: `artist_${id}` },
+  opts: { priority: 2, attempts: 3 },
+  remove: jest.fn().mockResolvedValue()
+});
+
+describe('Follow Dispatcher', () => {
+  const concurrency = config.queue.concurrency;
+  let intakeJobs;
+  let delayedJobs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    config.queue.concurrency = 5;
+    fairScheduler.reset();
+    followDispatcher.dispatching = false;
+
+    // user-1 queued a batch before anyone else
+    intakeJobs = [
+      createIntakeJob('1', 'user-1', 1),
+      createIntakeJob('2', 'user-1', 2),
+      createIntakeJob('3', 'user-1', 3),
+      createIntakeJob('4', 'user-2', 4),
+      createIntakeJob('5', 'user-3', 5)
+    ];
+    delayedJobs = [];
+
+    queueManager.queues = {
+      follow: {
+        add: jest.fn().mockResolvedValue({}),
+        getJobs: jest.fn().mockResolvedValue([]),
+        getWaitingCount: jest.fn().mockResolvedValue(0),
+        getActiveCount: jest.fn().mockResolvedValue(0)
+      },
+      followIntake: {
+        add: jest.fn().mockResolvedValue({ id: '42' }),
+        getJobs: jest.fn(types => Promise.resolve(types.includes('delayed') ? delayedJobs : intakeJobs))
+      }
+    };
+
+    db.query.mockResolvedValue({
+      rows: [
+        { id: 'user-1', subscription_tier: 'free' },
+        { id: 'user-2', subscription_tier: 'free' },
+        { id: 'user-3', subscription_tier: 'premium' }
+      ]
+    });
+  });
+
+  afterAll(() => {
+    config.queue.concurrency = concurrency;
+    queueManager.queues = {};
+  });
+
+  describe('dispatch()', () => {
+    it('should move jobs to the follow queue in fair-share order', async () => {
+      const dispatched = await followDispatcher.dispatch();
+
+      expect(dispatched).toBe(5);
+      expect(queueManager.queues.follow.add.mock.calls.map(call => call[2].jobId))
+        .toEqual(['5', '1', '4', '2', '3']);
+      expect(queueManager.queues.follow.add).toHaveBeenCalledWith(
+        'follow-artist',
+        intakeJobs[4].data,
+        { jobId: '5', priority: 2, attempts: 3 }
+      );
+      intakeJobs.forEach(job => expect(job.remove).toHaveBeenCalled());
+    });
+
+    it('should only fill free worker slots', async () => {
+      queueManager.queues.follow.getWaitingCount.mockResolvedValue(1);
+      queueManager.queues.follow.getActiveCount.mockResolvedValue(2);
+
+      const dispatched = await followDispatcher.dispatch();
+
+      expect(dispatched).toBe(2);
+      expect(intakeJobs[2].remove).not.toHaveBeenCalled();
+    });
+
+    it('should dispatch delayed jobs once they are due', async () => {
+      const now = Date.now();
+      const due = { ...createIntakeJob('6', 'user-2', now - 60000), opts: { priority: 2, attempts: 3, delay: 30000 } };
+      const later = { ...createIntakeJob('7', 'user-2', now), opts: { priority: 2, attempts: 3, delay: 60000 } };
+      due.promote = jest.fn(() => {
+        delayedJobs.shift();
+        intakeJobs.push(due);
+        return Promise.resolve();
+      });
+      later.promote = jest.fn().mockResolvedValue();
+      delayedJobs = [due, later];
+      intakeJobs = [];
+
+      const dispatched = await followDispatcher.dispatch();
+
+      expect(dispatched).toBe(1);
+      expect(due.promote).toHaveBeenCalled();
+      expect(later.promote).not.toHaveBeenCalled();
+      expect(queueManager.queues.follow.add).toHaveBeenCalledWith('follow-artist', due.data, expect.objectContaining({ jobId: '6' }));
+    });
+
+    it('should not read the intake queue when workers are busy', async () => {
+      queueManager.queues.follow.getActiveCount.mockResolvedValue(5);
+
+      await expect(followDispatcher.dispatch()).resolves.toBe(0);
+      expect(queueManager.queues.followIntake.getJobs).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getUserTiers()', () => {
+    it('should dispatch users granted priority_queue by a trial or override with a priority tier\'s share', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { id: 'user-1', subscription_tier: 'free', feature_overrides: {} },
+          { id: 'user-2', subscription_tier: 'free', feature_overrides: { priority_queue: { enabled: true } } },
+          {
+            id: 'user-3',
+            subscription_tier: 'pro',
+            trial_tier: 'premium',
+            trial_ends_at: new Date(Date.now() + 86400000),
+            feature_overrides: {}
+          }
+        ]
+      });
+
+      const tiers = await followDispatcher.getUserTiers(['user-1', 'user-2', 'user-3']);
+
+      expect(tiers).toEqual(new Map([['user-1', 'free'], ['user-2', 'premium'], ['user-3', 'premium']]));
+      expect(db.query.mock.calls[0][0]).toContain('feature_overrides');
+    });
+  });
+});
@@ -0,0 +1,77 @@
+const followImport = require('../../src/services/followImport');
+const spotifyService = require('../../src/auth/spotify');
+const db = require('../../src/database');
+const redis = require('../../src/database/redis');
+
+const page = (ids, after = null) => ({
+  body: {
+    artists: {
+      items: ids.map(id => ({ id })),
+      next: after ? `https://api.spotify.com/v1/me/following?type=artist&after=${after}` : null,
+      cursors: { after }
+    }
+  }
+});
+
+describe('Follow Import Service', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    redis.client.eval = jest.fn().mockResolvedValue(0);
+
+    client = { getFollowedArtists: jest.fn() };
+    jest.spyOn(spotifyService, 'getClientForUser').mockResolvedValue(client);
+  });
+
+  describe('fetchFollowedArtists()', () => {
+    it('should follow the cursor through every page', async () => {
+      client.getFollowedArtists
+        .mockResolvedValueOnce(page(['a1', 'a2'], 'a2'))
+        .mockResolvedValueOnce(page(['a3']));
+
+      const ids = await followImport.fetchFollowedArtists(client);
+
+      expect(ids).toEqual(['a1', 'a2', 'a3']);
+      expect(client.getFollowedArtists).toHaveBeenNthCalledWith(1, { limit: 50 });
+      expect(client.getFollowedArtists).toHaveBeenNthCalledWith(2, { limit: 50, after: 'a2' });
+    });
+  });
+
+  describe('importFollows()', () => {
+    it('should store new follows as external and drop ones the user undid', async () => {
+      client.getFollowedArtists.mockResolvedValueOnce(page(['swarm_artist', 'own_artist']));
+      db.query
+        .mockResolvedValueOnce({ rows: [{ target_artist_id: 'swarm_artist' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [], rowCount: 2 })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await followImport.importFollows('user-1');
+
+      expect(result).toEqual({ followed: 2, imported: 1, removed: 2 });
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining("'external'"),
+        ['user-1', ['own_artist']]
+      );
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('DELETE FROM follows'),
+        ['user-1', ['swarm_artist', 'own_artist']]
+      );
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('follows_synced_at = NOW()'), ['user-1']);
+    });
+
+    it('should not insert anything when every follow is already known', async () => {
+      client.getFollowedArtists.mockResolvedValueOnce(page(['swarm_artist']));
+      db.query
+        .mockResolvedValueOnce({ rows: [{ target_artist_id: 'swarm_artist' }] })
+        .mockResolvedValue({ rows: [], rowCount: 0 });
+
+      const result = await followImport.importFollows('user-1');
+
+      expect(result.imported).toBe(0);
+      expect(db.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO follows'), expect.anything());
+    });
+  });
+});
@@ -0,0 +1,113 @@
+// Use the real queue manager; setup.js mocks it for route tests
+jest.unmock('../../src/services/queueManager');
+
+const followQueueHolds = require('../../src/services/followQueueHolds');
+const queueManager = require('../../src/services/queueManager');
+const redis = require('../../src/database/redis');
+
+describe('Follow Queue Holds', () => {
+  let holds;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // The follow queue holds hash, shared by every process through Redis
+    holds = {};
+    redis.client.hset.mockImplementation(async (key, field, value) => { holds[field] = value; });
+    redis.client.hdel.mockImplementation(async (key, field) => {
+      const held = field in holds;
+      delete holds[field];
+      return held ? 1 : 0;
+    });
+    redis.client.hgetall.mockImplementation(async () => ({ ...holds }));
+    redis.client.del.mockImplementation(async () => { holds = {}; });
+    queueManager.queues = {
+      follow: {
+        isPaused: jest.fn().mockResolvedValue(false),
+        pause: jest.fn().mockResolvedValue(),
+        resume: jest.fn().mockResolvedValue()
+      }
+    };
+  });
+
+  afterAll(() => {
+    queueManager.queues = {};
+  });
+
+  describe('hold() / release()', () => {
+    const inOneMinute = () => new Date(Date.now() + 60000);
+
+    afterEach(() => {
+      followQueueHolds.stop();
+    });
+
+    it('should resume only once every guard has released the queue', async () => {
+      await followQueueHolds.hold('circuit', inOneMinute(), 'Spotify circuit open');
+      await followQueueHolds.hold('throttle', inOneMinute(), 'Spotify rate limit');
+      expect(queueManager.queues.follow.pause).toHaveBeenCalledTimes(1);
+      expect(Object.keys(holds)).toEqual(['circuit', 'throttle']);
+
+      await followQueueHolds.release('throttle');
+      expect(queueManager.queues.follow.resume).not.toHaveBeenCalled();
+
+      await followQueueHolds.release('circuit');
+      expect(queueManager.queues.follow.resume).toHaveBeenCalledTimes(1);
+      expect(holds).toEqual({});
+    });
+
+    it('should not resume a queue an admin paused', async () => {
+      queueManager.queues.follow.isPaused.mockResolvedValue(true);
+
+      await followQueueHolds.hold('circuit', inOneMinute(), 'Spotify circuit open');
+      await followQueueHolds.release('circuit');
+
+      expect(queueManager.queues.follow.pause).not.toHaveBeenCalled();
+      expect(queueManager.queues.follow.resume).not.toHaveBeenCalled();
+    });
+
+    it('should treat a queue paused by another process\'s hold as held, not admin paused', async () => {
+      holds.throttle = String(Date.now() + 60000);
+      queueManager.queues.follow.isPaused.mockResolvedValue(true);
+
+      await followQueueHolds.hold('circuit', inOneMinute(), 'Spotify circuit open');
+      await followQueueHolds.release('circuit');
+      expect(queueManager.queues.follow.resume).not.toHaveBeenCalled();
+
+      await followQueueHolds.release('throttle');
+      expect(queueManager.queues.follow.resume).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('reconcile()', () => {
+    afterEach(() => {
+      followQueueHolds.stop();
+    });
+
+    it('should resume a queue whose holds ended while no process was watching', async () => {
+      holds.throttle = String(Date.now() - 1000);
+      holds.circuit = String(Date.now() - 5000);
+
+      await followQueueHolds.reconcile();
+
+      expect(queueManager.queues.follow.resume).toHaveBeenCalledTimes(1);
+      expect(holds).toEqual({});
+    });
+
+    it('should keep the queue held until the last hold ends', async () => {
+      holds.throttle = String(Date.now() - 1000);
+      holds.circuit = String(Date.now() + 60000);
+
+      await followQueueHolds.reconcile();
+
+      expect(queueManager.queues.follow.resume).not.toHaveBeenCalled();
+      expect(followQueueHolds.timer).not.toBeNull();
+    });
+
+    it('should leave an admin pause alone', async () => {
+      queueManager.queues.follow.isPaused.mockResolvedValue(true);
+
+      await followQueueHolds.reconcile();
+
+      expect(queueManager.queues.follow.resume).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const followRateLimiter = require('../../src/services/followRateLimiter');
+const redis = require('../../src/database/redis');
+const db = require('../../src/database');
+
+describe('Follow Rate Limiter', () => {
+  const limits = { hourly: 30, daily: 500, monthly: 100 };
+  const hour = 60 * 60 * 1000;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.client.eval = jest.fn();
+    redis.client.spop = jest.fn().mockResolvedValue([]);
+    redis.client.sadd = jest.fn().mockResolvedValue(1);
+  });
+
+  describe('getUsage()', () => {
+    it('should read counts and reset times from Redis', async () => {
+      const resetAt = Date.now() + 20 * 60 * 1000;
+      redis.client.eval.mockResolvedValueOnce([30, resetAt, 42, 0, 42, 0]);
+
+      const usage = await followRateLimiter.getUsage('user-1', limits);
+
+      expect(usage).toEqual({
+        hourly: { count: 30, resetAt: new Date(resetAt) },
+        daily: { count: 42, resetAt: null },
+        monthly: { count: 42, resetAt: null }
+      });
+      expect(redis.client.eval.mock.calls[0].slice(1, 4)).toEqual([
+        2, 'ratelimit:follow:user-1', 'ratelimit:follow:user-1:loaded'
+      ]);
+      expect(redis.client.eval.mock.calls[0].slice(6)).toEqual([
+        hour, 30, 24 * hour, 500, 30 * 24 * hour, 100
+      ]);
+      expect(db.query).not.toHaveBeenCalled();
+    });
+
+    it('should rebuild counters from follows after Redis lost them', async () => {
+      const createdAt = new Date(Date.now() - hour / 2);
+      redis.client.eval
+        .mockResolvedValueOnce(-1)
+        .mockResolvedValueOnce(1)
+        .mockResolvedValueOnce([2, 0, 2, 0, 2, 0]);
+      db.query.mockResolvedValueOnce({
+        rows: [{ id: 'f1', created_at: createdAt }, { id: 'f2', created_at: createdAt }]
+      });
+
+      const usage = await followRateLimiter.getUsage('user-1', limits);
+
+      expect(usage.hourly.count).toBe(2);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('FROM follows'), ['user-1', expect.any(Date)]);
+      expect(redis.client.eval.mock.calls[1].slice(5)).toEqual([
+        createdAt.getTime(), 'f1', createdAt.getTime(), 'f2'
+      ]);
+    });
+
+    it('should count from the database when Redis is unavailable', async () => {
+      const oldest = new Date(Date.now() - 50 * 60 * 1000);
+      redis.client.eval.mockRejectedValueOnce(new Error('Connection is closed'));
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: '31' }] })
+        .mockResolvedValueOnce({ rows: [{ created_at: oldest }] })
+        .mockResolvedValueOnce({ rows: [{ count: '31' }] })
+        .mockResolvedValueOnce({ rows: [{ count: '31' }] });
+
+      const usage = await followRateLimiter.getUsage('user-1', limits);
+
+      // Two follows must age out of the hour; the second oldest is at OFFSET 1
+      expect(db.query.mock.calls[1][1]).toEqual(['user-1', expect.any(Date), 1]);
+      expect(usage.hourly).toEqual({ count: 31, resetAt: new Date(oldest.getTime() + hour) });
+      expect(usage.daily.resetAt).toBeNull();
+    });
+  });
+
+  describe('acquire()', () => {
+    const createdAt = new Date('2025-09-15T12:00:00.000Z');
+
+    it('should check the limits and add follows in one script', async () => {
+      redis.client.eval.mockResolvedValueOnce([1, 0]);
+
+      const result = await followRateLimiter.acquire('user-1', [{ id: 7, created_at: createdAt }], limits);
+
+      expect(result).toEqual({ acquired: true, resetAt: null });
+      expect(redis.client.eval.mock.calls[0].slice(1)).toEqual([
+        3, 'ratelimit:follow:user-1', 'ratelimit:follow:user-1:loaded', 'ratelimit:follow:dirty',
+        expect.any(Number), 30 * 24 * hour, 'user-1', 3,
+        hour, 30, 24 * hour, 500, 30 * 24 * hour, 100,
+        createdAt.getTime(), '7'
+      ]);
+    });
+
+    it('should refuse follows that do not fit and say when they will', async () => {
+      const resetAt = Date.now() + 20 * 60 * 1000;
+      redis.client.eval.mockResolvedValueOnce([0, resetAt]);
+
+      const result = await followRateLimiter.acquire('user-1', [{ id: 7, created_at: createdAt }], limits);
+
+      expect(result).toEqual({ acquired: false, resetAt: new Date(resetAt) });
+    });
+
+    it('should rebuild counters from follows before checking after Redis lost them', async () => {
+      redis.client.eval
+        .mockResolvedValueOnce(-1)
+        .mockResolvedValueOnce(1)
+        .mockResolvedValueOnce([1, 0]);
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const result = await followRateLimiter.acquire('user-1', [{ id: 7, created_at: createdAt }], limits);
+
+      expect(result.acquired).toBe(true);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('FROM follows'), ['user-1', expect.any(Date)]);
+      expect(redis.client.eval).toHaveBeenCalledTimes(3);
+    });
+
+    it('should not block the follow when Redis is unavailable', async () => {
+      redis.client.eval.mockRejectedValueOnce(new Error('Connection is closed'));
+
+      await expect(followRateLimiter.acquire('user-1', [{ id: 7 }], limits))
+        .resolves.toEqual({ acquired: true, resetAt: null });
+    });
+  });
+});
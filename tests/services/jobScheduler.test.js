@@ -0,0 +1,252 @@
+const jobScheduler = require('../../src/services/jobScheduler');
+const queueManager = require('../../src/services/queueManager');
+const unfollowJobs = require('../../src/services/unfollowJobs');
+const db = require('../../src/database');
+const config = require('../../config');
+
+const now = new Date('2025-09-28T12:00:00Z');
+const longAgo = now.getTime() - config.queue.reconcileGrace - 60000;
+
+const createRow = (overrides = {}) => ({
+  id: 'row-1',
+  user_id: 'user-1',
+  job_type: 'follow',
+  status: 'queued',
+  queue_job_id: 'row-1',
+  payload: { targetArtistId: 'artist_1', targetType: 'artist' },
+  target_type: 'artist',
+  priority: 1,
+  scheduled_at: new Date(now.getTime() + 60000),
+  campaign_id: null,
+  batch_id: 'batch-1',
+  ...overrides
+});
+
+const createJob = (id, jobId, overrides = {}) => ({
+  id,
+  name: 'follow-artist',
+  data: { userId: 'user-1', targetArtistId: 'artist_1', jobId },
+  opts: { attempts: 3 },
+  timestamp: longAgo,
+  attemptsMade: 0,
+  remove: jest.fn().mockResolvedValue(),
+  getState: jest.fn().mockResolvedValue('delayed'),
+  ...overrides
+});
+
+describe('Job Scheduler Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queueManager.getPendingFollowJobs.mockResolvedValue([]);
+    queueManager.getFollowJob.mockResolvedValue(null);
+  });
+
+  describe('promoteDueJobs()', () => {
+    it('should queue claimed rows as delayed jobs under their row ID', async () => {
+      db.query.mockResolvedValueOnce({ rows: [createRow()] });
+
+      const promoted = await jobScheduler.promoteDueJobs(now);
+
+      expect(promoted).toBe(1);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('FOR UPDATE SKIP LOCKED'), [
+        ['scheduled', 'rescheduled'],
+        new Date(now.getTime() + config.queue.promoteAhead),
+        config.queue.promoteBatchSize
+      ]);
+      expect(queueManager.addFollowJob).toHaveBeenCalledWith('user-1', 'artist_1', {
+        targetType: 'artist',
+        priority: 1,
+        delay: 60000,
+        jobId: 'row-1',
+        campaignId: null,
+        batchId: 'batch-1'
+      });
+    });
+
+    it('should queue unfollow rows as unfollow jobs', async () => {
+      db.query.mockResolvedValueOnce({
+        rows: [createRow({ job_type: 'unfollow', payload: { followId: 'follow-1' }, scheduled_at: now })]
+      });
+
+      await jobScheduler.promoteDueJobs(now);
+
+      expect(unfollowJobs.add).toHaveBeenCalledWith('user-1', 'follow-1', { priority: 1, delay: 0, jobId: 'row-1' });
+      expect(queueManager.addFollowJob).not.toHaveBeenCalled();
+    });
+
+    it('should return a row to scheduled when it cannot be queued', async () => {
+      db.query.mockResolvedValueOnce({ rows: [createRow()] });
+      queueManager.addFollowJob.mockRejectedValueOnce(new Error('Redis down'));
+
+      await expect(jobScheduler.promoteDueJobs(now)).resolves.toBe(0);
+      expect(db.update).toHaveBeenCalledWith('queue_jobs', 'row-1', { status: 'scheduled', promoted_at: null });
+    });
+  });
+
+  describe('reconcile()', () => {
+    it('should remove Bull jobs whose row is missing or finished', async () => {
+      const orphan = createJob('7', null);
+      const cancelled = createJob('row-2', 'row-2');
+      const retrying = createJob('row-3', 'row-3');
+      queueManager.getPendingFollowJobs.mockResolvedValue([orphan, cancelled, retrying]);
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 'row-2', status: 'cancelled', queue_job_id: 'row-2' },
+            { id: 'row-3', status: 'failed', queue_job_id: 'row-3' }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const summary = await jobScheduler.reconcile(now);
+
+      expect(summary).toEqual({ removed: 2, synced: 0, requeued: 0 });
+      expect(orphan.remove).toHaveBeenCalled();
+      expect(cancelled.remove).toHaveBeenCalled();
+      expect(retrying.remove).not.toHaveBeenCalled();
+    });
+
+    it('should point a row at the deferred job that replaced its own', async () => {
+      queueManager.getPendingFollowJobs.mockResolvedValue([createJob('42', 'row-1')]);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'row-1', status: 'queued', queue_job_id: 'row-1' }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const summary = await jobScheduler.reconcile(now);
+
+      expect(summary.synced).toBe(1);
+      expect(db.query).toHaveBeenNthCalledWith(2, expect.stringContaining('queue_job_id = $2'), ['row-1', '42']);
+      expect(db.query).toHaveBeenNthCalledWith(3, expect.stringContaining("status = 'queued'"), [
+        new Date(now.getTime() - config.queue.reconcileGrace),
+        ['42'],
+        config.queue.reconcileBatchSize
+      ]);
+    });
+
+    it('should requeue queued rows that Bull lost', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [createRow({ scheduled_at: new Date(longAgo) })] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const summary = await jobScheduler.reconcile(now);
+
+      expect(summary.requeued).toBe(1);
+      expect(queueManager.getFollowJob).toHaveBeenCalledWith('row-1');
+      expect(queueManager.addFollowJob).toHaveBeenCalledWith('user-1', 'artist_1', expect.objectContaining({
+        jobId: 'row-1',
+        delay: 0
+      }));
+      expect(db.update).toHaveBeenCalledWith('queue_jobs', 'row-1', expect.objectContaining({ queue_job_id: 'row-1' }));
+    });
+
+    it('should complete rows whose follow went through and leave in-flight follows alone', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [createRow(), createRow({ id: 'row-2', queue_job_id: 'row-2' })] })
+        .mockResolvedValueOnce({ rows: [{ status: 'verified' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 'follow-2', status: 'pending', created_at: now }] });
+
+      const summary = await jobScheduler.reconcile(now);
+
+      expect(summary).toEqual({ removed: 0, synced: 1, requeued: 0 });
+      expect(db.update).toHaveBeenCalledWith('queue_jobs', 'row-1', expect.objectContaining({ status: 'completed' }));
+      expect(queueManager.addFollowJob).not.toHaveBeenCalled();
+      expect(queueManager.addVerificationJob).not.toHaveBeenCalled();
+    });
+
+    it('should leave follows interrupted long ago to verification', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [createRow({ status: 'processing', started_at: new Date(longAgo) })] })
+        .mockResolvedValueOnce({ rows: [{ id: 'follow-1', status: 'pending', created_at: new Date(longAgo) }] })
+        .mockResolvedValueOnce({ rowCount: 1 });
+
+      const summary = await jobScheduler.reconcile(now);
+
+      expect(summary).toEqual({ removed: 0, synced: 1, requeued: 0 });
+      expect(db.query).toHaveBeenNthCalledWith(3, expect.stringContaining("SET status = 'unverified'"), ['follow-1']);
+      expect(queueManager.addVerificationJob).toHaveBeenCalledWith('follow-1');
+      expect(db.update).toHaveBeenCalledWith('queue_jobs', 'row-1', expect.objectContaining({
+        status: 'completed',
+        result: { followId: 'follow-1', interrupted: true }
+      }));
+      expect(queueManager.addFollowJob).not.toHaveBeenCalled();
+    });
+
+    it('should requeue processing rows no worker is running and leave active ones alone', async () => {
+      queueManager.getFollowJob.mockImplementation(async (id) => (id === 'row-2'
+        ? createJob('row-2', 'row-2', { getState: jest.fn().mockResolvedValue('active') })
+        : null));
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            createRow({ status: 'processing', started_at: new Date(longAgo) }),
+            createRow({ id: 'row-2', queue_job_id: 'row-2', status: 'processing', started_at: new Date(longAgo) })
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const summary = await jobScheduler.reconcile(now);
+
+      expect(db.query.mock.calls[0][0]).toContain("status = 'processing' AND started_at < $1");
+      expect(summary).toEqual({ removed: 0, synced: 0, requeued: 1 });
+      expect(queueManager.addFollowJob).toHaveBeenCalledTimes(1);
+      expect(queueManager.addFollowJob).toHaveBeenCalledWith('user-1', 'artist_1', expect.objectContaining({ jobId: 'row-1' }));
+      expect(db.update).toHaveBeenCalledWith('queue_jobs', 'row-1', expect.objectContaining({
+        status: 'queued',
+        queue_job_id: 'row-1'
+      }));
+    });
+
+    it('should reconcile unfollow jobs against their own rows', async () => {
+      const orphan = createJob('row-4', 'row-4', {
+        name: 'unfollow',
+        data: { userId: 'user-1', followId: 'follow-1', jobId: 'row-4' }
+      });
+      const ignored = createJob('import:user-1', null, { name: 'import-follows' });
+      queueManager.getPendingFollowJobs.mockResolvedValue([orphan, ignored]);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'row-4', status: 'cancelled', queue_job_id: 'row-4' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const summary = await jobScheduler.reconcile(now);
+
+      expect(summary.removed).toBe(1);
+      expect(orphan.remove).toHaveBeenCalled();
+      expect(ignored.remove).not.toHaveBeenCalled();
+      expect(db.query.mock.calls[0][0]).toContain("job_type IN ('follow', 'unfollow')");
+      expect(db.query.mock.calls[1][0]).toContain("job_type IN ('follow', 'unfollow')");
+    });
+
+    it('should complete unfollow rows whose follow was undone and requeue the rest', async () => {
+      const unfollowRow = (id, followId) => createRow({ id, queue_job_id: id, job_type: 'unfollow', payload: { followId } });
+      db.query
+        .mockResolvedValueOnce({ rows: [unfollowRow('row-1', 'follow-1'), unfollowRow('row-2', 'follow-2')] })
+        .mockResolvedValueOnce({ rows: [{ status: 'unfollowed' }] })
+        .mockResolvedValueOnce({ rows: [{ status: 'completed' }] });
+
+      const summary = await jobScheduler.reconcile(now);
+
+      expect(summary).toEqual({ removed: 0, synced: 1, requeued: 1 });
+      expect(db.query).toHaveBeenNthCalledWith(2, expect.stringContaining('WHERE id = $1'), ['follow-1']);
+      expect(db.update).toHaveBeenCalledWith('queue_jobs', 'row-1', expect.objectContaining({ status: 'completed' }));
+      expect(unfollowJobs.add).toHaveBeenCalledWith('user-1', 'follow-2', expect.objectContaining({ jobId: 'row-2' }));
+    });
+
+    it('should fail rows whose Bull job ran out of attempts', async () => {
+      queueManager.getFollowJob.mockResolvedValueOnce(createJob('row-1', 'row-1', {
+        attemptsMade: 3,
+        failedReason: 'Spotify error',
+        getState: jest.fn().mockResolvedValue('failed')
+      }));
+      db.query.mockResolvedValueOnce({ rows: [createRow()] });
+
+      const summary = await jobScheduler.reconcile(now);
+
+      expect(summary.synced).toBe(1);
+      expect(db.update).toHaveBeenCalledWith('queue_jobs', 'row-1', expect.objectContaining({
+        status: 'failed',
+        last_error: 'Spotify error'
+      }));
+    });
+  });
+});
@@ -0,0 +1,186 @@
+// Use the real queue manager; setup.js mocks it for route tests
+jest.unmock('../../src/services/queueManager');
+jest.mock('../../src/services/followEngine', () => ({
+  checkRateLimits: jest.fn(),
+  followArtistBatch: jest.fn(),
+  verifyFollow: jest.fn()
+}));
+
+const queueManager = require('../../src/services/queueManager');
+const followEngine = require('../../src/services/followEngine');
+const db = require('../../src/database');
+const config = require('../../config');
+
+const createJob = (id, userId, targetArtistId, { delay = 0, timestamp = Date.now(), targetType } = {}) => ({
+  id,
+  name: 'follow-artist',
+  data: { userId, targetArtistId, targetType, jobId: null },
+  opts: { delay, priority: 0 },
+  timestamp,
+  remove: jest.fn().mockResolvedValue()
+});
+
+const rateCheck = (remaining = 30) => ({
+  canFollow: true,
+  limits: {
+    hourly: { remaining },
+    daily: { remaining: 500 },
+    monthly: { remaining: Infinity }
+  }
+});
+
+describe('Queue Manager follow batching', () => {
+  let pendingJobs;
+  let queuedRows;
+
+  const claimQuery = () => db.query.mock.calls.find(([sql]) => sql.includes('SELECT queue_job_id'));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pendingJobs = [];
+    queuedRows = null;
+    queueManager.queues = {
+      follow: {
+        getJob: jest.fn(id => Promise.resolve(pendingJobs.find(job => job.id === id) || null)),
+        getJobs: jest.fn(() => Promise.resolve(pendingJobs)),
+        add: jest.fn().mockResolvedValue({})
+      },
+      analytics: { add: jest.fn().mockResolvedValue({}) },
+      verification: { add: jest.fn().mockResolvedValue({}) }
+    };
+    config.queue.batchFollows = true;
+    db.findOne.mockResolvedValueOnce({ id: 'user-1', subscription_tier: 'pro' });
+    // The user's queued rows, as Postgres would find them (all pending jobs unless a test says otherwise)
+    db.query.mockImplementation((sql, params) => Promise.resolve({
+      rows: sql.includes('SELECT queue_job_id')
+        ? (queuedRows || pendingJobs.map(job => ({ queue_job_id: job.id }))).slice(0, params[4])
+        : []
+    }));
+    jest.spyOn(queueManager, 'updateJobStatus').mockResolvedValue();
+  });
+
+  afterAll(() => {
+    config.queue.batchFollows = false;
+  });
+
+  it('should follow due jobs for the same user in one API call', async () => {
+    const job = createJob('1', 'user-1', 'artist_1');
+    pendingJobs = [
+      createJob('2', 'user-1', 'artist_2'),
+      createJob('4', 'user-1', 'artist_4', { delay: config.queue.batchWindow / 2 })
+    ];
+    followEngine.checkRateLimits.mockResolvedValue(rateCheck());
+    followEngine.followArtistBatch.mockResolvedValue([
+      { success: true, followId: 'f1', artistId: 'artist_1' },
+      { success: true, followId: 'f2', artistId: 'artist_2' },
+      { success: true, followId: 'f4', artistId: 'artist_4' }
+    ]);
+
+    const result = await queueManager.processFollowJob(job);
+
+    expect(result.followId).toBe('f1');
+    expect(followEngine.followArtistBatch).toHaveBeenCalledTimes(1);
+    expect(followEngine.followArtistBatch).toHaveBeenCalledWith('user-1', [
+      { targetArtistId: 'artist_1', jobId: null },
+      { targetArtistId: 'artist_2', jobId: null },
+      { targetArtistId: 'artist_4', jobId: null }
+    ]);
+    expect(queueManager.updateJobStatus).toHaveBeenCalledWith('2', 'completed', expect.objectContaining({ followId: 'f2' }));
+    expect(queueManager.updateJobStatus).toHaveBeenCalledWith('4', 'completed', expect.objectContaining({ followId: 'f4' }));
+    expect(queueManager.queues.analytics.add).toHaveBeenCalledTimes(3);
+  });
+
+  it('should look up candidates by the user\'s queued rows instead of reading the queue', async () => {
+    const job = createJob('1', 'user-1', 'artist_1');
+    followEngine.checkRateLimits.mockResolvedValue(rateCheck());
+    followEngine.followArtistBatch.mockResolvedValue([{ success: true, followId: 'f1' }]);
+
+    const before = Date.now();
+    await queueManager.processFollowJob(job);
+
+    const [sql, [userId, targetType, horizon, jobId, limit]] = claimQuery();
+    expect(sql).toContain("status = 'queued'");
+    expect(userId).toBe('user-1');
+    expect(targetType).toBe('artist');
+    expect(horizon.getTime()).toBeGreaterThanOrEqual(before + config.queue.batchWindow);
+    expect(horizon.getTime()).toBeLessThanOrEqual(Date.now() + config.queue.batchWindow);
+    expect(jobId).toBe('1');
+    expect(limit).toBe(Math.min(config.queue.batchMaxSize, 30) - 1);
+    expect(queueManager.queues.follow.getJobs).not.toHaveBeenCalled();
+  });
+
+  it('should not claim more jobs than the remaining rate limit allows', async () => {
+    const job = createJob('1', 'user-1', 'artist_1');
+    pendingJobs = [
+      createJob('2', 'user-1', 'artist_2'),
+      createJob('3', 'user-1', 'artist_3')
+    ];
+    followEngine.checkRateLimits.mockResolvedValue(rateCheck(2));
+    followEngine.followArtistBatch.mockResolvedValue([{}, {}]);
+
+    await queueManager.processFollowJob(job);
+
+    expect(claimQuery()[1][4]).toBe(1);
+    expect(followEngine.followArtistBatch.mock.calls[0][1]).toHaveLength(2);
+    expect(pendingJobs[1].remove).not.toHaveBeenCalled();
+  });
+
+  it('should only batch jobs that follow the same target type', async () => {
+    const job = createJob('1', 'user-1', 'user_a', { targetType: 'user' });
+    pendingJobs = [createJob('3', 'user-1', 'user_b', { targetType: 'user' })];
+    followEngine.checkRateLimits.mockResolvedValue(rateCheck());
+    followEngine.followArtistBatch.mockResolvedValue([{}, {}]);
+
+    await queueManager.processFollowJob(job);
+
+    expect(claimQuery()[1][1]).toBe('user');
+    expect(followEngine.followArtistBatch).toHaveBeenCalledWith('user-1', [
+      expect.objectContaining({ targetArtistId: 'user_a', targetType: 'user' }),
+      expect.objectContaining({ targetArtistId: 'user_b', targetType: 'user' })
+    ]);
+  });
+
+  it('should skip rows whose Bull job is gone or locked by another worker', async () => {
+    const job = createJob('1', 'user-1', 'artist_1');
+    pendingJobs = [createJob('2', 'user-1', 'artist_2'), createJob('3', 'user-1', 'artist_3')];
+    pendingJobs[0].remove.mockRejectedValue(new Error('Could not remove job 2'));
+    queuedRows = [{ queue_job_id: 'lost' }, { queue_job_id: '2' }, { queue_job_id: '3' }];
+    followEngine.checkRateLimits.mockResolvedValue(rateCheck());
+    followEngine.followArtistBatch.mockResolvedValue([{}, {}]);
+
+    await queueManager.processFollowJob(job);
+
+    expect(followEngine.followArtistBatch.mock.calls[0][1]).toEqual([
+      expect.objectContaining({ targetArtistId: 'artist_1' }),
+      expect.objectContaining({ targetArtistId: 'artist_3' })
+    ]);
+  });
+
+  it('should follow playlists one at a time', async () => {
+    const job = createJob('1', 'user-1', 'playlist_a', { targetType: 'playlist' });
+    pendingJobs = [createJob('2', 'user-1', 'playlist_b', { targetType: 'playlist' })];
+    followEngine.checkRateLimits.mockResolvedValue(rateCheck());
+    followEngine.followArtistBatch.mockResolvedValue([{ success: true, followId: 'f1', targetType: 'playlist' }]);
+
+    await queueManager.processFollowJob(job);
+
+    expect(claimQuery()).toBeUndefined();
+    expect(followEngine.followArtistBatch.mock.calls[0][1]).toHaveLength(1);
+    expect(pendingJobs[0].remove).not.toHaveBeenCalled();
+  });
+
+  it('should return claimed jobs to the queue when the batch fails', async () => {
+    const job = createJob('1', 'user-1', 'artist_1');
+    pendingJobs = [createJob('2', 'user-1', 'artist_2')];
+    followEngine.checkRateLimits.mockResolvedValue(rateCheck());
+    followEngine.followArtistBatch.mockRejectedValue(new Error('Spotify unavailable'));
+
+    await expect(queueManager.processFollowJob(job)).rejects.toThrow('Spotify unavailable');
+
+    expect(queueManager.queues.follow.add).toHaveBeenCalledWith(
+      'follow-artist',
+      pendingJobs[0].data,
+      expect.objectContaining({ jobId: '2' })
+    );
+  });
+});
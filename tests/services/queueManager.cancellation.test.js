@@ -0,0 +1,205 @@
+// Use the real queue manager and job cancellation; setup.js mocks them for route tests
+jest.unmock('../../src/services/queueManager');
+jest.unmock('../../src/services/jobCancellation');
+jest.mock('../../src/services/followEngine', () => ({
+  checkRateLimits: jest.fn(),
+  followArtistBatch: jest.fn(),
+  verifyFollow: jest.fn()
+}));
+
+const queueManager = require('../../src/services/queueManager');
+const jobCancellation = require('../../src/services/jobCancellation');
+const followBatches = require('../../src/services/followBatches');
+const followEngine = require('../../src/services/followEngine');
+const db = require('../../src/database');
+const config = require('../../config');
+
+const createJob = (id, overrides = {}) => ({
+  id,
+  name: 'follow-artist',
+  data: { userId: 'user-1', targetArtistId: `artist_${id}`, jobId: id },
+  opts: { priority: 0, attempts: 3 },
+  timestamp: Date.now(),
+  remove: jest.fn().mockResolvedValue(),
+  ...overrides
+});
+
+describe('Queue Manager job cancellation', () => {
+  let rows;
+  let bullJobs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    rows = new Map([['job-1', { id: 'job-1', user_id: 'user-1', status: 'queued', queue_job_id: 'job-1' }]]);
+    bullJobs = new Map([['job-1', createJob('job-1')]]);
+
+    // Both sides update the row, as they would in Postgres
+    db.query.mockImplementation((sql, params) => {
+      if (sql.includes("SET status = 'cancelled'")) {
+        const [statuses, id, userId] = params;
+        const row = rows.get(id);
+        if (!row || row.user_id !== userId || !statuses.includes(row.status)) return Promise.resolve({ rows: [] });
+        row.status = 'cancelled';
+        return Promise.resolve({ rows: [{ ...row }] });
+      }
+      if (sql.includes('CASE WHEN')) {
+        const row = rows.get(params[0]);
+        if (!row) return Promise.resolve({ rows: [] });
+        if (!params[2].includes(row.status)) row.status = 'processing';
+        return Promise.resolve({ rows: [{ status: row.status }] });
+      }
+      if (sql.includes('SELECT queue_job_id')) {
+        const queued = [...rows.values()].filter(row =>
+          row.user_id === params[0] && row.status === 'queued' && row.queue_job_id !== params[3]
+        );
+        return Promise.resolve({ rows: queued.map(row => ({ queue_job_id: row.queue_job_id })) });
+      }
+      if (sql.includes('FOR UPDATE')) {
+        const failed = [...rows.values()].filter(row => row.batch_id === params[0] && row.status === 'failed');
+        return Promise.resolve({ rows: failed.map(row => ({ target_id: row.target_id })) });
+      }
+      if (sql.includes("SET status = 'retried'")) {
+        const retried = [...rows.values()].filter(row =>
+          row.batch_id === params[0] && row.status === 'failed' && params[1].includes(row.target_id)
+        );
+        retried.forEach(row => { row.status = 'retried'; });
+        return Promise.resolve({ rows: [] });
+      }
+      if (sql.includes('last_error = $4')) {
+        const row = [...rows.values()].find(r => r.queue_job_id === params[4] && r.status !== 'cancelled');
+        if (row) row.status = params[0];
+        return Promise.resolve({ rows: [] });
+      }
+      return Promise.resolve({ rows: [] });
+    });
+
+    queueManager.queues = {
+      follow: {
+        getJob: jest.fn(id => Promise.resolve(bullJobs.get(id) || null)),
+        getJobs: jest.fn(() => Promise.resolve([...bullJobs.values()])),
+        add: jest.fn().mockResolvedValue({})
+      },
+      analytics: { add: jest.fn().mockResolvedValue({}) },
+      verification: { add: jest.fn().mockResolvedValue({}) }
+    };
+    db.findOne.mockResolvedValue({ id: 'user-1', subscription_tier: 'pro' });
+    followEngine.checkRateLimits.mockResolvedValue({
+      canFollow: true,
+      limits: { hourly: { remaining: 30 }, daily: { remaining: 500 }, monthly: { remaining: 1000 } }
+    });
+    followEngine.followArtistBatch.mockImplementation(async (userId, targets) =>
+      targets.map(t => ({ success: true, followId: `follow-${t.jobId}`, artistId: t.targetArtistId }))
+    );
+  });
+
+  afterAll(() => {
+    queueManager.queues = {};
+  });
+
+  describe('cancelJob()', () => {
+    it('should cancel the row and remove its Bull job', async () => {
+      const row = await jobCancellation.cancelJob('user-1', 'job-1');
+
+      expect(row).toMatchObject({ id: 'job-1', status: 'cancelled' });
+      expect(queueManager.queues.follow.getJob).toHaveBeenCalledWith('job-1');
+      expect(bullJobs.get('job-1').remove).toHaveBeenCalled();
+    });
+
+    it('should not cancel another user\'s job', async () => {
+      await expect(jobCancellation.cancelJob('user-2', 'job-1')).resolves.toBeNull();
+      expect(rows.get('job-1').status).toBe('queued');
+    });
+  });
+
+  describe('cancel racing execution', () => {
+    it('should not run a job cancelled after a worker picked it up from Bull', async () => {
+      const job = bullJobs.get('job-1');
+      // Active jobs are locked, so Bull refuses to remove them
+      job.remove.mockRejectedValue(new Error('Could not remove job: locked'));
+
+      await expect(jobCancellation.cancelJob('user-1', 'job-1')).resolves.toMatchObject({ status: 'cancelled' });
+      const result = await queueManager.processFollowJob(job);
+
+      expect(result).toEqual({ cancelled: true });
+      expect(followEngine.followArtistBatch).not.toHaveBeenCalled();
+      expect(rows.get('job-1').status).toBe('cancelled');
+    });
+
+    it('should refuse to cancel a job that already started', async () => {
+      await queueManager.processFollowJob(bullJobs.get('job-1'));
+
+      await expect(jobCancellation.cancelJob('user-1', 'job-1')).resolves.toBeNull();
+      expect(followEngine.followArtistBatch).toHaveBeenCalledTimes(1);
+      expect(rows.get('job-1').status).toBe('processing');
+    });
+
+    it('should leave cancelled jobs out of a batched follow', async () => {
+      config.queue.batchFollows = true;
+      rows.set('job-2', { id: 'job-2', user_id: 'user-1', status: 'queued', queue_job_id: 'job-2' });
+      rows.set('job-3', { id: 'job-3', user_id: 'user-1', status: 'queued', queue_job_id: 'job-3' });
+      // Cancelled after the batch found its row, but before the row was claimed
+      bullJobs.set('job-2', createJob('job-2', {
+        remove: jest.fn(async () => { rows.get('job-2').status = 'cancelled'; })
+      }));
+      bullJobs.set('job-3', createJob('job-3'));
+
+      try {
+        await queueManager.processFollowJob(bullJobs.get('job-1'));
+      } finally {
+        config.queue.batchFollows = false;
+      }
+
+      const targets = followEngine.followArtistBatch.mock.calls[0][1];
+      expect(targets.map(t => t.jobId)).toEqual(['job-1', 'job-3']);
+      expect(bullJobs.get('job-2').remove).toHaveBeenCalled();
+    });
+  });
+
+  describe('failed attempts', () => {
+    let handlers;
+
+    beforeEach(() => {
+      handlers = {};
+      Object.assign(rows.get('job-1'), { batch_id: 'batch-1', target_id: 'artist_job-1' });
+      queueManager.queues.follow.on = jest.fn((event, handler) => { handlers[event] = handler; });
+      queueManager.queues.analytics.on = jest.fn();
+      queueManager.queues.verification.on = jest.fn();
+      queueManager.queues.sync = { on: jest.fn() };
+      queueManager.setupQueueEvents();
+      db.findOne.mockResolvedValue({ id: 'batch-1', user_id: 'user-1', target_type: 'artist', cancelled_at: null });
+      jest.spyOn(queueManager, 'addBatchFollowJobs').mockImplementation(async (userId, targetIds) =>
+        targetIds.map(id => ({ id: `retry-${id}`, data: { targetArtistId: id } }))
+      );
+      db.transaction = jest.fn(callback => callback(db));
+    });
+
+    afterEach(() => {
+      queueManager.addBatchFollowJobs.mockRestore();
+    });
+
+    it('should not retry a job Bull is still retrying', async () => {
+      const job = bullJobs.get('job-1');
+      await queueManager.processFollowJob(job);
+      await handlers.failed({ ...job, attemptsMade: 1 }, new Error('Bad gateway'));
+
+      const result = await followBatches.retryFailed('user-1', 'batch-1');
+
+      expect(result.retriedCount).toBe(0);
+      expect(rows.get('job-1').status).toBe('processing');
+      expect(queueManager.addBatchFollowJobs).toHaveBeenCalledWith('user-1', [], expect.anything());
+    });
+
+    it('should retry a job once its attempts ran out, and never run the old one again', async () => {
+      const job = bullJobs.get('job-1');
+      await handlers.failed({ ...job, attemptsMade: 3 }, new Error('Bad gateway'));
+
+      const result = await followBatches.retryFailed('user-1', 'batch-1');
+      const rerun = await queueManager.processFollowJob(job);
+
+      expect(result.retriedCount).toBe(1);
+      expect(rows.get('job-1').status).toBe('retried');
+      expect(rerun).toEqual({ cancelled: true });
+      expect(followEngine.followArtistBatch).not.toHaveBeenCalled();
+    });
+  });
+});
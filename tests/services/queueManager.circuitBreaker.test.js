@@ -0,0 +1,95 @@
+// Use the real queue manager; setup.js mocks it for route tests
+jest.unmock('../../src/services/queueManager');
+jest.mock('../../src/services/followEngine', () => ({
+  checkRateLimits: jest.fn(),
+  followArtistBatch: jest.fn(),
+  verifyFollow: jest.fn()
+}));
+
+const queueManager = require('../../src/services/queueManager');
+const followEngine = require('../../src/services/followEngine');
+const db = require('../../src/database');
+const config = require('../../config');
+
+describe('Queue Manager Spotify outage handling', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queueManager.queues = {
+      follow: {
+        add: jest.fn().mockResolvedValue({ id: '99' }),
+        getJobs: jest.fn().mockResolvedValue([])
+      }
+    };
+    config.queue.batchFollows = false;
+  });
+
+  describe('processFollowJob()', () => {
+    const job = {
+      id: '7',
+      name: 'follow-artist',
+      data: { userId: 'user-1', targetArtistId: 'artist_1', jobId: null },
+      opts: { priority: 2, attempts: 3 },
+      attemptsMade: 1
+    };
+
+    beforeEach(() => {
+      db.findOne.mockResolvedValueOnce({ id: 'user-1', subscription_tier: 'free' });
+      followEngine.checkRateLimits.mockResolvedValue({ canFollow: true });
+    });
+
+    it('should defer the job without using an attempt when the circuit is open', async () => {
+      const error = Object.assign(new Error('Spotify circuit is open'), {
+        code: 'CIRCUIT_OPEN',
+        retryAfter: 60000
+      });
+      followEngine.followArtistBatch.mockRejectedValue(error);
+
+      const result = await queueManager.processFollowJob(job);
+
+      expect(result).toMatchObject({ deferred: true, reason: 'circuit_open', nextJobId: '99' });
+      expect(queueManager.queues.follow.add).toHaveBeenCalledWith(
+        'follow-artist',
+        job.data,
+        expect.objectContaining({ priority: 2, attempts: 2 })
+      );
+      expect(queueManager.queues.follow.add.mock.calls[0][2].delay).toBeGreaterThan(59000);
+      expect(db.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE queue_jobs'),
+        ['99', expect.any(Date), '7']
+      );
+    });
+
+    it('should defer the job without using an attempt when the Spotify throttle wait is too long', async () => {
+      followEngine.followArtistBatch.mockRejectedValue(Object.assign(
+        new Error('Spotify API throttled, retry in 30s'),
+        { code: 'SPOTIFY_THROTTLED', retryAfter: 30000 }
+      ));
+
+      const result = await queueManager.processFollowJob(job);
+
+      expect(result).toMatchObject({ deferred: true, reason: 'spotify_throttled', nextJobId: '99' });
+      expect(queueManager.queues.follow.add.mock.calls[0][2]).toMatchObject({ priority: 2, attempts: 2 });
+      expect(queueManager.queues.follow.add.mock.calls[0][2].delay).toBeGreaterThan(29000);
+    });
+
+    it('should defer the job until the reset time when another worker took the last slots', async () => {
+      const resetAt = new Date(Date.now() + 10 * 60 * 1000);
+      followEngine.followArtistBatch.mockRejectedValue(
+        Object.assign(new Error('Follow rate limit reached'), { code: 'RATE_LIMITED', resetAt })
+      );
+
+      const result = await queueManager.processFollowJob(job);
+
+      expect(result).toMatchObject({ deferred: true, reason: 'rate_limited' });
+      expect(queueManager.queues.follow.add.mock.calls[0][2].delay).toBeGreaterThan(9 * 60 * 1000);
+      expect(queueManager.queues.follow.add.mock.calls[0][2].attempts).toBe(2);
+    });
+
+    it('should still fail the job on other errors', async () => {
+      followEngine.followArtistBatch.mockRejectedValue(new Error('Bad request'));
+
+      await expect(queueManager.processFollowJob(job)).rejects.toThrow('Bad request');
+      expect(queueManager.queues.follow.add).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+// Use the real queue manager and job cancellation; setup.js mocks them for route tests
+jest.unmock('../../src/services/queueManager');
+jest.unmock('../../src/services/jobCancellation');
+jest.mock('../../src/services/followEngine', () => ({
+  checkRateLimits: jest.fn(),
+  followArtistBatch: jest.fn(),
+  verifyFollow: jest.fn()
+}));
+
+const queueManager = require('../../src/services/queueManager');
+const jobCancellation = require('../../src/services/jobCancellation');
+const db = require('../../src/database');
+
+const createIntakeJob = (id, userId, timestamp) => ({
+  id,
+  name: 'follow-artist',
+  timestamp,
+  data: { userId, targetArtistId: `artist_${id}` },
+  opts: { priority: 2, attempts: 3 },
+  remove: jest.fn().mockResolvedValue()
+});
+
+describe('Queue Manager fair scheduling', () => {
+  let intakeJobs;
+  let delayedJobs;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    // user-1 queued a batch before anyone else
+    intakeJobs = [
+      createIntakeJob('1', 'user-1', 1),
+      createIntakeJob('2', 'user-1', 2),
+      createIntakeJob('3', 'user-1', 3),
+      createIntakeJob('4', 'user-2', 4),
+      createIntakeJob('5', 'user-3', 5)
+    ];
+    delayedJobs = [];
+
+    queueManager.queues = {
+      follow: {
+        add: jest.fn().mockResolvedValue({}),
+        getJobs: jest.fn().mockResolvedValue([]),
+        getWaitingCount: jest.fn().mockResolvedValue(0),
+        getActiveCount: jest.fn().mockResolvedValue(0)
+      },
+      followIntake: {
+        add: jest.fn().mockResolvedValue({ id: '42' }),
+        getJobs: jest.fn(types => Promise.resolve(types.includes('delayed') ? delayedJobs : intakeJobs))
+      }
+    };
+  });
+
+  afterAll(() => {
+    queueManager.queues = {};
+  });
+
+  describe('addFollowJob()', () => {
+    it('should queue new follow jobs in the intake queue', async () => {
+      await queueManager.addFollowJob('user-1', 'artist_9');
+
+      expect(queueManager.queues.followIntake.add).toHaveBeenCalledWith(
+        'follow-artist',
+        expect.objectContaining({ userId: 'user-1', targetArtistId: 'artist_9' }),
+        expect.any(Object)
+      );
+      expect(queueManager.queues.follow.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelUserJobs()', () => {
+    it('should remove jobs waiting in either queue', async () => {
+      const dispatched = createIntakeJob('9', 'user-1', 9);
+      const jobs = { follow: { 9: dispatched }, followIntake: { 1: intakeJobs[0] } };
+      queueManager.queues.follow.getJob = jest.fn(id => Promise.resolve(jobs.follow[id] || null));
+      queueManager.queues.followIntake.getJob = jest.fn(id => Promise.resolve(jobs.followIntake[id] || null));
+      db.query.mockResolvedValueOnce({ rows: [{ id: 'row-9', queue_job_id: '9' }, { id: 'row-1', queue_job_id: '1' }] });
+
+      await jobCancellation.cancelUserJobs('user-1');
+
+      expect(dispatched.remove).toHaveBeenCalled();
+      expect(intakeJobs[0].remove).toHaveBeenCalled();
+      expect(intakeJobs[3].remove).not.toHaveBeenCalled();
+      // Found by ID rather than by scanning the queues
+      expect(queueManager.queues.followIntake.getJobs).not.toHaveBeenCalled();
+    });
+  });
+});
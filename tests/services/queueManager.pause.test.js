@@ -0,0 +1,62 @@
+// Use the real queue manager and unfollow jobs; setup.js mocks them for route tests
+jest.unmock('../../src/services/queueManager');
+jest.unmock('../../src/services/unfollowJobs');
+jest.mock('../../src/services/followEngine', () => ({
+  checkRateLimits: jest.fn(),
+  followArtistBatch: jest.fn(),
+  unfollow: jest.fn()
+}));
+
+const queueManager = require('../../src/services/queueManager');
+const unfollowJobs = require('../../src/services/unfollowJobs');
+const followEngine = require('../../src/services/followEngine');
+const db = require('../../src/database');
+const config = require('../../config');
+
+describe('Queue Manager paused users', () => {
+  const createJob = (name, data) => ({
+    id: '7',
+    name,
+    data: { userId: 'user-1', jobId: 'row-1', ...data },
+    opts: { priority: 0, attempts: 3 },
+    attemptsMade: 1
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queueManager.queues = {
+      follow: {
+        add: jest.fn().mockResolvedValue({ id: '99' })
+      }
+    };
+    db.query.mockResolvedValue({ rows: [] });
+    db.findOne.mockResolvedValue({ id: 'user-1', subscription_tier: 'pro', follows_paused_at: new Date() });
+  });
+
+  afterAll(() => {
+    queueManager.queues = {};
+  });
+
+  it('should hold follow jobs without using an attempt', async () => {
+    const job = createJob('follow-artist', { targetArtistId: 'artist_1' });
+
+    const result = await queueManager.processFollowJob(job);
+
+    expect(result).toMatchObject({ deferred: true, reason: 'user_paused', nextJobId: '99' });
+    expect(queueManager.queues.follow.add).toHaveBeenCalledWith(
+      'follow-artist',
+      job.data,
+      expect.objectContaining({ attempts: 2 })
+    );
+    expect(queueManager.queues.follow.add.mock.calls[0][2].delay).toBeGreaterThan(config.queue.pausedHoldDelay - 1000);
+    expect(followEngine.checkRateLimits).not.toHaveBeenCalled();
+    expect(followEngine.followArtistBatch).not.toHaveBeenCalled();
+  });
+
+  it('should hold unfollow jobs too', async () => {
+    const result = await unfollowJobs.process(createJob('unfollow', { followId: 'follow-1' }));
+
+    expect(result).toMatchObject({ deferred: true, reason: 'user_paused' });
+    expect(followEngine.unfollow).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,107 @@
+// Use the real queue manager; setup.js mocks it for route tests
+jest.unmock('../../src/services/queueManager');
+
+const queueManager = require('../../src/services/queueManager');
+const queuePriority = require('../../src/services/queuePriority');
+const db = require('../../src/database');
+const config = require('../../config');
+
+describe('Queue Manager follow job IDs', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queueManager.queues = {
+      follow: {
+        add: jest.fn((name, data, opts) => Promise.resolve({ id: opts.jobId, data }))
+      }
+    };
+  });
+
+  describe('addFollowJob()', () => {
+    it('should write the row first and reuse its ID for the Bull job', async () => {
+      const job = await queueManager.addFollowJob('user-1', 'artist_1', { delay: 5000, batchId: 'batch-1' });
+
+      const row = db.insert.mock.calls[0][1];
+      expect(db.insert).toHaveBeenCalledWith('queue_jobs', expect.objectContaining({
+        user_id: 'user-1',
+        status: 'queued',
+        batch_id: 'batch-1'
+      }));
+      expect(row.queue_job_id).toBe(row.id);
+      expect(job.id).toBe(row.id);
+      expect(job.data.jobId).toBe(row.id);
+      expect(db.insert.mock.invocationCallOrder[0]).toBeLessThan(queueManager.queues.follow.add.mock.invocationCallOrder[0]);
+    });
+
+    it('should mark the row failed when the job cannot be queued', async () => {
+      queueManager.queues.follow.add.mockRejectedValueOnce(new Error('Redis down'));
+
+      await expect(queueManager.addFollowJob('user-1', 'artist_1')).rejects.toThrow('Redis down');
+
+      const row = db.insert.mock.calls[0][1];
+      expect(db.update).toHaveBeenCalledWith('queue_jobs', row.id, expect.objectContaining({
+        status: 'failed',
+        last_error: 'Redis down'
+      }));
+    });
+
+    it('should queue an existing row without inserting another', async () => {
+      const job = await queueManager.addFollowJob('user-1', 'artist_1', { jobId: 'row-1' });
+
+      expect(job.id).toBe('row-1');
+      expect(db.insert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('job priority', () => {
+    it('should set the priority from the user\'s tier and the job source', async () => {
+      db.findOne.mockResolvedValueOnce({ id: 'user-1', subscription_tier: 'premium' });
+
+      await queueManager.addFollowJob('user-1', 'artist_1', { source: 'single' });
+
+      const priority = queuePriority.get('premium', 'single');
+      expect(db.insert).toHaveBeenCalledWith('queue_jobs', expect.objectContaining({ priority }));
+      expect(queueManager.queues.follow.add).toHaveBeenCalledWith('follow-artist', expect.any(Object), expect.objectContaining({ priority }));
+    });
+
+    it('should keep an existing row\'s priority', async () => {
+      await queueManager.addFollowJob('user-1', 'artist_1', { jobId: 'row-1', priority: 7 });
+
+      expect(db.findOne).not.toHaveBeenCalled();
+      expect(queueManager.queues.follow.add.mock.calls[0][2].priority).toBe(7);
+    });
+  });
+
+  describe('getWaitTimes()', () => {
+    it('should report percentiles in milliseconds for every tier', async () => {
+      const now = new Date('2025-09-28T12:00:00Z');
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-1', subscription_tier: 'premium', feature_overrides: {} }] })
+        .mockResolvedValueOnce({ rows: [{ tier: 'premium', count: 40, percentiles: [1.5, 12, 30.25] }] });
+
+      const waitTimes = await queueManager.getWaitTimes(now);
+
+      expect(waitTimes.premium).toEqual({ count: 40, p50: 1500, p90: 12000, p99: 30250 });
+      expect(waitTimes.free).toEqual({ count: 0, p50: null, p90: null, p99: null });
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('percentile_cont'), [
+        new Date(now.getTime() - config.queue.waitStatsWindow),
+        ['user-1'],
+        ['premium']
+      ]);
+    });
+
+    it('should count users granted priority_queue by an override under a priority tier', async () => {
+      db.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 'user-1', subscription_tier: 'free', feature_overrides: { priority_queue: { enabled: true } } },
+            { id: 'user-2', subscription_tier: 'free', feature_overrides: {} }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      await queueManager.getWaitTimes();
+
+      expect(db.query.mock.calls[1][1].slice(1)).toEqual([['user-1', 'user-2'], ['premium', 'free']]);
+    });
+  });
+});
@@ -0,0 +1,75 @@
+const queuePriority = require('../../src/services/queuePriority');
+const db = require('../../src/database');
+
+describe('Queue Priority Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('get()', () => {
+    it('should run every premium job ahead of every lower tier job', () => {
+      const sources = ['single', 'scheduled', 'batch', 'campaign', 'autopilot'];
+      const lowest = Math.max(...sources.map(source => queuePriority.get('premium', source)));
+
+      for (const source of sources) {
+        expect(queuePriority.get('pro', source)).toBeGreaterThan(lowest);
+        expect(queuePriority.get('free', source)).toBeGreaterThan(queuePriority.get('pro', source));
+      }
+    });
+
+    it('should run single follows ahead of batches within a tier', () => {
+      expect(queuePriority.get('pro', 'single')).toBeLessThan(queuePriority.get('pro', 'batch'));
+      expect(queuePriority.get('pro', 'batch')).toBeLessThan(queuePriority.get('pro', 'autopilot'));
+    });
+
+    it('should treat unknown tiers as free and unknown sources as batches', () => {
+      expect(queuePriority.get(undefined, 'single')).toBe(queuePriority.get('free', 'single'));
+      expect(queuePriority.get('pro', 'other')).toBe(queuePriority.get('pro', 'batch'));
+    });
+  });
+
+  describe('forUser()', () => {
+    it('should look up the user\'s tier', async () => {
+      db.findOne.mockResolvedValueOnce({ id: 'user-1', subscription_tier: 'premium' });
+
+      await expect(queuePriority.forUser('user-1', 'single')).resolves.toBe(queuePriority.get('premium', 'single'));
+      expect(db.findOne).toHaveBeenCalledWith('users', { id: 'user-1' });
+    });
+
+    it('should give a free user granted priority_queue by an override the priority band', async () => {
+      db.findOne.mockResolvedValueOnce({
+        id: 'user-1',
+        subscription_tier: 'free',
+        feature_overrides: { priority_queue: { enabled: true } }
+      });
+
+      await expect(queuePriority.forUser('user-1', 'batch')).resolves.toBe(queuePriority.get('premium', 'batch'));
+    });
+  });
+
+  describe('tierFor()', () => {
+    it('should keep the user\'s tier when entitlements do not change priority_queue', () => {
+      expect(queuePriority.tierFor({ subscription_tier: 'pro' })).toBe('pro');
+      expect(queuePriority.tierFor({ subscription_tier: 'premium' })).toBe('premium');
+    });
+
+    it('should use a priority tier for a trial that includes priority_queue', () => {
+      const user = {
+        subscription_tier: 'free',
+        trial_tier: 'premium',
+        trial_ends_at: new Date(Date.now() + 86400000)
+      };
+
+      expect(queuePriority.tierFor(user)).toBe('premium');
+    });
+
+    it('should drop a user whose override revokes priority_queue out of the priority band', () => {
+      const user = {
+        subscription_tier: 'premium',
+        feature_overrides: { priority_queue: { enabled: false } }
+      };
+
+      expect(queuePriority.tierFor(user)).toBe('pro');
+    });
+  });
+});
@@ -0,0 +1,149 @@
+const scheduleDistributions = require('../../src/services/scheduleDistributions');
+const timezone = require('../../src/utils/timezone');
+
+const hour = 60 * 60 * 1000;
+
+// Deterministic stand-in for Math.random
+const sequence = (...values) => {
+  let i = 0;
+  return () => values[i++ % values.length];
+};
+
+const iso = (dates) => dates.map(date => date.toISOString());
+
+describe('Schedule Distributions', () => {
+  const start = new Date('2025-09-15T00:00:00.000Z');
+  const end = new Date('2025-09-15T04:00:00.000Z');
+
+  describe('plan()', () => {
+    it('should space even schedules equally from the start', () => {
+      const timestamps = scheduleDistributions.plan('even', 4, { start, end });
+
+      expect(iso(timestamps)).toEqual([
+        '2025-09-15T00:00:00.000Z',
+        '2025-09-15T01:00:00.000Z',
+        '2025-09-15T02:00:00.000Z',
+        '2025-09-15T03:00:00.000Z'
+      ]);
+    });
+
+    it('should jitter random schedules within equal slots', () => {
+      const timestamps = scheduleDistributions.plan('random', 4, {
+        start,
+        end,
+        random: sequence(0.5, 0, 0.25, 0.999)
+      });
+
+      expect(iso(timestamps)).toEqual([
+        '2025-09-15T00:30:00.000Z',
+        '2025-09-15T01:00:00.000Z',
+        '2025-09-15T02:15:00.000Z',
+        '2025-09-15T03:59:56.400Z'
+      ]);
+    });
+
+    it('should fit poisson arrivals inside the window', () => {
+      const timestamps = scheduleDistributions.plan('poisson', 50, { start, end });
+
+      expect(timestamps).toHaveLength(50);
+      timestamps.forEach((timestamp, i) => {
+        expect(timestamp.getTime()).toBeGreaterThanOrEqual(start.getTime());
+        expect(timestamp.getTime()).toBeLessThan(end.getTime());
+        if (i > 0) expect(timestamp.getTime()).toBeGreaterThanOrEqual(timestamps[i - 1].getTime());
+      });
+    });
+
+    it('should use exponential gaps for poisson schedules', () => {
+      // Equal draws give equal gaps: 3 arrivals split the window into 4
+      const timestamps = scheduleDistributions.plan('poisson', 3, { start, end, random: () => 0.5 });
+
+      expect(iso(timestamps)).toEqual([
+        '2025-09-15T01:00:00.000Z',
+        '2025-09-15T02:00:00.000Z',
+        '2025-09-15T03:00:00.000Z'
+      ]);
+    });
+
+    it('should put most front-loaded follows early in the window', () => {
+      const timestamps = scheduleDistributions.plan('front-loaded', 100, { start, end });
+      const firstHalf = timestamps.filter(t => t.getTime() < start.getTime() + 2 * hour);
+
+      expect(timestamps[0]).toEqual(start);
+      expect(firstHalf).toHaveLength(75);
+    });
+
+    it('should reject unknown distributions', () => {
+      expect(() => scheduleDistributions.plan('burst', 3, { start, end }))
+        .toThrow(expect.objectContaining({ code: 'INVALID_SCHEDULE' }));
+    });
+
+    it('should reject windows that end before they start', () => {
+      expect(() => scheduleDistributions.plan('even', 3, { start: end, end: start }))
+        .toThrow('endTime must be after startTime');
+    });
+
+    it('should reject unknown timezones', () => {
+      expect(() => scheduleDistributions.plan('even', 3, { start, end, timeZone: 'Mars/Olympus' }))
+        .toThrow('Unknown timezone');
+    });
+
+    it('should use registered distributions', () => {
+      scheduleDistributions.register('at-start', (count, window) => Array(count).fill(window.start));
+
+      expect(iso(scheduleDistributions.plan('at-start', 2, { start, end }))).toEqual([
+        '2025-09-15T00:00:00.000Z',
+        '2025-09-15T00:00:00.000Z'
+      ]);
+      scheduleDistributions.strategies.delete('at-start');
+    });
+  });
+
+  describe('business-hours', () => {
+    it('should skip nights and weekends in the user\'s timezone', () => {
+      // Friday 22:00 to Tuesday 22:00 in Berlin (UTC+2)
+      const timestamps = scheduleDistributions.plan('business-hours', 6, {
+        start: new Date('2025-09-19T20:00:00.000Z'),
+        end: new Date('2025-09-23T20:00:00.000Z'),
+        timeZone: 'Europe/Berlin'
+      });
+
+      expect(iso(timestamps)).toEqual([
+        '2025-09-22T07:00:00.000Z',
+        '2025-09-22T10:00:00.000Z',
+        '2025-09-22T13:00:00.000Z',
+        '2025-09-23T07:00:00.000Z',
+        '2025-09-23T10:00:00.000Z',
+        '2025-09-23T13:00:00.000Z'
+      ]);
+      timestamps.forEach(timestamp => {
+        const local = timezone.getLocalTime(timestamp, 'Europe/Berlin');
+        expect(local.hour).toBeGreaterThanOrEqual(9);
+        expect(local.hour).toBeLessThan(18);
+      });
+    });
+
+    it('should start partway through a working day', () => {
+      // Monday 15:00 to 18:00 in New York (UTC-4)
+      const timestamps = scheduleDistributions.plan('business-hours', 3, {
+        start: new Date('2025-09-15T19:00:00.000Z'),
+        end: new Date('2025-09-16T19:00:00.000Z'),
+        timeZone: 'America/New_York'
+      });
+
+      // 3 hours on Monday and 6 on Tuesday morning
+      expect(iso(timestamps)).toEqual([
+        '2025-09-15T19:00:00.000Z',
+        '2025-09-16T13:00:00.000Z',
+        '2025-09-16T16:00:00.000Z'
+      ]);
+    });
+
+    it('should reject windows without business hours', () => {
+      expect(() => scheduleDistributions.plan('business-hours', 2, {
+        start: new Date('2025-09-20T08:00:00.000Z'),
+        end: new Date('2025-09-21T20:00:00.000Z'),
+        timeZone: 'UTC'
+      })).toThrow('no business hours');
+    });
+  });
+});
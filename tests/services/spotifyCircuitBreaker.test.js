@@ -0,0 +1,123 @@
+const spotifyCircuitBreaker = require('../../src/services/spotifyCircuitBreaker');
+const config = require('../../config');
+
+describe('Spotify Circuit Breaker', () => {
+  const outage = () => Object.assign(new Error('Service Unavailable'), { statusCode: 503 });
+
+  const tripCircuit = async () => {
+    for (let i = 0; i < config.spotify.circuitBreaker.failureThreshold; i++) {
+      await spotifyCircuitBreaker.execute('follow', () => Promise.reject(outage())).catch(() => {});
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.restoreAllMocks();
+    spotifyCircuitBreaker.removeAllListeners();
+    clearTimeout(spotifyCircuitBreaker.probeTimer);
+    spotifyCircuitBreaker.probeTimer = null;
+    spotifyCircuitBreaker.state = 'closed';
+    spotifyCircuitBreaker.failures = 0;
+    spotifyCircuitBreaker.nextProbeAt = null;
+    spotifyCircuitBreaker.transitions = [];
+  });
+
+  afterEach(() => {
+    clearTimeout(spotifyCircuitBreaker.probeTimer);
+    jest.useRealTimers();
+  });
+
+  describe('execute()', () => {
+    it('should pass results through while closed', async () => {
+      await expect(spotifyCircuitBreaker.execute('profile', () => Promise.resolve('ok')))
+        .resolves.toBe('ok');
+      expect(spotifyCircuitBreaker.state).toBe('closed');
+    });
+
+    it('should open after consecutive outage errors', async () => {
+      const onOpen = jest.fn();
+      spotifyCircuitBreaker.on('open', onOpen);
+
+      await tripCircuit();
+
+      expect(spotifyCircuitBreaker.state).toBe('open');
+      expect(onOpen).toHaveBeenCalledWith(expect.objectContaining({ from: 'closed' }));
+    });
+
+    it('should not count client errors or rate limiting', async () => {
+      for (const statusCode of [400, 404, 429]) {
+        for (let i = 0; i < config.spotify.circuitBreaker.failureThreshold; i++) {
+          await spotifyCircuitBreaker.execute('follow', () =>
+            Promise.reject(Object.assign(new Error('Client error'), { statusCode }))
+          ).catch(() => {});
+        }
+      }
+
+      expect(spotifyCircuitBreaker.state).toBe('closed');
+      expect(spotifyCircuitBreaker.failures).toBe(0);
+    });
+
+    it('should reset the failure count after a success', async () => {
+      await spotifyCircuitBreaker.execute('follow', () => Promise.reject(outage())).catch(() => {});
+      await spotifyCircuitBreaker.execute('follow', () => Promise.resolve('ok'));
+
+      expect(spotifyCircuitBreaker.failures).toBe(0);
+    });
+
+    it('should fail fast without calling Spotify while open', async () => {
+      await tripCircuit();
+      const fn = jest.fn();
+
+      await expect(spotifyCircuitBreaker.execute('follow', fn)).rejects.toMatchObject({
+        code: 'CIRCUIT_OPEN'
+      });
+      expect(fn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('probe()', () => {
+    it('should close the circuit when the probe succeeds', async () => {
+      jest.useFakeTimers();
+      const probe = jest.spyOn(spotifyCircuitBreaker, 'sendProbeRequest').mockResolvedValue();
+      const onClosed = jest.fn();
+      spotifyCircuitBreaker.on('closed', onClosed);
+
+      await tripCircuit();
+      jest.advanceTimersByTime(config.spotify.circuitBreaker.resetTimeout);
+      await Promise.resolve();
+
+      expect(probe).toHaveBeenCalledTimes(1);
+      expect(spotifyCircuitBreaker.state).toBe('closed');
+      expect(onClosed).toHaveBeenCalledWith(expect.objectContaining({ from: 'half_open' }));
+      expect(spotifyCircuitBreaker.transitions.map(t => t.to)).toEqual(['closed', 'half_open', 'open']);
+    });
+
+    it('should reopen the circuit when the probe fails', async () => {
+      jest.useFakeTimers();
+      jest.spyOn(spotifyCircuitBreaker, 'sendProbeRequest').mockRejectedValue(outage());
+
+      await tripCircuit();
+      jest.advanceTimersByTime(config.spotify.circuitBreaker.resetTimeout);
+      await Promise.resolve();
+
+      expect(spotifyCircuitBreaker.state).toBe('open');
+      expect(spotifyCircuitBreaker.nextProbeAt.getTime()).toBeGreaterThan(Date.now());
+      expect(spotifyCircuitBreaker.probeTimer).not.toBeNull();
+    });
+  });
+
+  describe('getState()', () => {
+    it('should report state and recent transitions', async () => {
+      await tripCircuit();
+
+      const state = spotifyCircuitBreaker.getState();
+
+      expect(state).toMatchObject({
+        state: 'open',
+        failureThreshold: config.spotify.circuitBreaker.failureThreshold,
+        lastError: 'Service Unavailable'
+      });
+      expect(state.transitions[0]).toMatchObject({ from: 'closed', to: 'open' });
+    });
+  });
+});
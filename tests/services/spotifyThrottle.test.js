@@ -0,0 +1,119 @@
+const spotifyThrottle = require('../../src/services/spotifyThrottle');
+const redis = require('../../src/database/redis');
+const config = require('../../config');
+
+describe('Spotify Throttle', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redis.client.eval = jest.fn().mockResolvedValue(0);
+    spotifyThrottle.removeAllListeners();
+    clearTimeout(spotifyThrottle.resumeTimer);
+    spotifyThrottle.pausedUntil = 0;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('execute()', () => {
+    it('should run the call once a token is available', async () => {
+      const fn = jest.fn().mockResolvedValue('result');
+
+      const result = await spotifyThrottle.execute('follow', fn);
+
+      expect(result).toBe('result');
+      expect(redis.client.eval).toHaveBeenCalledTimes(1);
+      expect(redis.client.eval.mock.calls[0].slice(1, 4)).toEqual([
+        2, spotifyThrottle.bucketKey, spotifyThrottle.pauseKey
+      ]);
+    });
+
+    it('should wait for the bucket to refill before calling', async () => {
+      redis.client.eval
+        .mockResolvedValueOnce(5)
+        .mockResolvedValueOnce(0);
+      const fn = jest.fn().mockResolvedValue('ok');
+
+      await spotifyThrottle.execute('profile', fn);
+
+      expect(redis.client.eval).toHaveBeenCalledTimes(2);
+      expect(fn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should give up when the wait exceeds the maximum', async () => {
+      redis.client.eval.mockResolvedValueOnce(config.spotify.throttle.maxWait + 1000);
+      const fn = jest.fn();
+
+      await expect(spotifyThrottle.execute('follow', fn)).rejects.toMatchObject({
+        code: 'SPOTIFY_THROTTLED'
+      });
+      expect(fn).not.toHaveBeenCalled();
+    });
+
+    it('should fail open when Redis is unavailable', async () => {
+      redis.client.eval.mockRejectedValueOnce(new Error('Connection is closed'));
+      const fn = jest.fn().mockResolvedValue('ok');
+
+      await expect(spotifyThrottle.execute('token-refresh', fn)).resolves.toBe('ok');
+    });
+
+    it('should pause for the Retry-After period on 429', async () => {
+      jest.useFakeTimers();
+      const rateLimited = Object.assign(new Error('Too Many Requests'), {
+        statusCode: 429,
+        headers: { 'retry-after': '3' }
+      });
+      const onPaused = jest.fn();
+      const onResumed = jest.fn();
+      spotifyThrottle.on('paused', onPaused);
+      spotifyThrottle.on('resumed', onResumed);
+
+      await expect(
+        spotifyThrottle.execute('follow', jest.fn().mockRejectedValue(rateLimited))
+      ).rejects.toBe(rateLimited);
+
+      expect(redis.client.set).toHaveBeenCalledWith(
+        spotifyThrottle.pauseKey, expect.any(String), 'PX', 3000
+      );
+      expect(onPaused).toHaveBeenCalledWith(expect.objectContaining({ retryAfter: 3000, label: 'follow' }));
+
+      jest.advanceTimersByTime(2999);
+      expect(onResumed).not.toHaveBeenCalled();
+      jest.advanceTimersByTime(1);
+      expect(onResumed).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not pause on other errors', async () => {
+      const onPaused = jest.fn();
+      spotifyThrottle.on('paused', onPaused);
+
+      await expect(
+        spotifyThrottle.execute('follow', jest.fn().mockRejectedValue(new Error('Bad gateway')))
+      ).rejects.toThrow('Bad gateway');
+
+      expect(onPaused).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getState()', () => {
+    it('should report pause and time to resume', async () => {
+      const until = Date.now() + 10000;
+      redis.client.get.mockResolvedValueOnce(String(until));
+      redis.client.hgetall.mockResolvedValueOnce({ tokens: '0', ts: String(Date.now()) });
+
+      const state = await spotifyThrottle.getState();
+
+      expect(state.paused).toBe(true);
+      expect(state.resumeAt).toEqual(new Date(until));
+      expect(state.resumeInMs).toBeGreaterThan(9000);
+      expect(state.tokens).toBe(0);
+    });
+
+    it('should report a full bucket when unused', async () => {
+      const state = await spotifyThrottle.getState();
+
+      expect(state.paused).toBe(false);
+      expect(state.tokens).toBe(config.spotify.throttle.capacity);
+    });
+  });
+});
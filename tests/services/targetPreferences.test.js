@@ -0,0 +1,112 @@
+const targetPreferences = require('../../src/services/targetPreferences');
+const db = require('../../src/database');
+
+const entry = (list, kind, value) => ({ id: `${list}-${kind}-${value}`, list, kind, value });
+
+describe('Target Preferences Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const useEntries = (entries, allowlistOnly = false) => {
+    db.findOne.mockResolvedValueOnce({ id: 'user-1', allowlist_only: allowlistOnly });
+    db.query.mockResolvedValueOnce({ rows: entries });
+  };
+
+  describe('allows()', () => {
+    const rules = (overrides = {}) => ({
+      allowlistOnly: false,
+      allow: { ids: [], genres: [] },
+      block: { ids: [], genres: [] },
+      ...overrides
+    });
+
+    it('should reject blocked targets and targets in blocked genres', () => {
+      const blocking = rules({ block: { ids: ['artist_1'], genres: ['polka'] } });
+
+      expect(targetPreferences.allows(blocking, 'artist_1')).toBe(false);
+      expect(targetPreferences.allows(blocking, 'artist_2', ['polka', 'folk'])).toBe(false);
+      expect(targetPreferences.allows(blocking, 'artist_3', ['folk'])).toBe(true);
+    });
+
+    it('should only allow listed targets in allowlist-only mode, with blocks winning', () => {
+      const allowOnly = rules({
+        allowlistOnly: true,
+        allow: { ids: ['artist_1'], genres: ['jazz'] },
+        block: { ids: ['artist_2'], genres: [] }
+      });
+
+      expect(targetPreferences.allows(allowOnly, 'artist_1')).toBe(true);
+      expect(targetPreferences.allows(allowOnly, 'artist_3', ['jazz'])).toBe(true);
+      expect(targetPreferences.allows(allowOnly, 'artist_2', ['jazz'])).toBe(false);
+      expect(targetPreferences.allows(allowOnly, 'artist_4', ['rock'])).toBe(false);
+    });
+  });
+
+  describe('filterTargets()', () => {
+    it('should check artists against their cached genres', async () => {
+      useEntries([entry('block', 'genre', 'polka'), entry('block', 'playlist', 'artist_3')]);
+      db.query.mockResolvedValueOnce({ rows: [{ spotify_id: 'artist_2', genres: ['polka'] }] });
+
+      const allowed = await targetPreferences.filterTargets('user-1', ['artist_1', 'artist_2', 'artist_3']);
+
+      // A blocked playlist ID does not apply to artist targets
+      expect(allowed).toEqual(['artist_1', 'artist_3']);
+    });
+
+    it('should apply user entries to the artist\'s account', async () => {
+      useEntries([entry('block', 'user', 'artist_2'), entry('block', 'user', 'swarm-user-3')]);
+      db.query.mockResolvedValueOnce({
+        rows: [
+          { spotify_id: 'artist_1', genres: null, user_id: null },
+          { spotify_id: 'artist_2', genres: [], user_id: null },
+          { spotify_id: 'artist_3', genres: [], user_id: 'swarm-user-3' }
+        ]
+      });
+
+      const allowed = await targetPreferences.filterTargets('user-1', ['artist_1', 'artist_2', 'artist_3']);
+
+      expect(allowed).toEqual(['artist_1']);
+    });
+
+    it('should not apply artist entries to user targets', async () => {
+      useEntries([entry('block', 'user', 'target_1'), entry('block', 'artist', 'target_2')]);
+
+      const allowed = await targetPreferences.filterTargets('user-1', ['target_1', 'target_2'], 'user');
+
+      expect(allowed).toEqual(['target_2']);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip the genre lookup when the user has no rules', async () => {
+      useEntries([entry('allow', 'artist', 'artist_1')]);
+
+      const allowed = await targetPreferences.filterTargets('user-1', ['artist_1', 'artist_2']);
+
+      expect(allowed).toEqual(['artist_1', 'artist_2']);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('addEntry()', () => {
+    it('should store genres in lowercase', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ count: '0' }] })
+        .mockResolvedValueOnce({ rows: [entry('block', 'genre', 'indie pop')] });
+
+      await targetPreferences.addEntry('user-1', { list: 'block', kind: 'genre', value: ' Indie Pop ' });
+
+      expect(db.query).toHaveBeenLastCalledWith(
+        expect.stringContaining('INSERT INTO target_preferences'),
+        ['user-1', 'block', 'genre', 'indie pop']
+      );
+    });
+
+    it('should reject unknown lists and kinds', async () => {
+      await expect(targetPreferences.addEntry('user-1', { list: 'mute', kind: 'artist', value: 'a' }))
+        .rejects.toMatchObject({ code: 'INVALID_PREFERENCE' });
+      await expect(targetPreferences.addEntry('user-1', { list: 'block', kind: 'label', value: 'a' }))
+        .rejects.toMatchObject({ code: 'INVALID_PREFERENCE' });
+    });
+  });
+});
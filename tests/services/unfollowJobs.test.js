@@ -0,0 +1,159 @@
+// Use the real queue manager and unfollow jobs; setup.js mocks them for route tests
+jest.unmock('../../src/services/queueManager');
+jest.unmock('../../src/services/unfollowJobs');
+jest.mock('../../src/services/followEngine', () => ({
+  checkRateLimits: jest.fn(),
+  unfollow: jest.fn()
+}));
+
+const queueManager = require('../../src/services/queueManager');
+const unfollowJobs = require('../../src/services/unfollowJobs');
+const followEngine = require('../../src/services/followEngine');
+const db = require('../../src/database');
+const config = require('../../config');
+
+describe('Unfollow Jobs', () => {
+  const job = {
+    id: '12',
+    name: 'unfollow',
+    data: { userId: 'user-1', followId: 'follow-1' },
+    opts: { priority: 10, attempts: 3 },
+    attemptsMade: 0
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    queueManager.queues = {
+      follow: {
+        add: jest.fn().mockResolvedValue({ id: '99' })
+      },
+      analytics: {
+        add: jest.fn().mockResolvedValue({})
+      }
+    };
+    db.findOne.mockResolvedValue({ id: 'user-1', subscription_tier: 'free' });
+  });
+
+  describe('process()', () => {
+    it('should unfollow and track analytics', async () => {
+      followEngine.checkRateLimits.mockResolvedValue({ canFollow: true });
+      followEngine.unfollow.mockResolvedValue({
+        success: true,
+        followId: 'follow-1',
+        artistId: 'artist_1',
+        targetType: 'artist'
+      });
+
+      await unfollowJobs.process(job);
+
+      expect(followEngine.unfollow).toHaveBeenCalledWith('user-1', 'follow-1');
+      expect(queueManager.queues.analytics.add).toHaveBeenCalledWith('track-unfollow', expect.objectContaining({
+        userId: 'user-1',
+        followId: 'follow-1',
+        targetType: 'artist'
+      }));
+    });
+
+    it('should wait for the same rate limits as follows', async () => {
+      followEngine.checkRateLimits.mockResolvedValue({
+        canFollow: false,
+        nextAvailableSlot: new Date(Date.now() + 60000)
+      });
+
+      const result = await unfollowJobs.process(job);
+
+      expect(result).toMatchObject({ deferred: true, reason: 'rate_limited' });
+      expect(followEngine.unfollow).not.toHaveBeenCalled();
+      expect(queueManager.queues.follow.add).toHaveBeenCalledWith(
+        'unfollow',
+        job.data,
+        expect.objectContaining({ priority: 10 })
+      );
+    });
+
+    it('should defer the job when another worker took the last slot', async () => {
+      const resetAt = new Date(Date.now() + 60000);
+      followEngine.checkRateLimits.mockResolvedValue({ canFollow: true });
+      followEngine.unfollow.mockRejectedValue(
+        Object.assign(new Error('Follow rate limit reached'), { code: 'RATE_LIMITED', resetAt })
+      );
+
+      const result = await unfollowJobs.process(job);
+
+      expect(result).toMatchObject({ deferred: true, reason: 'rate_limited' });
+      expect(queueManager.queues.follow.add.mock.calls[0][2].delay).toBeGreaterThan(59000);
+    });
+
+    it('should defer the job without using an attempt when the Spotify throttle wait is too long', async () => {
+      followEngine.checkRateLimits.mockResolvedValue({ canFollow: true });
+      followEngine.unfollow.mockRejectedValue(
+        Object.assign(new Error('Spotify API throttled, retry in 60s'), { code: 'SPOTIFY_THROTTLED', retryAfter: 60000 })
+      );
+
+      const result = await unfollowJobs.process(job);
+
+      expect(result).toMatchObject({ deferred: true, reason: 'spotify_throttled' });
+      expect(queueManager.queues.follow.add.mock.calls[0][2]).toMatchObject({ attempts: 3 });
+      expect(queueManager.queues.follow.add.mock.calls[0][2].delay).toBeGreaterThan(59000);
+    });
+
+    it('should not count repeated unfollows twice', async () => {
+      followEngine.checkRateLimits.mockResolvedValue({ canFollow: true });
+      followEngine.unfollow.mockResolvedValue({ success: true, alreadyUnfollowed: true });
+
+      await unfollowJobs.process(job);
+
+      expect(queueManager.queues.analytics.add).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('worker', () => {
+    it('should share one follow queue processor and its concurrency with follow jobs', async () => {
+      const queue = () => ({ process: jest.fn() });
+      Object.assign(queueManager.queues, {
+        follow: queue(), verification: queue(), sync: queue(), analytics: queue(), notification: queue()
+      });
+      const processFollowJob = jest.spyOn(queueManager, 'processFollowJob').mockResolvedValue({});
+      const processUnfollow = jest.spyOn(unfollowJobs, 'process').mockResolvedValue({});
+
+      await queueManager.setupWorkers();
+      const [[name, concurrency, handler]] = queueManager.queues.follow.process.mock.calls;
+      await handler(job);
+      await handler({ ...job, name: 'follow-artist' });
+
+      expect(queueManager.queues.follow.process).toHaveBeenCalledTimes(1);
+      expect([name, concurrency]).toEqual(['*', config.queue.concurrency]);
+      expect(processUnfollow).toHaveBeenCalledWith(job);
+      expect(processFollowJob).toHaveBeenCalledTimes(1);
+
+      processFollowJob.mockRestore();
+      processUnfollow.mockRestore();
+    });
+  });
+
+  describe('addBulk()', () => {
+    it('should pace unfollow jobs like batch follows', async () => {
+      const jobs = await unfollowJobs.addBulk('user-1', ['f1', 'f2', 'f3']);
+
+      const delays = queueManager.queues.follow.add.mock.calls.map(call => call[2].delay);
+      expect(jobs).toHaveLength(3);
+      expect(delays[0]).toBe(0);
+      expect(delays[1]).toBeGreaterThanOrEqual(config.rateLimits.followDelayMin);
+      expect(delays[2] - delays[1]).toBeGreaterThanOrEqual(config.rateLimits.followDelayMin);
+      expect(db.insert).toHaveBeenCalledWith('queue_jobs', expect.objectContaining({
+        job_type: 'unfollow',
+        payload: { followId: 'f2' },
+        status: 'queued'
+      }));
+    });
+  });
+
+  describe('trackUnfollowAnalytics()', () => {
+    it('should increment the daily and platform unfollow counters', async () => {
+      await queueManager.trackUnfollowAnalytics({ userId: 'user-1', timestamp: new Date() });
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('unfollows_count + 1'), ['user-1', expect.any(Date)]);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('total_unfollows + 1'), [expect.any(Date)]);
+    });
+  });
+});
@@ -0,0 +1,96 @@
+const userPause = require('../../src/services/userPause');
+const jobCancellation = require('../../src/services/jobCancellation');
+const db = require('../../src/database');
+const config = require('../../config');
+
+const now = new Date('2025-09-29T12:00:00Z');
+
+describe('User Pause Service', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('pause()', () => {
+    it('should set the pause flag and keep an earlier pause time', async () => {
+      const pausedAt = new Date('2025-09-28T08:00:00Z');
+      db.query.mockResolvedValueOnce({ rows: [{ follows_paused_at: pausedAt }] });
+
+      await expect(userPause.pause('user-1')).resolves.toEqual({ paused: true, pausedAt });
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('COALESCE(follows_paused_at, NOW())'), ['user-1']);
+    });
+  });
+
+  describe('resume()', () => {
+    it('should spread held jobs out from now and pull queued ones from Bull', async () => {
+      const later = new Date(now.getTime() + 24 * 60 * 60 * 1000);
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-1' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 'job-1', status: 'queued', queue_job_id: 'job-1', scheduled_at: new Date(now.getTime() - 3600000) },
+            { id: 'job-2', status: 'queued', queue_job_id: '77', scheduled_at: new Date(now.getTime() - 1800000) },
+            { id: 'job-3', status: 'scheduled', queue_job_id: null, scheduled_at: later }
+          ]
+        })
+        .mockResolvedValueOnce({ rowCount: 3 });
+      jobCancellation.removeJob.mockResolvedValue(true);
+
+      const state = await userPause.resume('user-1', now);
+
+      expect(state).toEqual({ paused: false, pausedAt: null, respreadCount: 3 });
+      expect(jobCancellation.removeJob).toHaveBeenCalledWith('job-1');
+      expect(jobCancellation.removeJob).toHaveBeenCalledWith('77');
+      expect(jobCancellation.removeJob).toHaveBeenCalledTimes(2);
+
+      const [ids, times, jobIds] = db.query.mock.calls[2][1];
+      expect(ids).toEqual(['job-1', 'job-2', 'job-3']);
+      expect(jobIds).toEqual(['job-1', '77', null]);
+      expect(times[0]).toEqual(now);
+      expect(times[1].getTime() - times[0].getTime()).toBeGreaterThanOrEqual(config.rateLimits.followDelayMin);
+      expect(times[2]).toEqual(later);
+    });
+
+    it('should leave jobs a worker holds in Bull with their row', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-1' }] })
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 'job-1', status: 'queued', queue_job_id: 'job-1', scheduled_at: new Date(now.getTime() - 3600000) },
+            { id: 'job-2', status: 'queued', queue_job_id: 'job-2', scheduled_at: new Date(now.getTime() - 1800000) }
+          ]
+        })
+        .mockResolvedValueOnce({ rowCount: 1 });
+      jobCancellation.removeJob.mockImplementation(async (jobId) => jobId !== 'job-1');
+
+      const state = await userPause.resume('user-1', now);
+
+      expect(state.respreadCount).toBe(1);
+      const [ids, times] = db.query.mock.calls[2][1];
+      expect(ids).toEqual(['job-2']);
+      expect(times).toEqual([now]);
+    });
+
+    it('should not reschedule anything when every job is held by a worker', async () => {
+      db.query
+        .mockResolvedValueOnce({ rows: [{ id: 'user-1' }] })
+        .mockResolvedValueOnce({
+          rows: [{ id: 'job-1', status: 'queued', queue_job_id: 'job-1', scheduled_at: now }]
+        });
+      jobCancellation.removeJob.mockResolvedValue(false);
+
+      const state = await userPause.resume('user-1', now);
+
+      expect(state.respreadCount).toBe(0);
+      expect(db.query).toHaveBeenCalledTimes(2);
+    });
+
+    it('should not touch jobs when the user was not paused', async () => {
+      db.query.mockResolvedValueOnce({ rows: [] });
+
+      const state = await userPause.resume('user-1', now);
+
+      expect(state.respreadCount).toBe(0);
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+});
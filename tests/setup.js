@@ -57,6 +57,7 @@ jest.mock('../src/database/redis', () => {
     hset: jest.fn().mockResolvedValue(1),
     hget: jest.fn().mockResolvedValue(null),
     hgetall: jest.fn().mockResolvedValue({}),
+    hdel: jest.fn().mockResolvedValue(0),
     lpush: jest.fn().mockResolvedValue(1),
     lrange: jest.fn().mockResolvedValue([]),
     quit: jest.fn().mockResolvedValue('OK'),
@@ -125,6 +126,27 @@ jest.mock('../src/database', () => ({
       const user = mockUsers.get(userId);
       return Promise.resolve({ rows: user ? [user] : [] });
     }
+    // Handle getUserStats per target type breakdown
+    if (sql.includes('GROUP BY target_type')) {
+      const userId = params?.[0]?.toString();
+      const sinceTime = params?.[1] ? new Date(params[1]).getTime() : 0;
+      const byType = new Map();
+
+      for (const follow of mockFollows.values()) {
+        const followTime = follow.created_at ? new Date(follow.created_at).getTime() : Date.now();
+        if (follow.follower_user_id?.toString() !== userId || followTime < sinceTime) continue;
+
+        const type = follow.target_type || 'artist';
+        const row = byType.get(type) || { target_type: type, completed: 0, pending: 0, failed: 0, total: 0 };
+        if (['completed', 'verified', 'unverified'].includes(follow.status)) row.completed++;
+        if (follow.status === 'pending') row.pending++;
+        if (follow.status === 'failed') row.failed++;
+        row.total++;
+        byType.set(type, row);
+      }
+
+      return Promise.resolve({ rows: Array.from(byType.values()) });
+    }
     // Mock follow count query for rate limiting
     if (sql.includes('COUNT') && sql.includes('follows')) {
       // Check if this is a rate limit test (looking for high follow count)
@@ -142,8 +164,8 @@ jest.mock('../src/database', () => ({
       );
       
       // Filter by status if the query includes status filter
-      if (sql.includes("status IN ('pending', 'completed')")) {
-        follows = follows.filter(f => f.status === 'pending' || f.status === 'completed');
+      if (sql.includes("status IN ('pending', 'completed', 'verified', 'unverified')")) {
+        follows = follows.filter(f => ['pending', 'completed', 'verified', 'unverified'].includes(f.status));
       } else if (sql.includes("status = 'completed'")) {
         follows = follows.filter(f => f.status === 'completed');
       }
@@ -178,6 +200,8 @@ jest.mock('../src/database', () => ({
       }
       
       const completed = userFollows.filter(f => f.status === 'completed').length;
+      const verified = userFollows.filter(f => f.status === 'verified').length;
+      const unverified = userFollows.filter(f => f.status === 'unverified').length;
       const pending = userFollows.filter(f => f.status === 'pending').length;
       const failed = userFollows.filter(f => f.status === 'failed').length;
       const total = userFollows.length;
@@ -185,6 +209,8 @@ jest.mock('../src/database', () => ({
       return Promise.resolve({ 
         rows: [{
           completed: String(completed),
+          verified: String(verified),
+          unverified: String(unverified),
           pending: String(pending),
           failed: String(failed),
           total: String(total),
@@ -333,6 +359,8 @@ jest.mock('../src/database', () => ({
       return Promise.resolve({ rows: [{
         total_follows: '100',
         completed_follows: '80',
+        verified_follows: '0',
+        unverified_follows: '0',
         failed_follows: '10',
         pending_follows: '10',
         follows_24h: '20',
@@ -645,6 +673,7 @@ const mockQueueManager = {
       }))
     );
   }),
+  addImportJob: jest.fn().mockResolvedValue({ id: 'import:test-user', status: 'queued' }),
   getUserJobs: jest.fn().mockImplementation((userId, status) => {
     const userJobs = Array.from(mockQueueJobs.values()).filter(job => {
       if (job.user_id !== userId && job.user_id !== userId?.toString()) return false;
@@ -653,19 +682,9 @@ const mockQueueManager = {
     });
     return Promise.resolve(userJobs);
   }),
-  cancelUserJobs: jest.fn().mockImplementation((userId) => {
-    // Find all pending/queued jobs for this user and cancel them
-    const userJobs = Array.from(mockQueueJobs.values()).filter(
-      job => job.user_id === userId && (job.status === 'queued' || job.status === 'scheduled')
-    );
-    
-    // Mark them as cancelled
-    userJobs.forEach(job => {
-      job.status = 'cancelled';
-    });
-    
-    return Promise.resolve(userJobs);
-  }),
+  getPendingFollowJobs: jest.fn().mockResolvedValue([]),
+  getFollowJob: jest.fn().mockResolvedValue(null),
+  addVerificationJob: jest.fn().mockResolvedValue({ id: 'verify-job' }),
   getQueueStatus: jest.fn().mockImplementation((queueName) => {
     if (queueName === 'invalid') {
       return Promise.reject(new Error('Queue invalid not found'));
@@ -721,4 +740,42 @@ const mockQueueManager = {
 };
 
 // Set the mock object
-jest.mock('../src/services/queueManager', () => mockQueueManager);
\ No newline at end of file
+jest.mock('../src/services/queueManager', () => mockQueueManager);
+
+// Mock Job Cancellation, which removes jobs from the mocked queue manager
+jest.mock('../src/services/jobCancellation', () => ({
+  cancelUserJobs: jest.fn().mockImplementation((userId) => {
+    // Find all pending/queued jobs for this user and cancel them
+    const userJobs = Array.from(mockQueueJobs.values()).filter(
+      job => job.user_id === userId && (job.status === 'queued' || job.status === 'scheduled')
+    );
+    
+    // Mark them as cancelled
+    userJobs.forEach(job => {
+      job.status = 'cancelled';
+    });
+    
+    return Promise.resolve(userJobs);
+  }),
+  cancelJob: jest.fn().mockImplementation((userId, jobId) => {
+    const job = mockQueueJobs.get(jobId);
+    if (!job || job.user_id !== userId || !['queued', 'scheduled', 'rescheduled'].includes(job.status)) {
+      return Promise.resolve(null);
+    }
+
+    job.status = 'cancelled';
+    return Promise.resolve({ ...job });
+  }),
+  cancelCampaignJobs: jest.fn().mockResolvedValue([]),
+  cancelBatchJobs: jest.fn().mockResolvedValue([]),
+  removeJob: jest.fn().mockResolvedValue(false)
+}));
+
+// Mock Unfollow Jobs, which queue onto the mocked queue manager
+jest.mock('../src/services/unfollowJobs', () => ({
+  process: jest.fn(),
+  add: jest.fn().mockResolvedValue({ id: 'test-job-1', status: 'queued' }),
+  addBulk: jest.fn().mockImplementation((userId, followIds) =>
+    Promise.resolve(followIds.map((followId, index) => ({ id: `test-job-${index + 1}`, status: 'queued' })))
+  )
+}));
\ No newline at end of file
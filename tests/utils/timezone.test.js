@@ -0,0 +1,44 @@
+const timezone = require('../../src/utils/timezone');
+
+describe('Timezone Utility', () => {
+  it('should validate IANA timezone names', () => {
+    expect(timezone.isValid('Europe/Berlin')).toBe(true);
+    expect(timezone.isValid('UTC')).toBe(true);
+    expect(timezone.isValid('Mars/Olympus')).toBe(false);
+    expect(timezone.isValid('')).toBe(false);
+  });
+
+  it('should report local wall-clock time', () => {
+    expect(timezone.getLocalTime(new Date('2025-09-15T23:30:00.000Z'), 'Asia/Tokyo')).toEqual({
+      year: 2025,
+      month: 9,
+      day: 16,
+      hour: 8,
+      minute: 30,
+      second: 0,
+      weekday: 2
+    });
+  });
+
+  it('should follow daylight saving offsets', () => {
+    expect(timezone.getOffset(new Date('2025-01-15T12:00:00.000Z'), 'America/New_York')).toBe(-300);
+    expect(timezone.getOffset(new Date('2025-07-15T12:00:00.000Z'), 'America/New_York')).toBe(-240);
+  });
+
+  it('should convert local times to UTC across a DST change', () => {
+    // Berlin moves to UTC+2 at 02:00 on 30 March 2025
+    expect(timezone.toUtc({ year: 2025, month: 3, day: 29, hour: 9 }, 'Europe/Berlin').toISOString())
+      .toBe('2025-03-29T08:00:00.000Z');
+    expect(timezone.toUtc({ year: 2025, month: 3, day: 30, hour: 9 }, 'Europe/Berlin').toISOString())
+      .toBe('2025-03-30T07:00:00.000Z');
+  });
+
+  it('should roll local dates over month ends', () => {
+    expect(timezone.nextDay({ year: 2025, month: 9, day: 30 })).toEqual({
+      year: 2025,
+      month: 10,
+      day: 1,
+      weekday: 3
+    });
+  });
+});
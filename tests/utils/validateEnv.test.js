@@ -0,0 +1,41 @@
+const { validateEnvironment } = require('../../src/utils/validateEnv');
+
+describe('Environment Validation', () => {
+  const originalEnv = process.env;
+
+  beforeEach(() => {
+    process.env = {
+      ...originalEnv,
+      DATABASE_URL: 'postgresql://localhost:5432/spotify_swarm',
+      JWT_SECRET: 'j'.repeat(32),
+      ENCRYPTION_KEY: 'e'.repeat(32),
+      SESSION_SECRET: 's'.repeat(32),
+      SANDBOX: 'true'
+    };
+    delete process.env.SPOTIFY_CLIENT_ID;
+    delete process.env.SPOTIFY_CLIENT_SECRET;
+    delete process.env.SPOTIFY_REDIRECT_URI;
+  });
+
+  afterAll(() => {
+    process.env = originalEnv;
+  });
+
+  it('should allow sandbox mode without Spotify credentials in development', () => {
+    process.env.NODE_ENV = 'development';
+
+    const result = validateEnvironment();
+
+    expect(result.missing).toEqual([]);
+    expect(result.errors).not.toContain('SANDBOX=true is not allowed when NODE_ENV=production');
+  });
+
+  it('should refuse sandbox mode in production', () => {
+    process.env.NODE_ENV = 'production';
+
+    const result = validateEnvironment();
+
+    expect(result.valid).toBe(false);
+    expect(result.errors).toContain('SANDBOX=true is not allowed when NODE_ENV=production');
+  });
+});